@@ -0,0 +1,34 @@
+-- =============================================================================
+-- Migration 010: Scheduled pickup orders with 15-minute slot capacity
+-- Run AFTER migration 009.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Per-restaurant slot capacity (orders per 15-minute window) ───────────
+ALTER TABLE restaurants
+  ADD COLUMN IF NOT EXISTS pickup_slot_capacity INTEGER NOT NULL DEFAULT 10;
+
+-- ─── 2. Orders: requested pickup time + kitchen release marker ───────────────
+-- scheduled_pickup_at NULL = ASAP order (released immediately).
+-- released_at is stamped by the release job once
+-- scheduled_pickup_at - preparation_time has passed.
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS scheduled_pickup_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS released_at         TIMESTAMP;
+
+-- Partial index: only unreleased scheduled orders are scanned by the job
+CREATE INDEX IF NOT EXISTS orders_scheduled_unreleased_idx
+  ON orders(scheduled_pickup_at)
+  WHERE scheduled_pickup_at IS NOT NULL AND released_at IS NULL;
+
+-- ─── 3. Pickup slots ─────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS pickup_slots (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  slot_start    TIMESTAMP NOT NULL,
+  booked_count  INTEGER NOT NULL DEFAULT 0 CHECK (booked_count >= 0),
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS pickup_slots_restaurant_slot_idx
+  ON pickup_slots(restaurant_id, slot_start);
@@ -0,0 +1,33 @@
+-- =============================================================================
+-- Migration 011: Expo push delivery — multi-device tokens + receipt tickets
+-- Run AFTER migration 010.
+-- Safe to run multiple times (uses IF NOT EXISTS / ON CONFLICT guards).
+-- =============================================================================
+
+-- ─── 1. Push devices (replaces the single users.expo_push_token) ─────────────
+CREATE TABLE IF NOT EXISTS push_devices (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id      UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token        TEXT NOT NULL,
+  platform     VARCHAR(20),
+  device_name  VARCHAR(100),
+  last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  created_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS push_devices_token_idx ON push_devices(token);
+CREATE INDEX IF NOT EXISTS push_devices_user_idx ON push_devices(user_id);
+
+-- Backfill from the legacy single-token column
+INSERT INTO push_devices (user_id, token)
+SELECT id, expo_push_token FROM users
+WHERE expo_push_token IS NOT NULL AND expo_push_token <> ''
+ON CONFLICT (token) DO NOTHING;
+
+-- ─── 2. Push tickets awaiting receipt check ──────────────────────────────────
+CREATE TABLE IF NOT EXISTS push_tickets (
+  id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ticket_id  VARCHAR(100) NOT NULL,
+  token      TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS push_tickets_created_idx ON push_tickets(created_at);
@@ -0,0 +1,33 @@
+-- =============================================================================
+-- Migration 012: Weekly opening hours, holiday closures, restaurant timezone
+-- Run AFTER migration 011.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Timezone per restaurant (IANA name) ──────────────────────────────────
+ALTER TABLE restaurants
+  ADD COLUMN IF NOT EXISTS timezone VARCHAR(50) NOT NULL DEFAULT 'Asia/Kolkata';
+
+-- ─── 2. Weekly schedule — multiple intervals per weekday ─────────────────────
+-- weekday: 0 = Sunday … 6 = Saturday. close_time < open_time = past midnight.
+CREATE TABLE IF NOT EXISTS restaurant_hours (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  weekday       SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+  open_time     VARCHAR(5) NOT NULL,
+  close_time    VARCHAR(5) NOT NULL,
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS restaurant_hours_restaurant_idx
+  ON restaurant_hours(restaurant_id, weekday);
+
+-- ─── 3. One-off closures (holidays) ──────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS restaurant_closures (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  closed_on     DATE NOT NULL,
+  reason        VARCHAR(255),
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS restaurant_closures_restaurant_date_idx
+  ON restaurant_closures(restaurant_id, closed_on);
@@ -0,0 +1,34 @@
+-- =============================================================================
+-- Migration 013: Razorpay refunds for cancelled / rejected paid orders
+-- Run AFTER migration 012.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Enum ─────────────────────────────────────────────────────────────────
+DO $$ BEGIN
+  CREATE TYPE refund_status AS ENUM ('pending', 'processed', 'failed');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- ─── 2. Orders: running total of processed refunds ───────────────────────────
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) DEFAULT 0.00;
+
+-- ─── 3. Refunds ──────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS refunds (
+  id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id            UUID NOT NULL REFERENCES orders(id) ON DELETE RESTRICT,
+  razorpay_payment_id VARCHAR(255) NOT NULL,
+  razorpay_refund_id  VARCHAR(255),
+  amount              DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  status              refund_status NOT NULL DEFAULT 'pending',
+  reason              VARCHAR(255),
+  initiated_by        UUID REFERENCES users(id) ON DELETE SET NULL,
+  initiated_by_role   VARCHAR(30),
+  failure_reason      TEXT,
+  created_at          TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at          TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS refunds_order_idx ON refunds(order_id);
+-- NULLs are distinct, so rows still waiting for a Razorpay ID don't collide
+CREATE UNIQUE INDEX IF NOT EXISTS refunds_razorpay_refund_idx ON refunds(razorpay_refund_id);
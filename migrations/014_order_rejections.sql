@@ -0,0 +1,23 @@
+-- =============================================================================
+-- Migration 014: Owner-side order rejection with reason codes
+-- Run AFTER migration 013.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+DO $$ BEGIN
+  CREATE TYPE rejection_reason AS ENUM ('item_unavailable', 'too_busy', 'closing_soon', 'other');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS order_rejections (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id      UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  rejected_by   UUID REFERENCES users(id) ON DELETE SET NULL,
+  reason_code   rejection_reason NOT NULL,
+  note          TEXT,
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS order_rejections_order_idx ON order_rejections(order_id);
+CREATE INDEX IF NOT EXISTS order_rejections_restaurant_date_idx
+  ON order_rejections(restaurant_id, created_at);
@@ -0,0 +1,15 @@
+-- =============================================================================
+-- Migration 015: Auto-cancel orders not accepted within a per-restaurant SLA
+-- Run AFTER migration 014.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. SLA per restaurant (minutes from order placement to acceptance) ──────
+ALTER TABLE restaurants
+  ADD COLUMN IF NOT EXISTS acceptance_sla_minutes INTEGER NOT NULL DEFAULT 10;
+
+-- ─── 2. Auto-cancelled orders count against the acceptance rate ──────────────
+ALTER TYPE rejection_reason ADD VALUE IF NOT EXISTS 'timed_out';
+
+-- ─── 3. Supports the auto-cancel sweep (status + age) ────────────────────────
+CREATE INDEX IF NOT EXISTS orders_status_created_idx ON orders(status, created_at);
@@ -0,0 +1,33 @@
+-- =============================================================================
+-- Migration 016: Order status history (timeline)
+-- Run AFTER migration 015.
+-- Safe to run multiple times (uses IF NOT EXISTS / NOT EXISTS guards).
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id    UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status order_status,
+  to_status   order_status NOT NULL,
+  actor_id    UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_role  VARCHAR(30),
+  note        VARCHAR(255),
+  created_at  TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS order_status_history_order_idx
+  ON order_status_history(order_id, created_at);
+
+-- ─── Backfill: existing orders get "placed" + their current status ───────────
+-- Intermediate transitions were never stored, so only the endpoints are known.
+INSERT INTO order_status_history (order_id, from_status, to_status, actor_id, actor_role, note, created_at)
+SELECT o.id, NULL, 'pending', o.user_id, 'customer', 'Backfilled', o.created_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
+
+INSERT INTO order_status_history (order_id, from_status, to_status, actor_role, note, created_at)
+SELECT o.id, 'pending', o.status, 'system', 'Backfilled', o.updated_at
+FROM orders o
+WHERE o.status <> 'pending'
+  AND NOT EXISTS (
+    SELECT 1 FROM order_status_history h WHERE h.order_id = o.id AND h.from_status IS NOT NULL
+  );
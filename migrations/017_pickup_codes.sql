@@ -0,0 +1,21 @@
+-- =============================================================================
+-- Migration 017: Pickup verification codes for collection handoff
+-- Run AFTER migration 016.
+-- Safe to run multiple times (uses IF NOT EXISTS / ON CONFLICT guards).
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS order_pickup_codes (
+  order_id        UUID PRIMARY KEY REFERENCES orders(id) ON DELETE CASCADE,
+  code            VARCHAR(8) NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until    TIMESTAMP,
+  verified_at     TIMESTAMP,
+  created_at      TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Orders already in flight need a code, or they could never be collected
+INSERT INTO order_pickup_codes (order_id, code)
+SELECT id, LPAD(FLOOR(RANDOM() * 10000)::INT::TEXT, 4, '0')
+FROM orders
+WHERE status IN ('paid', 'confirmed', 'preparing', 'ready')
+ON CONFLICT (order_id) DO NOTHING;
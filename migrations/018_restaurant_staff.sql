@@ -0,0 +1,36 @@
+-- =============================================================================
+-- Migration 018: Restaurant staff accounts with role-based permissions
+-- Run AFTER migration 017.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. New platform role for staff logins ───────────────────────────────────
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'restaurant_staff';
+
+-- ─── 2. Enums ────────────────────────────────────────────────────────────────
+DO $$ BEGIN
+  CREATE TYPE staff_role AS ENUM ('manager', 'cashier', 'kitchen');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE TYPE staff_status AS ENUM ('invited', 'active', 'revoked');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- ─── 3. Membership ───────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS restaurant_staff (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  user_id       UUID REFERENCES users(id) ON DELETE CASCADE,
+  phone         VARCHAR(20) NOT NULL,
+  role          staff_role NOT NULL,
+  status        staff_status NOT NULL DEFAULT 'invited',
+  invited_by    UUID REFERENCES users(id) ON DELETE SET NULL,
+  accepted_at   TIMESTAMP,
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS restaurant_staff_restaurant_phone_idx
+  ON restaurant_staff(restaurant_id, phone);
+CREATE INDEX IF NOT EXISTS restaurant_staff_user_idx ON restaurant_staff(user_id);
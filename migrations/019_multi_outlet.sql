@@ -0,0 +1,9 @@
+-- =============================================================================
+-- Migration 019: Multi-outlet owners
+-- Run AFTER migration 018.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- Owners may now own several restaurants; every /owner request looks up
+-- restaurants by owner_id (optionally with id), and the dashboard groups by it.
+CREATE INDEX IF NOT EXISTS restaurants_owner_idx ON restaurants(owner_id);
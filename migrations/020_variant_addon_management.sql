@@ -0,0 +1,41 @@
+-- =============================================================================
+-- Migration 020: Owner-managed variants and add-ons
+-- Run AFTER migration 019.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Variant columns ──────────────────────────────────────────────────────
+-- archived_at: a variant still referenced by a cart row is archived instead of
+-- deleted, so cart_items.variant_id never silently falls back to base price.
+ALTER TABLE menu_item_variants
+  ADD COLUMN IF NOT EXISTS is_available BOOLEAN   NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS sort_order   INTEGER   DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS archived_at  TIMESTAMP;
+
+UPDATE menu_item_variants SET is_default = FALSE WHERE is_default IS NULL;
+
+-- ─── 2. Exactly one default per item ─────────────────────────────────────────
+-- Keep the oldest default where several were set…
+UPDATE menu_item_variants v
+SET is_default = FALSE
+WHERE v.is_default
+  AND EXISTS (
+    SELECT 1 FROM menu_item_variants o
+    WHERE o.menu_item_id = v.menu_item_id
+      AND o.is_default
+      AND (o.created_at, o.id) < (v.created_at, v.id)
+  );
+
+-- …and promote the oldest variant where none was.
+UPDATE menu_item_variants v
+SET is_default = TRUE
+WHERE v.id IN (
+  SELECT DISTINCT ON (menu_item_id) id
+  FROM menu_item_variants
+  WHERE menu_item_id NOT IN (SELECT menu_item_id FROM menu_item_variants WHERE is_default)
+  ORDER BY menu_item_id, created_at, id
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS variants_one_default_idx
+  ON menu_item_variants(menu_item_id)
+  WHERE is_default AND archived_at IS NULL;
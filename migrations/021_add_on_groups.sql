@@ -0,0 +1,31 @@
+-- =============================================================================
+-- Migration 021: Add-on groups with min/max selection rules
+-- Run AFTER migration 020.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Groups ("Choose your bread", "Extra toppings") ──────────────────────
+-- max_select NULL = no upper limit. A required group needs at least
+-- GREATEST(min_select, 1) picks.
+CREATE TABLE IF NOT EXISTS add_on_groups (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  menu_item_id  UUID NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  name          VARCHAR(100) NOT NULL,
+  min_select    INTEGER NOT NULL DEFAULT 0,
+  max_select    INTEGER,
+  is_required   BOOLEAN NOT NULL DEFAULT FALSE,
+  sort_order    INTEGER DEFAULT 0,
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT add_on_groups_select_range_chk
+    CHECK (min_select >= 0 AND (max_select IS NULL OR max_select >= GREATEST(min_select, 1)))
+);
+
+CREATE INDEX IF NOT EXISTS add_on_groups_menu_item_idx ON add_on_groups(menu_item_id);
+
+-- ─── 2. Add-ons join a group (NULL = free optional extra, as before) ────────
+-- Deleting a group keeps its add-ons as ungrouped extras.
+ALTER TABLE add_ons
+  ADD COLUMN IF NOT EXISTS group_id UUID REFERENCES add_on_groups(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS add_ons_group_idx ON add_ons(group_id);
@@ -0,0 +1,49 @@
+-- =============================================================================
+-- Migration 022: Daily stock limits for menu items and variants
+-- Run AFTER migration 021.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Stock columns ────────────────────────────────────────────────────────
+-- daily_stock NULL = not tracked (is_available stays a manual switch).
+-- stock_left belongs to stock_date, the restaurant-local day it was counted
+-- for; a row whose stock_date is not today is read as a fresh daily_stock.
+-- sold_out_at is set when the system switched the row off at zero, so the
+-- daily reset (or a cancellation) only switches back on what it switched off.
+ALTER TABLE menu_items
+  ADD COLUMN IF NOT EXISTS daily_stock         INTEGER,
+  ADD COLUMN IF NOT EXISTS stock_left          INTEGER,
+  ADD COLUMN IF NOT EXISTS stock_date          DATE,
+  ADD COLUMN IF NOT EXISTS low_stock_threshold INTEGER NOT NULL DEFAULT 5,
+  ADD COLUMN IF NOT EXISTS sold_out_at         TIMESTAMP;
+
+ALTER TABLE menu_item_variants
+  ADD COLUMN IF NOT EXISTS daily_stock INTEGER,
+  ADD COLUMN IF NOT EXISTS stock_left  INTEGER,
+  ADD COLUMN IF NOT EXISTS stock_date  DATE,
+  ADD COLUMN IF NOT EXISTS sold_out_at TIMESTAMP;
+
+DO $$ BEGIN
+  ALTER TABLE menu_items ADD CONSTRAINT menu_items_stock_chk
+    CHECK (daily_stock >= 0 AND stock_left >= 0 AND low_stock_threshold >= 0);
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+DO $$ BEGIN
+  ALTER TABLE menu_item_variants ADD CONSTRAINT variants_stock_chk
+    CHECK (daily_stock >= 0 AND stock_left >= 0);
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+-- The reset job only looks at tracked rows
+CREATE INDEX IF NOT EXISTS menu_items_stock_tracked_idx
+  ON menu_items(restaurant_id) WHERE daily_stock IS NOT NULL;
+CREATE INDEX IF NOT EXISTS variants_stock_tracked_idx
+  ON menu_item_variants(menu_item_id) WHERE daily_stock IS NOT NULL;
+
+-- ─── 2. What each order line took from stock ─────────────────────────────────
+-- item_stock_date / variant_stock_date are set only when that level was
+-- decremented, and name the day's count it came out of. A cancellation
+-- gives the quantity back only while that day's count is still current.
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS variant_id         UUID REFERENCES menu_item_variants(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS item_stock_date    DATE,
+  ADD COLUMN IF NOT EXISTS variant_stock_date DATE;
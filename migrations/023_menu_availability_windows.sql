@@ -0,0 +1,32 @@
+-- =============================================================================
+-- Migration 023: Time-based menu availability (breakfast / lunch / dinner)
+-- Run AFTER migration 022.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Weekly windows per menu item or per category ─────────────────────────
+-- Exactly one of menu_item_id / category_id is set. An item or category
+-- without rows is served whenever the restaurant is open; with rows, only
+-- inside one of them (restaurant-local time). An item must pass both its
+-- category's windows and its own.
+-- weekday: 0 = Sunday … 6 = Saturday. end_time < start_time = past midnight,
+-- as for restaurant_hours.
+CREATE TABLE IF NOT EXISTS menu_availability_windows (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  menu_item_id  UUID REFERENCES menu_items(id) ON DELETE CASCADE,
+  category_id   UUID REFERENCES categories(id) ON DELETE CASCADE,
+  weekday       SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+  start_time    VARCHAR(5) NOT NULL,
+  end_time      VARCHAR(5) NOT NULL,
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT menu_availability_windows_target_chk
+    CHECK ((menu_item_id IS NULL) <> (category_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS menu_availability_windows_restaurant_idx
+  ON menu_availability_windows(restaurant_id);
+CREATE INDEX IF NOT EXISTS menu_availability_windows_item_idx
+  ON menu_availability_windows(menu_item_id) WHERE menu_item_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS menu_availability_windows_category_idx
+  ON menu_availability_windows(category_id) WHERE category_id IS NOT NULL;
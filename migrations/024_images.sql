@@ -0,0 +1,31 @@
+-- =============================================================================
+-- Migration 024: Server-side image uploads (menu items, restaurant banners)
+-- Run AFTER migration 023.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. One row per upload ───────────────────────────────────────────────────
+-- url is the full-size file, the value clients save in menu_items.image or
+-- restaurants.banner_image. sizes holds every stored rendition:
+--   { "full": { "key", "url", "width", "height", "bytes" }, "medium": …, "thumb": … }
+-- An image nothing points at any more is an orphan; the gc-orphaned-images
+-- job deletes its files and then the row. restaurant_id is SET NULL rather
+-- than CASCADE so a deleted restaurant's files are still collected.
+CREATE TABLE IF NOT EXISTS images (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id  UUID REFERENCES restaurants(id) ON DELETE SET NULL,
+  uploaded_by    UUID REFERENCES users(id) ON DELETE SET NULL,
+  kind           VARCHAR(20) NOT NULL CHECK (kind IN ('menu_item', 'banner')),
+  url            TEXT NOT NULL,
+  sizes          JSONB NOT NULL,
+  original_type  VARCHAR(50) NOT NULL,
+  original_bytes INTEGER NOT NULL,
+  created_at     TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS images_url_idx ON images(url);
+CREATE INDEX IF NOT EXISTS images_created_idx ON images(created_at);
+
+-- ─── 2. Reference lookups for the orphan sweep ───────────────────────────────
+CREATE INDEX IF NOT EXISTS menu_items_image_idx
+  ON menu_items(image) WHERE image IS NOT NULL;
@@ -0,0 +1,35 @@
+-- =============================================================================
+-- Migration 025: Full-text and fuzzy search over restaurants and dishes
+-- Run AFTER migration 024.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- Trigram matching catches typos ("biryni", "paner") that full-text misses.
+-- Available on Supabase and every managed Postgres; needs CREATE privilege.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- ─── 1. Search vectors ───────────────────────────────────────────────────────
+-- Generated columns, so every insert/update keeps them current without
+-- triggers. Weights rank a hit on the name above one in the description:
+--   restaurants: name A, cuisines B, description C
+--   menu_items:  name A, description B
+-- Not mapped in src/db/schema.js — only search.service reads them, via SQL.
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(jsonb_to_tsvector('english', coalesce(cuisines, '[]'::jsonb), '["string"]'), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  ) STORED;
+
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS restaurants_search_idx ON restaurants USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS menu_items_search_idx  ON menu_items  USING GIN (search_vector);
+
+-- ─── 2. Trigram indexes for the typo fallback (word_similarity on names) ────
+CREATE INDEX IF NOT EXISTS restaurants_name_trgm_idx ON restaurants USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS menu_items_name_trgm_idx  ON menu_items  USING GIN (name gin_trgm_ops);
@@ -0,0 +1,19 @@
+-- =============================================================================
+-- Migration 026: Indexed distance search for restaurants
+-- Run AFTER migration 025.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- earthdistance (needs cube) models the earth as a sphere, like the Haversine
+-- formula it replaces. Both ship with Postgres contrib and are available on
+-- Supabase; PostGIS is not required.
+CREATE EXTENSION IF NOT EXISTS cube;
+CREATE EXTENSION IF NOT EXISTS earthdistance;
+
+-- Radius filters use earth_box(centre, metres) @> ll_to_earth(...), which this
+-- index answers; earth_distance then trims the box's corners. Queries must
+-- repeat the indexed expression exactly (see restaurant.service).
+CREATE INDEX IF NOT EXISTS restaurants_location_idx ON restaurants
+  USING GIST (ll_to_earth(latitude::float8, longitude::float8))
+  WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+
@@ -0,0 +1,15 @@
+-- =============================================================================
+-- Migration 027: Indexes for the cuisine and dietary listing filters
+-- Run AFTER migration 026.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Cuisine multi-select ─────────────────────────────────────────────────
+-- ?cuisines=North Indian,Chinese becomes cuisines ?| ARRAY[...], which the
+-- default jsonb GIN operator class answers.
+CREATE INDEX IF NOT EXISTS restaurants_cuisines_idx ON restaurants USING GIN (cuisines);
+
+-- ─── 2. pureVeg / hasVeg ─────────────────────────────────────────────────────
+-- Both check a restaurant's available items by is_veg.
+CREATE INDEX IF NOT EXISTS menu_items_restaurant_veg_idx
+  ON menu_items(restaurant_id, is_veg) WHERE is_available = true;
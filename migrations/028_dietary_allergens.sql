@@ -0,0 +1,17 @@
+-- =============================================================================
+-- Migration 028: Dietary tags and allergen declarations on menu items
+-- Run AFTER migration 027.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Menu items ───────────────────────────────────────────────────────────
+-- Sorted arrays of the keys in src/utils/dietary.js.
+-- allergens NULL = not declared; '[]' = declared free of every listed allergen.
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS dietary_tags JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS allergens    JSONB;
+
+-- ─── 2. Order item snapshots ─────────────────────────────────────────────────
+-- Copied at checkout so the kitchen ticket shows what the customer ordered
+-- against, even if the menu changes later. NULL on orders placed before this.
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS dietary_tags JSONB;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS allergens    JSONB;
@@ -0,0 +1,43 @@
+-- =============================================================================
+-- Migration 029: GST on orders and sequential tax invoices
+-- Run AFTER migration 028.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Restaurant and item rates ────────────────────────────────────────────
+-- No GSTIN = unregistered: no tax is charged and invoices are bills of supply.
+-- menu_items.gst_rate NULL = the restaurant's rate.
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS gstin    VARCHAR(15);
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS gst_rate DECIMAL(5,2) NOT NULL DEFAULT 5.00;
+ALTER TABLE menu_items  ADD COLUMN IF NOT EXISTS gst_rate DECIMAL(5,2);
+
+-- ─── 2. Order tax snapshot ───────────────────────────────────────────────────
+-- tax_lines: one entry per rate with its CGST/SGST split (utils/tax.js).
+-- gstin is the restaurant's GSTIN at checkout, printed on the invoice.
+-- taxable_amount NULL = placed before this migration (no tax was charged).
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS taxable_amount DECIMAL(10,2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_amount     DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_lines      JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS gstin          VARCHAR(15);
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS gst_rate       DECIMAL(5,2);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS taxable_amount DECIMAL(10,2);
+
+-- ─── 3. Invoice numbers ──────────────────────────────────────────────────────
+-- Numbered per restaurant and Indian financial year (April–March) as
+-- '2025-26/000001'. The number is taken the first time the invoice is
+-- requested for a paid order, so unpaid orders leave no gaps.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(16);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS invoiced_at    TIMESTAMP;
+CREATE UNIQUE INDEX IF NOT EXISTS orders_invoice_number_idx
+  ON orders(restaurant_id, invoice_number) WHERE invoice_number IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id  UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  financial_year VARCHAR(7) NOT NULL,
+  last_number    INTEGER NOT NULL DEFAULT 0,
+  updated_at     TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS invoice_sequences_restaurant_year_idx
+  ON invoice_sequences(restaurant_id, financial_year);
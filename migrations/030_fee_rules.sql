@@ -0,0 +1,46 @@
+-- =============================================================================
+-- Migration 030: Packaging and platform fee rules
+-- Run AFTER migration 029.
+-- Safe to run multiple times (uses IF NOT EXISTS guards).
+-- =============================================================================
+
+-- ─── 1. Enums ────────────────────────────────────────────────────────────────
+DO $$ BEGIN
+  CREATE TYPE fee_scope AS ENUM ('per_item', 'per_order');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE TYPE fee_type AS ENUM ('flat', 'percentage');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- ─── 2. Fee rules ────────────────────────────────────────────────────────────
+-- restaurant_id NULL = platform fee on every order (admin-managed, no GST
+-- from the restaurant); otherwise the restaurant's own charge, e.g. packaging,
+-- taxed at its GST rate. waive_above: not charged once the item subtotal
+-- reaches it. is_refundable = false keeps the fee when a customer cancels a
+-- paid order.
+CREATE TABLE IF NOT EXISTS fee_rules (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id UUID REFERENCES restaurants(id) ON DELETE CASCADE,
+  label         VARCHAR(100) NOT NULL,
+  scope         fee_scope NOT NULL,
+  type          fee_type NOT NULL,
+  value         DECIMAL(8,2) NOT NULL CHECK (value > 0),
+  max_amount    DECIMAL(8,2),
+  waive_above   DECIMAL(8,2),
+  is_refundable BOOLEAN NOT NULL DEFAULT true,
+  is_active     BOOLEAN NOT NULL DEFAULT true,
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS fee_rules_restaurant_idx ON fee_rules(restaurant_id);
+
+-- ─── 3. Order snapshot ───────────────────────────────────────────────────────
+-- fee_lines: one entry per rule that applied at checkout (waived ones at 0).
+-- retained_amount: non-refundable fees kept when the customer cancelled a paid
+-- order; the order counts as refunded once the rest has been returned.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS fee_amount      DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS fee_lines       JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS retained_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
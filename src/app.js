@@ -28,7 +28,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Idempotency-Key'], // FIX: X-Idempotency-Key was missing — CORS preflight stripped it, making idempotency silently fail
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Idempotency-Key', 'X-Restaurant-Id'], // FIX: X-Idempotency-Key was missing — CORS preflight stripped it, making idempotency silently fail
+  exposedHeaders: ['X-Restaurant-Id'], // outlet an /owner request resolved to
 }));
 
 // ─── Render / proxy trust (required for rate limiting on Render) ──────────────
@@ -45,6 +46,18 @@ app.use(morgan('combined', {
   skip: (req) => req.path === '/health',
 }));
 
+// ─── Uploaded images (local storage driver) ───────────────────────────────────
+// Ahead of the global limiter — one menu screen loads dozens of images.
+// Keys are never reused, so files can be cached for good. helmet's default
+// Cross-Origin-Resource-Policy (same-origin) would block them on web clients.
+if (process.env.STORAGE_DRIVER !== 's3') {
+  const { LOCAL_PUBLIC_PATH, localStorageDir } = require('./utils/storage');
+  app.use(LOCAL_PUBLIC_PATH, (req, res, next) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    next();
+  }, express.static(localStorageDir(), { immutable: true, maxAge: '365d', index: false }));
+}
+
 // ─── Global Rate Limit ────────────────────────────────────────────────────────
 app.use(globalLimiter);
 
@@ -72,7 +85,11 @@ app.use(`${API}/wallet`,      require('./routes/wallet.routes'));
 app.use(`${API}/coupons`,     require('./routes/coupon.routes'));
 
 // ─── Restaurant Owner Routes (NEW) ────────────────────────────────────────────
-app.use(`${API}/owner`,       require('./routes/restaurantOwner.routes'));
+// Same router twice: /owner/outlets/:restaurantId/* selects an outlet by path
+// (multi-outlet owners); plain /owner/* uses X-Restaurant-Id or the default outlet.
+const ownerRoutes = require('./routes/restaurantOwner.routes');
+app.use(`${API}/owner/outlets/:restaurantId`, ownerRoutes);
+app.use(`${API}/owner`,       ownerRoutes);
 
 // ─── 404 + Central Error Handler ─────────────────────────────────────────────
 app.use(notFound);
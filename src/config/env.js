@@ -32,6 +32,23 @@ const envSchema = z.object({
   // SMS (optional in dev — OTPs print to console)
   FAST2SMS_API_KEY: z.string().optional(),
 
+  // Expo push (optional) — access token only needed with "enhanced push security";
+  // the URL override lets staging point at a local stub.
+  EXPO_ACCESS_TOKEN: z.string().optional(),
+  EXPO_PUSH_API_URL: z.string().url().optional(),
+
+  // Image storage — local files for dev/tests, any S3-compatible bucket in production.
+  // STORAGE_PUBLIC_URL: base URL the local driver's files are served from.
+  STORAGE_DRIVER: z.enum(['local', 's3']).default('local'),
+  STORAGE_LOCAL_DIR: z.string().optional(),
+  STORAGE_PUBLIC_URL: z.string().url().optional(),
+  S3_ENDPOINT: z.string().url().optional(),
+  S3_REGION: z.string().optional(),
+  S3_BUCKET: z.string().optional(),
+  S3_ACCESS_KEY_ID: z.string().optional(),
+  S3_SECRET_ACCESS_KEY: z.string().optional(),
+  S3_PUBLIC_URL: z.string().url().optional(),
+
   // CORS
   ALLOWED_ORIGINS: z.string().default('http://localhost:3000,http://localhost:19006'),
 
@@ -39,6 +56,11 @@ const envSchema = z.object({
   RATE_LIMIT_WINDOW_MS: z.string().default('600000'),
   RATE_LIMIT_MAX: z.string().default('100'),
   OTP_RATE_LIMIT_MAX: z.string().default('3'),
+}).superRefine((env, ctx) => {
+  if (env.STORAGE_DRIVER !== 's3') return;
+  for (const key of ['S3_ENDPOINT', 'S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']) {
+    if (!env[key]) ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: `${key} is required when STORAGE_DRIVER=s3` });
+  }
 });
 
 const parsed = envSchema.safeParse(process.env);
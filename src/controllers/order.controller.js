@@ -2,12 +2,17 @@
  * src/controllers/order.controller.js
  */
 const orderService = require('../services/order.service');
+const invoiceService = require('../services/invoice.service');
 const { sendSuccess, asyncHandler } = require('../utils/response');
+const { subscribe } = require('../utils/orderEvents');
+const { openEventStream } = require('../utils/sse');
+
+const TERMINAL_STATUSES = ['collected', 'cancelled'];
 
 const createOrder  = asyncHandler(async (req, res) => {
   const idempotencyKey = req.headers['x-idempotency-key'] || null;
-  const { notes, pickupName, useWallet, couponCode } = req.body;
-  const body = { notes, pickupName, idempotencyKey, useWallet: !!useWallet, couponCode };
+  const { notes, pickupName, useWallet, couponCode, scheduledPickupAt } = req.body;
+  const body = { notes, pickupName, idempotencyKey, useWallet: !!useWallet, couponCode, scheduledPickupAt };
   sendSuccess(res, await orderService.createOrder(req.user.id, body), 'Order created', 201);
 });
 
@@ -19,6 +24,49 @@ const getOrderById = asyncHandler(async (req, res) =>
   sendSuccess(res, await orderService.getOrderById(req.params.id, req.user.id))
 );
 
+/**
+ * GET /api/v1/orders/:id/events
+ * SSE stream of status / preparation-time / payment changes for one order.
+ * Sends a `snapshot` first so the client never misses the current state,
+ * and closes itself once the order reaches a terminal status.
+ */
+const streamOrderEvents = asyncHandler(async (req, res) => {
+  const order = await orderService.getOrderById(req.params.id, req.user.id);
+
+  const stream = openEventStream(req, res);
+  stream.send('snapshot', {
+    orderId:         order.id,
+    status:          order.status,
+    paymentStatus:   order.paymentStatus,
+    preparationTime: order.preparationTime,
+  });
+  if (TERMINAL_STATUSES.includes(order.status)) return res.end();
+
+  const unsubscribe = subscribe(`order:${order.id}`, (event) => {
+    stream.send(event.type, event);
+    if (TERMINAL_STATUSES.includes(event.status)) res.end();
+  });
+  stream.onClose(unsubscribe);
+});
+
+/**
+ * GET /api/v1/orders/:id/invoice?format=json|pdf
+ * The GST invoice for a paid order; the first request issues its number.
+ */
+const getInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.id, req.user.id);
+  if (req.query.format !== 'pdf') return sendSuccess(res, invoice);
+
+  const pdf = await invoiceService.renderInvoicePdf(invoice);
+  const filename = `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+  res.set({
+    'Content-Type':        'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length':      pdf.length,
+  });
+  res.send(pdf);
+});
+
 const cancelOrder = asyncHandler(async (req, res) =>
   sendSuccess(res, await orderService.cancelOrder(req.params.id, req.user.id), 'Order cancelled')
 );
@@ -33,7 +81,7 @@ const adminGetOrders = asyncHandler(async (req, res) =>
   sendSuccess(res, await orderService.getAllOrders(req.query))
 );
 
-const _adminUpdateStatus = (orderId, status, estimatedTime) =>
-  orderService.updateOrderStatus(orderId, status, estimatedTime);
+const _adminUpdateStatus = (orderId, status, estimatedTime, actor) =>
+  orderService.updateOrderStatus(orderId, status, estimatedTime, actor);
 
-module.exports = { createOrder, getOrders, getOrderById, cancelOrder, reorder, adminGetOrders, _adminUpdateStatus };
+module.exports = { createOrder, getOrders, getOrderById, streamOrderEvents, getInvoice, cancelOrder, reorder, adminGetOrders, _adminUpdateStatus };
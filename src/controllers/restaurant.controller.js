@@ -6,6 +6,8 @@
  *      directly with its own filter.
  */
 const restaurantService = require('../services/restaurant.service');
+const pickupSlotService = require('../services/pickupSlot.service');
+const searchService = require('../services/search.service');
 const { sendSuccess, asyncHandler } = require('../utils/response');
 
 // ─── Public ───────────────────────────────────────────────────────────────────
@@ -23,12 +25,41 @@ const getRestaurants = asyncHandler(async (req, res) => {
   sendSuccess(res, await restaurantService.getRestaurants(params));
 });
 
+/**
+ * GET /api/v1/restaurants/facets
+ * Cuisine counts for the listing's current filters; isActive forced like the listing.
+ */
+const getFacets = asyncHandler(async (req, res) =>
+  sendSuccess(res, await restaurantService.getFacets({ ...req.query, isActive: true }))
+);
+
+/**
+ * GET /api/v1/restaurants/search?q=biryani
+ * Ranked search over restaurant names, cuisines and dishes (search.service.js).
+ * Takes the same minRating / latitude / longitude / radius filters as the listing.
+ */
+const search = asyncHandler(async (req, res) =>
+  sendSuccess(res, await searchService.search(req.query))
+);
+
 const getRestaurantById = asyncHandler(async (req, res) =>
   sendSuccess(res, await restaurantService.getRestaurantById(req.params.id))
 );
 
+/**
+ * GET /api/v1/restaurants/:id/menu?dietary=vegan,jain&excludeAllergens=nuts
+ * Diet filters are optional; see restaurantService.getMenu.
+ */
 const getMenu = asyncHandler(async (req, res) =>
-  sendSuccess(res, await restaurantService.getMenu(req.params.id))
+  sendSuccess(res, await restaurantService.getMenu(req.params.id, req.query))
+);
+
+/**
+ * GET /api/v1/restaurants/:id/pickup-slots?date=YYYY-MM-DD
+ * Bookable 15-minute pickup slots with remaining capacity.
+ */
+const getPickupSlots = asyncHandler(async (req, res) =>
+  sendSuccess(res, await pickupSlotService.getAvailableSlots(req.params.id, { date: req.query.date }))
 );
 
 // ─── Internal wrappers (used by admin.routes.js) ──────────────────────────────
@@ -39,8 +70,11 @@ const _deleteRestaurant = (id) => restaurantService.deleteRestaurant(id);
 
 module.exports = {
   getRestaurants,
+  getFacets,
+  search,
   getRestaurantById,
   getMenu,
+  getPickupSlots,
   _createRestaurant,
   _updateRestaurant,
   _deleteRestaurant,
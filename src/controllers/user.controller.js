@@ -1,4 +1,5 @@
 const userService = require('../services/user.service');
+const staffService = require('../services/staff.service');
 const { sendSuccess, asyncHandler, AppError } = require('../utils/response');
 
 // Profile
@@ -10,11 +11,18 @@ const changePassword = asyncHandler(async (req, res) => {
   sendSuccess(res, {}, 'Password changed successfully');
 });
 const savePushToken = asyncHandler(async (req, res) => {
+  const { token, platform, deviceName } = req.body;
+  if (!token) throw new AppError('token is required', 400);
+  const device = await userService.savePushToken(req.user.id, token, { platform, deviceName });
+  sendSuccess(res, { id: device.id }, 'Push token saved');
+});
+const removePushToken = asyncHandler(async (req, res) => {
   const { token } = req.body;
   if (!token) throw new AppError('token is required', 400);
-  await userService.savePushToken(req.user.id, token);
-  sendSuccess(res, {}, 'Push token saved');
+  await userService.removePushToken(req.user.id, token);
+  sendSuccess(res, {}, 'Push token removed');
 });
+const getPushDevices = asyncHandler(async (req, res) => sendSuccess(res, await userService.getPushDevices(req.user.id)));
 
 // Addresses
 const getAddresses  = asyncHandler(async (req, res) => sendSuccess(res, await userService.getAddresses(req.user.id)));
@@ -44,9 +52,20 @@ const markNotificationRead = asyncHandler(async (req, res) => {
   sendSuccess(res, await userService.markNotificationRead(req.user.id, req.params.id), 'Notification marked as read');
 });
 
+// Staff invitations
+const getStaffInvitations = asyncHandler(async (req, res) => sendSuccess(res, await staffService.listInvitations(req.user.id)));
+const acceptStaffInvitation = asyncHandler(async (req, res) => {
+  sendSuccess(res, await staffService.acceptInvitation(req.user.id, req.params.id), 'Invitation accepted. Switch to the restaurant_staff role to start.');
+});
+const declineStaffInvitation = asyncHandler(async (req, res) => {
+  await staffService.declineInvitation(req.user.id, req.params.id);
+  sendSuccess(res, {}, 'Invitation declined');
+});
+
 module.exports = {
-  getProfile, updateProfile, changePassword, savePushToken,
+  getProfile, updateProfile, changePassword, savePushToken, removePushToken, getPushDevices,
   getAddresses, addAddress, updateAddress, deleteAddress,
   getFavorites, getFavoriteIds, toggleFavorite,
   getNotifications, markAllNotificationsRead, markNotificationRead,
+  getStaffInvitations, acceptStaffInvitation, declineStaffInvitation,
 };
@@ -1,15 +1,21 @@
 const {
-  pgTable, uuid, varchar, text, boolean, integer, decimal,
-  timestamp, pgEnum, jsonb, index, uniqueIndex,
+  pgTable, uuid, varchar, text, boolean, integer, smallint, decimal,
+  timestamp, date, pgEnum, jsonb, index, uniqueIndex,
 } = require('drizzle-orm/pg-core');
+const { sql } = require('drizzle-orm');
 
 // ─── Enums ───────────────────────────────────────────────────────────────────
-const userRoleEnum    = pgEnum('user_role',    ['user', 'admin', 'restaurant_owner']);
+const userRoleEnum    = pgEnum('user_role',    ['user', 'admin', 'restaurant_owner', 'restaurant_staff']);
 const orderStatusEnum = pgEnum('order_status', [
   'pending', 'paid', 'confirmed', 'preparing', 'ready', 'collected', 'cancelled',
 ]);
 const paymentStatusEnum = pgEnum('payment_status', ['pending', 'paid', 'failed', 'refunded']);
 const notifTypeEnum = pgEnum('notif_type', ['order_status', 'promo', 'system']);
+const refundStatusEnum = pgEnum('refund_status', ['pending', 'processed', 'failed']);
+const staffRoleEnum   = pgEnum('staff_role',   ['manager', 'cashier', 'kitchen']);
+const staffStatusEnum = pgEnum('staff_status', ['invited', 'active', 'revoked']);
+// 'timed_out' is written by the auto-cancel job, never chosen by an owner
+const rejectionReasonEnum = pgEnum('rejection_reason', ['item_unavailable', 'too_busy', 'closing_soon', 'other', 'timed_out']);
 
 // ─── Users ────────────────────────────────────────────────────────────────────
 const users = pgTable('users', {
@@ -102,16 +108,68 @@ const restaurants = pgTable('restaurants', {
   isOpen:       boolean('is_open').default(true).notNull(),
   openingTime:  varchar('opening_time', { length: 5 }).default('09:00'),
   closingTime:  varchar('closing_time', { length: 5 }).default('22:00'),
+  pickupSlotCapacity: integer('pickup_slot_capacity').default(10).notNull(), // orders per 15-min slot
+  acceptanceSlaMinutes: integer('acceptance_sla_minutes').default(10).notNull(), // auto-cancel if not accepted
+  timezone:     varchar('timezone', { length: 50 }).default('Asia/Kolkata').notNull(),
   address:      text('address'),
   latitude:     decimal('latitude',  { precision: 10, scale: 7 }),
   longitude:    decimal('longitude', { precision: 10, scale: 7 }),
   cuisines:     jsonb('cuisines').default([]),
+  // GST (utils/tax.js) — no GSTIN = unregistered, no tax charged
+  gstin:        varchar('gstin', { length: 15 }),
+  gstRate:      decimal('gst_rate', { precision: 5, scale: 2 }).default('5.00').notNull(),
   termsAcceptedAt: timestamp("terms_accepted_at"),  // NULL = not accepted yet
   createdAt:    timestamp('created_at').defaultNow().notNull(),
   updatedAt:    timestamp('updated_at').defaultNow().notNull(),
 }, (t) => ({
   nameIdx:   index('restaurants_name_idx').on(t.name),
   ratingIdx: index('restaurants_rating_idx').on(t.rating),
+  ownerIdx:  index('restaurants_owner_idx').on(t.ownerId),
+}));
+
+// ─── Restaurant Hours ─────────────────────────────────────────────────────────
+// Weekly schedule: any number of intervals per weekday (0 = Sunday … 6 = Saturday)
+// in the restaurant's local timezone. closeTime < openTime means the interval
+// runs past midnight. No rows → fall back to restaurants.opening/closing_time.
+const restaurantHours = pgTable('restaurant_hours', {
+  id:           uuid('id').primaryKey().defaultRandom(),
+  restaurantId: uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'cascade' }).notNull(),
+  weekday:      smallint('weekday').notNull(),
+  openTime:     varchar('open_time',  { length: 5 }).notNull(),
+  closeTime:    varchar('close_time', { length: 5 }).notNull(),
+  createdAt:    timestamp('created_at').defaultNow().notNull(),
+}, (t) => ({
+  restaurantIdx: index('restaurant_hours_restaurant_idx').on(t.restaurantId, t.weekday),
+}));
+
+// One-off full-day closures (holidays), in the restaurant's local calendar
+const restaurantClosures = pgTable('restaurant_closures', {
+  id:           uuid('id').primaryKey().defaultRandom(),
+  restaurantId: uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'cascade' }).notNull(),
+  closedOn:     date('closed_on').notNull(),
+  reason:       varchar('reason', { length: 255 }),
+  createdAt:    timestamp('created_at').defaultNow().notNull(),
+}, (t) => ({
+  restaurantDateIdx: uniqueIndex('restaurant_closures_restaurant_date_idx').on(t.restaurantId, t.closedOn),
+}));
+
+// ─── Restaurant Staff ─────────────────────────────────────────────────────────
+// Membership of non-owner users in a restaurant. Invitations are addressed to a
+// phone number; userId is filled in when that user accepts.
+const restaurantStaff = pgTable('restaurant_staff', {
+  id:           uuid('id').primaryKey().defaultRandom(),
+  restaurantId: uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'cascade' }).notNull(),
+  userId:       uuid('user_id').references(() => users.id, { onDelete: 'cascade' }),
+  phone:        varchar('phone', { length: 20 }).notNull(),
+  role:         staffRoleEnum('role').notNull(),
+  status:       staffStatusEnum('status').default('invited').notNull(),
+  invitedBy:    uuid('invited_by').references(() => users.id, { onDelete: 'set null' }),
+  acceptedAt:   timestamp('accepted_at'),
+  createdAt:    timestamp('created_at').defaultNow().notNull(),
+  updatedAt:    timestamp('updated_at').defaultNow().notNull(),
+}, (t) => ({
+  restaurantPhoneIdx: uniqueIndex('restaurant_staff_restaurant_phone_idx').on(t.restaurantId, t.phone),
+  userIdx:            index('restaurant_staff_user_idx').on(t.userId),
 }));
 
 // ─── Categories ───────────────────────────────────────────────────────────────
@@ -139,11 +197,47 @@ const menuItems = pgTable('menu_items', {
   isVeg:        boolean('is_veg').default(true).notNull(),
   isAvailable:  boolean('is_available').default(true).notNull(),
   sortOrder:    integer('sort_order').default(0),
+  // Daily stock — dailyStock null = untracked. stockLeft is the count for
+  // stockDate (restaurant-local); soldOutAt marks an automatic switch-off.
+  dailyStock:        integer('daily_stock'),
+  stockLeft:         integer('stock_left'),
+  stockDate:         date('stock_date'),
+  lowStockThreshold: integer('low_stock_threshold').default(5).notNull(),
+  soldOutAt:         timestamp('sold_out_at'),
+  // Sorted key arrays (utils/dietary.js); allergens null = not declared
+  dietaryTags:  jsonb('dietary_tags').default([]).notNull(),
+  allergens:    jsonb('allergens'),
+  gstRate:      decimal('gst_rate', { precision: 5, scale: 2 }), // null = restaurant's rate
   createdAt:    timestamp('created_at').defaultNow().notNull(),
   updatedAt:    timestamp('updated_at').defaultNow().notNull(),
 }, (t) => ({
   restaurantIdx: index('menu_items_restaurant_idx').on(t.restaurantId),
   categoryIdx:   index('menu_items_category_idx').on(t.categoryId),
+  stockTrackedIdx: index('menu_items_stock_tracked_idx').on(t.restaurantId)
+    .where(sql`${t.dailyStock} IS NOT NULL`),
+  imageIdx: index('menu_items_image_idx').on(t.image).where(sql`${t.image} IS NOT NULL`),
+}));
+
+// ─── Menu availability windows ────────────────────────────────────────────────
+// Weekly serving windows for a menu item or a whole category (exactly one of
+// menuItemId / categoryId). No rows = served whenever the restaurant is open.
+// Same conventions as restaurant_hours: weekday 0 = Sunday, restaurant-local
+// time, endTime < startTime runs past midnight.
+const menuAvailabilityWindows = pgTable('menu_availability_windows', {
+  id:           uuid('id').primaryKey().defaultRandom(),
+  restaurantId: uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'cascade' }).notNull(),
+  menuItemId:   uuid('menu_item_id').references(() => menuItems.id, { onDelete: 'cascade' }),
+  categoryId:   uuid('category_id').references(() => categories.id, { onDelete: 'cascade' }),
+  weekday:      smallint('weekday').notNull(),
+  startTime:    varchar('start_time', { length: 5 }).notNull(),
+  endTime:      varchar('end_time',   { length: 5 }).notNull(),
+  createdAt:    timestamp('created_at').defaultNow().notNull(),
+}, (t) => ({
+  restaurantIdx: index('menu_availability_windows_restaurant_idx').on(t.restaurantId),
+  menuItemIdx:   index('menu_availability_windows_item_idx').on(t.menuItemId)
+    .where(sql`${t.menuItemId} IS NOT NULL`),
+  categoryIdx:   index('menu_availability_windows_category_idx').on(t.categoryId)
+    .where(sql`${t.categoryId} IS NOT NULL`),
 }));
 
 // ─── Menu Item Variants ───────────────────────────────────────────────────────
@@ -153,9 +247,39 @@ const menuItemVariants = pgTable('menu_item_variants', {
   name:       varchar('name', { length: 100 }).notNull(),
   price:      decimal('price', { precision: 8, scale: 2 }).notNull(),
   isDefault:  boolean('is_default').default(false),
+  isAvailable: boolean('is_available').default(true).notNull(),
+  sortOrder:  integer('sort_order').default(0),
+  // Set instead of deleting while a cart row still points at the variant
+  archivedAt: timestamp('archived_at'),
+  // Daily stock, as on menu_items (the item's lowStockThreshold applies)
+  dailyStock: integer('daily_stock'),
+  stockLeft:  integer('stock_left'),
+  stockDate:  date('stock_date'),
+  soldOutAt:  timestamp('sold_out_at'),
   createdAt:  timestamp('created_at').defaultNow().notNull(),
 }, (t) => ({
   menuItemIdx: index('variants_menu_item_idx').on(t.menuItemId),
+  stockTrackedIdx: index('variants_stock_tracked_idx').on(t.menuItemId)
+    .where(sql`${t.dailyStock} IS NOT NULL`),
+  oneDefaultIdx: uniqueIndex('variants_one_default_idx').on(t.menuItemId)
+    .where(sql`${t.isDefault} AND ${t.archivedAt} IS NULL`),
+}));
+
+// ─── Add-on groups ────────────────────────────────────────────────────────────
+// Selection rules for a set of add-ons ("choose exactly 1 bread").
+// maxSelect null = unlimited; isRequired means at least max(minSelect, 1).
+const addOnGroups = pgTable('add_on_groups', {
+  id:           uuid('id').primaryKey().defaultRandom(),
+  restaurantId: uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'cascade' }).notNull(),
+  menuItemId:   uuid('menu_item_id').references(() => menuItems.id, { onDelete: 'cascade' }).notNull(),
+  name:         varchar('name', { length: 100 }).notNull(),
+  minSelect:    integer('min_select').default(0).notNull(),
+  maxSelect:    integer('max_select'),
+  isRequired:   boolean('is_required').default(false).notNull(),
+  sortOrder:    integer('sort_order').default(0),
+  createdAt:    timestamp('created_at').defaultNow().notNull(),
+}, (t) => ({
+  menuItemIdx: index('add_on_groups_menu_item_idx').on(t.menuItemId),
 }));
 
 // ─── Add-ons ──────────────────────────────────────────────────────────────────
@@ -163,12 +287,33 @@ const addOns = pgTable('add_ons', {
   id:           uuid('id').primaryKey().defaultRandom(),
   restaurantId: uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'cascade' }).notNull(),
   menuItemId:   uuid('menu_item_id').references(() => menuItems.id, { onDelete: 'cascade' }),
+  groupId:      uuid('group_id').references(() => addOnGroups.id, { onDelete: 'set null' }),
   name:         varchar('name', { length: 100 }).notNull(),
   price:        decimal('price', { precision: 8, scale: 2 }).notNull(),
   isAvailable:  boolean('is_available').default(true).notNull(),
   createdAt:    timestamp('created_at').defaultNow().notNull(),
 }, (t) => ({
   menuItemIdx: index('add_ons_menu_item_idx').on(t.menuItemId),
+  groupIdx:    index('add_ons_group_idx').on(t.groupId),
+}));
+
+// ─── Images ───────────────────────────────────────────────────────────────────
+// Server-side uploads. url (the full size) is what menuItems.image /
+// restaurants.bannerImage store; sizes: { full, medium, thumb } →
+// { key, url, width, height, bytes }. Unreferenced rows are garbage-collected.
+const images = pgTable('images', {
+  id:            uuid('id').primaryKey().defaultRandom(),
+  restaurantId:  uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'set null' }),
+  uploadedBy:    uuid('uploaded_by').references(() => users.id, { onDelete: 'set null' }),
+  kind:          varchar('kind', { length: 20 }).notNull(), // 'menu_item' | 'banner'
+  url:           text('url').notNull(),
+  sizes:         jsonb('sizes').notNull(),
+  originalType:  varchar('original_type', { length: 50 }).notNull(),
+  originalBytes: integer('original_bytes').notNull(),
+  createdAt:     timestamp('created_at').defaultNow().notNull(),
+}, (t) => ({
+  urlIdx:     uniqueIndex('images_url_idx').on(t.url),
+  createdIdx: index('images_created_idx').on(t.createdAt),
 }));
 
 // ─── Cart ─────────────────────────────────────────────────────────────────────
@@ -214,18 +359,43 @@ const orders = pgTable('orders', {
   // would fail with a column mapping error → 500 Internal Server Error.
   // The column exists in the DB (added by ALTER TABLE in 005_wallet_coupons.sql).
   walletAmountUsed: decimal('wallet_amount_used', { precision: 10, scale: 2 }).default('0.00'),
+  // Sum of PROCESSED Razorpay refunds. paymentStatus moves to 'refunded' once
+  // this reaches totalAmount (partial refunds leave it 'paid').
+  refundedAmount:   decimal('refunded_amount', { precision: 10, scale: 2 }).default('0.00'),
   pickupName:       varchar('pickup_name',     { length: 100 }),
   notes:            text('notes'),
   preparationTime:  integer('preparation_time'),
   idempotencyKey:   varchar('idempotency_key', { length: 100 }),
+  // Scheduled pickup — NULL means "as soon as possible".
+  // releasedAt is set once the order enters the kitchen queue
+  // (scheduledPickupAt - preparationTime).
+  scheduledPickupAt: timestamp('scheduled_pickup_at'),
+  releasedAt:       timestamp('released_at'),
+  // Packaging / platform fees charged (services/fee.service.js)
+  feeAmount:        decimal('fee_amount', { precision: 10, scale: 2 }).default('0.00').notNull(),
+  feeLines:         jsonb('fee_lines').default([]).notNull(),
+  // Non-refundable fees kept on a customer cancellation of a paid order
+  retainedAmount:   decimal('retained_amount', { precision: 10, scale: 2 }).default('0.00').notNull(),
+  // GST charged after discounts: one taxLines entry per rate with its
+  // CGST/SGST split. gstin is the restaurant's at checkout.
+  taxableAmount:    decimal('taxable_amount', { precision: 10, scale: 2 }),
+  taxAmount:        decimal('tax_amount',     { precision: 10, scale: 2 }).default('0.00').notNull(),
+  taxLines:         jsonb('tax_lines').default([]).notNull(),
+  gstin:            varchar('gstin', { length: 15 }),
+  // Sequential per restaurant and financial year; set on first invoice request
+  invoiceNumber:    varchar('invoice_number', { length: 16 }),
+  invoicedAt:       timestamp('invoiced_at'),
   createdAt:        timestamp('created_at').defaultNow().notNull(),
   updatedAt:        timestamp('updated_at').defaultNow().notNull(),
 }, (t) => ({
   userIdx:        index('orders_user_idx').on(t.userId),
   restaurantIdx:  index('orders_restaurant_idx').on(t.restaurantId),
   statusIdx:      index('orders_status_idx').on(t.status),
+  statusCreatedIdx: index('orders_status_created_idx').on(t.status, t.createdAt),
   razorpayOrdIdx: uniqueIndex('orders_razorpay_order_idx').on(t.razorpayOrderId),
   idempotencyIdx: uniqueIndex('orders_idempotency_idx').on(t.userId, t.idempotencyKey),
+  invoiceNumberIdx: uniqueIndex('orders_invoice_number_idx').on(t.restaurantId, t.invoiceNumber)
+    .where(sql`${t.invoiceNumber} IS NOT NULL`),
 }));
 
 const orderItems = pgTable('order_items', {
@@ -233,16 +403,116 @@ const orderItems = pgTable('order_items', {
   orderId:     uuid('order_id').references(() => orders.id, { onDelete: 'cascade' }).notNull(),
   menuItemId:  uuid('menu_item_id').references(() => menuItems.id, { onDelete: 'restrict' }).notNull(),
   name:        varchar('name', { length: 255 }).notNull(),
+  variantId:   uuid('variant_id').references(() => menuItemVariants.id, { onDelete: 'set null' }),
   variantName: varchar('variant_name', { length: 100 }),
   addOns:      jsonb('add_ons').default([]),
   quantity:    integer('quantity').notNull(),
   unitPrice:   decimal('unit_price',  { precision: 8,  scale: 2 }).notNull(),
   totalPrice:  decimal('total_price', { precision: 10, scale: 2 }).notNull(),
+  // Day's stock count this line was taken from (null = that level untracked)
+  itemStockDate:    date('item_stock_date'),
+  variantStockDate: date('variant_stock_date'),
+  // Menu item's dietary tags / allergens at checkout, for the kitchen ticket
+  dietaryTags: jsonb('dietary_tags'),
+  allergens:   jsonb('allergens'),
+  // Rate applied and the line's value after its share of the discount
+  gstRate:       decimal('gst_rate',       { precision: 5,  scale: 2 }),
+  taxableAmount: decimal('taxable_amount', { precision: 10, scale: 2 }),
   createdAt:   timestamp('created_at').defaultNow().notNull(),
 }, (t) => ({
   orderIdx: index('order_items_order_idx').on(t.orderId),
 }));
 
+// ─── Invoice Sequences ────────────────────────────────────────────────────────
+// Last invoice number issued per restaurant and financial year ('2025-26').
+const invoiceSequences = pgTable('invoice_sequences', {
+  id:            uuid('id').primaryKey().defaultRandom(),
+  restaurantId:  uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'cascade' }).notNull(),
+  financialYear: varchar('financial_year', { length: 7 }).notNull(),
+  lastNumber:    integer('last_number').default(0).notNull(),
+  updatedAt:     timestamp('updated_at').defaultNow().notNull(),
+}, (t) => ({
+  restaurantYearIdx: uniqueIndex('invoice_sequences_restaurant_year_idx').on(t.restaurantId, t.financialYear),
+}));
+
+// ─── Order Status History ─────────────────────────────────────────────────────
+// Append-only log of every status transition. fromStatus is NULL for the row
+// written when the order is placed. actorId is NULL for system transitions.
+const orderStatusHistory = pgTable('order_status_history', {
+  id:         uuid('id').primaryKey().defaultRandom(),
+  orderId:    uuid('order_id').references(() => orders.id, { onDelete: 'cascade' }).notNull(),
+  fromStatus: orderStatusEnum('from_status'),
+  toStatus:   orderStatusEnum('to_status').notNull(),
+  actorId:    uuid('actor_id').references(() => users.id, { onDelete: 'set null' }),
+  actorRole:  varchar('actor_role', { length: 30 }),
+  note:       varchar('note', { length: 255 }),
+  createdAt:  timestamp('created_at').defaultNow().notNull(),
+}, (t) => ({
+  orderCreatedIdx: index('order_status_history_order_idx').on(t.orderId, t.createdAt),
+}));
+
+// ─── Pickup Codes ─────────────────────────────────────────────────────────────
+// Kept out of `orders` so owner-facing order payloads never carry the code.
+const orderPickupCodes = pgTable('order_pickup_codes', {
+  orderId:        uuid('order_id').primaryKey().references(() => orders.id, { onDelete: 'cascade' }),
+  code:           varchar('code', { length: 8 }).notNull(),
+  failedAttempts: integer('failed_attempts').default(0).notNull(),
+  lockedUntil:    timestamp('locked_until'),
+  verifiedAt:     timestamp('verified_at'),
+  createdAt:      timestamp('created_at').defaultNow().notNull(),
+});
+
+// ─── Refunds ──────────────────────────────────────────────────────────────────
+// One row per Razorpay refund attempt (full or partial). Rows start 'pending'
+// and are settled by the refund.processed / refund.failed webhooks.
+const refunds = pgTable('refunds', {
+  id:                uuid('id').primaryKey().defaultRandom(),
+  orderId:           uuid('order_id').references(() => orders.id, { onDelete: 'restrict' }).notNull(),
+  razorpayPaymentId: varchar('razorpay_payment_id', { length: 255 }).notNull(),
+  razorpayRefundId:  varchar('razorpay_refund_id',  { length: 255 }),
+  amount:            decimal('amount', { precision: 10, scale: 2 }).notNull(),
+  status:            refundStatusEnum('status').default('pending').notNull(),
+  reason:            varchar('reason', { length: 255 }),
+  initiatedBy:       uuid('initiated_by').references(() => users.id, { onDelete: 'set null' }),
+  initiatedByRole:   varchar('initiated_by_role', { length: 30 }),
+  failureReason:     text('failure_reason'),
+  createdAt:         timestamp('created_at').defaultNow().notNull(),
+  updatedAt:         timestamp('updated_at').defaultNow().notNull(),
+}, (t) => ({
+  orderIdx:     index('refunds_order_idx').on(t.orderId),
+  rzpRefundIdx: uniqueIndex('refunds_razorpay_refund_idx').on(t.razorpayRefundId),
+}));
+
+// ─── Order Rejections ─────────────────────────────────────────────────────────
+// Owner-declined orders. Feeds the restaurant's acceptance-rate metrics.
+const orderRejections = pgTable('order_rejections', {
+  id:           uuid('id').primaryKey().defaultRandom(),
+  orderId:      uuid('order_id').references(() => orders.id, { onDelete: 'cascade' }).notNull(),
+  restaurantId: uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'cascade' }).notNull(),
+  rejectedBy:   uuid('rejected_by').references(() => users.id, { onDelete: 'set null' }),
+  reasonCode:   rejectionReasonEnum('reason_code').notNull(),
+  note:         text('note'),
+  createdAt:    timestamp('created_at').defaultNow().notNull(),
+}, (t) => ({
+  orderIdx:          uniqueIndex('order_rejections_order_idx').on(t.orderId),
+  restaurantDateIdx: index('order_rejections_restaurant_date_idx').on(t.restaurantId, t.createdAt),
+}));
+
+// ─── Pickup Slots ─────────────────────────────────────────────────────────────
+// One row per (restaurant, 15-minute window) that has at least one scheduled
+// order. bookedCount is incremented atomically inside createOrder and
+// decremented on cancellation; capacity lives on restaurants.
+const pickupSlots = pgTable('pickup_slots', {
+  id:           uuid('id').primaryKey().defaultRandom(),
+  restaurantId: uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'cascade' }).notNull(),
+  slotStart:    timestamp('slot_start').notNull(),
+  bookedCount:  integer('booked_count').default(0).notNull(),
+  createdAt:    timestamp('created_at').defaultNow().notNull(),
+  updatedAt:    timestamp('updated_at').defaultNow().notNull(),
+}, (t) => ({
+  restaurantSlotIdx: uniqueIndex('pickup_slots_restaurant_slot_idx').on(t.restaurantId, t.slotStart),
+}));
+
 // ─── Reviews ──────────────────────────────────────────────────────────────────
 const reviews = pgTable('reviews', {
   id:           uuid('id').primaryKey().defaultRandom(),
@@ -282,6 +552,33 @@ const notifications = pgTable('notifications', {
   userIdx: index('notifications_user_idx').on(t.userId),
 }));
 
+// ─── Push Devices ─────────────────────────────────────────────────────────────
+// One row per Expo push token. A user may register several devices; a token
+// that re-registers under another account is moved to that account.
+// users.expo_push_token is kept only for backward compatibility.
+const pushDevices = pgTable('push_devices', {
+  id:         uuid('id').primaryKey().defaultRandom(),
+  userId:     uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  token:      text('token').notNull(),
+  platform:   varchar('platform', { length: 20 }),   // ios / android / web
+  deviceName: varchar('device_name', { length: 100 }),
+  lastSeenAt: timestamp('last_seen_at').defaultNow().notNull(),
+  createdAt:  timestamp('created_at').defaultNow().notNull(),
+}, (t) => ({
+  tokenIdx: uniqueIndex('push_devices_token_idx').on(t.token),
+  userIdx:  index('push_devices_user_idx').on(t.userId),
+}));
+
+// Expo push tickets awaiting a receipt check (deleted once the receipt is read)
+const pushTickets = pgTable('push_tickets', {
+  id:        uuid('id').primaryKey().defaultRandom(),
+  ticketId:  varchar('ticket_id', { length: 100 }).notNull(),
+  token:     text('token').notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (t) => ({
+  createdIdx: index('push_tickets_created_idx').on(t.createdAt),
+}));
+
 // ─── Wallet ───────────────────────────────────────────────────────────────────
 const wallets = pgTable('wallets', {
   id:        uuid('id').primaryKey().defaultRandom(),
@@ -340,16 +637,44 @@ const couponUsage = pgTable('coupon_usage', {
   userCouponIdx: index('coupon_usage_user_coupon_idx').on(t.userId, t.couponId),
 }));
 
+// ─── Fee Rules ────────────────────────────────────────────────────────────────
+// restaurantId null = platform fee on every order (admin-managed). waiveAbove:
+// not charged once the item subtotal reaches it. isRefundable false = kept
+// when a customer cancels a paid order.
+const feeScopeEnum = pgEnum('fee_scope', ['per_item', 'per_order']);
+const feeTypeEnum  = pgEnum('fee_type',  ['flat', 'percentage']);
+
+const feeRules = pgTable('fee_rules', {
+  id:           uuid('id').primaryKey().defaultRandom(),
+  restaurantId: uuid('restaurant_id').references(() => restaurants.id, { onDelete: 'cascade' }),
+  label:        varchar('label', { length: 100 }).notNull(),
+  scope:        feeScopeEnum('scope').notNull(),
+  type:         feeTypeEnum('type').notNull(),
+  value:        decimal('value',       { precision: 8, scale: 2 }).notNull(),
+  maxAmount:    decimal('max_amount',  { precision: 8, scale: 2 }),
+  waiveAbove:   decimal('waive_above', { precision: 8, scale: 2 }),
+  isRefundable: boolean('is_refundable').default(true).notNull(),
+  isActive:     boolean('is_active').default(true).notNull(),
+  createdAt:    timestamp('created_at').defaultNow().notNull(),
+  updatedAt:    timestamp('updated_at').defaultNow().notNull(),
+}, (t) => ({
+  restaurantIdx: index('fee_rules_restaurant_idx').on(t.restaurantId),
+}));
+
 module.exports = {
   users, userRoles, otps, refreshTokens, addresses,
-  restaurants, categories, menuItems, menuItemVariants, addOns,
+  restaurants, restaurantHours, restaurantClosures, restaurantStaff,
+  categories, menuItems, menuAvailabilityWindows, menuItemVariants, addOnGroups, addOns,
+  images,
   carts, cartItems,
-  orders, orderItems,
+  orders, orderItems, invoiceSequences, orderStatusHistory, orderPickupCodes, refunds, orderRejections, pickupSlots,
   reviews,
   favorites,
-  notifications,
+  notifications, pushDevices, pushTickets,
   wallets, walletTransactions,
   coupons, couponUsage,
+  feeRules,
   userRoleEnum, orderStatusEnum, paymentStatusEnum, notifTypeEnum,
-  transactionTypeEnum, couponTypeEnum,
+  refundStatusEnum, rejectionReasonEnum, staffRoleEnum, staffStatusEnum,
+  transactionTypeEnum, couponTypeEnum, feeScopeEnum, feeTypeEnum,
 };
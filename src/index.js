@@ -11,8 +11,19 @@ require('./config/env');
 const app = require('./app');
 const { connectDB, pool } = require('./db');
 const logger = require('./utils/logger');
+const { createJobRunner } = require('./utils/jobRunner');
+const { releaseDueOrders } = require('./services/pickupSlot.service');
+const { checkReceipts } = require('./services/push.service');
+const { cancelUnacceptedOrders } = require('./services/orderSla.service');
+const { resetDailyStock } = require('./services/stock.service');
+const { collectOrphanedImages } = require('./services/image.service');
 
 const PORT = process.env.PORT || 5000;
+const RELEASE_INTERVAL_MS = 60_000;     // scheduled-order kitchen release sweep
+const PUSH_RECEIPT_INTERVAL_MS = 5 * 60_000; // Expo push receipt check
+const AUTO_CANCEL_INTERVAL_MS = 60_000; // unaccepted-order SLA sweep
+const STOCK_RESET_INTERVAL_MS = 5 * 60_000; // daily stock refill after local midnight
+const IMAGE_GC_INTERVAL_MS = 60 * 60_000; // unreferenced uploads
 
 const startServer = async () => {
   // 2. Verify DB connection before accepting traffic
@@ -25,12 +36,43 @@ const startServer = async () => {
     });
   });
 
-  // 3. Graceful shutdown — drain in-flight requests before dying
+  // 3. Background jobs — one instance at a time via Postgres advisory locks
+  const jobs = createJobRunner({ pool });
+  jobs.register({
+    name: 'release-scheduled-orders',
+    intervalMs: RELEASE_INTERVAL_MS,
+    run: async (now) => ({ released: (await releaseDueOrders(now)).length }),
+  });
+  jobs.register({
+    name: 'push-receipts',
+    intervalMs: PUSH_RECEIPT_INTERVAL_MS,
+    run: (now) => checkReceipts(now),
+  });
+  jobs.register({
+    name: 'auto-cancel-unaccepted',
+    intervalMs: AUTO_CANCEL_INTERVAL_MS,
+    run: (now) => cancelUnacceptedOrders(now),
+  });
+  jobs.register({
+    name: 'reset-daily-stock',
+    intervalMs: STOCK_RESET_INTERVAL_MS,
+    run: (now) => resetDailyStock(now),
+  });
+  jobs.register({
+    name: 'gc-orphaned-images',
+    intervalMs: IMAGE_GC_INTERVAL_MS,
+    run: (now) => collectOrphanedImages(now),
+  });
+  jobs.start();
+
+  // 4. Graceful shutdown — drain in-flight requests before dying
   const shutdown = async (signal) => {
     logger.warn(`${signal} received — starting graceful shutdown`);
+    const jobsStopped = jobs.stop(); // no new runs; in-flight ones finish below
 
     server.close(async () => {
       try {
+        await jobsStopped;
         await pool.end();
         logger.info('DB pool drained. Exiting cleanly.');
         process.exit(0);
@@ -50,7 +92,7 @@ const startServer = async () => {
   process.on('SIGTERM', () => shutdown('SIGTERM')); // Render sends SIGTERM on redeploy
   process.on('SIGINT', () => shutdown('SIGINT'));   // Ctrl+C in dev
 
-  // 4. Global safety nets — log and die cleanly
+  // 5. Global safety nets — log and die cleanly
   process.on('unhandledRejection', (reason) => {
     logger.error('Unhandled Promise Rejection', { reason: String(reason) });
     shutdown('unhandledRejection');
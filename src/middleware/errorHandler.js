@@ -160,6 +160,13 @@ const errorHandler = (err, req, res, next) => {
     statusCode = 403; isOperational = true;
   }
 
+  // ─── Body parser limits (express.json / express.raw) ───────────────────────
+  if (err.type === 'entity.too.large') {
+    statusCode = 413;
+    message = `Request body is too large (limit ${Math.round(err.limit / 1024)} KB)`;
+    isOperational = true;
+  }
+
   // ─── Zod validation errors (from validate middleware) ─────────────────────
   if (err.name === 'ZodError') {
     statusCode = 400;
@@ -60,4 +60,29 @@ const paymentLimiter = rateLimit({
   message: rateLimitResponse('Too many payment attempts. Try again later.'),
 });
 
-module.exports = { globalLimiter, otpLimiter, authLimiter, searchLimiter, paymentLimiter };
+// ─── Pickup code — 10 wrong codes per 15 minutes per staff user ──────────────
+// Only failures count; the per-order lockout in pickupCode.service is the
+// second line of defence across instances.
+const pickupVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => `pickup_${req.user?.id || req.ip}`,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: rateLimitResponse('Too many wrong pickup codes. Try again in 15 minutes.'),
+});
+
+// ─── Image upload — 30 per 10 minutes per user (resizing is CPU-heavy) ────────
+const uploadLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 30,
+  keyGenerator: (req) => `upload_${req.user?.id || req.ip}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: rateLimitResponse('Too many image uploads. Try again in a few minutes.'),
+});
+
+module.exports = {
+  globalLimiter, otpLimiter, authLimiter, searchLimiter, paymentLimiter, pickupVerifyLimiter, uploadLimiter,
+};
@@ -0,0 +1,154 @@
+/**
+ * src/middleware/restaurantAccess.js
+ * Resolves which restaurant the caller works for and what they may do there.
+ *
+ *   restaurant_owner → a restaurant they own (role 'owner', every permission)
+ *   restaurant_staff → a restaurant with an active restaurant_staff membership
+ *                      (role 'manager' | 'cashier' | 'kitchen')
+ *
+ * Owners may run several outlets. The outlet is picked by the
+ * /owner/outlets/:restaurantId/* path prefix or the X-Restaurant-Id header;
+ * without either, the earliest-created outlet (or membership) is used so
+ * single-outlet clients keep working unchanged.
+ *
+ * restaurantAccess(permission?) sets:
+ *   req.restaurant       — the restaurant row
+ *   req.restaurantAccess — { role, permissions: Set, actorRole }
+ * and rejects with 403 when the role lacks `permission`.
+ */
+const { db } = require('../db');
+const { restaurants, restaurantStaff } = require('../db/schema');
+const { eq, and, asc } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const logger = require('../utils/logger');
+
+const PERMISSIONS = [
+  'restaurant.view',
+  'restaurant.settings',     // profile, hours, closures, SLA, fees, T&C
+  'restaurant.toggle_open',  // pause / resume taking orders
+  'menu.view',
+  'menu.edit',               // create / delete items, prices, categories
+  'menu.availability',       // mark items in / out of stock
+  'orders.view',
+  'orders.update_status',
+  'orders.reject',
+  'orders.collect',
+  'metrics.view',
+  'staff.manage',
+];
+
+const ROLE_PERMISSIONS = {
+  owner:   new Set(PERMISSIONS),
+  manager: new Set(PERMISSIONS.filter(p => p !== 'staff.manage')),
+  cashier: new Set([
+    'restaurant.view', 'restaurant.toggle_open',
+    'menu.view', 'menu.availability',
+    'orders.view', 'orders.update_status', 'orders.reject', 'orders.collect',
+  ]),
+  kitchen: new Set([
+    'restaurant.view',
+    'menu.view', 'menu.availability',
+    'orders.view', 'orders.update_status',
+  ]),
+};
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS).filter(r => r !== 'owner');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** The outlet the request asks for — path prefix wins over header. */
+const selectedRestaurantId = (req) => {
+  const id = req.params?.restaurantId ?? req.get?.('x-restaurant-id');
+  if (!id) return null;
+  if (!UUID_RE.test(id)) throw new AppError('Invalid restaurant id', 400);
+  return id;
+};
+
+const _ownerAccess = async (userId, restaurantId) => {
+  logger.debug('restaurantAccess — querying by ownerId', { ownerId: userId, restaurantId });
+
+  const [restaurant] = await db.select().from(restaurants)
+    .where(restaurantId
+      ? and(eq(restaurants.ownerId, userId), eq(restaurants.id, restaurantId))
+      : eq(restaurants.ownerId, userId))
+    .orderBy(asc(restaurants.createdAt))
+    .limit(1);
+
+  if (!restaurant) {
+    if (restaurantId) throw new AppError('Outlet not found or does not belong to you', 404);
+    // 404 (not 403) — the owner app uses it to switch to "create restaurant" mode
+    throw new AppError('You do not have a restaurant yet. Create one first.', 404);
+  }
+  return { restaurant, role: 'owner', actorRole: 'restaurant_owner' };
+};
+
+const _staffAccess = async (userId, restaurantId) => {
+  const conditions = [eq(restaurantStaff.userId, userId), eq(restaurantStaff.status, 'active')];
+  if (restaurantId) conditions.push(eq(restaurantStaff.restaurantId, restaurantId));
+
+  const [membership] = await db.select({ restaurant: restaurants, role: restaurantStaff.role })
+    .from(restaurantStaff)
+    .innerJoin(restaurants, eq(restaurants.id, restaurantStaff.restaurantId))
+    .where(and(...conditions))
+    .orderBy(asc(restaurantStaff.acceptedAt))
+    .limit(1);
+
+  if (!membership) {
+    throw new AppError(restaurantId
+      ? 'You are not an active staff member of this restaurant'
+      : 'You are not an active staff member of any restaurant', 403);
+  }
+  return { restaurant: membership.restaurant, role: membership.role, actorRole: `restaurant_staff:${membership.role}` };
+};
+
+/**
+ * resolveRestaurantAccess(user, restaurantId?) → { restaurant, role, permissions, actorRole }
+ * restaurantId null → the user's default (earliest) outlet.
+ */
+const resolveRestaurantAccess = async (user, restaurantId = null) => {
+  let access;
+  if (user.role === 'restaurant_owner')      access = await _ownerAccess(user.id, restaurantId);
+  else if (user.role === 'restaurant_staff') access = await _staffAccess(user.id, restaurantId);
+  else throw new AppError(`Role '${user.role}' is not authorized for this action`, 403);
+
+  return { ...access, permissions: ROLE_PERMISSIONS[access.role] };
+};
+
+/**
+ * restaurantAccess(permission?) — Express middleware.
+ * Resolution is cached on the request, so stacking it is cheap.
+ */
+const restaurantAccess = (permission) => async (req, res, next) => {
+  try {
+    if (!req.restaurantAccess) {
+      const { restaurant, ...access } = await resolveRestaurantAccess(req.user, selectedRestaurantId(req));
+      req.restaurant = restaurant;
+      req.restaurantAccess = access;
+      // Tells multi-outlet clients which outlet a header-less request resolved to
+      res.set('X-Restaurant-Id', restaurant.id);
+    }
+
+    if (permission && !req.restaurantAccess.permissions.has(permission)) {
+      return next(new AppError(
+        `Your staff role '${req.restaurantAccess.role}' does not allow '${permission}'`,
+        403
+      ));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/** can(req, permission) — for handlers that branch on a finer permission */
+const can = (req, permission) => !!req.restaurantAccess?.permissions.has(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  STAFF_ROLES,
+  selectedRestaurantId,
+  resolveRestaurantAccess,
+  restaurantAccess,
+  can,
+};
@@ -7,6 +7,8 @@ const router = require('express').Router();
 const restaurantCtrl = require('../controllers/restaurant.controller');
 const menuService = require('../services/menu.service');
 const orderCtrl = require('../controllers/order.controller');
+const paymentService = require('../services/payment.service');
+const feeService = require('../services/fee.service');
 const { protect, authorize } = require('../middleware/auth');
 const { validate, schemas } = require('../validations');
 const { asyncHandler, sendSuccess } = require('../utils/response');
@@ -66,10 +68,64 @@ router.get('/orders', orderCtrl.adminGetOrders);
 router.patch('/order/:id/status',
   validate(schemas.orderStatus),
   asyncHandler(async (req, res) => {
-    const result = await orderCtrl._adminUpdateStatus(req.params.id, req.body.status, req.body.estimatedTime);
+    const result = await orderCtrl._adminUpdateStatus(req.params.id, req.body.status, req.body.estimatedTime, {
+      actorId: req.user.id, actorRole: req.user.role,
+    });
     auditLog({ action: 'order.status_change', actorId: req.user.id, actorRole: req.user.role, targetId: req.params.id, targetType: 'order', after: { status: req.body.status } });
     sendSuccess(res, result, 'Order status updated');
   })
 );
 
+// ─── Refunds ──────────────────────────────────────────────────────────────────
+router.get('/order/:id/refunds', asyncHandler(async (req, res) => {
+  sendSuccess(res, await paymentService.getRefunds(req.params.id));
+}));
+
+// Manual (or retried) refund — omit amount to refund the remaining balance
+router.post('/order/:id/refund',
+  validate(schemas.refund),
+  asyncHandler(async (req, res) => {
+    const result = await paymentService.refundOrder(req.params.id, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      actorId: req.user.id,
+      actorRole: req.user.role,
+    });
+    auditLog({ action: 'order.refund', actorId: req.user.id, actorRole: req.user.role, targetId: req.params.id, targetType: 'order', after: result });
+    sendSuccess(res, result, 'Refund initiated', 201);
+  })
+);
+
+// ─── Platform fees ────────────────────────────────────────────────────────────
+// Charged on every order, on top of each restaurant's own fees (/owner/fees)
+router.get('/fees', asyncHandler(async (req, res) => {
+  sendSuccess(res, await feeService.listRules(null));
+}));
+
+router.post('/fees',
+  validate(schemas.feeRule),
+  asyncHandler(async (req, res) => {
+    const result = await feeService.createRule(null, req.body);
+    auditLog({ action: 'fee_rule.create', actorId: req.user.id, actorRole: req.user.role, targetId: result.id, targetType: 'fee_rule', after: result });
+    sendSuccess(res, result, 'Fee created', 201);
+  })
+);
+
+router.put('/fees/:id',
+  validate(schemas.updateFeeRule),
+  asyncHandler(async (req, res) => {
+    const result = await feeService.updateRule(null, req.params.id, req.body);
+    auditLog({ action: 'fee_rule.update', actorId: req.user.id, actorRole: req.user.role, targetId: req.params.id, targetType: 'fee_rule', after: req.body });
+    sendSuccess(res, result, 'Fee updated');
+  })
+);
+
+router.delete('/fees/:id',
+  asyncHandler(async (req, res) => {
+    await feeService.deleteRule(null, req.params.id);
+    auditLog({ action: 'fee_rule.delete', actorId: req.user.id, actorRole: req.user.role, targetId: req.params.id, targetType: 'fee_rule' });
+    sendSuccess(res, {}, 'Fee deleted');
+  })
+);
+
 module.exports = router;
@@ -5,17 +5,21 @@ const router = require('express').Router();
 const { protect } = require('../middleware/auth');
 const { asyncHandler, sendSuccess } = require('../utils/response');
 const couponService = require('../services/coupon.service');
+const cartService = require('../services/cart.service');
 
 router.use(protect);
 
 /**
  * POST /api/v1/coupons/validate
- * Body: { code, subtotal }
+ * Body: { code, subtotal? }
  * Returns: { coupon, discountAmount }
+ * Checked against the cart's item subtotal (fees and tax excluded), as at
+ * checkout; the body's subtotal is only used when the cart is empty.
  */
 router.post('/validate', asyncHandler(async (req, res) => {
   const { code, subtotal } = req.body;
-  const parsedSubtotal = parseFloat(subtotal);
+  const { pricing } = await cartService.getCart(req.user.id);
+  const parsedSubtotal = pricing.subtotal || parseFloat(subtotal);
   const result = await couponService.validateCoupon(code, req.user.id, parsedSubtotal);
   sendSuccess(res, result, 'Coupon is valid');
 }));
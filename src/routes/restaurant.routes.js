@@ -15,18 +15,34 @@ router.get('/',
   ctrl.getRestaurants
 );
 
+// Registered before /:id so "facets" and "search" aren't taken for restaurant ids
+router.get('/facets',
+  searchLimiter,
+  validateQuery(schemas.restaurantQuery),
+  ctrl.getFacets
+);
+
+router.get('/search',
+  searchLimiter,
+  validateQuery(schemas.searchQuery),
+  ctrl.search
+);
+
 const { db } = require('../db');
-const { menuItems } = require('../db/schema');
+const { menuItems, restaurants } = require('../db/schema');
 const { eq, and, notInArray } = require('drizzle-orm');
 const { asyncHandler: ah, sendSuccess: ss } = require('../utils/response');
+const menuAvailability = require('../services/menuAvailability.service');
 
 router.get('/:id',           ctrl.getRestaurantById);
-router.get('/:id/menu',      ctrl.getMenu);
+router.get('/:id/menu',      validateQuery(schemas.menuQuery), ctrl.getMenu);
 router.get('/:id/reviews',   reviewCtrl.getReviews);
+router.get('/:id/pickup-slots', ctrl.getPickupSlots);
 
 /**
  * GET /api/v1/restaurants/:id/recommendations
  * Used by "Complete Your Meal" cart widget.
+ * Items outside their availability window right now are left out.
  */
 router.get('/:id/recommendations', ah(async (req, res) => {
   const { id } = req.params;
@@ -43,13 +59,19 @@ router.get('/:id/recommendations', ah(async (req, res) => {
     conditions.push(notInArray(menuItems.id, excludeIds));
   }
 
-  const items = await db
+  const [restaurant] = await db.select({ id: restaurants.id, timezone: restaurants.timezone })
+    .from(restaurants).where(eq(restaurants.id, id)).limit(1);
+  if (!restaurant) return ss(res, []);
+
+  // Over-fetch so window filtering still fills the widget
+  const candidates = await db
     .select()
     .from(menuItems)
     .where(and(...conditions))
-    .limit(limit);
+    .limit(limit * 3);
 
-  ss(res, items);
+  const items = await menuAvailability.filterServed(restaurant, candidates);
+  ss(res, items.slice(0, limit));
 }));
 
 module.exports = router;
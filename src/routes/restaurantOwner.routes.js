@@ -1,7 +1,13 @@
 /**
  * src/routes/restaurantOwner.routes.js
  *
- * All routes protected by JWT + role=restaurant_owner.
+ * All routes protected by JWT + role=restaurant_owner or restaurant_staff.
+ * Each route declares the permission it needs via restaurantAccess(); staff
+ * roles (manager/cashier/kitchen) get a subset — see middleware/restaurantAccess.js.
+ *
+ * Multi-outlet: the router is also mounted at /owner/outlets/:restaurantId,
+ * so every route below works as /owner/outlets/<id>/... as well as with an
+ * X-Restaurant-Id header. Without either, the default (oldest) outlet is used.
  *
  * Issue #2: GET /owner/restaurant added as primary endpoint.
  *           (was only /restaurant-info; both now work)
@@ -11,48 +17,47 @@
  *           If 404 → create mode
  * Issue #9: Debug logging added to ownerId, restaurantId, userId queries.
  */
-const router = require('express').Router();
+// mergeParams — exposes :restaurantId from the /owner/outlets/:restaurantId mount
+const express = require('express');
+const router = express.Router({ mergeParams: true });
 const { protect, authorize }              = require('../middleware/auth');
-const { asyncHandler, sendSuccess, AppError } = require('../utils/response');
+const { asyncHandler, sendSuccess, sendError, AppError } = require('../utils/response');
 const { db }                              = require('../db');
 const {
   restaurants, categories, menuItems, orders, orderItems,
 } = require('../db/schema');
-const { eq, and, desc, inArray } = require('drizzle-orm');
+const { eq, and, or, desc, inArray, isNull, isNotNull } = require('drizzle-orm');
 const logger = require('../utils/logger');
 const { notifyOrderStatusChange } = require('../utils/notifications');
+const { subscribe } = require('../utils/orderEvents');
+const { validate, validateQuery, schemas } = require('../validations');
+const hoursService = require('../services/restaurantHours.service');
+const orderService = require('../services/order.service');
+const orderHistory = require('../services/orderHistory.service');
+const kdsService   = require('../services/kds.service');
+const pickupCodeService = require('../services/pickupCode.service');
+const { pickupVerifyLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const { openEventStream } = require('../utils/sse');
+const { assertDietary } = require('../utils/dietary');
+const { DEFAULT_GST_RATE } = require('../utils/tax');
+const staffService = require('../services/staff.service');
+const outletService = require('../services/outlet.service');
+const categoryService = require('../services/category.service');
+const menuService = require('../services/menu.service');
+const stockService = require('../services/stock.service');
+const menuAvailability = require('../services/menuAvailability.service');
+const menuImport = require('../services/menuImport.service');
+const imageService = require('../services/image.service');
+const feeService = require('../services/fee.service');
+const {
+  restaurantAccess, resolveRestaurantAccess, selectedRestaurantId, can,
+} = require('../middleware/restaurantAccess');
 
 // Apply auth + role guard to ALL routes in this file
-router.use(protect, authorize('restaurant_owner'));
+router.use(protect, authorize('restaurant_owner', 'restaurant_staff'));
 
 // ─── Ownership helper ─────────────────────────────────────────────────────────
 
-/**
- * getOwnedRestaurant(ownerId)
- *
- * Issue #2 + #9: Logs ownerId before query so we can verify it matches user.id.
- * Throws 404 if no restaurant found — this is how frontend detects "create" mode.
- */
-const getOwnedRestaurant = async (ownerId) => {
-  logger.debug('getOwnedRestaurant — querying by ownerId', { ownerId }); // #9
-
-  const [restaurant] = await db
-    .select()
-    .from(restaurants)
-    .where(eq(restaurants.ownerId, ownerId))
-    .limit(1);
-
-  logger.debug('getOwnedRestaurant — result', {
-    found: !!restaurant,
-    restaurantId: restaurant?.id ?? null,
-  }); // #9
-
-  if (!restaurant) {
-    throw new AppError('You do not have a restaurant yet. Create one first.', 404);
-  }
-  return restaurant;
-};
-
 const assertMenuItemOwnership = async (menuItemId, restaurantId) => {
   const [item] = await db
     .select()
@@ -67,6 +72,16 @@ const assertMenuItemOwnership = async (menuItemId, restaurantId) => {
   return item;
 };
 
+/** Validates and normalises optional fields (dietary, GST) from a body → only the fields sent */
+const parseFields = (schema, fields) => {
+  const parsed = schema.safeParse(fields);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new AppError(`${issue.path.join('.')}: ${issue.message}`, 400);
+  }
+  return Object.fromEntries(Object.entries(parsed.data).filter(([, v]) => v !== undefined));
+};
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // RESTAURANT MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -79,9 +94,9 @@ const assertMenuItemOwnership = async (menuItemId, restaurantId) => {
  * Returns 404 (not 200 with null) when no restaurant exists — React Query
  * catches the 404 and the frontend renders the "create" form.
  */
-router.get('/restaurant', asyncHandler(async (req, res) => {
+router.get('/restaurant', restaurantAccess('restaurant.view'), asyncHandler(async (req, res) => {
   logger.debug('GET /owner/restaurant', { userId: req.user.id }); // #9
-  const restaurant = await getOwnedRestaurant(req.user.id);
+  const restaurant = req.restaurant;
   return sendSuccess(res, restaurant);
 }));
 
@@ -89,39 +104,32 @@ router.get('/restaurant', asyncHandler(async (req, res) => {
  * GET /api/v1/owner/restaurant-info
  * Alias kept for backward compatibility with settings.tsx.
  */
-router.get('/restaurant-info', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.get('/restaurant-info', restaurantAccess('restaurant.view'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
   return sendSuccess(res, restaurant);
 }));
 
 /**
  * POST /api/v1/owner/restaurant
- * Create restaurant — one per owner.
+ * Create a restaurant (outlet). Owners may create several; each new outlet
+ * is managed via X-Restaurant-Id or /owner/outlets/:restaurantId/*.
  */
-router.post('/restaurant', asyncHandler(async (req, res) => {
-  const [existing] = await db
-    .select({ id: restaurants.id })
-    .from(restaurants)
-    .where(eq(restaurants.ownerId, req.user.id))
-    .limit(1);
-
-  if (existing) {
-    throw new AppError(
-      'You already have a restaurant. Use PUT /owner/restaurant to update it.',
-      409
-    );
-  }
-
+router.post('/restaurant', authorize('restaurant_owner'), asyncHandler(async (req, res) => {
   const {
     name, description, bannerImage,
     preparationTime,
     minOrder,
     openingTime, closingTime,
+    pickupSlotCapacity, acceptanceSlaMinutes,
     address, latitude, longitude,
     cuisines,
+    gstin, gstRate,
   } = req.body;
 
   if (!name || !name.trim()) throw new AppError('Restaurant name is required', 400);
+  const tax = parseFields(schemas.restaurantTax, { gstin, gstRate });
+  const slots = parseFields(schemas.restaurantSlots, { pickupSlotCapacity });
+  const sla = parseFields(schemas.restaurantSla, { acceptanceSlaMinutes });
 
   const [restaurant] = await db.insert(restaurants).values({
     ownerId:         req.user.id,
@@ -132,10 +140,14 @@ router.post('/restaurant', asyncHandler(async (req, res) => {
     minOrder:        minOrder        ?? 0,
     openingTime:     openingTime     ?? '09:00',
     closingTime:     closingTime     ?? '22:00',
+    pickupSlotCapacity: slots.pickupSlotCapacity ?? 10,
+    acceptanceSlaMinutes: sla.acceptanceSlaMinutes ?? 10,
     address,
     latitude,
     longitude,
     cuisines:        cuisines ?? [],
+    gstin:           tax.gstin ?? null,
+    gstRate:         tax.gstRate ?? DEFAULT_GST_RATE,
   }).returning();
 
   logger.info('Restaurant created', { restaurantId: restaurant.id, ownerId: req.user.id }); // #9
@@ -146,8 +158,8 @@ router.post('/restaurant', asyncHandler(async (req, res) => {
  * PUT /api/v1/owner/restaurant
  * Update restaurant.
  */
-router.put('/restaurant', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.put('/restaurant', restaurantAccess('restaurant.settings'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
 
   const ALLOWED = [
     'name', 'description', 'bannerImage',
@@ -156,8 +168,10 @@ router.put('/restaurant', asyncHandler(async (req, res) => {
     'isActive',
     'isOpen',
     'openingTime', 'closingTime',
+    'pickupSlotCapacity', 'acceptanceSlaMinutes',
     'address', 'latitude', 'longitude',
     'cuisines',
+    'gstin', 'gstRate',
   ];
 
   const updateData = {};
@@ -169,6 +183,10 @@ router.put('/restaurant', asyncHandler(async (req, res) => {
     throw new AppError('No valid fields provided for update', 400);
   }
 
+  Object.assign(updateData, parseFields(schemas.restaurantTax, { gstin: updateData.gstin, gstRate: updateData.gstRate }));
+  Object.assign(updateData, parseFields(schemas.restaurantSlots, { pickupSlotCapacity: updateData.pickupSlotCapacity }));
+  Object.assign(updateData, parseFields(schemas.restaurantSla, { acceptanceSlaMinutes: updateData.acceptanceSlaMinutes }));
+
   const [updated] = await db
     .update(restaurants)
     .set({ ...updateData, updatedAt: new Date() })
@@ -182,8 +200,8 @@ router.put('/restaurant', asyncHandler(async (req, res) => {
  * PATCH /api/v1/owner/restaurant/toggle-active
  * Quickly toggle isActive without sending full payload.
  */
-router.patch('/restaurant/toggle-active', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.patch('/restaurant/toggle-active', restaurantAccess('restaurant.settings'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
   const [updated] = await db
     .update(restaurants)
     .set({ isActive: !restaurant.isActive, updatedAt: new Date() })
@@ -196,8 +214,8 @@ router.patch('/restaurant/toggle-active', asyncHandler(async (req, res) => {
  * PATCH /api/v1/owner/restaurant/toggle-open
  * Quickly toggle isOpen (taking orders now).
  */
-router.patch('/restaurant/toggle-open', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.patch('/restaurant/toggle-open', restaurantAccess('restaurant.toggle_open'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
   const newIsOpen = req.body.isOpen !== undefined ? req.body.isOpen : !restaurant.isOpen;
   const [updated] = await db
     .update(restaurants)
@@ -207,6 +225,82 @@ router.patch('/restaurant/toggle-open', asyncHandler(async (req, res) => {
   return sendSuccess(res, updated, `Restaurant is now ${updated.isOpen ? 'taking orders' : 'closed'}`);
 }));
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// OPENING HOURS & HOLIDAY CLOSURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/v1/owner/restaurant/hours
+ * Weekly schedule (mon…sun → intervals), timezone and upcoming closures.
+ * usesLegacyHours=true means no schedule is set yet and openingTime/closingTime
+ * apply every day.
+ */
+router.get('/restaurant/hours', restaurantAccess('restaurant.view'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+  return sendSuccess(res, await hoursService.getHours(restaurant));
+}));
+
+/**
+ * PUT /api/v1/owner/restaurant/hours
+ * Body: { timezone?, weekly?: { mon: [{ openTime: '11:00', closeTime: '15:00' }, ...], ... } }
+ * `weekly` replaces the whole schedule; weekdays left out are closed.
+ */
+router.put('/restaurant/hours', restaurantAccess('restaurant.settings'), validate(schemas.restaurantHours), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+  const hours = await hoursService.replaceHours(restaurant, req.body);
+  return sendSuccess(res, hours, 'Opening hours updated');
+}));
+
+/**
+ * POST /api/v1/owner/restaurant/hours/closures
+ * Body: { date: 'YYYY-MM-DD', reason? } — closed all day (restaurant's local date).
+ */
+router.post('/restaurant/hours/closures', restaurantAccess('restaurant.settings'), validate(schemas.closure), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+  const closure = await hoursService.addClosure(restaurant, req.body);
+  return sendSuccess(res, closure, 'Closure added', 201);
+}));
+
+/**
+ * DELETE /api/v1/owner/restaurant/hours/closures/:id
+ */
+router.delete('/restaurant/hours/closures/:id', restaurantAccess('restaurant.settings'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+  await hoursService.removeClosure(restaurant, req.params.id);
+  return sendSuccess(res, {}, 'Closure removed');
+}));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FEES
+// ═══════════════════════════════════════════════════════════════════════════════
+// Packaging and other charges added to every order at this outlet. Body:
+//   { label, scope: 'per_item'|'per_order', type: 'flat'|'percentage', value,
+//     maxAmount?, waiveAbove?, isRefundable?, isActive? }
+// Platform fees are managed under /admin/fees.
+
+/** GET /api/v1/owner/fees */
+router.get('/fees', restaurantAccess('restaurant.view'), asyncHandler(async (req, res) => {
+  return sendSuccess(res, await feeService.listRules(req.restaurant.id));
+}));
+
+/** POST /api/v1/owner/fees */
+router.post('/fees', restaurantAccess('restaurant.settings'), validate(schemas.feeRule), asyncHandler(async (req, res) => {
+  const rule = await feeService.createRule(req.restaurant.id, req.body);
+  return sendSuccess(res, rule, 'Fee created', 201);
+}));
+
+/** PUT /api/v1/owner/fees/:id — any of the POST fields */
+router.put('/fees/:id', restaurantAccess('restaurant.settings'), validate(schemas.updateFeeRule), asyncHandler(async (req, res) => {
+  const rule = await feeService.updateRule(req.restaurant.id, req.params.id, req.body);
+  return sendSuccess(res, rule, 'Fee updated');
+}));
+
+/** DELETE /api/v1/owner/fees/:id — past orders keep what they were charged */
+router.delete('/fees/:id', restaurantAccess('restaurant.settings'), asyncHandler(async (req, res) => {
+  await feeService.deleteRule(req.restaurant.id, req.params.id);
+  return sendSuccess(res, {}, 'Fee deleted');
+}));
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // MENU MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -220,33 +314,34 @@ router.patch('/restaurant/toggle-open', asyncHandler(async (req, res) => {
  * This is different from the public GET /restaurants/:id/menu which only
  * returns isAvailable=true items.
  */
-router.get('/menu', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.get('/menu', restaurantAccess('menu.view'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
 
   logger.debug('GET /owner/menu', { restaurantId: restaurant.id, ownerId: req.user.id }); // #9
 
-  const items = await db
-    .select()
-    .from(menuItems)
-    .where(eq(menuItems.restaurantId, restaurant.id));
+  const [items, categoryList] = await Promise.all([
+    db.select().from(menuItems).where(eq(menuItems.restaurantId, restaurant.id)),
+    categoryService.listCategories(restaurant.id),
+  ]);
 
-  return sendSuccess(res, { restaurantId: restaurant.id, items });
+  return sendSuccess(res, { restaurantId: restaurant.id, items, categories: categoryList });
 }));
 
 /**
  * GET /api/v1/owner/menu-item/:id
  * Fetch single menu item for edit form pre-fill.
  */
-router.get('/menu-item/:id', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
-  const item = await assertMenuItemOwnership(req.params.id, restaurant.id);
-  return sendSuccess(res, item);
+router.get('/menu-item/:id', restaurantAccess('menu.view'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+  await assertMenuItemOwnership(req.params.id, restaurant.id);
+  return sendSuccess(res, await menuService.getMenuItemById(req.params.id));
 }));
 
-router.post('/menu-item', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.post('/menu-item', restaurantAccess('menu.edit'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
   const {
     name, description, basePrice, image, isVeg, categoryId, isAvailable, sortOrder,
+    variants, addOns: addOnList, dietaryTags, allergens, gstRate,
   } = req.body;
 
   if (!name || !name.trim()) throw new AppError('Item name is required', 400);
@@ -254,6 +349,15 @@ router.post('/menu-item', asyncHandler(async (req, res) => {
     throw new AppError('A valid basePrice is required', 400);
   }
 
+  // Optional — same shapes as POST /menu-item/:id/variants and /add-ons
+  const options = variants !== undefined || addOnList !== undefined
+    ? parseFields(schemas.menuItemOptions, { variants, addOns: addOnList })
+    : null;
+
+  const dietary = parseFields(schemas.menuItemDietary, { dietaryTags, allergens });
+  const tax = parseFields(schemas.menuItemTax, { gstRate });
+  assertDietary({ name, isVeg: isVeg !== undefined ? Boolean(isVeg) : true, ...dietary });
+
   if (categoryId) {
     const [cat] = await db
       .select({ id: categories.id })
@@ -263,7 +367,7 @@ router.post('/menu-item', asyncHandler(async (req, res) => {
     if (!cat) throw new AppError('Category not found or does not belong to your restaurant', 404);
   }
 
-  const [item] = await db.insert(menuItems).values({
+  const values = {
     restaurantId: restaurant.id,
     categoryId:   categoryId || null,
     name:         name.trim(),
@@ -273,24 +377,38 @@ router.post('/menu-item', asyncHandler(async (req, res) => {
     isVeg:        isVeg      !== undefined ? Boolean(isVeg)        : true,
     isAvailable:  isAvailable !== undefined ? Boolean(isAvailable) : true,
     sortOrder:    sortOrder ?? 0,
-  }).returning();
+    dietaryTags:  dietary.dietaryTags ?? [],
+    allergens:    dietary.allergens ?? null,
+    gstRate:      tax.gstRate ?? null,
+  };
+
+  // Item and options are created together or not at all
+  if (options) {
+    return sendSuccess(res, await menuService.createMenuItemWithOptions(values, options), 'Menu item created', 201);
+  }
 
+  const [item] = await db.insert(menuItems).values(values).returning();
   return sendSuccess(res, item, 'Menu item created', 201);
 }));
 
-router.put('/menu-item/:id', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.put('/menu-item/:id', restaurantAccess('menu.availability'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
   await assertMenuItemOwnership(req.params.id, restaurant.id);
 
   const ALLOWED = [
     'name', 'description', 'basePrice', 'image',
-    'isVeg', 'categoryId', 'isAvailable', 'sortOrder',
+    'isVeg', 'categoryId', 'isAvailable', 'sortOrder', 'dietaryTags', 'allergens', 'gstRate',
   ];
   const updateData = {};
   for (const field of ALLOWED) {
     if (req.body[field] !== undefined) updateData[field] = req.body[field];
   }
 
+  // Cashier/kitchen staff may only flip availability
+  if (!can(req, 'menu.edit') && Object.keys(updateData).some(f => f !== 'isAvailable')) {
+    throw new AppError('Your staff role can only change item availability', 403);
+  }
+
   if (updateData.basePrice !== undefined) {
     if (isNaN(parseFloat(updateData.basePrice))) {
       throw new AppError('basePrice must be a valid number', 400);
@@ -300,6 +418,10 @@ router.put('/menu-item/:id', asyncHandler(async (req, res) => {
   if (updateData.isVeg      !== undefined) updateData.isVeg      = Boolean(updateData.isVeg);
   if (updateData.isAvailable !== undefined) updateData.isAvailable = Boolean(updateData.isAvailable);
 
+  Object.assign(updateData, parseFields(schemas.menuItemDietary, { dietaryTags: updateData.dietaryTags, allergens: updateData.allergens }));
+  Object.assign(updateData, parseFields(schemas.menuItemTax, { gstRate: updateData.gstRate }));
+  await menuService.assertDietaryUpdate(req.params.id, updateData);
+
   if (updateData.categoryId) {
     const [cat] = await db
       .select({ id: categories.id })
@@ -320,13 +442,345 @@ router.put('/menu-item/:id', asyncHandler(async (req, res) => {
   return sendSuccess(res, updated, 'Menu item updated');
 }));
 
-router.delete('/menu-item/:id', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.delete('/menu-item/:id', restaurantAccess('menu.edit'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
   await assertMenuItemOwnership(req.params.id, restaurant.id);
   await db.delete(menuItems).where(eq(menuItems.id, req.params.id));
   return sendSuccess(res, {}, 'Menu item deleted');
 }));
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// VARIANTS & ADD-ONS
+// ═══════════════════════════════════════════════════════════════════════════════
+// Availability-only updates (isAvailable) are open to every staff role that can
+// toggle items; everything else needs menu.edit, as for PUT /menu-item/:id.
+
+const assertAvailabilityOnly = (req) => {
+  if (!can(req, 'menu.edit') && Object.keys(req.body).some(f => f !== 'isAvailable')) {
+    throw new AppError('Your staff role can only change availability', 403);
+  }
+};
+
+/** GET /api/v1/owner/menu-item/:id/variants */
+router.get('/menu-item/:id/variants', restaurantAccess('menu.view'), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  return sendSuccess(res, await menuService.listVariants(req.params.id));
+}));
+
+/**
+ * POST /api/v1/owner/menu-item/:id/variants
+ * Body: { name, price, isDefault?, isAvailable?, sortOrder? }
+ * The first variant of an item becomes its default.
+ */
+router.post('/menu-item/:id/variants', restaurantAccess('menu.edit'), validate(schemas.variant), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const variant = await menuService.createVariant(req.params.id, req.body);
+  return sendSuccess(res, variant, 'Variant created', 201);
+}));
+
+/**
+ * PUT /api/v1/owner/menu-item/:id/variants/:variantId
+ * isDefault: true moves the default to this variant.
+ */
+router.put('/menu-item/:id/variants/:variantId', restaurantAccess('menu.availability'), validate(schemas.updateVariant), asyncHandler(async (req, res) => {
+  assertAvailabilityOnly(req);
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const variant = await menuService.updateVariant(req.params.id, req.params.variantId, req.body);
+  return sendSuccess(res, variant, 'Variant updated');
+}));
+
+/**
+ * DELETE /api/v1/owner/menu-item/:id/variants/:variantId
+ * Archived instead of deleted while a cart still holds it (checkout then
+ * asks the customer to remove it). A new default is picked if needed.
+ */
+router.delete('/menu-item/:id/variants/:variantId', restaurantAccess('menu.edit'), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const result = await menuService.deleteVariant(req.params.id, req.params.variantId);
+  return sendSuccess(res, result, result.archived ? 'Variant archived (still in customer carts)' : 'Variant deleted');
+}));
+
+/** GET /api/v1/owner/menu-item/:id/add-ons */
+router.get('/menu-item/:id/add-ons', restaurantAccess('menu.view'), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  return sendSuccess(res, await menuService.listAddOns(req.params.id));
+}));
+
+/**
+ * POST /api/v1/owner/menu-item/:id/add-ons
+ * Body: { name, price, isAvailable?, groupId? }
+ */
+router.post('/menu-item/:id/add-ons', restaurantAccess('menu.edit'), validate(schemas.addOn), asyncHandler(async (req, res) => {
+  const item = await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const addOn = await menuService.createAddOn(item, req.body);
+  return sendSuccess(res, addOn, 'Add-on created', 201);
+}));
+
+/** PUT /api/v1/owner/menu-item/:id/add-ons/:addOnId — groupId: null moves it out of its group */
+router.put('/menu-item/:id/add-ons/:addOnId', restaurantAccess('menu.availability'), validate(schemas.updateAddOn), asyncHandler(async (req, res) => {
+  assertAvailabilityOnly(req);
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const addOn = await menuService.updateAddOn(req.params.id, req.params.addOnId, req.body);
+  return sendSuccess(res, addOn, 'Add-on updated');
+}));
+
+/**
+ * DELETE /api/v1/owner/menu-item/:id/add-ons/:addOnId
+ * Carts keep their snapshot of the add-on, so this is a hard delete.
+ */
+router.delete('/menu-item/:id/add-ons/:addOnId', restaurantAccess('menu.edit'), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  await menuService.deleteAddOn(req.params.id, req.params.addOnId);
+  return sendSuccess(res, {}, 'Add-on deleted');
+}));
+
+/** GET /api/v1/owner/menu-item/:id/add-on-groups — groups with their add-ons, plus ungrouped ones */
+router.get('/menu-item/:id/add-on-groups', restaurantAccess('menu.view'), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const [groups, all] = await Promise.all([
+    menuService.listAddOnGroups(req.params.id),
+    menuService.listAddOns(req.params.id),
+  ]);
+  return sendSuccess(res, { groups, ungrouped: all.filter(a => !a.groupId) });
+}));
+
+/**
+ * POST /api/v1/owner/menu-item/:id/add-on-groups
+ * Body: { name, minSelect?, maxSelect?, isRequired?, sortOrder? }
+ * e.g. "Choose your base" { minSelect: 1, maxSelect: 1, isRequired: true }.
+ * Attach add-ons with POST/PUT /add-ons { groupId }.
+ */
+router.post('/menu-item/:id/add-on-groups', restaurantAccess('menu.edit'), validate(schemas.addOnGroup), asyncHandler(async (req, res) => {
+  const item = await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const group = await menuService.createAddOnGroup(item, req.body);
+  return sendSuccess(res, group, 'Add-on group created', 201);
+}));
+
+/** PUT /api/v1/owner/menu-item/:id/add-on-groups/:groupId */
+router.put('/menu-item/:id/add-on-groups/:groupId', restaurantAccess('menu.edit'), validate(schemas.updateAddOnGroup), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const group = await menuService.updateAddOnGroup(req.params.id, req.params.groupId, req.body);
+  return sendSuccess(res, group, 'Add-on group updated');
+}));
+
+/**
+ * DELETE /api/v1/owner/menu-item/:id/add-on-groups/:groupId
+ * The group's add-ons are kept as ungrouped extras.
+ */
+router.delete('/menu-item/:id/add-on-groups/:groupId', restaurantAccess('menu.edit'), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  await menuService.deleteAddOnGroup(req.params.id, req.params.groupId);
+  return sendSuccess(res, {}, 'Add-on group deleted');
+}));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DAILY STOCK
+// ═══════════════════════════════════════════════════════════════════════════════
+// Counts refill at the restaurant's local midnight. Like availability, stock
+// is day-to-day operations, so every role with menu.availability can set it.
+
+/** GET /api/v1/owner/stock — tracked items and variants with today's counts */
+router.get('/stock', restaurantAccess('menu.view'), asyncHandler(async (req, res) => {
+  return sendSuccess(res, await stockService.listStock(req.restaurant));
+}));
+
+/**
+ * PUT /api/v1/owner/menu-item/:id/stock
+ * Body: { dailyStock?, stockLeft?, lowStockThreshold? }
+ * dailyStock null turns tracking off. Changing dailyStock alone keeps
+ * today's sales counted; stockLeft sets today's remaining count directly.
+ */
+router.put('/menu-item/:id/stock', restaurantAccess('menu.availability'), validate(schemas.itemStock), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const stock = await stockService.setItemStock(req.restaurant, req.params.id, req.body);
+  return sendSuccess(res, stock, 'Stock updated');
+}));
+
+/**
+ * PUT /api/v1/owner/menu-item/:id/variants/:variantId/stock
+ * Body: { dailyStock?, stockLeft? } — the item's lowStockThreshold applies.
+ */
+router.put('/menu-item/:id/variants/:variantId/stock', restaurantAccess('menu.availability'), validate(schemas.variantStock), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const stock = await stockService.setVariantStock(req.restaurant, req.params.id, req.params.variantId, req.body);
+  return sendSuccess(res, stock, 'Stock updated');
+}));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CATEGORIES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/v1/owner/categories
+ * All categories including hidden ones, in menu order, with item counts.
+ */
+router.get('/categories', restaurantAccess('menu.view'), asyncHandler(async (req, res) => {
+  return sendSuccess(res, await categoryService.listCategories(req.restaurant.id));
+}));
+
+/**
+ * POST /api/v1/owner/categories
+ * Body: { name, description?, sortOrder?, isActive? } — appended last without sortOrder.
+ */
+router.post('/categories', restaurantAccess('menu.edit'), validate(schemas.category), asyncHandler(async (req, res) => {
+  const category = await categoryService.createCategory(req.restaurant.id, req.body);
+  return sendSuccess(res, category, 'Category created', 201);
+}));
+
+/**
+ * PUT /api/v1/owner/categories/reorder
+ * Body: { categories: [{ id, sortOrder }] }
+ * Registered before /categories/:id so 'reorder' isn't taken as an id.
+ */
+router.put('/categories/reorder', restaurantAccess('menu.edit'), validate(schemas.reorderCategories), asyncHandler(async (req, res) => {
+  const list = await categoryService.reorderCategories(req.restaurant.id, req.body.categories);
+  return sendSuccess(res, list, 'Categories reordered');
+}));
+
+/**
+ * PUT /api/v1/owner/categories/:id
+ * Body: any of { name, description, sortOrder, isActive } — isActive=false hides it from customers.
+ */
+router.put('/categories/:id', restaurantAccess('menu.edit'), validate(schemas.updateCategory), asyncHandler(async (req, res) => {
+  const updated = await categoryService.updateCategory(req.restaurant.id, req.params.id, req.body);
+  return sendSuccess(res, updated, 'Category updated');
+}));
+
+/**
+ * POST /api/v1/owner/categories/:id/items
+ * Body: { menuItemIds } — moves those items into this category.
+ */
+router.post('/categories/:id/items', restaurantAccess('menu.edit'), validate(schemas.moveCategoryItems), asyncHandler(async (req, res) => {
+  const result = await categoryService.moveItems(req.restaurant.id, req.params.id, req.body.menuItemIds);
+  return sendSuccess(res, result, `${result.moved} item(s) moved`);
+}));
+
+/**
+ * DELETE /api/v1/owner/categories/:id?moveTo=<categoryId>|other
+ * moveTo is required when the category still has items.
+ */
+router.delete('/categories/:id', restaurantAccess('menu.edit'), asyncHandler(async (req, res) => {
+  const result = await categoryService.deleteCategory(req.restaurant.id, req.params.id, {
+    moveTo: req.query.moveTo,
+  });
+  return sendSuccess(res, result, 'Category deleted');
+}));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AVAILABILITY WINDOWS
+// ═══════════════════════════════════════════════════════════════════════════════
+// Breakfast/lunch/dinner menus. Body for both PUTs:
+//   { weekly: { mon: [{ startTime: '07:00', endTime: '11:30' }], ... } }
+// Omitted weekdays = not served that day; weekly: {} serves it whenever open.
+
+/** GET /api/v1/owner/menu-item/:id/availability-windows */
+router.get('/menu-item/:id/availability-windows', restaurantAccess('menu.view'), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  return sendSuccess(res, await menuAvailability.getWindows({ menuItemId: req.params.id }));
+}));
+
+/** PUT /api/v1/owner/menu-item/:id/availability-windows — replaces all windows of the item */
+router.put('/menu-item/:id/availability-windows', restaurantAccess('menu.edit'), validate(schemas.availabilityWindows), asyncHandler(async (req, res) => {
+  await assertMenuItemOwnership(req.params.id, req.restaurant.id);
+  const windows = await menuAvailability.replaceWindows(req.restaurant.id, { menuItemId: req.params.id }, req.body.weekly);
+  return sendSuccess(res, windows, 'Availability windows updated');
+}));
+
+/** GET /api/v1/owner/categories/:id/availability-windows */
+router.get('/categories/:id/availability-windows', restaurantAccess('menu.view'), asyncHandler(async (req, res) => {
+  await categoryService.getCategory(req.restaurant.id, req.params.id);
+  return sendSuccess(res, await menuAvailability.getWindows({ categoryId: req.params.id }));
+}));
+
+/**
+ * PUT /api/v1/owner/categories/:id/availability-windows
+ * Applies to every item in the category, on top of the item's own windows.
+ */
+router.put('/categories/:id/availability-windows', restaurantAccess('menu.edit'), validate(schemas.availabilityWindows), asyncHandler(async (req, res) => {
+  await categoryService.getCategory(req.restaurant.id, req.params.id);
+  const windows = await menuAvailability.replaceWindows(req.restaurant.id, { categoryId: req.params.id }, req.body.weekly);
+  return sendSuccess(res, windows, 'Availability windows updated');
+}));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MENU IMPORT / EXPORT
+// ═══════════════════════════════════════════════════════════════════════════════
+// Formats and matching rules: services/menuImport.service.js. An exported file
+// can be edited offline and imported back.
+
+/**
+ * POST /api/v1/owner/menu/import?mode=merge|replace&dryRun=true
+ * Body: CSV (Content-Type: text/csv) or JSON { categories?, items }.
+ * dryRun returns the create/update/delete diff and row errors without writing.
+ * Otherwise the whole file is applied in one transaction, or — with any row
+ * error — nothing is, and the errors come back with a 400.
+ */
+router.post('/menu/import',
+  restaurantAccess('menu.edit'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  validateQuery(schemas.menuImportQuery),
+  asyncHandler(async (req, res) => {
+    const { mode, dryRun } = req.query;
+    const format = req.query.format ?? (typeof req.body === 'string' && req.is('text/csv') ? 'csv' : 'json');
+    const input = menuImport.parseInput(format, req.body);
+
+    if (dryRun) {
+      const plan = await menuImport.planImport(req.restaurant.id, input, { mode });
+      return sendSuccess(res, plan, plan.valid ? 'Import preview' : `Import preview — ${plan.errors.length} error(s)`);
+    }
+
+    const result = await menuImport.applyImport(req.restaurant.id, input, { mode });
+    if (!result.applied) {
+      return sendError(res, `${result.errors.length} error(s) in the file — nothing was imported`, 400, result.errors);
+    }
+    return sendSuccess(res, result, 'Menu imported');
+  })
+);
+
+/**
+ * GET /api/v1/owner/menu/export?format=json|csv
+ * JSON comes back in the usual envelope; CSV as a file download.
+ */
+router.get('/menu/export', restaurantAccess('menu.view'), asyncHandler(async (req, res) => {
+  const format = req.query.format ?? 'json';
+  if (!['json', 'csv'].includes(format)) throw new AppError("format must be 'json' or 'csv'", 400);
+
+  const menu = await menuImport.exportMenu(req.restaurant.id);
+  if (format === 'json') return sendSuccess(res, menu);
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="menu-${req.restaurant.id}.csv"`);
+  return res.send(menuImport.toCsvExport(menu));
+}));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// IMAGES
+// ═══════════════════════════════════════════════════════════════════════════════
+// Body: the image file itself (Content-Type image/jpeg | image/png | image/webp,
+// max 5 MB). Returns { id, url, sizes: { full, medium, thumb } }. Save url as
+// the item's image or the restaurant's bannerImage — uploads nothing points
+// at are deleted after a day, as are images of deleted items.
+
+// Any Content-Type, so a wrong one gets the service's 415 instead of an empty body
+const imageBody = express.raw({ type: () => true, limit: imageService.MAX_UPLOAD_BYTES });
+
+const uploadAs = (kind) => asyncHandler(async (req, res) => {
+  const image = await imageService.uploadImage({
+    restaurantId: req.restaurant.id,
+    userId:       req.user.id,
+    kind,
+    contentType:  req.get('Content-Type'),
+    buffer:       req.body,
+  });
+  return sendSuccess(res, image, 'Image uploaded', 201);
+});
+
+/** POST /api/v1/owner/images/menu-item */
+router.post('/images/menu-item', restaurantAccess('menu.edit'), uploadLimiter, imageBody, uploadAs('menu_item'));
+
+/** POST /api/v1/owner/images/banner */
+router.post('/images/banner', restaurantAccess('restaurant.settings'), uploadLimiter, imageBody, uploadAs('banner'));
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ORDER MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -336,9 +790,13 @@ router.delete('/menu-item/:id', asyncHandler(async (req, res) => {
  *
  * Issue #3 + #9: Correctly joins through restaurant to filter orders.
  * Only shows orders for the owner's own restaurant.
+ *
+ * ?queue=kitchen   → ASAP orders + scheduled orders already released
+ * ?queue=scheduled → scheduled orders not yet released (upcoming)
+ * (no queue param  → everything, unchanged behaviour)
  */
-router.get('/orders', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.get('/orders', restaurantAccess('orders.view'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
 
   const page   = Math.max(1, parseInt(req.query.page)  || 1);
   const limit  = Math.min(parseInt(req.query.limit) || 20, 100);
@@ -346,6 +804,11 @@ router.get('/orders', asyncHandler(async (req, res) => {
 
   const conditions = [eq(orders.restaurantId, restaurant.id)];
   if (req.query.status) conditions.push(eq(orders.status, req.query.status));
+  if (req.query.queue === 'kitchen') {
+    conditions.push(or(isNull(orders.scheduledPickupAt), isNotNull(orders.releasedAt)));
+  } else if (req.query.queue === 'scheduled') {
+    conditions.push(isNotNull(orders.scheduledPickupAt), isNull(orders.releasedAt));
+  }
 
   const data = await db.select({
     id:              orders.id,
@@ -358,6 +821,8 @@ router.get('/orders', asyncHandler(async (req, res) => {
     preparationTime: orders.preparationTime,
     pickupName:      orders.pickupName,
     notes:           orders.notes,
+    scheduledPickupAt: orders.scheduledPickupAt,
+    releasedAt:      orders.releasedAt,
     createdAt:       orders.createdAt,
     updatedAt:       orders.updatedAt,
   })
@@ -385,11 +850,28 @@ router.get('/orders', asyncHandler(async (req, res) => {
   return sendSuccess(res, { orders: ordersWithItems, page, limit });
 }));
 
+/**
+ * GET /api/v1/owner/orders/events
+ * Server-Sent Events stream for the kitchen tablet: new incoming orders,
+ * payments, status changes and scheduled-order releases for this restaurant.
+ */
+router.get('/orders/events', restaurantAccess('orders.view'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+
+  const stream = openEventStream(req, res);
+  stream.send('ready', { restaurantId: restaurant.id });
+
+  const unsubscribe = subscribe(`restaurant:${restaurant.id}`, (event) => stream.send(event.type, event));
+  stream.onClose(unsubscribe);
+
+  logger.debug('Owner order stream opened', { restaurantId: restaurant.id, ownerId: req.user.id });
+}));
+
 /**
  * GET /api/v1/owner/order/:id
  */
-router.get('/order/:id', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.get('/order/:id', restaurantAccess('orders.view'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
 
   const [order] = await db
     .select()
@@ -404,64 +886,198 @@ router.get('/order/:id', asyncHandler(async (req, res) => {
     .from(orderItems)
     .where(eq(orderItems.orderId, order.id));
 
-  return sendSuccess(res, { ...order, items });
-}));
+  const timeline = await orderHistory.getTimeline(order.id);
 
-// ─── Takeaway-only owner state machine ───────────────────────────────────────
-const OWNER_TRANSITIONS = {
-  pending:   ['confirmed'],
-  confirmed: ['preparing'],
-  preparing: ['ready'],
-  ready:     ['collected'],
-};
+  return sendSuccess(res, { ...order, items, timeline });
+}));
 
 /**
  * PATCH /api/v1/owner/order/:id/status
  */
-router.patch('/order/:id/status', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id);
+router.patch('/order/:id/status', restaurantAccess('orders.update_status'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
 
   const { status: newStatus, preparationTime } = req.body;
   if (!newStatus) throw new AppError('status is required', 400);
 
-  const [order] = await db
-    .select()
-    .from(orders)
-    .where(and(eq(orders.id, req.params.id), eq(orders.restaurantId, restaurant.id)))
-    .limit(1);
+  const updated = await orderService.ownerUpdateStatus(restaurant.id, req.params.id, newStatus, {
+    actorId: req.user.id, actorRole: req.restaurantAccess.actorRole, preparationTime,
+  });
 
-  if (!order) {
-    throw new AppError('Forbidden — order not found or does not belong to your restaurant', 403);
-  }
+  // Fire notification async (non-blocking)
+  notifyOrderStatusChange(updated).catch(err => logger.error('Notification failed', { error: err.message }));
+  return sendSuccess(res, updated, `Order status updated to '${newStatus}'`);
+}));
 
-  const allowed = OWNER_TRANSITIONS[order.status] ?? [];
-  if (!allowed.includes(newStatus)) {
-    const allowedStr = allowed.length ? allowed.join(', ') : 'none (terminal state)';
-    throw new AppError(
-      `Invalid transition: '${order.status}' → '${newStatus}'. Allowed: ${allowedStr}`,
-      400
-    );
-  }
+/**
+ * POST /api/v1/owner/order/:id/reject
+ * Body: { reasonCode: 'item_unavailable'|'too_busy'|'closing_soon'|'other', note? }
+ *
+ * Declines a pending/paid/confirmed order. Wallet credit and coupon usage go
+ * back to the customer, a paid order is refunded via Razorpay, and the
+ * rejection counts against the restaurant's acceptance rate.
+ */
+router.post('/order/:id/reject', restaurantAccess('orders.reject'), validate(schemas.rejectOrder), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+  const { reasonCode, note } = req.body;
 
-  const updateData = { status: newStatus, updatedAt: new Date() };
+  const result = await orderService.rejectOrder(req.params.id, restaurant.id, req.user.id, {
+    reasonCode, note, actorRole: req.restaurantAccess.actorRole,
+  });
 
-  if (preparationTime !== undefined && newStatus === 'confirmed') {
-    const mins = parseInt(preparationTime);
-    if (isNaN(mins) || mins < 1) {
-      throw new AppError('preparationTime must be a positive integer (minutes)', 400);
-    }
-    updateData.preparationTime = mins;
+  notifyOrderStatusChange(result.order, {
+    title: 'Order Declined ❌',
+    body:  `${result.reasonText}${note ? ` — ${note}` : ''}. Any amount you paid will be refunded.`,
+  }).catch(err => logger.error('Notification failed', { error: err.message }));
+
+  return sendSuccess(res, result, 'Order rejected');
+}));
+
+/**
+ * POST /api/v1/owner/order/:id/collect
+ * Body: { code } (4 digits read out by the customer) or { qrPayload } (scanned)
+ *
+ * The only way to move an order from 'ready' to 'collected'.
+ */
+router.post('/order/:id/collect',
+  restaurantAccess('orders.collect'),
+  pickupVerifyLimiter,
+  validate(schemas.collectOrder),
+  asyncHandler(async (req, res) => {
+    const restaurant = req.restaurant;
+
+    await pickupCodeService.verifyCode(restaurant.id, req.params.id, req.body, {
+      actorId: req.user.id, ip: req.ip,
+    });
+    const updated = await orderService.ownerUpdateStatus(restaurant.id, req.params.id, 'collected', {
+      actorId: req.user.id, actorRole: req.restaurantAccess.actorRole, pickupVerified: true,
+    });
+
+    notifyOrderStatusChange(updated).catch(err => logger.error('Notification failed', { error: err.message }));
+    return sendSuccess(res, updated, 'Order collected');
+  })
+);
+
+/**
+ * GET /api/v1/owner/metrics/acceptance?days=30
+ * Accepted vs rejected orders and the breakdown of rejection reasons.
+ */
+router.get('/metrics/acceptance', restaurantAccess('metrics.view'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+  return sendSuccess(res, await orderService.getAcceptanceStats(restaurant.id, { days }));
+}));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KITCHEN DISPLAY (KDS)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/v1/owner/kds
+ * Active orders grouped into lanes (new, confirmed, preparing, ready) with
+ * time-in-lane, overdue flags and item totals across preparing orders.
+ * Pair with GET /owner/orders/events to refresh on changes.
+ */
+router.get('/kds', restaurantAccess('orders.view'), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+  return sendSuccess(res, await kdsService.getBoard(restaurant.id));
+}));
+
+/**
+ * POST /api/v1/owner/kds/bulk-status
+ * Body: { orderIds: uuid[] (max 50), status }
+ * Tickets are bumped independently; failures are reported per order.
+ */
+router.post('/kds/bulk-status', restaurantAccess('orders.update_status'), validate(schemas.kdsBulkStatus), asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+  const { orderIds, status } = req.body;
+
+  const result = await kdsService.bulkUpdateStatus(restaurant.id, orderIds, status, {
+    actorId: req.user.id, actorRole: req.restaurantAccess.actorRole,
+  });
+
+  for (const order of result.updated) {
+    notifyOrderStatusChange(order).catch(err => logger.error('Notification failed', { error: err.message }));
   }
+  return sendSuccess(res, result, `${result.updated.length} of ${orderIds.length} orders updated to '${status}'`);
+}));
 
-  const [updated] = await db
-    .update(orders)
-    .set(updateData)
-    .where(eq(orders.id, order.id))
-    .returning();
+// ═══════════════════════════════════════════════════════════════════════════════
+// OUTLETS (multi-restaurant owners)
+// ═══════════════════════════════════════════════════════════════════════════════
 
-  // Fire notification async (non-blocking)
-  notifyOrderStatusChange(updated).catch(err => logger.error('Notification failed', { error: err.message }));
-  return sendSuccess(res, updated, `Order status updated to '${newStatus}'`);
+/**
+ * GET /api/v1/owner/outlets
+ * Restaurants the caller can manage — owned outlets, or staff memberships
+ * with the caller's role. The first entry is the default outlet.
+ */
+router.get('/outlets', asyncHandler(async (req, res) => {
+  return sendSuccess(res, await outletService.listOutlets(req.user));
+}));
+
+/**
+ * GET /api/v1/owner/dashboard?days=7
+ * Orders, revenue and active orders per outlet plus totals across outlets.
+ */
+router.get('/dashboard', authorize('restaurant_owner'), asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+  return sendSuccess(res, await outletService.getDashboard(req.user.id, { days }));
+}));
+
+/**
+ * POST /api/v1/owner/menu/copy
+ * Body: { sourceRestaurantId }
+ * Copies the source outlet's menu into the selected outlet. Items that
+ * already exist there (by name) are skipped.
+ */
+router.post('/menu/copy',
+  authorize('restaurant_owner'),
+  restaurantAccess('menu.edit'),
+  validate(schemas.copyMenu),
+  asyncHandler(async (req, res) => {
+    const result = await outletService.copyMenu(req.user.id, req.body.sourceRestaurantId, req.restaurant.id);
+    return sendSuccess(res, result, `${result.itemsCopied} item(s) copied`);
+  })
+);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STAFF
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/v1/owner/staff
+ * Active members and pending invitations.
+ */
+router.get('/staff', restaurantAccess('staff.manage'), asyncHandler(async (req, res) => {
+  return sendSuccess(res, await staffService.listStaff(req.restaurant.id));
+}));
+
+/**
+ * POST /api/v1/owner/staff
+ * Body: { phone, role: 'manager'|'cashier'|'kitchen' }
+ * The invitee accepts from POST /user/staff-invitations/:id/accept.
+ */
+router.post('/staff', restaurantAccess('staff.manage'), validate(schemas.inviteStaff), asyncHandler(async (req, res) => {
+  const invite = await staffService.inviteStaff(req.restaurant, req.user.id, req.body);
+  return sendSuccess(res, invite, 'Invitation sent', 201);
+}));
+
+/**
+ * PATCH /api/v1/owner/staff/:id
+ * Body: { role }
+ */
+router.patch('/staff/:id', restaurantAccess('staff.manage'), validate(schemas.staffRole), asyncHandler(async (req, res) => {
+  const updated = await staffService.updateStaffRole(req.restaurant.id, req.params.id, req.body.role);
+  return sendSuccess(res, updated, 'Staff role updated');
+}));
+
+/**
+ * DELETE /api/v1/owner/staff/:id
+ * Revokes a member (or withdraws a pending invitation). Takes effect on their next request.
+ */
+router.delete('/staff/:id', restaurantAccess('staff.manage'), asyncHandler(async (req, res) => {
+  await staffService.revokeStaff(req.restaurant.id, req.params.id);
+  return sendSuccess(res, {}, 'Staff access revoked');
 }));
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -473,7 +1089,9 @@ router.patch('/order/:id/status', asyncHandler(async (req, res) => {
  * Returns whether the current owner has accepted the platform T&C.
  */
 router.get('/terms-status', asyncHandler(async (req, res) => {
-  const restaurant = await getOwnedRestaurant(req.user.id).catch(() => null);
+  const restaurant = await resolveRestaurantAccess(req.user, selectedRestaurantId(req))
+    .then(a => a.restaurant)
+    .catch(() => null);
   return sendSuccess(res, {
     accepted:   !!restaurant?.termsAcceptedAt,
     acceptedAt: restaurant?.termsAcceptedAt ?? null,
@@ -485,12 +1103,12 @@ router.get('/terms-status', asyncHandler(async (req, res) => {
  * Records T&C acceptance for the owner's restaurant.
  * Body: { accepted: true } — must be explicitly true.
  */
-router.post('/terms-accept', asyncHandler(async (req, res) => {
+router.post('/terms-accept', authorize('restaurant_owner'), restaurantAccess(), asyncHandler(async (req, res) => {
   if (req.body.accepted !== true) {
     throw new AppError('You must explicitly accept the Terms & Conditions (accepted: true)', 400);
   }
 
-  const restaurant = await getOwnedRestaurant(req.user.id);
+  const restaurant = req.restaurant;
 
   if (restaurant.termsAcceptedAt) {
     // Already accepted — idempotent, no error
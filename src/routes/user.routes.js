@@ -10,6 +10,8 @@ router.get('/profile',          ctrl.getProfile);
 router.put('/profile',          validate(schemas.updateProfile), ctrl.updateProfile);
 router.put('/password',         validate(schemas.changePassword), ctrl.changePassword);
 router.post('/push-token',      ctrl.savePushToken);
+router.delete('/push-token',    ctrl.removePushToken);
+router.get('/push-devices',     ctrl.getPushDevices);
 
 // Addresses
 router.get('/addresses',        ctrl.getAddresses);
@@ -27,4 +29,9 @@ router.get('/notifications',             ctrl.getNotifications);
 router.patch('/notifications/read-all',  ctrl.markAllNotificationsRead);
 router.patch('/notifications/:id/read',  ctrl.markNotificationRead);
 
+// Staff invitations
+router.get('/staff-invitations',               ctrl.getStaffInvitations);
+router.post('/staff-invitations/:id/accept',   ctrl.acceptStaffInvitation);
+router.post('/staff-invitations/:id/decline',  ctrl.declineStaffInvitation);
+
 module.exports = router;
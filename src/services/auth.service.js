@@ -12,6 +12,8 @@ const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 const SELF_ASSIGNABLE_ROLES = ['user', 'restaurant_owner'];
+// restaurant_staff is granted by accepting a staff invitation, never self-assigned
+const SWITCHABLE_ROLES = [...SELF_ASSIGNABLE_ROLES, 'restaurant_staff'];
 
 // ─── Internal guards ──────────────────────────────────────────────────────────
 
@@ -341,7 +343,12 @@ const addUserRole = async (userId, role) => {
  */
 const switchPrimaryRole = async (userId, role) => {
   _rejectAdminRole(role);
-  _validateSelfAssignableRole(role);
+  if (!SWITCHABLE_ROLES.includes(role)) {
+    throw new AppError(
+      `Invalid role "${role}". Allowed values: ${SWITCHABLE_ROLES.join(', ')}.`,
+      400
+    );
+  }
 
   // User must already have this role
   const [existing] = await db.select({ id: userRoles.id })
@@ -2,8 +2,9 @@
  * src/services/cart.service.js
  *
  * TAKEAWAY-ONLY pricing:
- *   totalAmount = subtotal - discountAmount
- *   No deliveryFee. No taxAmount.
+ *   totalAmount = subtotal - discountAmount + feeAmount + taxAmount
+ *   No deliveryFee. Packaging / platform fees come from fee rules
+ *   (fee.service.js); GST is charged on the discounted amount (utils/tax.js).
  *
  * Duplicate-item merging:
  *   addToCart checks for an existing row with the same
@@ -12,10 +13,15 @@
  */
 const { db } = require('../db');
 const {
-  carts, cartItems, menuItems, menuItemVariants, addOns, restaurants,
+  carts, cartItems, categories, menuItems, menuItemVariants, addOns, restaurants,
 } = require('../db/schema');
-const { eq, and, inArray } = require('drizzle-orm');
+const { eq, and, inArray, isNull } = require('drizzle-orm');
 const { AppError } = require('../utils/response');
+const { calculateTax } = require('../utils/tax');
+const menuService = require('./menu.service');
+const feeService = require('./fee.service');
+const stockService = require('./stock.service');
+const menuAvailability = require('./menuAvailability.service');
 
 // ─── Public API ───────────────────────────────────────────────────────────────
 
@@ -28,8 +34,11 @@ const getCart = async (userId) => {
   const cart = await getOrCreateCart(userId);
   if (!cart) return { cart: null, items: [], pricing: _emptyPricing() };
 
+  const [restaurant] = await db.select({ gstin: restaurants.gstin, gstRate: restaurants.gstRate })
+    .from(restaurants).where(eq(restaurants.id, cart.restaurantId)).limit(1);
+  const feeRules = await feeService.getActiveRules(cart.restaurantId);
   const items   = await _getCartItemsWithDetails(cart.id);
-  const pricing = _calculatePricing(items);
+  const { lines, ...pricing } = _calculatePricing(items, restaurant, { feeRules });
 
   return { cart, items, pricing };
 };
@@ -40,6 +49,15 @@ const getCart = async (userId) => {
  * Fingerprint: sorted JSON of the add-on IDs supplied by the client.
  * If the fingerprint matches an existing row the quantity is incremented and
  * the addOns snapshot is kept from the existing row (no silent price change).
+ *
+ * Variants: variantId must be a live, available variant of the item. Items
+ * that have variants fall back to their default when none is given.
+ * Add-ons must be available and satisfy the item's add-on group rules
+ * (min/max per group); createOrder re-checks them at checkout.
+ * Daily stock: the cart may not hold more of an item (or variant) than is
+ * left today; stock is only taken at checkout.
+ * Items outside their (or their category's) availability window are rejected,
+ * as are items in a hidden category.
  */
 const addToCart = async (userId, { menuItemId, variantId, addOnIds = [], quantity }) => {
   // 1. Source of truth: server-side menu item
@@ -47,6 +65,47 @@ const addToCart = async (userId, { menuItemId, variantId, addOnIds = [], quantit
     .where(and(eq(menuItems.id, menuItemId), eq(menuItems.isAvailable, true)))
     .limit(1);
   if (!item) throw new AppError('Menu item not available', 400);
+  if (item.categoryId) {
+    const [category] = await db.select({ isActive: categories.isActive })
+      .from(categories).where(eq(categories.id, item.categoryId)).limit(1);
+    if (category && !category.isActive) throw new AppError('Menu item not available', 400);
+  }
+
+  // 1a. Time-based availability (breakfast-only items etc.)
+  const [restaurant] = await db.select({ id: restaurants.id, timezone: restaurants.timezone })
+    .from(restaurants).where(eq(restaurants.id, item.restaurantId)).limit(1);
+  await menuAvailability.assertServed(restaurant, [item]);
+
+  // 1b. Variant must belong to this item; default variant when omitted
+  const itemVariants = await db.select().from(menuItemVariants)
+    .where(and(eq(menuItemVariants.menuItemId, menuItemId), isNull(menuItemVariants.archivedAt)));
+  let variant = null;
+  if (variantId) {
+    variant = itemVariants.find(v => v.id === variantId);
+    if (!variant) throw new AppError('Variant not found for this item', 400);
+    if (!variant.isAvailable) throw new AppError(`'${variant.name}' is not available right now`, 400);
+  } else if (itemVariants.length) {
+    variant = itemVariants.find(v => v.isDefault && v.isAvailable);
+    if (!variant) throw new AppError('Please choose a variant for this item', 400);
+    variantId = variant.id;
+  }
+
+  // 1c. Add-ons must exist for this item and satisfy its group rules
+  const requestedAddOnIds = [...new Set(addOnIds)];
+  let selectedAddOns = [];
+  if (requestedAddOnIds.length) {
+    selectedAddOns = await db.select().from(addOns)
+      .where(and(
+        inArray(addOns.id, requestedAddOnIds),
+        eq(addOns.menuItemId, menuItemId),
+        eq(addOns.isAvailable, true),
+      ));
+    if (selectedAddOns.length !== requestedAddOnIds.length) {
+      throw new AppError('Some selected add-ons are not available for this item', 400);
+    }
+  }
+  const groupsByItem = await menuService.loadAddOnGroups([menuItemId]);
+  menuService.checkAddOnSelection(item.name, groupsByItem[menuItemId] ?? [], selectedAddOns);
 
   // 2. Cross-restaurant guard
   const existingCart = await getOrCreateCart(userId);
@@ -66,20 +125,16 @@ const addToCart = async (userId, { menuItemId, variantId, addOnIds = [], quantit
   }
 
   // 4. Build server-side addOn snapshot (never trust client prices)
-  let addOnSnapshot = [];
-  if (addOnIds.length) {
-    const validAddOns = await db.select().from(addOns)
-      .where(and(inArray(addOns.id, addOnIds), eq(addOns.menuItemId, menuItemId)));
-    addOnSnapshot = validAddOns.map(a => ({
-      addOnId: a.id,
-      name:    a.name,
-      price:   a.price,
-    }));
-  }
+  const addOnSnapshot = selectedAddOns.map(a => ({
+    addOnId: a.id,
+    name:    a.name,
+    price:   a.price,
+    groupId: a.groupId ?? null,
+  }));
 
   // 5. Build deduplication fingerprint from the REQUESTED add-on IDs (sorted)
   //    so that order of the array doesn't create phantom duplicates.
-  const addOnFingerprint = JSON.stringify([...addOnIds].sort());
+  const addOnFingerprint = JSON.stringify([...requestedAddOnIds].sort());
 
   // 6. Scan existing cart rows for a matching (item + variant + addOns) combination
   const existingRows = await db.select().from(cartItems)
@@ -89,6 +144,8 @@ const addToCart = async (userId, { menuItemId, variantId, addOnIds = [], quantit
       // NULL-safe variant comparison handled below in JS
     ));
 
+  await stockService.assertAvailable(item, variant, _stockQuantities(existingRows, variantId, quantity));
+
   const matchingRow = existingRows.find(row => {
     // Variant must match exactly (both null, or same UUID)
     const variantMatch = (row.variantId ?? null) === (variantId ?? null);
@@ -133,6 +190,24 @@ const updateCartItem = async (userId, { cartItemId, quantity }) => {
 
   if (quantity === 0) return removeCartItem(userId, cartItemId);
 
+  const [row] = await db.select().from(cartItems)
+    .where(and(eq(cartItems.id, cartItemId), eq(cartItems.cartId, cart.id)))
+    .limit(1);
+  if (!row) throw new AppError('Cart item not found', 404);
+
+  const [item] = await db.select().from(menuItems).where(eq(menuItems.id, row.menuItemId)).limit(1);
+  if (item) {
+    const [variant] = row.variantId
+      ? await db.select().from(menuItemVariants).where(eq(menuItemVariants.id, row.variantId)).limit(1)
+      : [null];
+    const siblings = await db.select().from(cartItems)
+      .where(and(eq(cartItems.cartId, cart.id), eq(cartItems.menuItemId, row.menuItemId)));
+    await stockService.assertAvailable(
+      item, variant ?? null,
+      _stockQuantities(siblings.filter(r => r.id !== row.id), row.variantId, quantity)
+    );
+  }
+
   const [updated] = await db.update(cartItems)
     .set({ quantity, updatedAt: new Date() })
     .where(and(eq(cartItems.id, cartItemId), eq(cartItems.cartId, cart.id)))
@@ -167,6 +242,12 @@ const clearCart = async (userId) => {
 
 // ─── Internal helpers ─────────────────────────────────────────────────────────
 
+/** Item and variant totals the cart would hold: other rows of the item + `quantity`. */
+const _stockQuantities = (rows, variantId, quantity) => ({
+  itemQty:    rows.reduce((s, r) => s + r.quantity, 0) + quantity,
+  variantQty: rows.filter(r => variantId && r.variantId === variantId).reduce((s, r) => s + r.quantity, 0) + quantity,
+});
+
 const _getCartItemsWithDetails = async (cartId) => {
   const items = await db.select().from(cartItems).where(eq(cartItems.cartId, cartId));
   if (!items.length) return [];
@@ -198,6 +279,7 @@ const _getCartItemsWithDetails = async (cartId) => {
         name:  menuItem.name,
         image: menuItem.image,
         isVeg: menuItem.isVeg,
+        gstRate: menuItem.gstRate,
       },
       variant,
       unitPrice,
@@ -207,18 +289,45 @@ const _getCartItemsWithDetails = async (cartId) => {
 };
 
 /**
- * TAKEAWAY pricing — no tax, no delivery fee.
- *   totalAmount = subtotal - discountAmount
+ * TAKEAWAY pricing — fees and GST, no delivery fee.
+ *   totalAmount = subtotal - discountAmount + feeAmount + taxAmount
+ *
+ * couponDiscount is applied to the items only, before tax (createOrder passes
+ * it once the coupon is validated). Restaurant fees are taxed at the
+ * restaurant's rate; platform fees aren't. `lines` matches `items` one-to-one
+ * (rate and taxable amount per item) for the order snapshot; getCart leaves
+ * it out.
  */
-const _calculatePricing = (items) => {
+const _calculatePricing = (items, restaurant, { couponDiscount = 0, feeRules = [] } = {}) => {
   const subtotal       = parseFloat(items.reduce((s, i) => s + i.totalPrice, 0).toFixed(2));
-  const discountAmount = 0; // reserved for future coupon system
-  const totalAmount    = parseFloat((subtotal - discountAmount).toFixed(2));
-
-  return { subtotal, discountAmount, totalAmount };
+  const discountAmount = parseFloat(Math.min(couponDiscount, subtotal).toFixed(2));
+  const { feeAmount, fees } = feeService.calculateFees(items, feeRules);
+  const taxedFees = fees.filter(f => f.source === 'restaurant' && f.amount > 0);
+
+  const tax = calculateTax([
+    ...items.map(i => ({ amount: i.totalPrice, gstRate: i.menuItem.gstRate })),
+    ...taxedFees.map(f => ({ amount: f.amount, discountable: false })),
+  ], { gstin: restaurant?.gstin, gstRate: restaurant?.gstRate, discountAmount });
+  taxedFees.forEach((fee, k) => { fee.gstRate = tax.lines[items.length + k].gstRate; });
+
+  const totalAmount    = parseFloat((subtotal - discountAmount + feeAmount + tax.taxAmount).toFixed(2));
+
+  return {
+    subtotal, discountAmount,
+    fees,
+    feeAmount,
+    taxableAmount: tax.taxableAmount,
+    taxAmount:     tax.taxAmount,
+    taxLines:      tax.taxLines,
+    totalAmount,
+    lines:         tax.lines.slice(0, items.length),
+  };
 };
 
-const _emptyPricing = () => ({ subtotal: 0, discountAmount: 0, totalAmount: 0 });
+const _emptyPricing = () => ({
+  subtotal: 0, discountAmount: 0, fees: [], feeAmount: 0,
+  taxableAmount: 0, taxAmount: 0, taxLines: [], totalAmount: 0,
+});
 
 module.exports = {
   getCart,
@@ -0,0 +1,224 @@
+/**
+ * src/services/category.service.js
+ * Owner-side menu categories — CRUD, bulk reorder and moving items.
+ *
+ * Hidden categories (isActive = false) and their items are left out of the
+ * public getMenu. Deleting a category that still has items needs a
+ * destination: another category, or 'other' — a catch-all "Other" category
+ * created on demand.
+ */
+const { db, pool } = require('../db');
+const { categories, menuItems } = require('../db/schema');
+const { eq, and, asc, ne, inArray, sql } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const logger = require('../utils/logger');
+
+const OTHER_CATEGORY_NAME = 'Other';
+
+const _getCategory = async (restaurantId, categoryId) => {
+  const [category] = await db.select().from(categories)
+    .where(and(eq(categories.id, categoryId), eq(categories.restaurantId, restaurantId)))
+    .limit(1);
+  if (!category) throw new AppError('Category not found or does not belong to your restaurant', 404);
+  return category;
+};
+
+const _assertNameFree = async (restaurantId, name, exceptId = null) => {
+  const conditions = [
+    eq(categories.restaurantId, restaurantId),
+    sql`LOWER(${categories.name}) = LOWER(${name})`,
+  ];
+  if (exceptId) conditions.push(ne(categories.id, exceptId));
+
+  const [clash] = await db.select({ id: categories.id }).from(categories).where(and(...conditions)).limit(1);
+  if (clash) throw new AppError(`A category named '${name}' already exists`, 409);
+};
+
+// ─── Read ─────────────────────────────────────────────────────────────────────
+
+/** listCategories(restaurantId) — every category (hidden too) with its item count, menu order */
+const listCategories = (restaurantId) =>
+  db.select({
+    id:          categories.id,
+    name:        categories.name,
+    description: categories.description,
+    sortOrder:   categories.sortOrder,
+    isActive:    categories.isActive,
+    createdAt:   categories.createdAt,
+    // Qualified by hand — Drizzle renders a bare "id" in single-table selects
+    itemCount:   sql`(SELECT COUNT(*)::int FROM menu_items mi WHERE mi.category_id = categories.id)`,
+  })
+    .from(categories)
+    .where(eq(categories.restaurantId, restaurantId))
+    .orderBy(asc(categories.sortOrder), asc(categories.createdAt));
+
+// ─── Write ────────────────────────────────────────────────────────────────────
+
+/**
+ * createCategory(restaurantId, { name, description?, sortOrder?, isActive? })
+ * Without sortOrder the category goes to the end of the menu.
+ */
+const createCategory = async (restaurantId, { name, description, sortOrder, isActive }) => {
+  name = name.trim();
+  await _assertNameFree(restaurantId, name);
+
+  if (sortOrder === undefined) {
+    const [{ max }] = await db.select({ max: sql`COALESCE(MAX(${categories.sortOrder}), -1)::int` })
+      .from(categories)
+      .where(eq(categories.restaurantId, restaurantId));
+    sortOrder = max + 1;
+  }
+
+  const [category] = await db.insert(categories)
+    .values({ restaurantId, name, description, sortOrder, isActive: isActive ?? true })
+    .returning();
+
+  logger.info('Category created', { restaurantId, categoryId: category.id });
+  return category;
+};
+
+/** updateCategory(restaurantId, categoryId, { name?, description?, sortOrder?, isActive? }) */
+const updateCategory = async (restaurantId, categoryId, data) => {
+  await _getCategory(restaurantId, categoryId);
+
+  const updateData = {};
+  for (const field of ['name', 'description', 'sortOrder', 'isActive']) {
+    if (data[field] !== undefined) updateData[field] = data[field];
+  }
+  if (updateData.name !== undefined) {
+    updateData.name = updateData.name.trim();
+    await _assertNameFree(restaurantId, updateData.name, categoryId);
+  }
+
+  const [updated] = await db.update(categories)
+    .set(updateData)
+    .where(eq(categories.id, categoryId))
+    .returning();
+  return updated;
+};
+
+/**
+ * reorderCategories(restaurantId, [{ id, sortOrder }])
+ * All-or-nothing — every id must belong to the restaurant.
+ */
+const reorderCategories = async (restaurantId, order) => {
+  const ids = order.map(o => o.id);
+  if (new Set(ids).size !== ids.length) throw new AppError('Duplicate category ids in reorder list', 400);
+
+  const owned = await db.select({ id: categories.id }).from(categories)
+    .where(and(eq(categories.restaurantId, restaurantId), inArray(categories.id, ids)));
+  if (owned.length !== ids.length) {
+    throw new AppError('One or more categories not found or do not belong to your restaurant', 404);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { id, sortOrder } of order) {
+      await client.query('UPDATE categories SET sort_order = $1 WHERE id = $2', [sortOrder, id]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return listCategories(restaurantId);
+};
+
+/**
+ * moveItems(restaurantId, categoryId, menuItemIds)
+ * Moves the given items into categoryId. All-or-nothing, like reorderCategories.
+ */
+const moveItems = async (restaurantId, categoryId, menuItemIds) => {
+  await _getCategory(restaurantId, categoryId);
+  const ids = [...new Set(menuItemIds)];
+
+  const owned = await db.select({ id: menuItems.id }).from(menuItems)
+    .where(and(eq(menuItems.restaurantId, restaurantId), inArray(menuItems.id, ids)));
+  if (owned.length !== ids.length) {
+    throw new AppError('One or more menu items not found or do not belong to your restaurant', 404);
+  }
+
+  await db.update(menuItems)
+    .set({ categoryId, updatedAt: new Date() })
+    .where(inArray(menuItems.id, ids));
+
+  return { categoryId, moved: ids.length };
+};
+
+/**
+ * deleteCategory(restaurantId, categoryId, { moveTo? })
+ * moveTo: another category id, or 'other'. Required when the category has items.
+ */
+const deleteCategory = async (restaurantId, categoryId, { moveTo } = {}) => {
+  const category = await _getCategory(restaurantId, categoryId);
+
+  const [{ count }] = await db.select({ count: sql`COUNT(*)::int` })
+    .from(menuItems)
+    .where(eq(menuItems.categoryId, categoryId));
+
+  if (count > 0 && !moveTo) {
+    throw new AppError(
+      `Category '${category.name}' has ${count} item(s). Pass moveTo=<categoryId> or moveTo=other.`,
+      400
+    );
+  }
+  if (moveTo && moveTo !== 'other') {
+    if (moveTo === categoryId) throw new AppError('moveTo must be a different category', 400);
+    await _getCategory(restaurantId, moveTo);
+  }
+  if (moveTo === 'other' && category.name.toLowerCase() === OTHER_CATEGORY_NAME.toLowerCase()) {
+    throw new AppError(`Items in '${category.name}' need another category to move to`, 400);
+  }
+
+  const client = await pool.connect();
+  let targetId = null;
+  try {
+    await client.query('BEGIN');
+
+    if (count > 0) {
+      targetId = moveTo;
+      if (moveTo === 'other') {
+        const { rows: [existing] } = await client.query(
+          'SELECT id FROM categories WHERE restaurant_id = $1 AND LOWER(name) = LOWER($2) LIMIT 1',
+          [restaurantId, OTHER_CATEGORY_NAME]
+        );
+        targetId = existing?.id ?? (await client.query(
+          `INSERT INTO categories (restaurant_id, name, sort_order)
+           SELECT $1, $2, COALESCE(MAX(sort_order), -1) + 1 FROM categories WHERE restaurant_id = $1
+           RETURNING id`,
+          [restaurantId, OTHER_CATEGORY_NAME]
+        )).rows[0].id;
+      }
+      await client.query(
+        'UPDATE menu_items SET category_id = $1, updated_at = NOW() WHERE category_id = $2',
+        [targetId, categoryId]
+      );
+    }
+
+    await client.query('DELETE FROM categories WHERE id = $1', [categoryId]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  logger.info('Category deleted', { restaurantId, categoryId, movedItems: count, movedTo: targetId });
+  return { deleted: categoryId, movedItems: count, movedTo: targetId };
+};
+
+module.exports = {
+  OTHER_CATEGORY_NAME,
+  getCategory: _getCategory,
+  listCategories,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  moveItems,
+  deleteCategory,
+};
@@ -10,6 +10,8 @@ const logger = require('../utils/logger');
 
 /**
  * validateCoupon(code, userId, subtotal)
+ * subtotal is the item subtotal — packaging/platform fees and tax never count
+ * towards minOrder or a percentage discount.
  * Returns { coupon, discountAmount } if valid, throws AppError if not.
  */
 const validateCoupon = async (code, userId, subtotal) => {
@@ -35,11 +37,11 @@ const validateCoupon = async (code, userId, subtotal) => {
     throw new AppError('This coupon has reached its usage limit', 400);
   }
 
-  // Minimum order check
+  // Minimum order check — items only, before fees and taxes
   const minOrder = parseFloat(coupon.minOrder || 0);
   if (subtotal < minOrder) {
     throw new AppError(
-      `Minimum order of ₹${minOrder.toFixed(2)} required to use this coupon`,
+      `Minimum order of ₹${minOrder.toFixed(2)} (before fees and taxes) required to use this coupon`,
       400
     );
   }
@@ -91,6 +93,26 @@ const recordCouponUsage = async (couponId, userId, orderId) => {
     .where(eq(coupons.id, couponId));
 };
 
+/**
+ * releaseCouponUsage(client, orderId)
+ * Gives a coupon back to the user when the restaurant declines the order.
+ * Runs on the caller's transaction client (raw SQL).
+ */
+const releaseCouponUsage = async (client, orderId) => {
+  const { rows } = await client.query(
+    `DELETE FROM coupon_usage WHERE order_id = $1 RETURNING coupon_id`,
+    [orderId]
+  );
+  for (const { coupon_id: couponId } of rows) {
+    await client.query(
+      `UPDATE coupons SET used_count = GREATEST(used_count - 1, 0), updated_at = NOW() WHERE id = $1`,
+      [couponId]
+    );
+  }
+  if (rows.length) logger.info('Coupon usage released', { orderId, count: rows.length });
+  return rows.length;
+};
+
 /**
  * Admin: create coupon
  */
@@ -109,4 +131,4 @@ const createCoupon = async (data) => {
   return coupon;
 };
 
-module.exports = { validateCoupon, recordCouponUsage, createCoupon };
+module.exports = { validateCoupon, recordCouponUsage, releaseCouponUsage, createCoupon };
@@ -0,0 +1,159 @@
+/**
+ * src/services/fee.service.js
+ * Packaging and platform fee rules, and the fees they add to a cart.
+ *
+ * Restaurant rules (restaurantId set) are the owner's own charges, e.g.
+ * packaging; they are part of the restaurant's supply and taxed at its GST
+ * rate. Platform rules (restaurantId null) are managed by admins, apply to
+ * every order and carry no restaurant GST.
+ *
+ * Every fee is worked out on the item subtotal before any coupon, so a coupon
+ * never changes a fee and fees never count towards a minimum order:
+ *   per_item   flat: value per unit        percentage: value% of each unit price
+ *   per_order  flat: value                 percentage: value% of the item subtotal
+ * maxAmount caps each unit's fee (per_item) or the order's (per_order).
+ * A rule is waived once the item subtotal reaches waiveAbove.
+ */
+const { db } = require('../db');
+const { feeRules } = require('../db/schema');
+const { eq, and, or, asc, isNull, sql } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const logger = require('../utils/logger');
+
+const _paise = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const _rupees = (paise) => parseFloat((paise / 100).toFixed(2));
+
+const _ownerCondition = (restaurantId) =>
+  restaurantId ? eq(feeRules.restaurantId, restaurantId) : isNull(feeRules.restaurantId);
+
+const _getRule = async (restaurantId, ruleId) => {
+  const [rule] = await db.select().from(feeRules)
+    .where(and(eq(feeRules.id, ruleId), _ownerCondition(restaurantId)))
+    .limit(1);
+  if (!rule) throw new AppError('Fee rule not found', 404);
+  return rule;
+};
+
+const _assertValue = ({ type, value }) => {
+  if (type === 'percentage' && parseFloat(value) > 100) {
+    throw new AppError('A percentage fee cannot be more than 100', 400);
+  }
+};
+
+// ─── Pricing ──────────────────────────────────────────────────────────────────
+
+/** getActiveRules(restaurantId) — the restaurant's active rules, then the platform's */
+const getActiveRules = (restaurantId) =>
+  db.select().from(feeRules)
+    .where(and(
+      eq(feeRules.isActive, true),
+      or(eq(feeRules.restaurantId, restaurantId), isNull(feeRules.restaurantId)),
+    ))
+    .orderBy(sql`${feeRules.restaurantId} IS NULL`, asc(feeRules.createdAt));
+
+/** One rule's charge in paise, before any waiver */
+const _ruleAmount = (rule, items, subtotal) => {
+  const value = parseFloat(rule.value);
+  const cap = rule.maxAmount != null ? _paise(rule.maxAmount) : Infinity;
+  if (rule.scope === 'per_order') {
+    return Math.min(rule.type === 'flat' ? _paise(value) : Math.round((subtotal * value) / 100), cap);
+  }
+  return items.reduce((sum, item) => {
+    const perUnit = rule.type === 'flat' ? _paise(value) : Math.round((_paise(item.unitPrice) * value) / 100);
+    return sum + Math.min(perUnit, cap) * item.quantity;
+  }, 0);
+};
+
+/**
+ * calculateFees(items, rules)
+ *   items: cart lines ({ unitPrice, quantity, totalPrice })
+ * Returns { feeAmount, fees: [{ ruleId, label, source, scope, type, value,
+ * waiveAbove, isRefundable, waived, amount }] }. Waived rules stay in the list
+ * at 0 so the cart can show "free above ₹X".
+ */
+const calculateFees = (items, rules) => {
+  const subtotal = items.reduce((s, i) => s + _paise(i.totalPrice), 0);
+  const fees = rules.map(rule => {
+    const waived = rule.waiveAbove != null && subtotal >= _paise(rule.waiveAbove);
+    return {
+      ruleId:       rule.id,
+      label:        rule.label,
+      source:       rule.restaurantId ? 'restaurant' : 'platform',
+      scope:        rule.scope,
+      type:         rule.type,
+      value:        parseFloat(rule.value),
+      waiveAbove:   rule.waiveAbove != null ? parseFloat(rule.waiveAbove) : null,
+      isRefundable: rule.isRefundable,
+      waived,
+      amount:       waived ? 0 : _rupees(_ruleAmount(rule, items, subtotal)),
+    };
+  });
+  return { feeAmount: _rupees(fees.reduce((s, f) => s + _paise(f.amount), 0)), fees };
+};
+
+/** nonRefundableAmount(order) — fees kept when a customer cancels a paid order */
+const nonRefundableAmount = (order) =>
+  _rupees((order.feeLines ?? []).filter(f => !f.isRefundable).reduce((s, f) => s + _paise(f.amount), 0));
+
+// ─── Rule management ──────────────────────────────────────────────────────────
+// restaurantId null = platform rules (admin routes)
+
+const listRules = (restaurantId) =>
+  db.select().from(feeRules)
+    .where(_ownerCondition(restaurantId))
+    .orderBy(asc(feeRules.createdAt));
+
+/** createRule(restaurantId, { label, scope, type, value, maxAmount?, waiveAbove?, isRefundable?, isActive? }) */
+const createRule = async (restaurantId, data) => {
+  _assertValue(data);
+  const [rule] = await db.insert(feeRules).values({
+    restaurantId: restaurantId ?? null,
+    label:        data.label,
+    scope:        data.scope,
+    type:         data.type,
+    value:        data.value.toFixed(2),
+    maxAmount:    data.maxAmount != null ? data.maxAmount.toFixed(2) : null,
+    waiveAbove:   data.waiveAbove != null ? data.waiveAbove.toFixed(2) : null,
+    isRefundable: data.isRefundable ?? true,
+    isActive:     data.isActive ?? true,
+  }).returning();
+
+  logger.info('Fee rule created', { restaurantId, ruleId: rule.id, label: rule.label });
+  return rule;
+};
+
+/** updateRule(restaurantId, ruleId, changes) — any createRule field */
+const updateRule = async (restaurantId, ruleId, changes) => {
+  const rule = await _getRule(restaurantId, ruleId);
+  _assertValue({ type: changes.type ?? rule.type, value: changes.value ?? rule.value });
+
+  const money = (v) => (v != null ? v.toFixed(2) : v);
+  const [updated] = await db.update(feeRules)
+    .set({
+      ...changes,
+      ...(changes.value      !== undefined && { value:      money(changes.value) }),
+      ...(changes.maxAmount  !== undefined && { maxAmount:  money(changes.maxAmount) }),
+      ...(changes.waiveAbove !== undefined && { waiveAbove: money(changes.waiveAbove) }),
+      updatedAt: new Date(),
+    })
+    .where(eq(feeRules.id, rule.id))
+    .returning();
+  return updated;
+};
+
+/** deleteRule(restaurantId, ruleId) — orders keep their fee snapshot */
+const deleteRule = async (restaurantId, ruleId) => {
+  const rule = await _getRule(restaurantId, ruleId);
+  await db.delete(feeRules).where(eq(feeRules.id, rule.id));
+  logger.info('Fee rule deleted', { restaurantId, ruleId });
+};
+
+module.exports = {
+  getActiveRules,
+  calculateFees,
+  nonRefundableAmount,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+};
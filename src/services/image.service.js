@@ -0,0 +1,209 @@
+/**
+ * src/services/image.service.js
+ * Server-side image uploads for menu items and restaurant banners.
+ *
+ * The upload is the raw request body with Content-Type image/jpeg, image/png
+ * or image/webp. The declared type must match the file's magic bytes; sharp
+ * then decodes it, applies the EXIF orientation and re-encodes WebP in three
+ * sizes (SIZES). Re-encoding drops EXIF — GPS position, camera serial — and
+ * every other metadata block. Files go through the storage adapter
+ * (utils/storage) and each upload gets an images row. The caller saves the
+ * returned url as menuItems.image / restaurants.bannerImage.
+ *
+ * An image is orphaned once no menu item or restaurant points at its url:
+ * the item was deleted, the image replaced, or the upload never used.
+ * collectOrphanedImages (background job) removes orphans older than
+ * ORPHAN_GRACE_MS, which leaves time to attach a fresh upload.
+ */
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { db, pool } = require('../db');
+const { images } = require('../db/schema');
+const { inArray } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const { getStorage } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_INPUT_PIXELS = 40_000_000; // decompression-bomb guard (~6300 × 6300)
+const ORPHAN_GRACE_MS  = 24 * 60 * 60 * 1000;
+const GC_BATCH_SIZE    = 100;
+const WEBP_QUALITY     = 82;
+const CACHE_CONTROL    = 'public, max-age=31536000, immutable'; // keys are never reused
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const SIGNATURES = {
+  'image/jpeg': (buf) => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  'image/png':  (buf) => buf.length > 8 && buf.subarray(0, 8).equals(PNG_MAGIC),
+  'image/webp': (buf) => buf.length > 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP',
+};
+const ALLOWED_TYPES = Object.keys(SIGNATURES);
+
+// Never enlarged; 'cover' crops to the exact box, 'inside' keeps the aspect ratio
+const SIZES = {
+  menu_item: {
+    full:   { width: 1200, height: 1200, fit: 'inside' },
+    medium: { width: 600,  height: 600,  fit: 'inside' },
+    thumb:  { width: 200,  height: 200,  fit: 'cover' },
+  },
+  banner: {
+    full:   { width: 1920, height: 1080, fit: 'inside' },
+    medium: { width: 960,  height: 540,  fit: 'inside' },
+    thumb:  { width: 480,  height: 270,  fit: 'cover' },
+  },
+};
+const KEY_PREFIX = { menu_item: 'menu-items', banner: 'banners' };
+
+const _assertImage = (contentType, buffer) => {
+  if (!Buffer.isBuffer(buffer) || !buffer.length) {
+    throw new AppError('Send the image file as the request body', 400);
+  }
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (!ALLOWED_TYPES.includes(type)) {
+    throw new AppError(`Unsupported image type '${type || 'none'}' — use JPEG, PNG or WebP`, 415);
+  }
+  if (!SIGNATURES[type](buffer)) throw new AppError(`The file is not a valid ${type} image`, 415);
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw new AppError(`Images can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`, 413);
+  }
+  return type;
+};
+
+/** Resizes into every size of `kind` → { [size]: { data, width, height, bytes } } */
+const _render = async (kind, buffer) => {
+  const renditions = {};
+  try {
+    for (const [size, box] of Object.entries(SIZES[kind])) {
+      const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ ...box, withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+      renditions[size] = { data, width: info.width, height: info.height, bytes: info.size };
+    }
+  } catch (err) {
+    logger.warn('Image decode failed', { kind, error: err.message });
+    throw new AppError('The image could not be processed — it may be corrupt or too large', 400);
+  }
+  return renditions;
+};
+
+const _removeKeys = async (storage, keys) => {
+  const results = await Promise.allSettled(keys.map(key => storage.remove(key)));
+  return keys.filter((key, idx) => results[idx].status === 'rejected');
+};
+
+/** Public shape: { id, kind, url, sizes: { full: { url, width, height }, ... }, createdAt } */
+const _present = (row) => ({
+  id:   row.id,
+  kind: row.kind,
+  url:  row.url,
+  sizes: Object.fromEntries(Object.entries(row.sizes).map(([size, s]) => [size, { url: s.url, width: s.width, height: s.height }])),
+  createdAt: row.createdAt,
+});
+
+/**
+ * uploadImage({ restaurantId, userId, kind, contentType, buffer })
+ * kind: 'menu_item' | 'banner'. Stores every size, then records the upload.
+ */
+const uploadImage = async ({ restaurantId, userId, kind, contentType, buffer }) => {
+  if (!SIZES[kind]) throw new AppError(`Unknown image kind '${kind}'`, 400);
+  const originalType = _assertImage(contentType, buffer);
+  const renditions = await _render(kind, buffer);
+
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+  const sizes = {};
+  const stored = [];
+  try {
+    for (const [size, r] of Object.entries(renditions)) {
+      const key = `${KEY_PREFIX[kind]}/${restaurantId}/${id}/${size}.webp`;
+      await storage.put(key, r.data, { contentType: 'image/webp', cacheControl: CACHE_CONTROL });
+      stored.push(key);
+      sizes[size] = { key, url: storage.urlFor(key), width: r.width, height: r.height, bytes: r.bytes };
+    }
+
+    const [row] = await db.insert(images).values({
+      id,
+      restaurantId,
+      uploadedBy:    userId,
+      kind,
+      url:           sizes.full.url,
+      sizes,
+      originalType,
+      originalBytes: buffer.length,
+    }).returning();
+
+    logger.info('Image uploaded', { imageId: id, restaurantId, kind, bytes: buffer.length });
+    return _present(row);
+  } catch (err) {
+    const leftover = await _removeKeys(storage, stored);
+    if (leftover.length) logger.error('Could not clean up after a failed upload', { imageId: id, keys: leftover });
+    logger.error('Image upload failed', { imageId: id, restaurantId, error: err.message });
+    throw new AppError('Could not store the image. Please try again.', 502);
+  }
+};
+
+/**
+ * sizesForUrls(urls) → Map<url, { full, medium, thumb }> of rendition URLs.
+ * URLs that weren't uploaded here (external links) are simply absent.
+ */
+const sizesForUrls = async (urls) => {
+  const unique = [...new Set(urls.filter(Boolean))];
+  if (!unique.length) return new Map();
+
+  const rows = await db.select({ url: images.url, sizes: images.sizes }).from(images)
+    .where(inArray(images.url, unique));
+  return new Map(rows.map(row => [
+    row.url,
+    Object.fromEntries(Object.entries(row.sizes).map(([size, s]) => [size, s.url])),
+  ]));
+};
+
+/**
+ * collectOrphanedImages(now)
+ * Deletes up to GC_BATCH_SIZE images older than the grace period that no menu
+ * item or restaurant references. The row goes first — its DELETE re-checks the
+ * references, so an image attached meanwhile survives — then the files.
+ * @returns {Promise<{ removed: number, failedKeys: number }>}
+ */
+const collectOrphanedImages = async (now = new Date()) => {
+  const unreferenced = `
+    NOT EXISTS (SELECT 1 FROM menu_items mi WHERE mi.image = i.url)
+    AND NOT EXISTS (SELECT 1 FROM restaurants r WHERE r.banner_image = i.url)`;
+
+  const { rows: candidates } = await pool.query(
+    `SELECT i.id FROM images i
+     WHERE i.created_at < $1 AND ${unreferenced}
+     ORDER BY i.created_at LIMIT $2`,
+    [new Date(now.getTime() - ORPHAN_GRACE_MS), GC_BATCH_SIZE]
+  );
+
+  const storage = getStorage();
+  let removed = 0;
+  let failedKeys = 0;
+  for (const { id } of candidates) {
+    const { rows: [row] } = await pool.query(
+      `DELETE FROM images i WHERE i.id = $1 AND ${unreferenced} RETURNING i.sizes`, [id]
+    );
+    if (!row) continue;
+
+    const leftover = await _removeKeys(storage, Object.values(row.sizes).map(s => s.key));
+    if (leftover.length) {
+      failedKeys += leftover.length;
+      logger.error('Orphaned image files could not be removed', { imageId: id, keys: leftover });
+    }
+    removed++;
+  }
+
+  if (removed) logger.info('Orphaned images collected', { removed, failedKeys });
+  return { removed, failedKeys };
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  ALLOWED_TYPES,
+  uploadImage,
+  sizesForUrls,
+  collectOrphanedImages,
+};
@@ -0,0 +1,315 @@
+/**
+ * src/services/invoice.service.js
+ * GST invoices for paid orders, as JSON or PDF.
+ *
+ * Invoice numbers run per restaurant and Indian financial year
+ * ('2025-26/000042', inside GST's 16-character limit). A number is taken the
+ * first time a paid order's invoice is requested, in a transaction that locks
+ * the order, so repeat downloads get the same number and unpaid orders never
+ * use one up. Amounts come from the tax snapshot stored at checkout, never
+ * from the current menu. Restaurants without a GSTIN issue a bill of supply.
+ */
+const PDFDocument = require('pdfkit');
+const { db, pool } = require('../db');
+const { orders, orderItems, restaurants, users } = require('../db/schema');
+const { eq, and } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const { RESTAURANT_SAC, stateOf } = require('../utils/tax');
+const { DEFAULT_TIMEZONE, getZonedParts } = require('../utils/time');
+const logger = require('../utils/logger');
+
+const _money = (value) => parseFloat(parseFloat(value ?? 0).toFixed(2));
+
+/** '2025-26' for any date from 1 April 2025 to 31 March 2026, restaurant-local */
+const financialYear = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month] = getZonedParts(date, timeZone).date.split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Issues the next number for the order's restaurant, unless a concurrent
+ * request already did. Returns { invoiceNumber, invoicedAt }.
+ */
+const _assignInvoiceNumber = async (order, restaurant) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [locked] } = await client.query(
+      'SELECT invoice_number, invoiced_at FROM orders WHERE id = $1 FOR UPDATE',
+      [order.id]
+    );
+    if (locked.invoice_number) {
+      await client.query('COMMIT');
+      return { invoiceNumber: locked.invoice_number, invoicedAt: locked.invoiced_at };
+    }
+
+    const year = financialYear(new Date(), restaurant.timezone);
+    const { rows: [sequence] } = await client.query(
+      `INSERT INTO invoice_sequences (restaurant_id, financial_year, last_number)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (restaurant_id, financial_year)
+       DO UPDATE SET last_number = invoice_sequences.last_number + 1, updated_at = NOW()
+       RETURNING last_number`,
+      [order.restaurantId, year]
+    );
+    const invoiceNumber = `${year}/${String(sequence.last_number).padStart(6, '0')}`;
+
+    const { rows: [updated] } = await client.query(
+      `UPDATE orders SET invoice_number = $2, invoiced_at = NOW(), updated_at = NOW()
+       WHERE id = $1 RETURNING invoice_number, invoiced_at`,
+      [order.id, invoiceNumber]
+    );
+    await client.query('COMMIT');
+
+    logger.info('Invoice number issued', { orderId: order.id, invoiceNumber });
+    return { invoiceNumber: updated.invoice_number, invoicedAt: updated.invoiced_at };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const _describe = (item) => {
+  const name = item.variantName ? `${item.name} (${item.variantName})` : item.name;
+  const addOnNames = (item.addOns ?? []).map(a => a.name).filter(Boolean);
+  return addOnNames.length ? `${name} + ${addOnNames.join(', ')}` : name;
+};
+
+/**
+ * getInvoice(orderId, userId)
+ * The customer's invoice for their own order. Orders placed before GST was
+ * recorded come out with no tax lines and each item's full amount taxable.
+ */
+const getInvoice = async (orderId, userId) => {
+  const [order] = await db.select().from(orders)
+    .where(and(eq(orders.id, orderId), eq(orders.userId, userId))).limit(1);
+  if (!order) throw new AppError('Order not found', 404);
+
+  const [restaurant] = await db.select({
+    name: restaurants.name, address: restaurants.address, timezone: restaurants.timezone,
+  }).from(restaurants).where(eq(restaurants.id, order.restaurantId)).limit(1);
+
+  if (!order.invoiceNumber) {
+    if (order.paymentStatus !== 'paid' || order.status === 'cancelled') {
+      throw new AppError('An invoice is available once the order has been paid', 400);
+    }
+    Object.assign(order, await _assignInvoiceNumber(order, restaurant));
+  }
+
+  const [items, [customer]] = await Promise.all([
+    db.select().from(orderItems).where(eq(orderItems.orderId, order.id)),
+    db.select({ name: users.name, phone: users.phone }).from(users).where(eq(users.id, order.userId)).limit(1),
+  ]);
+
+  const state = stateOf(order.gstin);
+  const taxLines = order.taxLines ?? [];
+  const sumOf = (field) => _money(taxLines.reduce((s, t) => s + t[field], 0));
+
+  return {
+    type:          order.gstin ? 'tax_invoice' : 'bill_of_supply',
+    invoiceNumber: order.invoiceNumber,
+    invoiceDate:   order.invoicedAt,
+    orderId:       order.id,
+    orderedAt:     order.createdAt,
+    supplier: {
+      name:    restaurant?.name ?? 'Unknown Restaurant',
+      address: restaurant?.address ?? null,
+      gstin:   order.gstin,
+    },
+    customer: {
+      name:  order.pickupName ?? customer?.name ?? null,
+      phone: customer?.phone ?? null,
+    },
+    placeOfSupply: state ? `${state.name} (${state.code})` : null,
+    reverseCharge: false,
+    items: items.map(item => {
+      const amount  = _money(item.totalPrice);
+      const taxable = _money(item.taxableAmount ?? item.totalPrice);
+      return {
+        description:    _describe(item),
+        sac:            RESTAURANT_SAC,
+        quantity:       item.quantity,
+        unitPrice:      _money(item.unitPrice),
+        amount,
+        discountAmount: _money(amount - taxable),
+        taxableAmount:  taxable,
+        gstRate:        _money(item.gstRate),
+      };
+    }),
+    // Restaurant fees are part of the taxable value; platform fees are not
+    charges: (order.feeLines ?? []).filter(f => f.amount > 0).map(f => ({
+      label:   f.label,
+      amount:  _money(f.amount),
+      taxable: f.source === 'restaurant',
+      gstRate: f.source === 'restaurant' ? _money(f.gstRate) : null,
+    })),
+    taxLines,
+    totals: {
+      subtotal:       _money(order.subtotal),
+      discountAmount: _money(order.discountAmount),
+      feeAmount:      _money(order.feeAmount),
+      taxableAmount:  _money(order.taxableAmount ?? (order.subtotal - order.discountAmount)),
+      cgstAmount:     sumOf('cgstAmount'),
+      sgstAmount:     sumOf('sgstAmount'),
+      taxAmount:      _money(order.taxAmount),
+      totalAmount:    _money(order.totalAmount),
+    },
+  };
+};
+
+// ─── PDF ──────────────────────────────────────────────────────────────────────
+// pdfkit's built-in Helvetica has no ₹ glyph, so amounts are printed bare
+// under an "(INR)" heading.
+
+const _fmt = (value) => _money(value).toFixed(2);
+
+const _date = (value) => new Intl.DateTimeFormat('en-IN', {
+  timeZone: DEFAULT_TIMEZONE, day: '2-digit', month: 'short', year: 'numeric',
+}).format(new Date(value));
+
+/** Draws one table row; columns: [{ text, x, width, align? }] */
+const _row = (doc, y, columns, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  const height = Math.max(...columns.map(c => doc.heightOfString(String(c.text), { width: c.width })));
+  for (const c of columns) {
+    doc.text(String(c.text), c.x, y, { width: c.width, align: c.align ?? 'left' });
+  }
+  return y + height + 4;
+};
+
+const _rule = (doc, y) => {
+  doc.moveTo(40, y).lineTo(555, y).lineWidth(0.5).stroke();
+  return y + 4;
+};
+
+const ITEM_COLUMNS = [
+  { key: 'index',          title: '#',             x: 40,  width: 18 },
+  { key: 'description',    title: 'Item',          x: 60,  width: 170 },
+  { key: 'sac',            title: 'SAC',           x: 232, width: 40 },
+  { key: 'quantity',       title: 'Qty',           x: 274, width: 28,  align: 'right' },
+  { key: 'unitPrice',      title: 'Rate',          x: 304, width: 48,  align: 'right' },
+  { key: 'amount',         title: 'Amount',        x: 354, width: 52,  align: 'right' },
+  { key: 'discountAmount', title: 'Discount',      x: 408, width: 48,  align: 'right' },
+  { key: 'taxableAmount',  title: 'Taxable value', x: 458, width: 56,  align: 'right' },
+  { key: 'gstRate',        title: 'GST %',         x: 516, width: 39,  align: 'right' },
+];
+
+const TAX_COLUMNS = [
+  { key: 'gstRate',       title: 'GST %',         x: 40,  width: 60 },
+  { key: 'taxableAmount', title: 'Taxable value', x: 100, width: 90,  align: 'right' },
+  { key: 'cgstRate',      title: 'CGST %',        x: 195, width: 60,  align: 'right' },
+  { key: 'cgstAmount',    title: 'CGST',          x: 260, width: 80,  align: 'right' },
+  { key: 'sgstRate',      title: 'SGST %',        x: 345, width: 60,  align: 'right' },
+  { key: 'sgstAmount',    title: 'SGST',          x: 410, width: 70,  align: 'right' },
+  { key: 'taxAmount',     title: 'Total tax',     x: 485, width: 70,  align: 'right' },
+];
+
+const _cells = (columns, values) => columns.map(c => ({ ...c, text: values[c.key] }));
+const _headings = (columns) => columns.map(c => ({ ...c, text: c.title }));
+
+/**
+ * renderInvoicePdf(invoice) → Promise<Buffer>
+ * A4 rendering of getInvoice()'s result.
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { supplier, customer, totals } = invoice;
+  const taxInvoice = invoice.type === 'tax_invoice';
+
+  doc.font('Helvetica-Bold').fontSize(16)
+    .text(taxInvoice ? 'TAX INVOICE' : 'BILL OF SUPPLY', { align: 'center' });
+  doc.moveDown(0.5);
+
+  doc.font('Helvetica-Bold').fontSize(11).text(supplier.name);
+  doc.font('Helvetica').fontSize(9);
+  if (supplier.address) doc.text(supplier.address, { width: 300 });
+  if (supplier.gstin) doc.text(`GSTIN: ${supplier.gstin}`);
+
+  const metaTop = 95;
+  const meta = [
+    ['Invoice no.', invoice.invoiceNumber],
+    ['Invoice date', _date(invoice.invoiceDate)],
+    ['Order', invoice.orderId.slice(0, 8).toUpperCase()],
+    ...(invoice.placeOfSupply ? [['Place of supply', invoice.placeOfSupply]] : []),
+    ['Reverse charge', invoice.reverseCharge ? 'Yes' : 'No'],
+  ];
+  meta.forEach(([label, value], i) => {
+    doc.font('Helvetica-Bold').fontSize(9).text(label, 360, metaTop + i * 13, { width: 80 });
+    doc.font('Helvetica').text(value, 440, metaTop + i * 13, { width: 115 });
+  });
+
+  let y = Math.max(doc.y, metaTop + meta.length * 13) + 12;
+  doc.font('Helvetica-Bold').fontSize(9).text('Billed to', 40, y);
+  doc.font('Helvetica').text([customer.name, customer.phone].filter(Boolean).join(' · ') || 'Walk-in customer');
+  y = doc.y + 12;
+
+  y = _rule(doc, y);
+  y = _row(doc, y, _headings(ITEM_COLUMNS), { bold: true });
+  y = _rule(doc, y);
+  invoice.items.forEach((item, i) => {
+    if (y > 740) { doc.addPage(); y = 40; }
+    y = _row(doc, y, _cells(ITEM_COLUMNS, {
+      ...item,
+      index:          i + 1,
+      unitPrice:      _fmt(item.unitPrice),
+      amount:         _fmt(item.amount),
+      discountAmount: _fmt(item.discountAmount),
+      taxableAmount:  _fmt(item.taxableAmount),
+      gstRate:        _fmt(item.gstRate),
+    }));
+  });
+  y = _rule(doc, y) + 6;
+
+  if (invoice.taxLines.length) {
+    if (y > 700) { doc.addPage(); y = 40; }
+    y = _row(doc, y, _headings(TAX_COLUMNS), { bold: true });
+    y = _rule(doc, y);
+    for (const line of invoice.taxLines) {
+      y = _row(doc, y, _cells(TAX_COLUMNS, Object.fromEntries(
+        Object.entries(line).map(([k, v]) => [k, _fmt(v)])
+      )));
+    }
+    y = _rule(doc, y) + 6;
+  }
+
+  if (y > 680) { doc.addPage(); y = 40; }
+  const charges = (taxable) => invoice.charges.filter(c => c.taxable === taxable).map(c => [c.label, c.amount]);
+  const summary = [
+    ['Subtotal', totals.subtotal],
+    ...(totals.discountAmount ? [['Discount', -totals.discountAmount]] : []),
+    ...charges(true),
+    ['Taxable value', totals.taxableAmount],
+    ...(taxInvoice ? [['CGST', totals.cgstAmount], ['SGST', totals.sgstAmount]] : []),
+    ...charges(false),
+  ];
+  for (const [label, value] of summary) {
+    y = _row(doc, y, [
+      { text: label, x: 360, width: 120 },
+      { text: _fmt(value), x: 480, width: 75, align: 'right' },
+    ]);
+  }
+  y = _rule(doc, y);
+  y = _row(doc, y, [
+    { text: 'Total (INR)', x: 360, width: 120 },
+    { text: _fmt(totals.totalAmount), x: 480, width: 75, align: 'right' },
+  ], { bold: true });
+
+  doc.font('Helvetica').fontSize(7).fillColor('#666666').text(
+    taxInvoice
+      ? 'Computer-generated invoice. Prices are exclusive of GST; tax is charged on the value after discounts.'
+      : 'Computer-generated bill of supply. The supplier is not registered for GST; no tax is charged.',
+    40, y + 20, { width: 515 }
+  );
+
+  doc.end();
+});
+
+module.exports = { financialYear, getInvoice, renderInvoicePdf };
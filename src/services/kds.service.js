@@ -0,0 +1,157 @@
+/**
+ * src/services/kds.service.js
+ * Kitchen display board for owners.
+ *
+ * Active orders are grouped into lanes (new → confirmed → preparing → ready).
+ * Lane timings come from order_status_history; an order is overdue once
+ * preparationTime has passed since it was confirmed (or its scheduled pickup
+ * time has passed). Bulk bumps reuse orderService.ownerUpdateStatus so the
+ * owner state machine is enforced exactly as for single updates.
+ */
+const { db } = require('../db');
+const { orders, orderItems, orderStatusHistory } = require('../db/schema');
+const { eq, and, asc, inArray } = require('drizzle-orm');
+const orderService = require('./order.service');
+const logger = require('../utils/logger');
+
+const LANES = {
+  new:       ['pending', 'paid'],
+  confirmed: ['confirmed'],
+  preparing: ['preparing'],
+  ready:     ['ready'],
+};
+const ACTIVE_STATUSES = Object.values(LANES).flat();
+const LANE_BY_STATUS  = Object.fromEntries(
+  Object.entries(LANES).flatMap(([lane, statuses]) => statuses.map(s => [s, lane]))
+);
+
+const _secondsBetween = (from, to) => Math.max(0, Math.floor((to - new Date(from)) / 1000));
+
+/** Groups rows by orderId → { [orderId]: row[] } */
+const _groupByOrder = (rows) => {
+  const map = {};
+  for (const row of rows) (map[row.orderId] ??= []).push(row);
+  return map;
+};
+
+/**
+ * getBoard(restaurantId, now?)
+ * @returns {{ generatedAt, lanes: { new, confirmed, preparing, ready }, counts, preparingItems }}
+ */
+const getBoard = async (restaurantId, now = new Date()) => {
+  const active = await db.select({
+    id:                orders.id,
+    status:            orders.status,
+    paymentStatus:     orders.paymentStatus,
+    pickupName:        orders.pickupName,
+    notes:             orders.notes,
+    preparationTime:   orders.preparationTime,
+    scheduledPickupAt: orders.scheduledPickupAt,
+    releasedAt:        orders.releasedAt,
+    createdAt:         orders.createdAt,
+    updatedAt:         orders.updatedAt,
+  })
+    .from(orders)
+    .where(and(eq(orders.restaurantId, restaurantId), inArray(orders.status, ACTIVE_STATUSES)))
+    .orderBy(asc(orders.createdAt));
+
+  const lanes = Object.fromEntries(Object.keys(LANES).map(lane => [lane, []]));
+  if (!active.length) {
+    return { generatedAt: now, lanes, counts: _counts(lanes), preparingItems: [] };
+  }
+
+  const orderIds = active.map(o => o.id);
+  const [items, history] = await Promise.all([
+    db.select({
+      orderId:     orderItems.orderId,
+      menuItemId:  orderItems.menuItemId,
+      name:        orderItems.name,
+      variantName: orderItems.variantName,
+      addOns:      orderItems.addOns,
+      quantity:    orderItems.quantity,
+      // Snapshot from checkout — allergens null = not declared (or older order)
+      dietaryTags: orderItems.dietaryTags,
+      allergens:   orderItems.allergens,
+    }).from(orderItems).where(inArray(orderItems.orderId, orderIds)),
+    db.select({
+      orderId:  orderStatusHistory.orderId,
+      toStatus: orderStatusHistory.toStatus,
+      at:       orderStatusHistory.createdAt,
+    }).from(orderStatusHistory)
+      .where(inArray(orderStatusHistory.orderId, orderIds))
+      .orderBy(asc(orderStatusHistory.createdAt)),
+  ]);
+  const itemsByOrder   = _groupByOrder(items);
+  const historyByOrder = _groupByOrder(history);
+
+  for (const order of active) {
+    const transitions = (historyByOrder[order.id] ?? []).map(h => ({
+      status: h.toStatus,
+      at: h.at,
+      elapsedSeconds: _secondsBetween(h.at, now),
+    }));
+    const lastAt = (status) => transitions.filter(t => t.status === status).pop()?.at;
+
+    const enteredLaneAt = lastAt(order.status) ?? order.updatedAt;
+    const confirmedAt   = lastAt('confirmed');
+    const dueAt = order.scheduledPickupAt
+      ?? (confirmedAt ? new Date(new Date(confirmedAt).getTime() + (order.preparationTime ?? 20) * 60_000) : null);
+    const overdue = ['confirmed', 'preparing'].includes(order.status) && !!dueAt && now > new Date(dueAt);
+
+    lanes[LANE_BY_STATUS[order.status]].push({
+      ...order,
+      items: (itemsByOrder[order.id] ?? []).map(({ orderId, ...item }) => item),
+      transitions,
+      enteredLaneAt,
+      inLaneSeconds:  _secondsBetween(enteredLaneAt, now),
+      sinceCreatedSeconds: _secondsBetween(order.createdAt, now),
+      dueAt,
+      overdue,
+      overdueByMinutes: overdue ? Math.floor((now - new Date(dueAt)) / 60_000) : 0,
+    });
+  }
+
+  return { generatedAt: now, lanes, counts: _counts(lanes), preparingItems: _aggregateItems(lanes.preparing) };
+};
+
+const _counts = (lanes) => Object.fromEntries(Object.entries(lanes).map(([lane, list]) => [lane, list.length]));
+
+/** "12× Masala Dosa" — totals per menu item + variant across the given orders */
+const _aggregateItems = (laneOrders) => {
+  const totals = new Map();
+  for (const order of laneOrders) {
+    for (const item of order.items) {
+      const key = `${item.menuItemId}|${item.variantName ?? ''}`;
+      const entry = totals.get(key) ?? {
+        menuItemId: item.menuItemId, name: item.name, variantName: item.variantName ?? null, quantity: 0,
+      };
+      entry.quantity += item.quantity;
+      totals.set(key, entry);
+    }
+  }
+  return [...totals.values()].sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name));
+};
+
+/**
+ * bulkUpdateStatus(restaurantId, orderIds, status, { actorId, actorRole })
+ * Bumps each ticket independently — one invalid ticket doesn't block the rest.
+ * @returns {{ updated: Object[], failed: { orderId, error, statusCode }[] }}
+ */
+const bulkUpdateStatus = async (restaurantId, orderIds, status, { actorId, actorRole }) => {
+  const updated = [];
+  const failed  = [];
+
+  for (const orderId of [...new Set(orderIds)]) {
+    try {
+      updated.push(await orderService.ownerUpdateStatus(restaurantId, orderId, status, { actorId, actorRole }));
+    } catch (err) {
+      if (!err.isOperational) logger.error('KDS bulk update failed', { orderId, error: err.message });
+      failed.push({ orderId, error: err.isOperational ? err.message : 'Internal error', statusCode: err.statusCode ?? 500 });
+    }
+  }
+
+  logger.info('KDS bulk status update', { restaurantId, status, updated: updated.length, failed: failed.length });
+  return { updated, failed };
+};
+
+module.exports = { LANES, getBoard, bulkUpdateStatus };
@@ -1,38 +1,104 @@
-const { db } = require('../db');
-const { menuItems, menuItemVariants, addOns } = require('../db/schema');
-const { eq } = require('drizzle-orm');
+const { db, pool } = require('../db');
+const { menuItems, menuItemVariants, addOnGroups, addOns, cartItems } = require('../db/schema');
+const { eq, and, ne, asc, isNull, inArray, sql } = require('drizzle-orm');
 const { AppError } = require('../utils/response');
+const { assertDietary } = require('../utils/dietary');
 
 const createMenuItem = async (data) => {
   const { variants, addOns: addOnsData, ...itemData } = data;
+  assertDietary({ isVeg: true, ...itemData });
 
   const [item] = await db.insert(menuItems).values(itemData).returning();
 
-  if (variants?.length) {
-    await db.insert(menuItemVariants).values(variants.map(v => ({ ...v, menuItemId: item.id })));
+  if (variants?.length) await _syncVariants(item.id, variants);
+  if (addOnsData?.length) await _syncAddOns(item, addOnsData);
+
+  return getMenuItemById(item.id);
+};
+
+/**
+ * createMenuItemWithOptions(values, { variants?, addOns? })
+ * Owner path: the item, its variants and its add-ons are written in one
+ * transaction, so a bad option never leaves a half-configured item live.
+ * values are menuItems insert values (basePrice etc. already normalised).
+ */
+const createMenuItemWithOptions = async (values, { variants = [], addOns: addOnList = [] } = {}) => {
+  const seen = new Set();
+  for (const v of variants) {
+    const key = v.name.trim().toLowerCase();
+    if (seen.has(key)) throw new AppError(`This item already has a variant named '${v.name.trim()}'`, 409);
+    seen.add(key);
   }
-  if (addOnsData?.length) {
-    await db.insert(addOns).values(addOnsData.map(a => ({ ...a, menuItemId: item.id, restaurantId: item.restaurantId })));
+  if (addOnList.some(a => a.groupId)) {
+    throw new AppError('A new item has no add-on groups yet — create the group, then move add-ons into it', 400);
   }
+  const defaultIndex = Math.max(variants.findIndex(v => v.isDefault), 0);
 
-  return getMenuItemById(item.id);
+  const client = await pool.connect();
+  let menuItemId;
+  try {
+    await client.query('BEGIN');
+    const { rows: [item] } = await client.query(
+      `INSERT INTO menu_items
+         (restaurant_id, category_id, name, description, base_price, image, is_veg, is_available, sort_order,
+          dietary_tags, allergens, gst_rate)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+      [
+        values.restaurantId, values.categoryId ?? null, values.name, values.description ?? null,
+        values.basePrice, values.image ?? null, values.isVeg ?? true, values.isAvailable ?? true,
+        values.sortOrder ?? 0, JSON.stringify(values.dietaryTags ?? []),
+        values.allergens == null ? null : JSON.stringify(values.allergens), values.gstRate ?? null,
+      ]
+    );
+    menuItemId = item.id;
+
+    for (const [i, v] of variants.entries()) {
+      await client.query(
+        `INSERT INTO menu_item_variants (menu_item_id, name, price, is_default, is_available, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [menuItemId, v.name.trim(), parseFloat(v.price).toFixed(2), i === defaultIndex, v.isAvailable ?? true, v.sortOrder ?? 0]
+      );
+    }
+    for (const a of addOnList) {
+      await client.query(
+        `INSERT INTO add_ons (restaurant_id, menu_item_id, name, price, is_available)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [values.restaurantId, menuItemId, a.name.trim(), parseFloat(a.price).toFixed(2), a.isAvailable ?? true]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getMenuItemById(menuItemId);
 };
 
 const getMenuItemById = async (id) => {
   const [item] = await db.select().from(menuItems).where(eq(menuItems.id, id)).limit(1);
   if (!item) throw new AppError('Menu item not found', 404);
 
-  const [variants, itemAddOns] = await Promise.all([
-    db.select().from(menuItemVariants).where(eq(menuItemVariants.menuItemId, id)),
-    db.select().from(addOns).where(eq(addOns.menuItemId, id)),
+  const [variants, itemAddOns, groups] = await Promise.all([
+    _liveVariants(id),
+    db.select().from(addOns).where(eq(addOns.menuItemId, id)).orderBy(asc(addOns.createdAt)),
+    db.select().from(addOnGroups).where(eq(addOnGroups.menuItemId, id))
+      .orderBy(asc(addOnGroups.sortOrder), asc(addOnGroups.createdAt)),
   ]);
 
-  return { ...item, variants, addOns: itemAddOns };
+  return { ...item, variants, addOns: itemAddOns, addOnGroups: nestAddOnGroups(groups, itemAddOns) };
 };
 
 const updateMenuItem = async (id, data) => {
   const { variants, addOns: addOnsData, ...itemData } = data;
 
+  // A manual availability switch overrides a daily-stock sell-out
+  if (itemData.isAvailable !== undefined) itemData.soldOutAt = null;
+
+  await assertDietaryUpdate(id, itemData);
+
   const [updated] = await db
     .update(menuItems)
     .set({ ...itemData, updatedAt: new Date() })
@@ -41,14 +107,405 @@ const updateMenuItem = async (id, data) => {
 
   if (!updated) throw new AppError('Menu item not found', 404);
 
-  if (variants !== undefined) {
-    await db.delete(menuItemVariants).where(eq(menuItemVariants.menuItemId, id));
-    if (variants.length) {
-      await db.insert(menuItemVariants).values(variants.map(v => ({ ...v, menuItemId: id })));
+  // Synced by id rather than delete + re-insert, so cart rows keep their variant
+  if (variants !== undefined) await _syncVariants(id, variants);
+  if (addOnsData !== undefined) await _syncAddOns(updated, addOnsData);
+
+  return getMenuItemById(id);
+};
+
+/**
+ * assertDietaryUpdate(menuItemId, changes) — checks the item's dietary tags,
+ * allergens and isVeg as they will be after `changes` (utils/dietary.js).
+ */
+const assertDietaryUpdate = async (menuItemId, changes) => {
+  if (changes.isVeg === undefined && changes.dietaryTags === undefined && changes.allergens === undefined) return;
+
+  const [current] = await db.select({
+    name: menuItems.name, isVeg: menuItems.isVeg, dietaryTags: menuItems.dietaryTags, allergens: menuItems.allergens,
+  }).from(menuItems).where(eq(menuItems.id, menuItemId)).limit(1);
+  if (!current) throw new AppError('Menu item not found', 404);
+
+  assertDietary({
+    name:        changes.name ?? current.name,
+    isVeg:       changes.isVeg ?? current.isVeg,
+    dietaryTags: changes.dietaryTags ?? current.dietaryTags,
+    allergens:   changes.allergens !== undefined ? changes.allergens : current.allergens,
+  });
+};
+
+// ─── Variants ─────────────────────────────────────────────────────────────────
+// Every item with live variants has exactly one default (enforced here and by
+// the variants_one_default_idx partial index). A variant that a cart row still
+// references is archived instead of deleted — cart_items.variant_id would
+// otherwise be nulled and the row silently repriced at basePrice.
+
+const _liveVariants = (menuItemId) =>
+  db.select().from(menuItemVariants)
+    .where(and(eq(menuItemVariants.menuItemId, menuItemId), isNull(menuItemVariants.archivedAt)))
+    .orderBy(asc(menuItemVariants.sortOrder), asc(menuItemVariants.createdAt));
+
+const _getVariant = async (menuItemId, variantId) => {
+  const [variant] = await db.select().from(menuItemVariants)
+    .where(and(
+      eq(menuItemVariants.id, variantId),
+      eq(menuItemVariants.menuItemId, menuItemId),
+      isNull(menuItemVariants.archivedAt),
+    ))
+    .limit(1);
+  if (!variant) throw new AppError('Variant not found for this item', 404);
+  return variant;
+};
+
+// Reorder resolves past variants by name, so names must be unique per item
+const _assertVariantNameFree = async (menuItemId, name, exceptId = null) => {
+  const conditions = [
+    eq(menuItemVariants.menuItemId, menuItemId),
+    isNull(menuItemVariants.archivedAt),
+    sql`LOWER(${menuItemVariants.name}) = LOWER(${name})`,
+  ];
+  if (exceptId) conditions.push(ne(menuItemVariants.id, exceptId));
+  const [clash] = await db.select({ id: menuItemVariants.id }).from(menuItemVariants)
+    .where(and(...conditions)).limit(1);
+  if (clash) throw new AppError(`This item already has a variant named '${name}'`, 409);
+};
+
+/**
+ * Makes `preferredId` the default, or keeps the current default, or falls
+ * back to the first live variant. Clears before setting — the partial unique
+ * index rejects two defaults even within one statement.
+ */
+const _ensureDefaultVariant = async (menuItemId, preferredId = null) => {
+  const live = await _liveVariants(menuItemId);
+  if (!live.length) return;
+
+  const targetId = preferredId ?? live.find(v => v.isDefault)?.id ?? live[0].id;
+  await db.update(menuItemVariants)
+    .set({ isDefault: false })
+    .where(and(
+      eq(menuItemVariants.menuItemId, menuItemId),
+      eq(menuItemVariants.isDefault, true),
+      ne(menuItemVariants.id, targetId),
+    ));
+  await db.update(menuItemVariants).set({ isDefault: true }).where(eq(menuItemVariants.id, targetId));
+};
+
+/** Deletes a variant, or archives it while a cart row still references it. */
+const _removeVariant = async (variant) => {
+  const [inCart] = await db.select({ id: cartItems.id }).from(cartItems)
+    .where(eq(cartItems.variantId, variant.id)).limit(1);
+
+  if (inCart) {
+    await db.update(menuItemVariants)
+      .set({ archivedAt: new Date(), isDefault: false, isAvailable: false })
+      .where(eq(menuItemVariants.id, variant.id));
+  } else {
+    await db.delete(menuItemVariants).where(eq(menuItemVariants.id, variant.id));
+  }
+  return { archived: !!inCart };
+};
+
+const listVariants = (menuItemId) => _liveVariants(menuItemId);
+
+/** createVariant(menuItemId, { name, price, isDefault?, isAvailable?, sortOrder? }) — the first variant becomes default */
+const createVariant = async (menuItemId, { name, price, isDefault, isAvailable, sortOrder }) => {
+  name = name.trim();
+  await _assertVariantNameFree(menuItemId, name);
+
+  const [variant] = await db.insert(menuItemVariants).values({
+    menuItemId,
+    name,
+    price:       parseFloat(price).toFixed(2),
+    isDefault:   false,
+    isAvailable: isAvailable ?? true,
+    sortOrder:   sortOrder ?? 0,
+  }).returning();
+
+  await _ensureDefaultVariant(menuItemId, isDefault ? variant.id : null);
+  return _getVariant(menuItemId, variant.id);
+};
+
+/**
+ * updateVariant(menuItemId, variantId, { name?, price?, isDefault?, isAvailable?, sortOrder? })
+ * isDefault: true moves the default here; the default can't be unset directly.
+ */
+const updateVariant = async (menuItemId, variantId, data) => {
+  const variant = await _getVariant(menuItemId, variantId);
+
+  if (data.isDefault === false && variant.isDefault) {
+    throw new AppError('Mark another variant as default instead of unsetting this one', 400);
+  }
+
+  const updateData = {};
+  for (const field of ['name', 'price', 'isAvailable', 'sortOrder']) {
+    if (data[field] !== undefined) updateData[field] = data[field];
+  }
+  if (updateData.name !== undefined) {
+    updateData.name = updateData.name.trim();
+    await _assertVariantNameFree(menuItemId, updateData.name, variantId);
+  }
+  if (updateData.price !== undefined) updateData.price = parseFloat(updateData.price).toFixed(2);
+  if (updateData.isAvailable !== undefined) updateData.soldOutAt = null;
+
+  if (Object.keys(updateData).length) {
+    await db.update(menuItemVariants).set(updateData).where(eq(menuItemVariants.id, variantId));
+  }
+  if (data.isDefault === true) await _ensureDefaultVariant(menuItemId, variantId);
+
+  return _getVariant(menuItemId, variantId);
+};
+
+/** deleteVariant(menuItemId, variantId) → { archived } — another variant is promoted if this was the default */
+const deleteVariant = async (menuItemId, variantId) => {
+  const variant = await _getVariant(menuItemId, variantId);
+  const result = await _removeVariant(variant);
+  await _ensureDefaultVariant(menuItemId);
+  return result;
+};
+
+/**
+ * Admin path: variants carrying an id are updated, the rest inserted, and
+ * live variants missing from the list are removed (archived if in a cart).
+ */
+const _syncVariants = async (menuItemId, variants) => {
+  const live = await _liveVariants(menuItemId);
+  const liveById = new Map(live.map(v => [v.id, v]));
+  const keep = new Set();
+  let preferredId = null;
+
+  for (const v of variants) {
+    let id = v.id && liveById.has(v.id) ? v.id : null;
+    const values = { name: v.name, price: parseFloat(v.price).toFixed(2) };
+    if (v.isAvailable !== undefined) values.isAvailable = v.isAvailable;
+    if (v.sortOrder   !== undefined) values.sortOrder   = v.sortOrder;
+
+    if (id) {
+      await db.update(menuItemVariants).set(values).where(eq(menuItemVariants.id, id));
+    } else {
+      [{ id }] = await db.insert(menuItemVariants)
+        .values({ ...values, menuItemId, isDefault: false })
+        .returning({ id: menuItemVariants.id });
     }
+    keep.add(id);
+    if (v.isDefault && !preferredId) preferredId = id;
   }
 
-  return getMenuItemById(id);
+  for (const variant of live) {
+    if (!keep.has(variant.id)) await _removeVariant(variant);
+  }
+  await _ensureDefaultVariant(menuItemId, preferredId);
 };
 
-module.exports = { createMenuItem, updateMenuItem, getMenuItemById };
+// ─── Add-ons ──────────────────────────────────────────────────────────────────
+// Cart rows snapshot add-ons ({ addOnId, name, price }), so add-ons can be
+// edited or deleted without touching existing carts.
+
+const _getAddOn = async (menuItemId, addOnId) => {
+  const [addOn] = await db.select().from(addOns)
+    .where(and(eq(addOns.id, addOnId), eq(addOns.menuItemId, menuItemId)))
+    .limit(1);
+  if (!addOn) throw new AppError('Add-on not found for this item', 404);
+  return addOn;
+};
+
+const listAddOns = (menuItemId) =>
+  db.select().from(addOns).where(eq(addOns.menuItemId, menuItemId)).orderBy(asc(addOns.createdAt));
+
+/** createAddOn(item, { name, price, isAvailable?, groupId? }) */
+const createAddOn = async (item, { name, price, isAvailable, groupId }) => {
+  if (groupId) await _getAddOnGroup(item.id, groupId);
+
+  const [addOn] = await db.insert(addOns).values({
+    restaurantId: item.restaurantId,
+    menuItemId:   item.id,
+    groupId:      groupId ?? null,
+    name:         name.trim(),
+    price:        parseFloat(price).toFixed(2),
+    isAvailable:  isAvailable ?? true,
+  }).returning();
+  return addOn;
+};
+
+/** updateAddOn(menuItemId, addOnId, { name?, price?, isAvailable?, groupId? }) — groupId null ungroups */
+const updateAddOn = async (menuItemId, addOnId, data) => {
+  await _getAddOn(menuItemId, addOnId);
+  if (data.groupId) await _getAddOnGroup(menuItemId, data.groupId);
+
+  const updateData = {};
+  if (data.groupId     !== undefined) updateData.groupId     = data.groupId;
+  if (data.name        !== undefined) updateData.name        = data.name.trim();
+  if (data.price       !== undefined) updateData.price       = parseFloat(data.price).toFixed(2);
+  if (data.isAvailable !== undefined) updateData.isAvailable = data.isAvailable;
+
+  const [updated] = await db.update(addOns).set(updateData).where(eq(addOns.id, addOnId)).returning();
+  return updated;
+};
+
+const deleteAddOn = async (menuItemId, addOnId) => {
+  await _getAddOn(menuItemId, addOnId);
+  await db.delete(addOns).where(eq(addOns.id, addOnId));
+};
+
+/** Admin path: same id-based sync as _syncVariants. */
+const _syncAddOns = async (item, list) => {
+  const existing = await listAddOns(item.id);
+  const existingIds = new Set(existing.map(a => a.id));
+  const keep = new Set();
+
+  for (const a of list) {
+    if (a.id && existingIds.has(a.id)) {
+      await updateAddOn(item.id, a.id, a);
+      keep.add(a.id);
+    } else {
+      const created = await createAddOn(item, a);
+      keep.add(created.id);
+    }
+  }
+
+  for (const addOn of existing) {
+    if (!keep.has(addOn.id)) await db.delete(addOns).where(eq(addOns.id, addOn.id));
+  }
+};
+
+// ─── Add-on groups ────────────────────────────────────────────────────────────
+// A group constrains how many of its add-ons can be picked. Ungrouped add-ons
+// stay free optional extras. Rules are checked when adding to the cart and
+// again at checkout (validateCartAddOns), since the owner may change them.
+
+const _getAddOnGroup = async (menuItemId, groupId) => {
+  const [group] = await db.select().from(addOnGroups)
+    .where(and(eq(addOnGroups.id, groupId), eq(addOnGroups.menuItemId, menuItemId)))
+    .limit(1);
+  if (!group) throw new AppError('Add-on group not found for this item', 404);
+  return group;
+};
+
+const _effectiveMin = (group) => Math.max(group.minSelect, group.isRequired ? 1 : 0);
+
+const _assertSelectRange = ({ minSelect, maxSelect, isRequired }) => {
+  const min = Math.max(minSelect, isRequired ? 1 : 0);
+  if (maxSelect !== null && maxSelect !== undefined && maxSelect < Math.max(min, 1)) {
+    throw new AppError(`maxSelect (${maxSelect}) must be at least ${Math.max(min, 1)}`, 400);
+  }
+};
+
+/** nestAddOnGroups(groups, addOnRows) → groups with their add-ons, in menu order */
+const nestAddOnGroups = (groups, addOnRows) =>
+  groups.map(g => ({
+    id:         g.id,
+    name:       g.name,
+    minSelect:  _effectiveMin(g),
+    maxSelect:  g.maxSelect,
+    isRequired: _effectiveMin(g) > 0,
+    sortOrder:  g.sortOrder,
+    addOns:     addOnRows.filter(a => a.groupId === g.id),
+  }));
+
+/** loadAddOnGroups(menuItemIds) → { [menuItemId]: group[] } */
+const loadAddOnGroups = async (menuItemIds) => {
+  if (!menuItemIds.length) return {};
+  const groups = await db.select().from(addOnGroups)
+    .where(inArray(addOnGroups.menuItemId, menuItemIds))
+    .orderBy(asc(addOnGroups.sortOrder), asc(addOnGroups.createdAt));
+  const byItem = {};
+  for (const g of groups) (byItem[g.menuItemId] ??= []).push(g);
+  return byItem;
+};
+
+/**
+ * checkAddOnSelection(itemName, groups, selected)
+ * selected: current add_ons rows the customer picked. Throws AppError (400)
+ * naming the first group whose min/max rule is broken.
+ */
+const checkAddOnSelection = (itemName, groups, selected) => {
+  for (const group of groups) {
+    const count = selected.filter(a => a.groupId === group.id).length;
+    const min = _effectiveMin(group);
+    const max = group.maxSelect;
+
+    if (count < min || (max !== null && count > max)) {
+      let rule;
+      if (max === min)        rule = `exactly ${min}`;
+      else if (max === null)  rule = `at least ${min}`;
+      else if (min === 0)     rule = `up to ${max}`;
+      else                    rule = `between ${min} and ${max}`;
+      throw new AppError(`'${itemName}': choose ${rule} from '${group.name}' (${count} selected)`, 400);
+    }
+  }
+};
+
+/**
+ * validateCartAddOns(items) — checkout-time re-check of every cart row.
+ * items: rows from cartService._getCartItemsWithDetails (addOns = snapshot).
+ */
+const validateCartAddOns = async (items) => {
+  const groupsByItem = await loadAddOnGroups([...new Set(items.map(i => i.menuItemId))]);
+  const addOnIds = [...new Set(items.flatMap(i => (i.addOns || []).map(a => a.addOnId)))];
+  const current = addOnIds.length
+    ? await db.select().from(addOns).where(inArray(addOns.id, addOnIds))
+    : [];
+  const currentById = new Map(current.map(a => [a.id, a]));
+
+  for (const item of items) {
+    const itemName = item.menuItem?.name ?? 'Item';
+    const selected = [];
+    for (const snap of item.addOns || []) {
+      const addOn = currentById.get(snap.addOnId);
+      if (!addOn || !addOn.isAvailable || addOn.menuItemId !== item.menuItemId) {
+        throw new AppError(`'${itemName}': '${snap.name}' is no longer available. Update your cart to continue.`, 400);
+      }
+      selected.push(addOn);
+    }
+    checkAddOnSelection(itemName, groupsByItem[item.menuItemId] ?? [], selected);
+  }
+};
+
+const listAddOnGroups = async (menuItemId) => {
+  const [groups, rows] = await Promise.all([
+    db.select().from(addOnGroups).where(eq(addOnGroups.menuItemId, menuItemId))
+      .orderBy(asc(addOnGroups.sortOrder), asc(addOnGroups.createdAt)),
+    listAddOns(menuItemId),
+  ]);
+  return nestAddOnGroups(groups, rows);
+};
+
+/** createAddOnGroup(item, { name, minSelect?, maxSelect?, isRequired?, sortOrder? }) */
+const createAddOnGroup = async (item, { name, minSelect = 0, maxSelect = null, isRequired = false, sortOrder = 0 }) => {
+  _assertSelectRange({ minSelect, maxSelect, isRequired });
+  const [group] = await db.insert(addOnGroups).values({
+    restaurantId: item.restaurantId,
+    menuItemId:   item.id,
+    name:         name.trim(),
+    minSelect, maxSelect, isRequired, sortOrder,
+  }).returning();
+  return group;
+};
+
+/** updateAddOnGroup(menuItemId, groupId, data) — the range is checked against the merged values */
+const updateAddOnGroup = async (menuItemId, groupId, data) => {
+  const group = await _getAddOnGroup(menuItemId, groupId);
+
+  const updateData = {};
+  for (const field of ['name', 'minSelect', 'maxSelect', 'isRequired', 'sortOrder']) {
+    if (data[field] !== undefined) updateData[field] = data[field];
+  }
+  if (updateData.name !== undefined) updateData.name = updateData.name.trim();
+  _assertSelectRange({ ...group, ...updateData });
+
+  const [updated] = await db.update(addOnGroups).set(updateData).where(eq(addOnGroups.id, groupId)).returning();
+  return updated;
+};
+
+/** deleteAddOnGroup(menuItemId, groupId) — its add-ons become ungrouped extras */
+const deleteAddOnGroup = async (menuItemId, groupId) => {
+  await _getAddOnGroup(menuItemId, groupId);
+  await db.delete(addOnGroups).where(eq(addOnGroups.id, groupId));
+};
+
+module.exports = {
+  createMenuItem, createMenuItemWithOptions, updateMenuItem, getMenuItemById, assertDietaryUpdate,
+  listVariants, createVariant, updateVariant, deleteVariant,
+  listAddOns, createAddOn, updateAddOn, deleteAddOn,
+  listAddOnGroups, createAddOnGroup, updateAddOnGroup, deleteAddOnGroup,
+  loadAddOnGroups, nestAddOnGroups, checkAddOnSelection, validateCartAddOns,
+};
@@ -0,0 +1,188 @@
+/**
+ * src/services/menuAvailability.service.js
+ * Time-based menu availability — breakfast, lunch and dinner menus.
+ *
+ * Items and categories can have weekly serving windows (menu_availability_windows).
+ * No windows = served whenever the restaurant is open. An item is served at a
+ * given moment only if it is inside one of its category's windows (when the
+ * category has any) and one of its own (when it has any).
+ *
+ * Windows use the same shape and rules as opening hours
+ * (restaurantHours.service): restaurant-local time, weekday 0 = Sunday, an
+ * endTime before startTime runs past midnight. Evaluation reuses
+ * hoursService.isOpenAt so both behave identically.
+ */
+const { db, pool } = require('../db');
+const { menuAvailabilityWindows } = require('../db/schema');
+const { eq } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const { DEFAULT_TIMEZONE, WEEKDAYS, parseHHMM, getZonedParts } = require('../utils/time');
+const hoursService = require('./restaurantHours.service');
+const logger = require('../utils/logger');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** rows → { [weekday]: [{ openTime, closeTime }] } — the hours-schedule shape */
+const _weeklyFrom = (rows) => {
+  const weekly = {};
+  for (const row of rows) (weekly[row.weekday] ??= []).push({ openTime: row.startTime, closeTime: row.endTime });
+  Object.values(weekly).forEach(list => list.sort((a, b) => parseHHMM(a.openTime) - parseHHMM(b.openTime)));
+  return weekly;
+};
+
+/**
+ * loadWindows(restaurantId)
+ * @returns {Promise<{ items: Map<string, Object>, categories: Map<string, Object> }>}
+ *   menuItemId / categoryId → weekly schedule; absent = no restriction
+ */
+const loadWindows = async (restaurantId) => {
+  const rows = await db.select().from(menuAvailabilityWindows)
+    .where(eq(menuAvailabilityWindows.restaurantId, restaurantId));
+
+  const group = (key) => {
+    const byId = {};
+    for (const row of rows) if (row[key]) (byId[row[key]] ??= []).push(row);
+    return new Map(Object.entries(byId).map(([id, list]) => [id, _weeklyFrom(list)]));
+  };
+  return { items: group('menuItemId'), categories: group('categoryId') };
+};
+
+const _inWindow = (weekly, timezone, at) =>
+  hoursService.isOpenAt({ timezone, weekly, closedDates: new Set() }, at);
+
+/**
+ * blockingWindows(item, windows, timezone, at)
+ * → null when the item is served at `at`, otherwise the weekly schedule
+ *   (category's first, then the item's) that rules it out.
+ */
+const blockingWindows = (item, windows, timezone, at) => {
+  for (const weekly of [windows.categories.get(item.categoryId), windows.items.get(item.id)]) {
+    if (weekly && !_inWindow(weekly, timezone, at)) return weekly;
+  }
+  return null;
+};
+
+/** "served 07:00–11:30" for the local day of `at`, or "not served on Sunday" */
+const _describe = (weekly, timezone, at) => {
+  const dayIdx = WEEKDAYS.indexOf(getZonedParts(at, timezone).weekday);
+  const today  = weekly[dayIdx] ?? [];
+  if (!today.length) return `not served on ${DAY_NAMES[dayIdx]}`;
+  return `served ${today.map(w => `${w.openTime}–${w.closeTime}`).join(', ')}`;
+};
+
+/**
+ * filterServed(restaurant, items, at?)
+ * Keeps the menu items served at `at`. restaurant needs { id, timezone }.
+ */
+const filterServed = async (restaurant, items, at = new Date()) => {
+  if (!items.length) return items;
+  const windows = await loadWindows(restaurant.id);
+  if (!windows.items.size && !windows.categories.size) return items;
+
+  const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+  return items.filter(item => !blockingWindows(item, windows, timezone, at));
+};
+
+/**
+ * assertServed(restaurant, items, { at?, scheduled? })
+ * Throws one AppError (400) naming every item outside its window at `at`,
+ * e.g. "'Idli' (served 07:00–11:30)". `scheduled` words it for a pickup time.
+ */
+const assertServed = async (restaurant, items, { at = new Date(), scheduled = false } = {}) => {
+  const windows = await loadWindows(restaurant.id);
+  if (!windows.items.size && !windows.categories.size) return;
+
+  const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+  const problems = [];
+  for (const item of items) {
+    const weekly = blockingWindows(item, windows, timezone, at);
+    if (weekly) problems.push(`'${item.name}' (${_describe(weekly, timezone, at)})`);
+  }
+  if (!problems.length) return;
+
+  const when = scheduled ? 'at your pickup time' : 'right now';
+  throw new AppError(
+    items.length === 1
+      ? `${problems[0]} is not available ${when}`
+      : `Not available ${when}: ${problems.join(', ')}. Remove ${problems.length > 1 ? 'them' : 'it'} from your cart to continue.`,
+    400
+  );
+};
+
+// ─── Owner management ─────────────────────────────────────────────────────────
+
+const _targetWhere = ({ menuItemId, categoryId }) =>
+  menuItemId
+    ? eq(menuAvailabilityWindows.menuItemId, menuItemId)
+    : eq(menuAvailabilityWindows.categoryId, categoryId);
+
+/**
+ * getWindows({ menuItemId } | { categoryId })
+ * → { restricted, weekly: { mon: [{ startTime, endTime }], ... } }
+ */
+const getWindows = async (target) => {
+  const rows = await db.select().from(menuAvailabilityWindows).where(_targetWhere(target));
+  const weekly = _weeklyFrom(rows);
+  return {
+    restricted: rows.length > 0,
+    weekly: Object.fromEntries(WEEKDAYS.map((name, idx) => [
+      name,
+      (weekly[idx] ?? []).map(w => ({ startTime: w.openTime, endTime: w.closeTime })),
+    ])),
+  };
+};
+
+/**
+ * replaceWindows(restaurantId, { menuItemId } | { categoryId }, weekly)
+ * weekly: { mon: [{ startTime, endTime }], ... }. Replaces every window of
+ * the target atomically; an empty object removes the restriction.
+ */
+const replaceWindows = async (restaurantId, target, weekly) => {
+  const rows = [];
+  for (const [dayName, intervals] of Object.entries(weekly)) {
+    const weekday = WEEKDAYS.indexOf(dayName);
+    if (weekday === -1) throw new AppError(`Unknown weekday '${dayName}'`, 400);
+
+    const asHours = intervals.map(w => ({ openTime: w.startTime, closeTime: w.endTime }));
+    hoursService.assertNoOverlap(dayName, asHours);
+    for (const { startTime, endTime } of intervals) {
+      if (startTime === endTime) throw new AppError(`Empty window ${startTime}–${endTime} on ${dayName}`, 400);
+      rows.push({ weekday, startTime, endTime });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `DELETE FROM menu_availability_windows WHERE ${target.menuItemId ? 'menu_item_id' : 'category_id'} = $1`,
+      [target.menuItemId ?? target.categoryId]
+    );
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO menu_availability_windows
+           (restaurant_id, menu_item_id, category_id, weekday, start_time, end_time)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [restaurantId, target.menuItemId ?? null, target.categoryId ?? null, row.weekday, row.startTime, row.endTime]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  logger.info('Menu availability windows updated', { restaurantId, ...target, windows: rows.length });
+  return getWindows(target);
+};
+
+module.exports = {
+  loadWindows,
+  blockingWindows,
+  filterServed,
+  assertServed,
+  getWindows,
+  replaceWindows,
+};
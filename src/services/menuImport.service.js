@@ -0,0 +1,713 @@
+/**
+ * src/services/menuImport.service.js
+ * Bulk menu import and export, for onboarding and offline editing.
+ *
+ * Both formats carry the same data. JSON:
+ *   { categories?: [{ name, description?, sortOrder?, isActive? }],
+ *     items: [{ category?, name, description?, basePrice, image?, isVeg?, isAvailable?, sortOrder?,
+ *               dietaryTags?: ['vegan', ...], allergens?: ['nuts', ...] | null, gstRate?: 18 | null,
+ *               variants?: [{ name, price, isDefault?, isAvailable?, sortOrder? }],
+ *               addOns?:   [{ name, price, isAvailable? }] }] }
+ * CSV: one item per line under a header of CSV_COLUMNS (only name and
+ * basePrice are required). The variants / addOns cells hold
+ * "Half:120|Full:220*" — * marks the default variant. dietaryTags and
+ * allergens cells hold "vegan|jain"; an empty allergens cell means not
+ * declared and "none" declares the item allergen-free. An empty gstRate cell
+ * (or null) means the item is taxed at the restaurant's rate.
+ *
+ * Everything is matched by name, case-insensitively: categories and items
+ * within the restaurant, variants and add-ons within their item. An exported
+ * file can therefore be edited and imported back. Add-ons matched by name
+ * keep their add-on group; groups themselves are not part of the file.
+ *
+ * planImport is the dry run: it returns the diff and every row error.
+ * applyImport plans again inside one transaction and writes nothing unless
+ * every row is valid. mode 'merge' only creates and updates; 'replace' also
+ * removes items missing from the file — items with past orders are switched
+ * off instead (order_items references them with ON DELETE RESTRICT).
+ * Categories are never removed by an import.
+ */
+const { pool } = require('../db');
+const { AppError } = require('../utils/response');
+const { parseCsv, toCsv, unguardCell } = require('../utils/csv');
+const { assertDietary } = require('../utils/dietary');
+const { schemas } = require('../validations');
+const logger = require('../utils/logger');
+
+const CSV_COLUMNS = [
+  'category', 'name', 'description', 'basePrice', 'image',
+  'isVeg', 'isAvailable', 'sortOrder', 'variants', 'addOns', 'dietaryTags', 'allergens', 'gstRate',
+];
+const MAX_ITEMS = 2000;
+
+const BOOLEAN_CELLS = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+const _key = (name) => name.trim().toLowerCase();
+const _money = (value) => parseFloat(value).toFixed(2);
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+// Both parsers return { categories: [{ row, data }], items: [{ row, data }], errors }.
+// CSV rows are file line numbers (header = 1); JSON rows are 1-based array positions.
+
+/** "Half:120|Full:220*" → [{ name, price, isDefault? }] */
+const _parseOptionCell = (cell, { withDefault }) =>
+  cell.split('|').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    let isDefault = false;
+    if (withDefault && entry.endsWith('*')) {
+      isDefault = true;
+      entry = entry.slice(0, -1).trimEnd();
+    }
+    const sep = entry.lastIndexOf(':');
+    const priceText = sep > 0 ? entry.slice(sep + 1).trim() : '';
+    if (!priceText || isNaN(Number(priceText))) throw new Error(`'${entry}' should be name:price`);
+
+    const option = { name: entry.slice(0, sep).trim(), price: Number(priceText) };
+    return withDefault ? { ...option, isDefault } : option;
+  });
+
+const _splitCell = (cell) => cell.split('|').map(entry => entry.trim()).filter(Boolean);
+
+const _parseCsvRow = (columns, cells) => {
+  const data = {};
+  const errors = [];
+  columns.forEach((column, idx) => {
+    const cell = unguardCell((cells[idx] ?? '').trim());
+    switch (column) {
+      case 'name':
+        data.name = cell;
+        break;
+      case 'category':
+      case 'description':
+      case 'image':
+        // The column is there, so an empty cell clears the field
+        data[column] = cell || null;
+        break;
+      case 'basePrice':
+      case 'sortOrder':
+        if (cell) data[column] = Number(cell);
+        break;
+      case 'isVeg':
+      case 'isAvailable':
+        if (!cell) break;
+        if (!(cell.toLowerCase() in BOOLEAN_CELLS)) errors.push({ field: column, message: `'${cell}' is not yes/no` });
+        else data[column] = BOOLEAN_CELLS[cell.toLowerCase()];
+        break;
+      case 'dietaryTags':
+        data.dietaryTags = _splitCell(cell);
+        break;
+      case 'allergens':
+        data.allergens = !cell ? null : cell.toLowerCase() === 'none' ? [] : _splitCell(cell);
+        break;
+      case 'gstRate':
+        // Empty = the restaurant's rate
+        data.gstRate = cell ? Number(cell) : null;
+        break;
+      case 'variants':
+      case 'addOns':
+        try {
+          data[column] = _parseOptionCell(cell, { withDefault: column === 'variants' });
+        } catch (err) {
+          errors.push({ field: column, message: err.message });
+        }
+        break;
+    }
+  });
+  return { data, errors };
+};
+
+/** parseCsvInput(text) — CSV carries items only; categories come from the category column */
+const parseCsvInput = (text) => {
+  const records = parseCsv(text);
+  if (!records.length) throw new AppError('The CSV file is empty', 400);
+
+  const [header, ...rows] = records;
+  const columns = header.cells.map((cell) => {
+    const column = CSV_COLUMNS.find(c => c.toLowerCase() === cell.trim().toLowerCase());
+    if (!column) throw new AppError(`Unknown CSV column '${cell.trim()}'. Expected: ${CSV_COLUMNS.join(', ')}`, 400);
+    return column;
+  });
+  for (const required of ['name', 'basePrice']) {
+    if (!columns.includes(required)) throw new AppError(`The CSV header needs a '${required}' column`, 400);
+  }
+  if (new Set(columns).size !== columns.length) throw new AppError('The CSV header repeats a column', 400);
+
+  const input = { categories: [], items: [], errors: [] };
+  for (const { line, cells } of rows) {
+    if (cells.length > columns.length) {
+      input.errors.push({ section: 'items', row: line, field: null, message: `${cells.length} cells but ${columns.length} columns` });
+      continue;
+    }
+    const { data, errors } = _parseCsvRow(columns, cells);
+    if (errors.length) {
+      input.errors.push(...errors.map(e => ({ section: 'items', row: line, name: data.name, ...e })));
+    } else {
+      input.items.push({ row: line, data });
+    }
+  }
+  return input;
+};
+
+/** parseJsonInput(body) — body is { categories?, items } */
+const parseJsonInput = (body) => {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.items)) {
+    throw new AppError('JSON import needs an items array', 400);
+  }
+  if (body.categories !== undefined && !Array.isArray(body.categories)) {
+    throw new AppError('categories must be an array', 400);
+  }
+  return {
+    categories: (body.categories ?? []).map((data, idx) => ({ row: idx + 1, data })),
+    items:      body.items.map((data, idx) => ({ row: idx + 1, data })),
+    errors:     [],
+  };
+};
+
+/**
+ * parseInput(format, body) → { categories, items, errors }
+ * Validates every row against the import schemas; bad rows are dropped and
+ * reported, so a plan can still show what the good rows would do.
+ */
+const parseInput = (format, body) => {
+  let input;
+  if (format === 'csv') {
+    if (typeof body !== 'string') throw new AppError('Send the CSV as the request body with Content-Type: text/csv', 400);
+    input = parseCsvInput(body);
+  } else {
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        throw new AppError('The request body is not valid JSON', 400);
+      }
+    }
+    input = parseJsonInput(body);
+  }
+
+  if (!input.items.length && !input.categories.length && !input.errors.length) {
+    throw new AppError('The file has no menu items', 400);
+  }
+  if (input.items.length > MAX_ITEMS) throw new AppError(`At most ${MAX_ITEMS} items per import`, 400);
+
+  const errors = [...input.errors];
+  const check = (section, schema, rows) => rows.flatMap(({ row, data }) => {
+    const parsed = schema.safeParse(data);
+    if (parsed.success) return [{ row, data: parsed.data }];
+    errors.push(...parsed.error.issues.map(issue => ({
+      section, row, name: data?.name, field: issue.path.join('.') || null, message: issue.message,
+    })));
+    return [];
+  });
+
+  // ── Checks across rows: a repeated name keeps its first row ──
+  const unique = (section, list) => {
+    const rowByKey = new Map();
+    return list.filter(({ row, data }) => {
+      const key = _key(data.name);
+      if (!rowByKey.has(key)) return rowByKey.set(key, row);
+      errors.push({ section, row, name: data.name, field: 'name', message: `Duplicate name — also on row ${rowByKey.get(key)}` });
+      return false;
+    });
+  };
+  const categories = unique('categories', check('categories', schemas.category, input.categories));
+  const items = unique('items', check('items', schemas.importMenuItem, input.items));
+
+  for (const { row, data } of items) {
+    for (const field of ['variants', 'addOns']) {
+      const names = (data[field] ?? []).map(o => _key(o.name));
+      const dupe = names.find((name, idx) => names.indexOf(name) !== idx);
+      if (dupe) errors.push({ section: 'items', row, name: data.name, field, message: `'${dupe}' is listed twice` });
+    }
+    if ((data.variants ?? []).filter(v => v.isDefault).length > 1) {
+      errors.push({ section: 'items', row, name: data.name, field: 'variants', message: 'Only one variant can be the default' });
+    }
+  }
+
+  errors.sort((a, b) => (a.section === b.section ? a.row - b.row : a.section === 'categories' ? -1 : 1));
+  return { categories, items, errors };
+};
+
+// ─── Planning ─────────────────────────────────────────────────────────────────
+
+const _loadMenu = async (q, restaurantId) => {
+  const { rows: categoryRows } = await q.query(
+    `SELECT id, name, description, sort_order, is_active FROM categories
+     WHERE restaurant_id = $1 ORDER BY sort_order, created_at`, [restaurantId]
+  );
+  const { rows: itemRows } = await q.query(
+    `SELECT id, category_id, name, description, base_price, image, is_veg, is_available, sort_order,
+            dietary_tags, allergens, gst_rate
+     FROM menu_items WHERE restaurant_id = $1 ORDER BY sort_order, created_at`, [restaurantId]
+  );
+  const itemIds = itemRows.map(i => i.id);
+  const { rows: variantRows } = await q.query(
+    `SELECT id, menu_item_id, name, price, is_default, is_available, sort_order FROM menu_item_variants
+     WHERE menu_item_id = ANY($1::uuid[]) AND archived_at IS NULL ORDER BY sort_order, created_at`, [itemIds]
+  );
+  const { rows: addOnRows } = await q.query(
+    `SELECT id, menu_item_id, name, price, is_available FROM add_ons
+     WHERE menu_item_id = ANY($1::uuid[]) ORDER BY created_at`, [itemIds]
+  );
+
+  const byItem = (rows) => {
+    const map = new Map();
+    for (const row of rows) {
+      if (!map.has(row.menu_item_id)) map.set(row.menu_item_id, []);
+      map.get(row.menu_item_id).push(row);
+    }
+    return map;
+  };
+  return { categoryRows, itemRows, variants: byItem(variantRows), addOns: byItem(addOnRows) };
+};
+
+// Tag lists are stored sorted, so position-wise comparison is enough
+const _same = (a, b) =>
+  (Array.isArray(a) && Array.isArray(b) ? a.length === b.length && a.every((v, i) => v === b[i]) : a === b);
+
+/** Field-by-field changes of `next` (import values, undefined = untouched) against `current` */
+const _changes = (pairs) => {
+  const changes = {};
+  for (const [field, from, to] of pairs) {
+    if (to !== undefined && !_same(from, to)) changes[field] = { from, to };
+  }
+  return changes;
+};
+
+/**
+ * Diff of one option list (variants or add-ons) by name.
+ * → { ops: [{ action, current?, next }], summary: { create, update, delete } } or null when untouched
+ */
+const _diffOptions = (currentList, nextList, { isVariant }) => {
+  if (nextList === undefined) return null;
+  const currentByKey = new Map(currentList.map(o => [_key(o.name), o]));
+  const ops = [];
+
+  nextList.forEach((next, idx) => {
+    const current = currentByKey.get(_key(next.name));
+    currentByKey.delete(_key(next.name));
+    if (!current) return ops.push({ action: 'create', next, sortOrder: next.sortOrder ?? idx });
+
+    const changes = _changes([
+      ['name',        current.name,         next.name.trim()],
+      ['price',       current.price,        _money(next.price)],
+      ['isAvailable', current.is_available, next.isAvailable],
+      ...(isVariant ? [
+        ['sortOrder', current.sort_order,   next.sortOrder],
+        ['isDefault', !!current.is_default, next.isDefault || undefined],
+      ] : []),
+    ]);
+    if (Object.keys(changes).length) ops.push({ action: 'update', current, next, changes });
+  });
+  for (const current of currentByKey.values()) ops.push({ action: 'delete', current });
+
+  const names = (action) => ops.filter(o => o.action === action).map(o => (o.next ?? o.current).name);
+  return { ops, summary: { create: names('create'), update: names('update'), delete: names('delete') } };
+};
+
+/**
+ * _plan(q, restaurantId, input, mode)
+ * q is the pool (dry run) or the transaction's client. Returns the plan with
+ * everything applyImport needs to write it.
+ */
+const _plan = async (q, restaurantId, input, mode) => {
+  const menu = await _loadMenu(q, restaurantId);
+
+  // ── Categories: listed ones, then any named only in an item's category column ──
+  const categoryByKey = new Map(menu.categoryRows.map(c => [_key(c.name), c]));
+  const categoryOps = [];
+  const plannedCategoryKeys = new Set();
+  let nextSortOrder = Math.max(-1, ...menu.categoryRows.map(c => c.sort_order ?? 0)) + 1;
+
+  const planCategory = (row, data) => {
+    const key = _key(data.name);
+    if (plannedCategoryKeys.has(key)) return;
+    plannedCategoryKeys.add(key);
+
+    const current = categoryByKey.get(key);
+    if (!current) {
+      categoryOps.push({ action: 'create', row, name: data.name.trim(), data, sortOrder: data.sortOrder ?? nextSortOrder++ });
+      return;
+    }
+    const changes = _changes([
+      ['description', current.description, data.description],
+      ['sortOrder',   current.sort_order,  data.sortOrder],
+      ['isActive',    current.is_active,   data.isActive],
+    ]);
+    if (Object.keys(changes).length) categoryOps.push({ action: 'update', row, name: current.name, current, data, changes });
+  };
+  input.categories.forEach(({ row, data }) => planCategory(row, data));
+  input.items.forEach(({ row, data }) => data.category && planCategory(row, { name: data.category }));
+
+  const categoryNameById = new Map(menu.categoryRows.map(c => [c.id, c.name]));
+
+  // ── Items ──
+  const itemByKey = new Map(menu.itemRows.map(i => [_key(i.name), i]));
+  const itemOps = [];
+  const errors = [...input.errors];
+  let unchanged = 0;
+
+  for (const { row, data } of input.items) {
+    const current = itemByKey.get(_key(data.name));
+    itemByKey.delete(_key(data.name));
+
+    // Dietary tags must agree with isVeg and allergens as they'll be after the import
+    try {
+      assertDietary({
+        isVeg:       data.isVeg ?? current?.is_veg ?? true,
+        dietaryTags: data.dietaryTags ?? current?.dietary_tags ?? [],
+        allergens:   data.allergens !== undefined ? data.allergens : current?.allergens ?? null,
+      });
+    } catch (err) {
+      errors.push({ section: 'items', row, name: data.name, field: 'dietaryTags', message: err.message });
+      continue;
+    }
+
+    const variants = _diffOptions(current ? menu.variants.get(current.id) ?? [] : [], data.variants, { isVariant: true });
+    const addOnDiff = _diffOptions(current ? menu.addOns.get(current.id) ?? [] : [], data.addOns, { isVariant: false });
+
+    if (!current) {
+      itemOps.push({ action: 'create', row, name: data.name, data, variants, addOns: addOnDiff });
+      continue;
+    }
+
+    const currentCategory = categoryNameById.get(current.category_id) ?? null;
+    const changes = _changes([
+      ['name',        current.name,         data.name],
+      ['category',    currentCategory && _key(currentCategory), data.category === undefined ? undefined : data.category && _key(data.category)],
+      ['description', current.description,  data.description],
+      ['basePrice',   current.base_price,   _money(data.basePrice)],
+      ['image',       current.image,        data.image],
+      ['isVeg',       current.is_veg,       data.isVeg],
+      ['isAvailable', current.is_available, data.isAvailable],
+      ['sortOrder',   current.sort_order,   data.sortOrder],
+      ['dietaryTags', current.dietary_tags, data.dietaryTags],
+      ['allergens',   current.allergens,    data.allergens],
+      ['gstRate',     current.gst_rate,     data.gstRate == null ? data.gstRate : _money(data.gstRate)],
+    ]);
+    if (changes.category) changes.category = { from: currentCategory, to: data.category };
+    if (variants?.ops.length)  changes.variants = variants.summary;
+    if (addOnDiff?.ops.length) changes.addOns   = addOnDiff.summary;
+
+    if (Object.keys(changes).length) {
+      itemOps.push({ action: 'update', row, name: current.name, current, data, changes, variants, addOns: addOnDiff });
+    } else {
+      unchanged++;
+    }
+  }
+
+  // ── Items missing from the file (replace mode) ──
+  if (mode === 'replace' && itemByKey.size) {
+    const missing = [...itemByKey.values()];
+    const { rows: ordered } = await q.query(
+      'SELECT DISTINCT menu_item_id FROM order_items WHERE menu_item_id = ANY($1::uuid[])',
+      [missing.map(i => i.id)]
+    );
+    const hasOrders = new Set(ordered.map(r => r.menu_item_id));
+    for (const current of missing) {
+      if (!hasOrders.has(current.id)) itemOps.push({ action: 'delete', name: current.name, current });
+      else if (current.is_available) itemOps.push({ action: 'deactivate', name: current.name, current });
+      else unchanged++;
+    }
+  }
+
+  const count = (ops, action) => ops.filter(o => o.action === action).length;
+  return {
+    mode,
+    summary: {
+      categories: { create: count(categoryOps, 'create'), update: count(categoryOps, 'update') },
+      items: {
+        create:     count(itemOps, 'create'),
+        update:     count(itemOps, 'update'),
+        delete:     count(itemOps, 'delete'),
+        deactivate: count(itemOps, 'deactivate'),
+        unchanged,
+      },
+    },
+    categoryOps,
+    itemOps,
+    errors: errors.sort((a, b) => (a.section === b.section ? a.row - b.row : a.section === 'categories' ? -1 : 1)),
+  };
+};
+
+/** The client-facing part of a plan */
+const _report = (plan) => ({
+  mode:    plan.mode,
+  valid:   plan.errors.length === 0,
+  summary: plan.summary,
+  categories: plan.categoryOps.map(({ action, row, name, changes }) => ({ action, row, name, ...(changes && { changes }) })),
+  items: plan.itemOps.map(({ action, row, name, changes, variants, addOns }) => ({
+    action,
+    row,
+    name,
+    ...(changes && { changes }),
+    // New items list what they will be created with
+    ...(action === 'create' && variants && { variants: variants.summary.create }),
+    ...(action === 'create' && addOns && { addOns: addOns.summary.create }),
+  })),
+  errors: plan.errors,
+});
+
+/** planImport(restaurantId, input, { mode }) — dry run, writes nothing */
+const planImport = async (restaurantId, input, { mode = 'merge' } = {}) =>
+  _report(await _plan(pool, restaurantId, input, mode));
+
+// ─── Applying ─────────────────────────────────────────────────────────────────
+
+/** UPDATE table SET <set columns> WHERE id = $1 — column names are fixed by the callers */
+const _updateRow = (client, table, id, set, extra = '') => {
+  const columns = Object.keys(set);
+  const assignments = [...columns.map((c, i) => `${c} = $${i + 2}`), ...(extra ? [extra] : [])];
+  if (!assignments.length) return null;
+  return client.query(`UPDATE ${table} SET ${assignments.join(', ')} WHERE id = $1`, [id, ...Object.values(set)]);
+};
+
+/**
+ * Same rules as menu.service's variant sync: a variant a cart row still
+ * references is archived rather than deleted, and exactly one live variant
+ * is the default (cleared before set — variants_one_default_idx).
+ */
+const _applyVariants = async (client, menuItemId, diff) => {
+  let defaultId = null;
+  for (const op of diff.ops) {
+    if (op.action === 'create') {
+      const { rows: [created] } = await client.query(
+        `INSERT INTO menu_item_variants (menu_item_id, name, price, is_default, is_available, sort_order)
+         VALUES ($1, $2, $3, false, $4, $5) RETURNING id`,
+        [menuItemId, op.next.name.trim(), _money(op.next.price), op.next.isAvailable ?? true, op.sortOrder]
+      );
+      if (op.next.isDefault) defaultId = created.id;
+    } else if (op.action === 'update') {
+      await client.query(
+        `UPDATE menu_item_variants
+         SET name = $2, price = $3, is_available = COALESCE($4, is_available), sort_order = COALESCE($5, sort_order),
+             sold_out_at = CASE WHEN $4::boolean IS NULL THEN sold_out_at END
+         WHERE id = $1`,
+        [op.current.id, op.next.name.trim(), _money(op.next.price), op.next.isAvailable ?? null, op.next.sortOrder ?? null]
+      );
+      if (op.next.isDefault) defaultId = op.current.id;
+    } else {
+      const { rows: [inCart] } = await client.query(
+        'SELECT 1 FROM cart_items WHERE variant_id = $1 LIMIT 1', [op.current.id]
+      );
+      if (inCart) {
+        await client.query(
+          `UPDATE menu_item_variants SET archived_at = NOW(), is_default = false, is_available = false
+           WHERE id = $1`, [op.current.id]
+        );
+      } else {
+        await client.query('DELETE FROM menu_item_variants WHERE id = $1', [op.current.id]);
+      }
+    }
+  }
+
+  const { rows: live } = await client.query(
+    `SELECT id, is_default FROM menu_item_variants
+     WHERE menu_item_id = $1 AND archived_at IS NULL ORDER BY sort_order, created_at`, [menuItemId]
+  );
+  if (!live.length) return;
+  const targetId = defaultId ?? live.find(v => v.is_default)?.id ?? live[0].id;
+  await client.query(
+    'UPDATE menu_item_variants SET is_default = false WHERE menu_item_id = $1 AND is_default AND id <> $2',
+    [menuItemId, targetId]
+  );
+  await client.query('UPDATE menu_item_variants SET is_default = true WHERE id = $1', [targetId]);
+};
+
+/** Cart rows snapshot add-ons, so they can be deleted outright */
+const _applyAddOns = async (client, restaurantId, menuItemId, diff) => {
+  for (const op of diff.ops) {
+    if (op.action === 'create') {
+      await client.query(
+        `INSERT INTO add_ons (restaurant_id, menu_item_id, name, price, is_available)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [restaurantId, menuItemId, op.next.name.trim(), _money(op.next.price), op.next.isAvailable ?? true]
+      );
+    } else if (op.action === 'update') {
+      await client.query(
+        'UPDATE add_ons SET name = $2, price = $3, is_available = COALESCE($4, is_available) WHERE id = $1',
+        [op.current.id, op.next.name.trim(), _money(op.next.price), op.next.isAvailable ?? null]
+      );
+    } else {
+      await client.query('DELETE FROM add_ons WHERE id = $1', [op.current.id]);
+    }
+  }
+};
+
+const _applyItem = async (client, restaurantId, op, categoryIdFor) => {
+  const { data } = op;
+  let menuItemId;
+
+  if (op.action === 'create') {
+    const { rows: [created] } = await client.query(
+      `INSERT INTO menu_items
+         (restaurant_id, category_id, name, description, base_price, image, is_veg, is_available, sort_order,
+          dietary_tags, allergens, gst_rate)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+      [
+        restaurantId, categoryIdFor(data.category), data.name, data.description ?? null,
+        _money(data.basePrice), data.image ?? null, data.isVeg ?? true, data.isAvailable ?? true, data.sortOrder ?? 0,
+        JSON.stringify(data.dietaryTags ?? []), data.allergens == null ? null : JSON.stringify(data.allergens),
+        data.gstRate == null ? null : _money(data.gstRate),
+      ]
+    );
+    menuItemId = created.id;
+  } else if (op.action === 'update') {
+    menuItemId = op.current.id;
+    const set = { name: data.name, base_price: _money(data.basePrice) };
+    if (data.category    !== undefined) set.category_id  = categoryIdFor(data.category);
+    if (data.description !== undefined) set.description  = data.description;
+    if (data.image       !== undefined) set.image        = data.image;
+    if (data.isVeg       !== undefined) set.is_veg       = data.isVeg;
+    if (data.sortOrder   !== undefined) set.sort_order   = data.sortOrder;
+    if (data.dietaryTags !== undefined) set.dietary_tags = JSON.stringify(data.dietaryTags);
+    if (data.allergens   !== undefined) set.allergens    = data.allergens === null ? null : JSON.stringify(data.allergens);
+    if (data.gstRate     !== undefined) set.gst_rate     = data.gstRate === null ? null : _money(data.gstRate);
+    if (data.isAvailable !== undefined) {
+      // A manual availability switch overrides a daily-stock sell-out
+      set.is_available = data.isAvailable;
+      set.sold_out_at  = null;
+    }
+    await _updateRow(client, 'menu_items', menuItemId, set, 'updated_at = NOW()');
+  } else if (op.action === 'deactivate') {
+    await client.query(
+      'UPDATE menu_items SET is_available = false, sold_out_at = NULL, updated_at = NOW() WHERE id = $1',
+      [op.current.id]
+    );
+    return;
+  } else {
+    await client.query('DELETE FROM menu_items WHERE id = $1', [op.current.id]);
+    return;
+  }
+
+  if (op.variants?.ops.length) await _applyVariants(client, menuItemId, op.variants);
+  if (op.addOns?.ops.length) await _applyAddOns(client, restaurantId, menuItemId, op.addOns);
+};
+
+/**
+ * applyImport(restaurantId, input, { mode })
+ * Re-plans against the current menu and writes the plan in one transaction.
+ * With any row error nothing is written and the report has applied: false.
+ */
+const applyImport = async (restaurantId, input, { mode = 'merge' } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const plan = await _plan(client, restaurantId, input, mode);
+    if (plan.errors.length) {
+      await client.query('ROLLBACK');
+      return { applied: false, ..._report(plan) };
+    }
+
+    // ── Categories ──
+    const categoryIdByKey = new Map();
+    const { rows: existing } = await client.query('SELECT id, name FROM categories WHERE restaurant_id = $1', [restaurantId]);
+    existing.forEach(c => categoryIdByKey.set(_key(c.name), c.id));
+
+    for (const op of plan.categoryOps) {
+      const { data } = op;
+      if (op.action === 'create') {
+        const { rows: [created] } = await client.query(
+          `INSERT INTO categories (restaurant_id, name, description, sort_order, is_active)
+           VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+          [restaurantId, op.name, data.description ?? null, op.sortOrder, data.isActive ?? true]
+        );
+        categoryIdByKey.set(_key(op.name), created.id);
+      } else {
+        const set = {};
+        if (data.description !== undefined) set.description = data.description;
+        if (data.sortOrder   !== undefined) set.sort_order  = data.sortOrder;
+        if (data.isActive    !== undefined) set.is_active   = data.isActive;
+        await _updateRow(client, 'categories', op.current.id, set);
+      }
+    }
+    const categoryIdFor = (name) => (name ? categoryIdByKey.get(_key(name)) : null);
+
+    // ── Items, each with its variants and add-ons ──
+    for (const op of plan.itemOps) {
+      try {
+        await _applyItem(client, restaurantId, op, categoryIdFor);
+      } catch (err) {
+        logger.error('Menu import row failed', { restaurantId, row: op.row, item: op.name, error: err.message });
+        throw new AppError(
+          `Could not ${op.action} '${op.name}'${op.row ? ` (row ${op.row})` : ''} — nothing was imported`, 400
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+    logger.info('Menu imported', { restaurantId, mode, ...plan.summary.items });
+    return { applied: true, ..._report(plan) };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+/**
+ * exportMenu(restaurantId) → { categories, items } in the JSON import shape.
+ * Only item-level add-ons are included; restaurant-wide ones are not per item.
+ */
+const exportMenu = async (restaurantId) => {
+  const menu = await _loadMenu(pool, restaurantId);
+  const categoryById = new Map(menu.categoryRows.map(c => [c.id, c]));
+  const categoryRank = new Map(menu.categoryRows.map((c, idx) => [c.id, idx]));
+
+  const items = [...menu.itemRows]
+    // Menu order: category by category, uncategorised last
+    .sort((a, b) => (categoryRank.get(a.category_id) ?? Infinity) - (categoryRank.get(b.category_id) ?? Infinity))
+    .map(item => ({
+      category:    categoryById.get(item.category_id)?.name ?? null,
+      name:        item.name,
+      description: item.description,
+      basePrice:   parseFloat(item.base_price),
+      image:       item.image,
+      isVeg:       item.is_veg,
+      isAvailable: item.is_available,
+      sortOrder:   item.sort_order ?? 0,
+      dietaryTags: item.dietary_tags,
+      allergens:   item.allergens,
+      gstRate:     item.gst_rate === null ? null : parseFloat(item.gst_rate),
+      variants: (menu.variants.get(item.id) ?? []).map(v => ({
+        name: v.name, price: parseFloat(v.price), isDefault: !!v.is_default, isAvailable: v.is_available, sortOrder: v.sort_order ?? 0,
+      })),
+      addOns: (menu.addOns.get(item.id) ?? []).map(a => ({
+        name: a.name, price: parseFloat(a.price), isAvailable: a.is_available,
+      })),
+    }));
+
+  return {
+    categories: menu.categoryRows.map(c => ({
+      name: c.name, description: c.description, sortOrder: c.sort_order ?? 0, isActive: c.is_active,
+    })),
+    items,
+  };
+};
+
+/** toCsvExport({ items }) — CSV_COLUMNS header plus one line per item */
+const toCsvExport = ({ items }) => {
+  const options = (list, withDefault) =>
+    list.map(o => `${o.name}:${o.price}${withDefault && o.isDefault ? '*' : ''}`).join('|');
+
+  return toCsv([
+    CSV_COLUMNS,
+    ...items.map(item => [
+      item.category, item.name, item.description, item.basePrice.toFixed(2), item.image,
+      item.isVeg ? 'yes' : 'no', item.isAvailable ? 'yes' : 'no', item.sortOrder,
+      options(item.variants, true), options(item.addOns, false),
+      item.dietaryTags.join('|'), item.allergens === null ? '' : item.allergens.join('|') || 'none',
+      item.gstRate ?? '',
+    ]),
+  ]);
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  parseInput,
+  planImport,
+  applyImport,
+  exportMenu,
+  toCsvExport,
+};
@@ -24,14 +24,24 @@
  */
 const { db, pool }   = require('../db');
 const {
-  orders, orderItems, restaurants, menuItems, menuItemVariants, addOns,
+  orders, orderItems, restaurants, categories, menuItems, menuItemVariants, addOns, orderRejections,
 } = require('../db/schema');
-const { eq, and, desc, inArray } = require('drizzle-orm');
+const { eq, and, desc, inArray, gte, sql, isNull } = require('drizzle-orm');
 const { AppError }   = require('../utils/response');
 const cartService    = require('./cart.service');
+const menuService    = require('./menu.service');
 const walletService  = require('./wallet.service');
 const couponService  = require('./coupon.service');
+const feeService     = require('./fee.service');
+const pickupSlotService = require('./pickupSlot.service');
+const hoursService   = require('./restaurantHours.service');
+const paymentService = require('./payment.service');
+const orderHistory   = require('./orderHistory.service');
+const pickupCodeService = require('./pickupCode.service');
+const stockService   = require('./stock.service');
+const menuAvailability = require('./menuAvailability.service');
 const logger         = require('../utils/logger');
+const { ORDER_EVENTS, publishOrderEvent } = require('../utils/orderEvents');
 
 // ─── Takeaway-only state machine ──────────────────────────────────────────────
 const STATE_TRANSITIONS = {
@@ -44,10 +54,19 @@ const STATE_TRANSITIONS = {
   cancelled: [],
 };
 
+// Owner-side subset: forward-only; cancellation goes through rejectOrder
+const OWNER_TRANSITIONS = {
+  pending:   ['confirmed'],
+  paid:      ['confirmed'],
+  confirmed: ['preparing'],
+  preparing: ['ready'],
+  ready:     ['collected'],
+};
+
 // ─── createOrder (ATOMIC TRANSACTION) ────────────────────────────────────────
 const createOrder = async (userId, {
   notes, pickupName, idempotencyKey,
-  useWallet = false, couponCode,
+  useWallet = false, couponCode, scheduledPickupAt,
 } = {}) => {
   // Idempotency check
   if (idempotencyKey) {
@@ -63,12 +82,43 @@ const createOrder = async (userId, {
   const { cart, items, pricing } = await cartService.getCart(userId);
   if (!cart || !items.length) throw new AppError('Your cart is empty', 400);
 
+  // Variants removed or switched off by the owner after the item was added
+  const staleVariant = items.find(i => i.variant && (i.variant.archivedAt || !i.variant.isAvailable));
+  if (staleVariant) {
+    throw new AppError(
+      `'${staleVariant.menuItem.name} (${staleVariant.variant.name})' is no longer available. Remove it from your cart to continue.`,
+      400
+    );
+  }
+
+  // Add-on group rules may have changed since the items were added
+  await menuService.validateCartAddOns(items);
+
   const [restaurant] = await db.select().from(restaurants)
     .where(eq(restaurants.id, cart.restaurantId)).limit(1);
   if (!restaurant)          throw new AppError('Restaurant not found', 404);
   if (!restaurant.isActive) throw new AppError('This restaurant is currently not available', 400);
   if (restaurant.isOpen === false) throw new AppError('This restaurant is currently not accepting orders', 400);
 
+  // Opening hours: ASAP orders need the restaurant open right now; scheduled
+  // orders are checked against the schedule at their pickup time instead.
+  // Slot capacity is reserved atomically inside the transaction below.
+  const schedule = await hoursService.loadSchedule(restaurant);
+  let pickupSlotStart = null;
+  if (scheduledPickupAt) {
+    pickupSlotStart = pickupSlotService.resolveScheduledPickup(restaurant, schedule, scheduledPickupAt);
+  } else {
+    const { isOpenNow, opensAt } = hoursService.computeOpenStatus(restaurant, schedule);
+    if (!isOpenNow) {
+      throw new AppError(
+        opensAt
+          ? `This restaurant is closed right now. It opens at ${opensAt.toISOString()} — you can schedule a pickup instead.`
+          : 'This restaurant is closed right now.',
+        400
+      );
+    }
+  }
+
   const minOrder = parseFloat(restaurant.minOrder || 0);
   if (pricing.subtotal < minOrder) {
     throw new AppError(
@@ -77,6 +127,7 @@ const createOrder = async (userId, {
     );
   }
 
+  // Coupon minOrder, like the restaurant's, is on the item subtotal — fees and tax don't count
   let couponData = null;
   let couponDiscountAmount = 0;
   if (couponCode) {
@@ -84,8 +135,13 @@ const createOrder = async (userId, {
     couponDiscountAmount = couponData.discountAmount;
   }
 
-  const totalDiscountAmount = pricing.discountAmount + couponDiscountAmount;
-  const finalTotal = Math.max(0, pricing.subtotal - totalDiscountAmount);
+  // GST is charged on what's left after the coupon
+  const feeRules = await feeService.getActiveRules(restaurant.id);
+  const priced = cartService._calculatePricing(items, restaurant, {
+    couponDiscount: couponDiscountAmount, feeRules,
+  });
+  const totalDiscountAmount = priced.discountAmount;
+  const finalTotal = priced.totalAmount;
 
   let walletDebitAmount = 0;
   if (useWallet) {
@@ -97,58 +153,116 @@ const createOrder = async (userId, {
   const menuItemList = await db.select().from(menuItems).where(inArray(menuItems.id, menuItemIds));
   const menuItemMap  = Object.fromEntries(menuItemList.map(m => [m.id, m]));
 
-  const orderItemsData = items.map(item => ({
+  // Items switched off, or whose category was hidden, after they were added
+  const categoryIds = [...new Set(menuItemList.map(m => m.categoryId).filter(Boolean))];
+  const hiddenCategoryIds = new Set(categoryIds.length
+    ? (await db.select({ id: categories.id }).from(categories)
+        .where(and(inArray(categories.id, categoryIds), eq(categories.isActive, false))))
+        .map(c => c.id)
+    : []);
+  const unavailable = items.find(i => {
+    const menuItem = menuItemMap[i.menuItemId];
+    return !menuItem || !menuItem.isAvailable || hiddenCategoryIds.has(menuItem.categoryId);
+  });
+  if (unavailable) {
+    throw new AppError(
+      `'${unavailable.menuItem?.name ?? 'An item'}' is no longer available. Remove it from your cart to continue.`,
+      400
+    );
+  }
+
+  // Availability windows — checked at the pickup time for scheduled orders
+  await menuAvailability.assertServed(restaurant, menuItemList, {
+    at: pickupSlotStart ?? new Date(), scheduled: !!pickupSlotStart,
+  });
+
+  const orderItemsData = items.map((item, i) => ({
     menuItemId:  item.menuItemId,
     name:        menuItemMap[item.menuItemId]?.name ?? 'Unknown Item',
+    variantId:   item.variantId ?? null,
     variantName: item.variant?.name ?? null,
     addOns:      item.addOns ?? [],
     quantity:    item.quantity,
     unitPrice:   item.unitPrice.toFixed(2),
     totalPrice:  item.totalPrice.toFixed(2),
+    // Snapshot for the kitchen ticket; allergens null = not declared
+    dietaryTags: menuItemMap[item.menuItemId]?.dietaryTags ?? [],
+    allergens:   menuItemMap[item.menuItemId]?.allergens ?? null,
+    gstRate:       priced.lines[i].gstRate.toFixed(2),
+    taxableAmount: priced.lines[i].taxableAmount.toFixed(2),
   }));
 
   const client = await pool.connect();
   let createdOrderId;
+  let stockAlerts = [];
 
   try {
     await client.query('BEGIN');
 
+    if (pickupSlotStart) {
+      await pickupSlotService.reserveSlot(client, restaurant, pickupSlotStart);
+    }
+
     const { rows: [order] } = await client.query(
       `INSERT INTO orders (
          user_id, restaurant_id,
          status, payment_status,
          subtotal, discount_amount, total_amount,
+         fee_amount, fee_lines,
+         taxable_amount, tax_amount, tax_lines, gstin,
          coupon_code,
          pickup_name, notes,
          preparation_time,
          idempotency_key,
          wallet_amount_used,
+         scheduled_pickup_at,
          created_at, updated_at
-       ) VALUES ($1,$2,'pending','pending',$3,$4,$5,$6,$7,$8,$9,$10,$11,NOW(),NOW())
+       ) VALUES ($1,$2,'pending','pending',$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,NOW(),NOW())
        RETURNING *`,
       [
         userId, cart.restaurantId,
         pricing.subtotal.toFixed(2),
         totalDiscountAmount.toFixed(2),
         finalTotal.toFixed(2),
+        priced.feeAmount.toFixed(2),
+        JSON.stringify(priced.fees),
+        priced.taxableAmount.toFixed(2),
+        priced.taxAmount.toFixed(2),
+        JSON.stringify(priced.taxLines),
+        restaurant.gstin ?? null,
         couponCode   ?? null,
         pickupName   ?? null,
         notes        ?? null,
         restaurant.preparationTime ?? 20,
         idempotencyKey ?? null,
         walletDebitAmount.toFixed(2),
+        pickupSlotStart,
       ]
     );
 
     createdOrderId = order.id;
 
+    await orderHistory.recordTransition({
+      orderId: order.id, toStatus: 'pending', actorId: userId, actorRole: 'customer',
+    }, client);
+
+    // Daily stock — locked and decremented here so two orders can't both take the last one
+    const stock = await stockService.reserveStock(client, restaurant, orderItemsData);
+    stockAlerts = stock.alerts;
+
     for (const oi of orderItemsData) {
       await client.query(
         `INSERT INTO order_items
-           (order_id,menu_item_id,name,variant_name,add_ons,quantity,unit_price,total_price,created_at)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,NOW())`,
-        [order.id, oi.menuItemId, oi.name, oi.variantName,
-          JSON.stringify(oi.addOns), oi.quantity, oi.unitPrice, oi.totalPrice]
+           (order_id,menu_item_id,name,variant_id,variant_name,add_ons,quantity,unit_price,total_price,
+            item_stock_date,variant_stock_date,dietary_tags,allergens,gst_rate,taxable_amount,created_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,NOW())`,
+        [order.id, oi.menuItemId, oi.name, oi.variantId, oi.variantName,
+          JSON.stringify(oi.addOns), oi.quantity, oi.unitPrice, oi.totalPrice,
+          stock.itemDates.get(oi.menuItemId) ?? null,
+          (oi.variantId && stock.variantDates.get(oi.variantId)) ?? null,
+          JSON.stringify(oi.dietaryTags),
+          oi.allergens === null ? null : JSON.stringify(oi.allergens),
+          oi.gstRate, oi.taxableAmount]
       );
     }
 
@@ -156,7 +270,9 @@ const createOrder = async (userId, {
     await client.query('DELETE FROM carts WHERE id = $1', [cart.id]);
 
     await client.query('COMMIT');
-    logger.info('Order created', { orderId: order.id, userId, total: finalTotal });
+    logger.info('Order created', {
+      orderId: order.id, userId, total: finalTotal, scheduledPickupAt: pickupSlotStart,
+    });
 
     if (walletDebitAmount > 0) {
       walletService.debitWallet(userId, walletDebitAmount, order.id, 'Order payment')
@@ -166,6 +282,10 @@ const createOrder = async (userId, {
       couponService.recordCouponUsage(couponData.coupon.id, userId, order.id)
         .catch(err => logger.error('Coupon usage record failed', { error: err.message }));
     }
+    if (stockAlerts.length) {
+      stockService.sendStockAlerts(restaurant, stockAlerts)
+        .catch(err => logger.error('Stock alerts failed', { error: err.message, orderId: order.id }));
+    }
 
   } catch (err) {
     await client.query('ROLLBACK');
@@ -175,7 +295,9 @@ const createOrder = async (userId, {
     client.release();
   }
 
-  return getOrderById(createdOrderId, userId);
+  const created = await getOrderById(createdOrderId, userId);
+  publishOrderEvent(ORDER_EVENTS.CREATED, created);
+  return created;
 };
 
 // ─── Get user's orders WITH restaurant name + items (no N+1) ─────────────────
@@ -202,6 +324,8 @@ const getOrders = async (userId, page = 1, limit = 10) => {
     paymentStatus:   orders.paymentStatus,
     subtotal:        orders.subtotal,
     discountAmount:  orders.discountAmount,
+    feeAmount:       orders.feeAmount,
+    taxAmount:       orders.taxAmount,
     totalAmount:     orders.totalAmount,
     walletAmountUsed: orders.walletAmountUsed,
     couponCode:      orders.couponCode,
@@ -209,6 +333,7 @@ const getOrders = async (userId, page = 1, limit = 10) => {
     restaurantId:    orders.restaurantId,
     pickupName:      orders.pickupName,
     notes:           orders.notes,
+    scheduledPickupAt: orders.scheduledPickupAt,
     createdAt:       orders.createdAt,
     updatedAt:       orders.updatedAt,
   })
@@ -271,10 +396,17 @@ const getOrderById = async (orderId, userId = null) => {
   const [restaurant] = await db.select({ id: restaurants.id, name: restaurants.name })
     .from(restaurants).where(eq(restaurants.id, order.restaurantId)).limit(1);
 
+  const timeline = await orderHistory.getTimeline(orderId);
+
+  // Pickup code is only ever shown to the customer who placed the order
+  const pickup = userId ? await pickupCodeService.getForCustomer(order) : null;
+
   return {
     ...order,
     restaurantName: restaurant?.name ?? 'Unknown Restaurant',
     items,
+    timeline,
+    pickup,
   };
 };
 
@@ -342,7 +474,8 @@ const reorderFromPastOrder = async (orderId, userId) => {
           .where(
             and(
               eq(menuItemVariants.menuItemId, pastItem.menuItemId),
-              eq(menuItemVariants.name, pastItem.variantName)
+              eq(menuItemVariants.name, pastItem.variantName),
+              isNull(menuItemVariants.archivedAt)
             )
           ).limit(1);
         resolvedVariantId = variant?.id ?? null;
@@ -415,16 +548,50 @@ const cancelOrder = async (orderId, userId) => {
     );
   }
 
+  return cancelAndRefund(order, {
+    actorId: userId, actorRole: 'customer', reason: 'Cancelled by customer', retainFees: true,
+  });
+};
+
+/**
+ * cancelAndRefund(order, { actorId, actorRole, reason, releaseCoupon, retainFees, withinTransaction })
+ * The single cancellation path for customers, owners and admins:
+ *   1. Transaction — mark cancelled, release the pickup slot, return the
+ *      day's stock, credit back any wallet amount used, optionally hand the coupon back
+ *      (releaseCoupon) and run withinTransaction(client) for caller records.
+ *   2. After commit — refund the Razorpay payment if the order was paid.
+ *      retainFees (customer cancellations) keeps the order's non-refundable fees.
+ *      A refund failure is logged and left on the refunds table for an admin
+ *      to retry; it never un-cancels the order.
+ * Callers validate whether the transition is allowed.
+ */
+const cancelAndRefund = async (order, {
+  actorId = null, actorRole = null, reason, releaseCoupon = false, retainFees = false, withinTransaction,
+} = {}) => {
+  const refunding = order.paymentStatus === 'paid' && order.razorpayPaymentId;
+  const retainAmount = refunding && retainFees ? feeService.nonRefundableAmount(order) : 0;
+
   const client = await pool.connect();
-  let updated;
   try {
     await client.query('BEGIN');
 
-    const { rows: [cancelledOrder] } = await client.query(
-      `UPDATE orders SET status = 'cancelled', updated_at = NOW() WHERE id = $1 RETURNING *`,
-      [orderId]
+    // Guard on the status we validated against — a concurrent update wins
+    const { rowCount } = await client.query(
+      `UPDATE orders SET status = 'cancelled', retained_amount = $3, updated_at = NOW() WHERE id = $1 AND status = $2`,
+      [order.id, order.status, retainAmount.toFixed(2)]
     );
-    updated = cancelledOrder;
+    if (!rowCount) throw new AppError('Order status changed — please refresh and try again', 409);
+
+    await orderHistory.recordTransition({
+      orderId: order.id, fromStatus: order.status, toStatus: 'cancelled', actorId, actorRole, note: reason,
+    }, client);
+
+    // Free the pickup slot so another customer can book it
+    if (order.scheduledPickupAt) {
+      await pickupSlotService.releaseSlot(client, order.restaurantId, order.scheduledPickupAt);
+    }
+
+    await stockService.restoreStock(client, order.id);
 
     // FIX: Refund wallet amount if it was used for this order
     const walletUsed = parseFloat(order.walletAmountUsed || '0');
@@ -432,37 +599,232 @@ const cancelOrder = async (orderId, userId) => {
       // Ensure wallet row exists
       await client.query(
         `INSERT INTO wallets (user_id, balance) VALUES ($1, 0) ON CONFLICT (user_id) DO NOTHING`,
-        [userId]
+        [order.userId]
       );
       // Credit wallet
       const { rows: [wallet] } = await client.query(
         `UPDATE wallets SET balance = balance + $1, updated_at = NOW() WHERE user_id = $2 RETURNING *`,
-        [walletUsed.toFixed(2), userId]
+        [walletUsed.toFixed(2), order.userId]
       );
       // Record transaction
       await client.query(
         `INSERT INTO wallet_transactions (user_id, type, amount, description, reference_id, balance_after)
          VALUES ($1, 'credit', $2, 'Order Cancel Refund', $3, $4)`,
-        [userId, walletUsed.toFixed(2), orderId, wallet.balance]
+        [order.userId, walletUsed.toFixed(2), order.id, wallet.balance]
       );
-      logger.info('Wallet refunded on order cancel', { orderId, userId, amount: walletUsed });
+      logger.info('Wallet refunded on order cancel', { orderId: order.id, userId: order.userId, amount: walletUsed });
+    }
+
+    if (releaseCoupon && order.couponCode) {
+      await couponService.releaseCouponUsage(client, order.id);
+    }
+    if (withinTransaction) await withinTransaction(client);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Cancel order rollback', { error: err.message, orderId: order.id, actorId });
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  logger.info('Order cancelled', { orderId: order.id, actorId, actorRole, reason });
+  publishOrderEvent(ORDER_EVENTS.STATUS_CHANGED, { ...order, status: 'cancelled' }, {
+    from: order.status, to: 'cancelled',
+  });
+
+  if (refunding) {
+    try {
+      await paymentService.refundOrder(order.id, { reason, actorId, actorRole, retainAmount });
+    } catch (err) {
+      logger.error('Automatic refund failed — needs manual retry', { orderId: order.id, error: err.message });
+    }
+  }
+
+  const [cancelled] = await db.select().from(orders).where(eq(orders.id, order.id)).limit(1);
+  return cancelled;
+};
+
+// ─── Update order status (owner / KDS path) ───────────────────────────────────
+/**
+ * ownerUpdateStatus(restaurantId, orderId, newStatus, { actorId, actorRole?, preparationTime?, pickupVerified? })
+ * Applies one OWNER_TRANSITIONS step. preparationTime (minutes) may only be
+ * set when confirming. 'collected' requires a verified pickup code
+ * (POST /owner/order/:id/collect). Returns the updated order row.
+ */
+const ownerUpdateStatus = async (restaurantId, orderId, newStatus, {
+  actorId, actorRole = 'restaurant_owner', preparationTime, pickupVerified = false,
+} = {}) => {
+  const [order] = await db.select().from(orders)
+    .where(and(eq(orders.id, orderId), eq(orders.restaurantId, restaurantId)))
+    .limit(1);
+
+  if (!order) {
+    throw new AppError('Forbidden — order not found or does not belong to your restaurant', 403);
+  }
+
+  const allowed = OWNER_TRANSITIONS[order.status] ?? [];
+  if (!allowed.includes(newStatus)) {
+    const allowedStr = allowed.length ? allowed.join(', ') : 'none (terminal state)';
+    throw new AppError(
+      `Invalid transition: '${order.status}' → '${newStatus}'. Allowed: ${allowedStr}`,
+      400
+    );
+  }
+
+  // Scheduled orders can be accepted early but only cooked once released
+  if (newStatus === 'preparing' && order.scheduledPickupAt && !order.releasedAt) {
+    throw new AppError(
+      `This is a scheduled order for ${new Date(order.scheduledPickupAt).toISOString()}. ` +
+      'It will move to the kitchen queue closer to pickup time.',
+      400
+    );
+  }
+
+  if (newStatus === 'collected' && !pickupVerified) {
+    throw new AppError("Collection requires the customer's pickup code — use POST /owner/order/:id/collect", 400);
+  }
+
+  let mins;
+  if (preparationTime !== undefined && newStatus === 'confirmed') {
+    mins = parseInt(preparationTime);
+    if (isNaN(mins) || mins < 1) {
+      throw new AppError('preparationTime must be a positive integer (minutes)', 400);
     }
+  }
+
+  const updated = await _transitionStatus(order, newStatus, {
+    preparationTime: mins, actorId, actorRole, issueCode: newStatus === 'confirmed',
+  });
+
+  publishOrderEvent(ORDER_EVENTS.STATUS_CHANGED, updated, { from: order.status, to: newStatus });
+  if (mins !== undefined && mins !== order.preparationTime) {
+    publishOrderEvent(ORDER_EVENTS.PREP_TIME_CHANGED, updated, { previous: order.preparationTime });
+  }
+  return updated;
+};
+
+/**
+ * Writes a validated status change, its timeline row and (issueCode) the
+ * pickup code in one transaction — a confirmed order without a code could
+ * never be collected. Guarded on the status the caller validated against, so
+ * a concurrent update wins with a 409. Returns the updated order.
+ */
+const _transitionStatus = async (order, newStatus, {
+  preparationTime, actorId = null, actorRole = null, issueCode = false,
+} = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rowCount } = await client.query(
+      `UPDATE orders SET status = $3, preparation_time = COALESCE($4, preparation_time), updated_at = NOW()
+       WHERE id = $1 AND status = $2`,
+      [order.id, order.status, newStatus, preparationTime ?? null]
+    );
+    if (!rowCount) throw new AppError('Order status changed — please refresh and try again', 409);
+
+    await orderHistory.recordTransition({
+      orderId: order.id, fromStatus: order.status, toStatus: newStatus, actorId, actorRole,
+    }, client);
+    if (issueCode) await pickupCodeService.issueCode(order.id, client);
 
     await client.query('COMMIT');
   } catch (err) {
     await client.query('ROLLBACK');
-    logger.error('Cancel order rollback', { error: err.message, orderId, userId });
     throw err;
   } finally {
     client.release();
   }
 
-  logger.info('Order cancelled by user', { orderId, userId });
+  const [updated] = await db.select().from(orders).where(eq(orders.id, order.id)).limit(1);
   return updated;
 };
 
+// ─── Owner rejection ──────────────────────────────────────────────────────────
+const REJECTION_REASONS = {
+  item_unavailable: 'An item in your order is unavailable',
+  too_busy:         'The restaurant is too busy right now',
+  closing_soon:     'The restaurant is closing soon',
+  other:            'The restaurant could not accept your order',
+};
+
+// Once the kitchen has started cooking the order can no longer be declined
+const REJECTABLE_STATUSES = ['pending', 'paid', 'confirmed'];
+
+/**
+ * rejectOrder(orderId, restaurantId, actorId, { reasonCode, note, actorRole? })
+ * Declines an order on behalf of the restaurant: cancels it, returns wallet
+ * credit and coupon usage, refunds the payment and records the rejection.
+ */
+const rejectOrder = async (orderId, restaurantId, actorId, { reasonCode, note, actorRole = 'restaurant_owner' }) => {
+  const [order] = await db.select().from(orders)
+    .where(and(eq(orders.id, orderId), eq(orders.restaurantId, restaurantId)))
+    .limit(1);
+
+  if (!order) throw new AppError('Order not found or does not belong to your restaurant', 404);
+  if (!REJECTABLE_STATUSES.includes(order.status)) {
+    throw new AppError(
+      `Cannot reject — order is '${order.status}'. Only ${REJECTABLE_STATUSES.join(', ')} orders can be rejected.`,
+      400
+    );
+  }
+
+  const reasonText = REJECTION_REASONS[reasonCode];
+  const cancelled = await cancelAndRefund(order, {
+    actorId,
+    actorRole,
+    reason:        `Rejected by restaurant: ${reasonCode}`,
+    releaseCoupon: true,
+    withinTransaction: (client) => client.query(
+      `INSERT INTO order_rejections (order_id, restaurant_id, rejected_by, reason_code, note)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [order.id, restaurantId, actorId, reasonCode, note ?? null]
+    ),
+  });
+
+  logger.info('Order rejected by restaurant', { orderId, restaurantId, reasonCode });
+  return { order: cancelled, reasonCode, reasonText };
+};
+
+/**
+ * getAcceptanceStats(restaurantId, { days })
+ * Accepted = orders that reached 'confirmed' or later; rejected = rows in
+ * order_rejections. Orders still awaiting a decision are excluded.
+ */
+const getAcceptanceStats = async (restaurantId, { days = 30 } = {}) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const [{ accepted }] = await db.select({ accepted: sql`COUNT(*)::int` })
+    .from(orders)
+    .where(and(
+      eq(orders.restaurantId, restaurantId),
+      gte(orders.createdAt, since),
+      inArray(orders.status, ['confirmed', 'preparing', 'ready', 'collected']),
+    ));
+
+  const byReason = await db.select({
+    reasonCode: orderRejections.reasonCode,
+    count:      sql`COUNT(*)::int`,
+  }).from(orderRejections)
+    .where(and(eq(orderRejections.restaurantId, restaurantId), gte(orderRejections.createdAt, since)))
+    .groupBy(orderRejections.reasonCode);
+
+  const rejected = byReason.reduce((sum, r) => sum + r.count, 0);
+  const decided  = accepted + rejected;
+
+  return {
+    days,
+    accepted,
+    rejected,
+    acceptanceRate: decided ? parseFloat((accepted / decided).toFixed(4)) : null,
+    rejectionsByReason: Object.fromEntries(byReason.map(r => [r.reasonCode, r.count])),
+  };
+};
+
 // ─── Update order status (admin path) ────────────────────────────────────────
-const updateOrderStatus = async (orderId, newStatus, preparationTime) => {
+const updateOrderStatus = async (orderId, newStatus, preparationTime, actor = {}) => {
   const [order] = await db.select().from(orders).where(eq(orders.id, orderId)).limit(1);
   if (!order) throw new AppError('Order not found', 404);
 
@@ -477,11 +839,22 @@ const updateOrderStatus = async (orderId, newStatus, preparationTime) => {
     );
   }
 
-  const updateData = { status: newStatus, updatedAt: new Date() };
-  if (preparationTime != null) updateData.preparationTime = preparationTime;
+  if (newStatus === 'cancelled') {
+    return cancelAndRefund(order, { ...actor, reason: actor.reason ?? 'Cancelled by admin' });
+  }
 
-  const [updated] = await db.update(orders).set(updateData).where(eq(orders.id, orderId)).returning();
+  const updated = await _transitionStatus(order, newStatus, {
+    preparationTime: preparationTime ?? undefined,
+    actorId:   actor.actorId ?? null,
+    actorRole: actor.actorRole ?? 'admin',
+    issueCode: ['paid', 'confirmed'].includes(newStatus),
+  });
   logger.info('Order status updated (admin)', { orderId, from: order.status, to: newStatus });
+
+  publishOrderEvent(ORDER_EVENTS.STATUS_CHANGED, updated, { from: order.status, to: newStatus });
+  if (preparationTime != null && preparationTime !== order.preparationTime) {
+    publishOrderEvent(ORDER_EVENTS.PREP_TIME_CHANGED, updated, { previous: order.preparationTime });
+  }
   return updated;
 };
 
@@ -501,6 +874,12 @@ module.exports = {
   getOrderById,
   reorderFromPastOrder,
   cancelOrder,
+  cancelAndRefund,
+  ownerUpdateStatus,
+  OWNER_TRANSITIONS,
+  rejectOrder,
+  getAcceptanceStats,
+  REJECTION_REASONS,
   updateOrderStatus,
   getAllOrders,
 };
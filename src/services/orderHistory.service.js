@@ -0,0 +1,46 @@
+/**
+ * src/services/orderHistory.service.js
+ * Order status timeline — one order_status_history row per transition.
+ *
+ * recordTransition() accepts an optional pg client so callers that already
+ * run a raw transaction (createOrder, cancelAndRefund) write the history row
+ * atomically with the status change.
+ */
+const { db } = require('../db');
+const { orderStatusHistory } = require('../db/schema');
+const { eq, asc } = require('drizzle-orm');
+
+/**
+ * recordTransition({ orderId, fromStatus, toStatus, actorId?, actorRole?, note? }, client?)
+ */
+const recordTransition = async ({
+  orderId, fromStatus = null, toStatus, actorId = null, actorRole = null, note = null,
+}, client = null) => {
+  if (client) {
+    await client.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, actor_id, actor_role, note)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [orderId, fromStatus, toStatus, actorId, actorRole, note]
+    );
+    return;
+  }
+  await db.insert(orderStatusHistory).values({ orderId, fromStatus, toStatus, actorId, actorRole, note });
+};
+
+const TIMELINE_FIELDS = {
+  fromStatus: orderStatusHistory.fromStatus,
+  toStatus:   orderStatusHistory.toStatus,
+  actorId:    orderStatusHistory.actorId,
+  actorRole:  orderStatusHistory.actorRole,
+  note:       orderStatusHistory.note,
+  at:         orderStatusHistory.createdAt,
+};
+
+/** getTimeline(orderId) — oldest first */
+const getTimeline = (orderId) =>
+  db.select(TIMELINE_FIELDS)
+    .from(orderStatusHistory)
+    .where(eq(orderStatusHistory.orderId, orderId))
+    .orderBy(asc(orderStatusHistory.createdAt));
+
+module.exports = { recordTransition, getTimeline };
@@ -0,0 +1,94 @@
+/**
+ * src/services/orderSla.service.js
+ * Auto-cancels orders the restaurant never accepted.
+ *
+ * Each restaurant has acceptanceSlaMinutes. An order still 'pending' or 'paid'
+ * that long after it was placed (a scheduled order: after its release to the
+ * kitchen) is cancelled through the normal orderService.cancelAndRefund path
+ * (wallet, coupon and Razorpay refund),
+ * recorded as a 'timed_out' rejection, and both the customer and the owner
+ * are notified. Run periodically by the job runner in src/index.js.
+ */
+const { db } = require('../db');
+const { orders, restaurants } = require('../db/schema');
+const { eq, and, or, inArray, isNull, isNotNull, asc, sql } = require('drizzle-orm');
+const orderService = require('./order.service');
+const { notifyUser, notifyOrderStatusChange } = require('../utils/notifications');
+const logger = require('../utils/logger');
+
+const UNACCEPTED_STATUSES = ['pending', 'paid'];
+const BATCH_SIZE = 50;
+
+/**
+ * Orders past their restaurant's acceptance SLA at `now`, oldest first.
+ * Scheduled orders may be placed while the restaurant is closed or days
+ * ahead, so their clock only starts once they are released to the kitchen.
+ */
+const findOverdueOrders = (now = new Date()) =>
+  db.select({
+    order:          orders,
+    ownerId:        restaurants.ownerId,
+    restaurantName: restaurants.name,
+    slaMinutes:     restaurants.acceptanceSlaMinutes,
+  })
+    .from(orders)
+    .innerJoin(restaurants, eq(restaurants.id, orders.restaurantId))
+    .where(and(
+      inArray(orders.status, UNACCEPTED_STATUSES),
+      or(isNull(orders.scheduledPickupAt), isNotNull(orders.releasedAt)),
+      sql`COALESCE(${orders.releasedAt}, ${orders.createdAt}) + (${restaurants.acceptanceSlaMinutes} * INTERVAL '1 minute') <= ${now}`,
+    ))
+    .orderBy(asc(sql`COALESCE(${orders.releasedAt}, ${orders.createdAt})`))
+    .limit(BATCH_SIZE);
+
+/**
+ * cancelUnacceptedOrders(now?)
+ * @returns {Promise<{ cancelled: number, skipped: number }>}
+ */
+const cancelUnacceptedOrders = async (now = new Date()) => {
+  const overdue = await findOverdueOrders(now);
+  let cancelled = 0;
+  let skipped = 0;
+
+  for (const { order, ownerId, restaurantName, slaMinutes } of overdue) {
+    let updated;
+    try {
+      updated = await orderService.cancelAndRefund(order, {
+        actorRole:     'system',
+        reason:        `Not accepted within ${slaMinutes} minutes`,
+        releaseCoupon: true,
+        withinTransaction: (client) => client.query(
+          `INSERT INTO order_rejections (order_id, restaurant_id, reason_code, note)
+           VALUES ($1, $2, 'timed_out', $3)`,
+          [order.id, order.restaurantId, `Auto-cancelled after ${slaMinutes} minutes`]
+        ),
+      });
+    } catch (err) {
+      // 409 = the owner accepted (or the customer cancelled) in the meantime
+      if (err.statusCode !== 409) {
+        logger.error('Auto-cancel failed', { orderId: order.id, error: err.message });
+      }
+      skipped++;
+      continue;
+    }
+    cancelled++;
+
+    notifyOrderStatusChange(updated, {
+      title: 'Order Cancelled ❌',
+      body:  `${restaurantName} didn't accept your order in time. Any amount you paid will be refunded.`,
+    }).catch(err => logger.error('Notification failed', { error: err.message }));
+
+    if (ownerId) {
+      notifyUser(ownerId, {
+        title:       'Order auto-cancelled ⏱',
+        body:        `Order #${order.id.slice(0, 8)} wasn't accepted within ${slaMinutes} minutes and was cancelled.`,
+        referenceId: order.id,
+        data:        { orderId: order.id, status: 'cancelled', reason: 'timed_out' },
+      }).catch(err => logger.error('Owner notification failed', { error: err.message }));
+    }
+  }
+
+  return { cancelled, skipped };
+};
+
+module.exports = { findOverdueOrders, cancelUnacceptedOrders };
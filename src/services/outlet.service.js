@@ -0,0 +1,292 @@
+/**
+ * src/services/outlet.service.js
+ * Multi-outlet owners — outlet list, menu copy between outlets and the
+ * cross-outlet dashboard. Per-outlet routes live in restaurantOwner.routes.js
+ * and pick their outlet through middleware/restaurantAccess.js.
+ */
+const { db, pool } = require('../db');
+const { restaurants, restaurantStaff, orders } = require('../db/schema');
+const { eq, and, asc, sql } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const logger = require('../utils/logger');
+
+const ACTIVE_STATUSES = ['pending', 'paid', 'confirmed', 'preparing', 'ready'];
+
+const OUTLET_FIELDS = {
+  id:        restaurants.id,
+  name:      restaurants.name,
+  address:   restaurants.address,
+  isActive:  restaurants.isActive,
+  isOpen:    restaurants.isOpen,
+  createdAt: restaurants.createdAt,
+};
+
+/**
+ * listOutlets(user)
+ * Owners get every restaurant they own (role 'owner'); staff get the
+ * restaurants they are an active member of, with their role there.
+ * The first entry is the default outlet used when none is selected.
+ */
+const listOutlets = async (user) => {
+  if (user.role === 'restaurant_owner') {
+    const rows = await db.select(OUTLET_FIELDS).from(restaurants)
+      .where(eq(restaurants.ownerId, user.id))
+      .orderBy(asc(restaurants.createdAt));
+    return rows.map(r => ({ ...r, role: 'owner' }));
+  }
+
+  return db.select({ ...OUTLET_FIELDS, role: restaurantStaff.role })
+    .from(restaurantStaff)
+    .innerJoin(restaurants, eq(restaurants.id, restaurantStaff.restaurantId))
+    .where(and(eq(restaurantStaff.userId, user.id), eq(restaurantStaff.status, 'active')))
+    .orderBy(asc(restaurantStaff.acceptedAt));
+};
+
+// ─── Menu copy ────────────────────────────────────────────────────────────────
+
+/**
+ * copyMenu(ownerId, sourceRestaurantId, targetRestaurantId)
+ *
+ * Copies categories, items, variants, add-on groups, add-ons and availability
+ * windows from one owned outlet into another in a single transaction.
+ * Categories are matched by name so repeated copies don't duplicate them
+ * (an existing category keeps its own windows); items whose name already
+ * exists in the target are skipped (the target's price/availability wins).
+ * Copied items keep their availability flag, dietary tags, allergen
+ * declarations and own GST rate. Stock settings are not copied.
+ */
+const copyMenu = async (ownerId, sourceRestaurantId, targetRestaurantId) => {
+  if (sourceRestaurantId === targetRestaurantId) {
+    throw new AppError('Source and target outlet must be different', 400);
+  }
+
+  const [source] = await db.select({ id: restaurants.id }).from(restaurants)
+    .where(and(eq(restaurants.id, sourceRestaurantId), eq(restaurants.ownerId, ownerId)))
+    .limit(1);
+  if (!source) throw new AppError('Source outlet not found or does not belong to you', 404);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // ── Categories (matched by name) ──
+    const { rows: targetCats } = await client.query(
+      'SELECT id, name FROM categories WHERE restaurant_id = $1', [targetRestaurantId]
+    );
+    const catIdByName = new Map(targetCats.map(c => [c.name.trim().toLowerCase(), c.id]));
+
+    const { rows: sourceCats } = await client.query(
+      `SELECT id, name, description, sort_order, is_active FROM categories
+       WHERE restaurant_id = $1 ORDER BY sort_order, created_at`, [sourceRestaurantId]
+    );
+    const categoryMap = new Map();
+    const createdCategories = new Map(); // source id → new target id
+    let categoriesCreated = 0;
+    for (const cat of sourceCats) {
+      const key = cat.name.trim().toLowerCase();
+      if (!catIdByName.has(key)) {
+        const { rows: [created] } = await client.query(
+          `INSERT INTO categories (restaurant_id, name, description, sort_order, is_active)
+           VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+          [targetRestaurantId, cat.name, cat.description, cat.sort_order, cat.is_active]
+        );
+        catIdByName.set(key, created.id);
+        createdCategories.set(cat.id, created.id);
+        categoriesCreated++;
+      }
+      categoryMap.set(cat.id, catIdByName.get(key));
+    }
+
+    // ── Items (skipped when the name already exists) ──
+    const { rows: targetItems } = await client.query(
+      'SELECT name FROM menu_items WHERE restaurant_id = $1', [targetRestaurantId]
+    );
+    const existingNames = new Set(targetItems.map(i => i.name.trim().toLowerCase()));
+
+    const { rows: sourceItems } = await client.query(
+      `SELECT id, category_id, name, description, base_price, image, is_veg, is_available, sort_order,
+              dietary_tags, allergens, gst_rate
+       FROM menu_items WHERE restaurant_id = $1 ORDER BY sort_order, created_at`, [sourceRestaurantId]
+    );
+    const itemMap = new Map();
+    const skipped = [];
+    for (const item of sourceItems) {
+      const key = item.name.trim().toLowerCase();
+      if (existingNames.has(key)) {
+        skipped.push(item.name);
+        continue;
+      }
+      const { rows: [created] } = await client.query(
+        `INSERT INTO menu_items
+           (restaurant_id, category_id, name, description, base_price, image, is_veg, is_available, sort_order,
+            dietary_tags, allergens, gst_rate)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+        [
+          targetRestaurantId, categoryMap.get(item.category_id) ?? null, item.name, item.description,
+          item.base_price, item.image, item.is_veg, item.is_available, item.sort_order,
+          // Allergens null = not declared; never drop a declaration on copy
+          JSON.stringify(item.dietary_tags), item.allergens === null ? null : JSON.stringify(item.allergens),
+          item.gst_rate,
+        ]
+      );
+      existingNames.add(key);
+      itemMap.set(item.id, created.id);
+    }
+
+    const copiedIds = [...itemMap.keys()];
+
+    // ── Variants of copied items ──
+    let variantsCopied = 0;
+    if (copiedIds.length) {
+      const { rows: variants } = await client.query(
+        `SELECT menu_item_id, name, price, is_default, is_available, sort_order FROM menu_item_variants
+         WHERE menu_item_id = ANY($1::uuid[]) AND archived_at IS NULL ORDER BY created_at`, [copiedIds]
+      );
+      for (const v of variants) {
+        await client.query(
+          `INSERT INTO menu_item_variants (menu_item_id, name, price, is_default, is_available, sort_order)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [itemMap.get(v.menu_item_id), v.name, v.price, v.is_default, v.is_available, v.sort_order]
+        );
+      }
+      variantsCopied = variants.length;
+    }
+
+    // ── Availability windows of copied items and newly created categories ──
+    const windowSources = [...copiedIds, ...createdCategories.keys()];
+    if (windowSources.length) {
+      const { rows: windows } = await client.query(
+        `SELECT menu_item_id, category_id, weekday, start_time, end_time FROM menu_availability_windows
+         WHERE menu_item_id = ANY($1::uuid[]) OR category_id = ANY($1::uuid[])`, [windowSources]
+      );
+      for (const w of windows) {
+        await client.query(
+          `INSERT INTO menu_availability_windows
+             (restaurant_id, menu_item_id, category_id, weekday, start_time, end_time)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            targetRestaurantId,
+            w.menu_item_id ? itemMap.get(w.menu_item_id) : null,
+            w.category_id ? createdCategories.get(w.category_id) : null,
+            w.weekday, w.start_time, w.end_time,
+          ]
+        );
+      }
+    }
+
+    // ── Add-on groups of copied items ──
+    const groupMap = new Map();
+    if (copiedIds.length) {
+      const { rows: groups } = await client.query(
+        `SELECT id, menu_item_id, name, min_select, max_select, is_required, sort_order FROM add_on_groups
+         WHERE menu_item_id = ANY($1::uuid[]) ORDER BY sort_order, created_at`, [copiedIds]
+      );
+      for (const g of groups) {
+        const { rows: [created] } = await client.query(
+          `INSERT INTO add_on_groups (restaurant_id, menu_item_id, name, min_select, max_select, is_required, sort_order)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+          [targetRestaurantId, itemMap.get(g.menu_item_id), g.name, g.min_select, g.max_select, g.is_required, g.sort_order]
+        );
+        groupMap.set(g.id, created.id);
+      }
+    }
+
+    // ── Add-ons: those of copied items + restaurant-wide ones not already in the target ──
+    const { rows: targetShared } = await client.query(
+      'SELECT name FROM add_ons WHERE restaurant_id = $1 AND menu_item_id IS NULL', [targetRestaurantId]
+    );
+    const sharedNames = new Set(targetShared.map(a => a.name.trim().toLowerCase()));
+
+    const { rows: sourceAddOns } = await client.query(
+      `SELECT menu_item_id, group_id, name, price, is_available FROM add_ons
+       WHERE restaurant_id = $1 AND (menu_item_id IS NULL OR menu_item_id = ANY($2::uuid[]))
+       ORDER BY created_at`, [sourceRestaurantId, copiedIds]
+    );
+    let addOnsCopied = 0;
+    for (const a of sourceAddOns) {
+      if (!a.menu_item_id && sharedNames.has(a.name.trim().toLowerCase())) continue;
+      await client.query(
+        `INSERT INTO add_ons (restaurant_id, menu_item_id, group_id, name, price, is_available)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          targetRestaurantId, a.menu_item_id ? itemMap.get(a.menu_item_id) : null,
+          groupMap.get(a.group_id) ?? null, a.name, a.price, a.is_available,
+        ]
+      );
+      addOnsCopied++;
+    }
+
+    await client.query('COMMIT');
+
+    const result = {
+      sourceRestaurantId,
+      targetRestaurantId,
+      categoriesCreated,
+      itemsCopied: itemMap.size,
+      itemsSkipped: skipped.length,
+      skippedItems: skipped,
+      variantsCopied,
+      addOnGroupsCopied: groupMap.size,
+      addOnsCopied,
+    };
+    logger.info('Menu copied between outlets', { ownerId, ...result, skippedItems: undefined });
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// ─── Dashboard ────────────────────────────────────────────────────────────────
+
+/**
+ * getDashboard(ownerId, { days })
+ * Per-outlet order counts and revenue over the last `days` days, plus the
+ * current number of active orders, and totals across all outlets.
+ * Revenue = paid order totals minus processed refunds.
+ */
+const getDashboard = async (ownerId, { days = 7 } = {}) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const inWindow = sql`${orders.createdAt} >= ${since}`;
+  const activeList = sql.join(ACTIVE_STATUSES.map(s => sql`${s}`), sql`, `);
+
+  const rows = await db.select({
+    ...OUTLET_FIELDS,
+    rating:       restaurants.rating,
+    totalReviews: restaurants.totalReviews,
+    orders:       sql`COUNT(${orders.id}) FILTER (WHERE ${inWindow})::int`,
+    completed:    sql`COUNT(${orders.id}) FILTER (WHERE ${inWindow} AND ${orders.status} = 'collected')::int`,
+    cancelled:    sql`COUNT(${orders.id}) FILTER (WHERE ${inWindow} AND ${orders.status} = 'cancelled')::int`,
+    activeOrders: sql`COUNT(${orders.id}) FILTER (WHERE ${orders.status} IN (${activeList}))::int`,
+    revenue:      sql`COALESCE(SUM(${orders.totalAmount} - COALESCE(${orders.refundedAmount}, 0))
+                    FILTER (WHERE ${inWindow} AND ${orders.paymentStatus} IN ('paid', 'refunded')), 0)`,
+  })
+    .from(restaurants)
+    .leftJoin(orders, and(
+      eq(orders.restaurantId, restaurants.id),
+      sql`(${inWindow} OR ${orders.status} IN (${activeList}))`,
+    ))
+    .where(eq(restaurants.ownerId, ownerId))
+    .groupBy(restaurants.id)
+    .orderBy(asc(restaurants.createdAt));
+
+  const outlets = rows.map(r => ({
+    ...r,
+    revenue: parseFloat(parseFloat(r.revenue).toFixed(2)),
+    avgOrderValue: r.orders ? parseFloat((parseFloat(r.revenue) / r.orders).toFixed(2)) : 0,
+  }));
+
+  const totals = outlets.reduce((acc, o) => ({
+    orders:       acc.orders + o.orders,
+    completed:    acc.completed + o.completed,
+    cancelled:    acc.cancelled + o.cancelled,
+    activeOrders: acc.activeOrders + o.activeOrders,
+    revenue:      parseFloat((acc.revenue + o.revenue).toFixed(2)),
+  }), { orders: 0, completed: 0, cancelled: 0, activeOrders: 0, revenue: 0 });
+
+  return { days, since, outletCount: outlets.length, totals, outlets };
+};
+
+module.exports = { listOutlets, copyMenu, getDashboard };
@@ -5,14 +5,18 @@
  * - Razorpay order reuse if checkout is reopened
  * - HMAC-SHA256 signature verification
  * - Webhook handler with signature verification
+ * - Refunds (full or partial) for cancelled / rejected paid orders
  */
 const crypto = require('crypto');
 const razorpay = require('../config/razorpay');
 const { db } = require('../db');
-const { orders } = require('../db/schema');
-const { eq } = require('drizzle-orm');
+const { orders, refunds } = require('../db/schema');
+const { eq, and, ne, desc, sql } = require('drizzle-orm');
 const { AppError } = require('../utils/response');
 const logger = require('../utils/logger');
+const { ORDER_EVENTS, publishOrderEvent } = require('../utils/orderEvents');
+const orderHistory = require('./orderHistory.service');
+const pickupCodeService = require('./pickupCode.service');
 
 // ─── Create Razorpay payment order ───────────────────────────────────────────
 const createPaymentOrder = async (userId, orderId) => {
@@ -88,6 +92,21 @@ const createPaymentOrder = async (userId, orderId) => {
 };
 
 // ─── Verify payment signature and mark order paid ────────────────────────────
+
+/**
+ * The customer paid for an order that was cancelled meanwhile. Records the
+ * capture so refundOrder can find it, starts the refund, and always throws.
+ */
+const _refundCancelledCapture = async (orderId, razorpayPaymentId) => {
+  await db.update(orders)
+    .set({ paymentStatus: 'paid', razorpayPaymentId, updatedAt: new Date() })
+    .where(eq(orders.id, orderId));
+  logger.warn('Payment captured for a cancelled order — refunding', { orderId, razorpayPaymentId });
+  await refundOrder(orderId, { reason: 'Order cancelled before payment completed', actorRole: 'system' })
+    .catch(err => logger.error('Refund for cancelled order failed', { orderId, error: err.message }));
+  throw new AppError('This order was cancelled before payment completed. Your payment will be refunded.', 409);
+};
+
 const verifyPayment = async (userId, { razorpayOrderId, razorpayPaymentId, razorpaySignature, orderId }) => {
   // 1. Verify HMAC-SHA256 signature (Razorpay spec)
   const body = `${razorpayOrderId}|${razorpayPaymentId}`;
@@ -120,7 +139,11 @@ const verifyPayment = async (userId, { razorpayOrderId, razorpayPaymentId, razor
     throw new AppError('Payment order ID mismatch', 400);
   }
 
-  // 3. Mark order as paid
+  // ── Order cancelled while the customer was paying (e.g. acceptance SLA) ──
+  if (order.status === 'cancelled') await _refundCancelledCapture(orderId, razorpayPaymentId);
+
+  // 3. Mark order as paid — guarded on the status read above, so an order
+  //    cancelled since then is refunded instead of put back to 'paid'
   const [updated] = await db.update(orders)
     .set({
       status: 'paid',
@@ -128,18 +151,214 @@ const verifyPayment = async (userId, { razorpayOrderId, razorpayPaymentId, razor
       razorpayPaymentId,
       updatedAt: new Date(),
     })
-    .where(eq(orders.id, orderId))
+    .where(and(eq(orders.id, orderId), eq(orders.status, order.status)))
     .returning();
 
+  if (!updated) {
+    const [current] = await db.select({ status: orders.status }).from(orders)
+      .where(eq(orders.id, orderId)).limit(1);
+    if (current?.status === 'cancelled') await _refundCancelledCapture(orderId, razorpayPaymentId);
+    throw new AppError('This order has already been paid', 409);
+  }
+
+  await orderHistory.recordTransition({
+    orderId, fromStatus: order.status, toStatus: 'paid', actorId: userId, actorRole: 'customer',
+  });
+  await pickupCodeService.issueCode(orderId);
+
   logger.info('Payment verified and order marked paid', {
     orderId,
     razorpayPaymentId,
     amount: order.totalAmount,
   });
 
+  publishOrderEvent(ORDER_EVENTS.STATUS_CHANGED, updated, { from: order.status, to: 'paid' });
+  publishOrderEvent(ORDER_EVENTS.PAYMENT_UPDATED, updated);
+
   return updated;
 };
 
+// ─── Refunds ──────────────────────────────────────────────────────────────────
+// Razorpay refunds the captured payment; wallet credit used on the order is
+// returned separately by the cancel transaction in order.service.
+// A refund row is created BEFORE the API call so a crash between the two can
+// be reconciled, and the order's refundedAmount only moves once Razorpay
+// reports the refund as processed (synchronously or via webhook).
+
+const _toPaise = (amount) => Math.round(parseFloat(amount) * 100);
+
+/** Amount (INR) already refunded or still in flight for an order. */
+const _getCommittedRefundAmount = async (orderId) => {
+  const [{ total }] = await db.select({
+    total: sql`COALESCE(SUM(${refunds.amount}), 0)`,
+  }).from(refunds)
+    .where(and(eq(refunds.orderId, orderId), ne(refunds.status, 'failed')));
+  return parseFloat(total);
+};
+
+/**
+ * Marks a refund processed and rolls it into orders.refundedAmount.
+ * Guarded on status so a webhook replay can't count the same refund twice.
+ * The order is 'refunded' once everything but its retained fees is back.
+ */
+const _markRefundProcessed = async (refundId) => {
+  const [refund] = await db.update(refunds)
+    .set({ status: 'processed', failureReason: null, updatedAt: new Date() })
+    .where(and(eq(refunds.id, refundId), ne(refunds.status, 'processed')))
+    .returning();
+  if (!refund) return null;
+
+  const [updated] = await db.update(orders)
+    .set({
+      refundedAmount: sql`COALESCE(${orders.refundedAmount}, 0) + ${refund.amount}`,
+      paymentStatus: sql`CASE WHEN COALESCE(${orders.refundedAmount}, 0) + ${refund.amount}
+                                   >= ${orders.totalAmount} - ${orders.retainedAmount}
+                              THEN 'refunded'::payment_status ELSE ${orders.paymentStatus} END`,
+      updatedAt: new Date(),
+    })
+    .where(eq(orders.id, refund.orderId))
+    .returning();
+
+  logger.info('Refund processed', {
+    orderId: refund.orderId,
+    refundId: refund.id,
+    razorpayRefundId: refund.razorpayRefundId,
+    amount: refund.amount,
+  });
+  publishOrderEvent(ORDER_EVENTS.PAYMENT_UPDATED, updated, { refundedAmount: updated?.refundedAmount });
+  return refund;
+};
+
+const _markRefundFailed = async (refundId, failureReason) => {
+  const [refund] = await db.update(refunds)
+    .set({ status: 'failed', failureReason, updatedAt: new Date() })
+    .where(and(eq(refunds.id, refundId), eq(refunds.status, 'pending')))
+    .returning();
+  if (refund) logger.error('Refund failed', { orderId: refund.orderId, refundId, failureReason });
+  return refund;
+};
+
+/**
+ * refundOrder(orderId, { amount?, reason, actorId, actorRole, retainAmount? })
+ * Issues a Razorpay refund for a paid order. `amount` (INR) defaults to
+ * everything not yet refunded less `retainAmount` (non-refundable fees on a
+ * customer cancellation); pass a smaller amount for a partial refund.
+ * @returns {Promise<object>} the refund row
+ */
+const refundOrder = async (orderId, { amount, reason, actorId = null, actorRole = null, retainAmount = 0 } = {}) => {
+  const [order] = await db.select().from(orders)
+    .where(eq(orders.id, orderId))
+    .limit(1);
+
+  if (!order) throw new AppError('Order not found', 404);
+  if (!['paid', 'refunded'].includes(order.paymentStatus) || !order.razorpayPaymentId) {
+    throw new AppError('Order has no captured payment to refund', 400);
+  }
+
+  const refundable = parseFloat(order.totalAmount) - await _getCommittedRefundAmount(orderId);
+  if (refundable <= 0) throw new AppError('Order has already been fully refunded', 409);
+
+  const refundAmount = amount != null ? parseFloat(amount) : parseFloat((refundable - retainAmount).toFixed(2));
+  if (!(refundAmount > 0)) throw new AppError('Refund amount must be greater than zero', 400);
+  if (_toPaise(refundAmount) > _toPaise(refundable)) {
+    throw new AppError(`Refund amount exceeds refundable balance of ₹${refundable.toFixed(2)}`, 400);
+  }
+
+  const [refund] = await db.insert(refunds).values({
+    orderId,
+    razorpayPaymentId: order.razorpayPaymentId,
+    amount:            refundAmount.toFixed(2),
+    reason:            reason ?? null,
+    initiatedBy:       actorId,
+    initiatedByRole:   actorRole,
+  }).returning();
+
+  let rzpRefund;
+  try {
+    rzpRefund = await razorpay.payments.refund(order.razorpayPaymentId, {
+      amount: _toPaise(refundAmount),
+      speed:  'normal',
+      notes:  { orderId, refundId: refund.id, reason: reason ?? '' },
+      receipt: `rfnd_${refund.id.replace(/-/g, '').slice(0, 20)}`,
+    });
+  } catch (err) {
+    const message = err.error?.description || err.message;
+    await _markRefundFailed(refund.id, message);
+    throw new AppError(`Refund could not be initiated: ${message}`, 502);
+  }
+
+  const [stored] = await db.update(refunds)
+    .set({ razorpayRefundId: rzpRefund.id, updatedAt: new Date() })
+    .where(eq(refunds.id, refund.id))
+    .returning();
+
+  logger.info('Refund initiated', {
+    orderId,
+    refundId: refund.id,
+    razorpayRefundId: rzpRefund.id,
+    amount: refundAmount,
+    status: rzpRefund.status,
+  });
+
+  // Instant refunds can come back already processed — otherwise wait for the webhook
+  if (rzpRefund.status === 'processed') await _markRefundProcessed(refund.id);
+  else if (rzpRefund.status === 'failed') await _markRefundFailed(refund.id, 'Rejected by Razorpay');
+
+  const [latest] = await db.select().from(refunds).where(eq(refunds.id, stored.id)).limit(1);
+  return latest;
+};
+
+/** getRefunds(orderId) — newest first */
+const getRefunds = (orderId) =>
+  db.select().from(refunds)
+    .where(eq(refunds.orderId, orderId))
+    .orderBy(desc(refunds.createdAt));
+
+/**
+ * Settles a refund from a refund.processed / refund.failed webhook. Refunds
+ * started from the Razorpay dashboard have no row yet — one is created so
+ * the order's refund history stays complete.
+ */
+const _handleRefundWebhook = async (eventName, entity) => {
+  if (!entity?.id) return;
+
+  let [refund] = await db.select().from(refunds)
+    .where(eq(refunds.razorpayRefundId, entity.id))
+    .limit(1);
+
+  // Our row may still lack the Razorpay ID if the webhook beat the API response
+  if (!refund && entity.notes?.refundId) {
+    [refund] = await db.update(refunds)
+      .set({ razorpayRefundId: entity.id, updatedAt: new Date() })
+      .where(eq(refunds.id, entity.notes.refundId))
+      .returning();
+  }
+
+  if (!refund) {
+    const [order] = await db.select({ id: orders.id }).from(orders)
+      .where(eq(orders.razorpayPaymentId, entity.payment_id))
+      .limit(1);
+    if (!order) {
+      logger.warn('Refund webhook for unknown payment', { razorpayRefundId: entity.id, paymentId: entity.payment_id });
+      return;
+    }
+    [refund] = await db.insert(refunds).values({
+      orderId:           order.id,
+      razorpayPaymentId: entity.payment_id,
+      razorpayRefundId:  entity.id,
+      amount:            (entity.amount / 100).toFixed(2),
+      reason:            'Initiated from Razorpay dashboard',
+      initiatedByRole:   'razorpay',
+    }).returning();
+  }
+
+  if (eventName === 'refund.processed') {
+    await _markRefundProcessed(refund.id);
+  } else {
+    await _markRefundFailed(refund.id, entity.error_description || 'Refund failed at Razorpay');
+  }
+};
+
 // ─── Razorpay Webhook handler ─────────────────────────────────────────────────
 // Mount on POST /api/v1/payments/webhook
 // Set raw body parser BEFORE express.json() for this route
@@ -167,14 +386,27 @@ const handleWebhook = async (rawBody, signature) => {
   if (event.event === 'payment.failed') {
     const razorpayOrderId = event.payload?.payment?.entity?.order_id;
     if (razorpayOrderId) {
-      await db.update(orders)
+      const [failed] = await db.update(orders)
         .set({ paymentStatus: 'failed', updatedAt: new Date() })
-        .where(eq(orders.razorpayOrderId, razorpayOrderId));
+        .where(eq(orders.razorpayOrderId, razorpayOrderId))
+        .returning();
       logger.warn('Payment failed via webhook', { razorpayOrderId });
+      publishOrderEvent(ORDER_EVENTS.PAYMENT_UPDATED, failed);
     }
   }
 
+  // Handle refund.processed / refund.failed — settle the refund row
+  if (event.event === 'refund.processed' || event.event === 'refund.failed') {
+    await _handleRefundWebhook(event.event, event.payload?.refund?.entity);
+  }
+
   return { received: true };
 };
 
-module.exports = { createPaymentOrder, verifyPayment, handleWebhook };
+module.exports = {
+  createPaymentOrder,
+  verifyPayment,
+  handleWebhook,
+  refundOrder,
+  getRefunds,
+};
@@ -0,0 +1,128 @@
+/**
+ * src/services/pickupCode.service.js
+ * Pickup verification for the ready → collected handoff.
+ *
+ * A 4-digit code is issued once an order is paid or confirmed and shown to
+ * the customer (with a QR payload encoding the same code). Staff enter or
+ * scan it at POST /owner/order/:id/collect. Each order allows
+ * MAX_FAILED_ATTEMPTS wrong codes before it is locked for LOCKOUT_MS; every
+ * failure is logged.
+ */
+const crypto = require('crypto');
+const { db } = require('../db');
+const { orders, orderPickupCodes } = require('../db/schema');
+const { eq, and, sql } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const logger = require('../utils/logger');
+
+const CODE_LENGTH         = 4;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS          = 15 * 60 * 1000;
+const QR_PREFIX           = 'orderswift:pickup:v1';
+
+// Statuses in which the customer needs to see their code
+const VISIBLE_STATUSES = ['paid', 'confirmed', 'preparing', 'ready'];
+
+const _generateCode = () => String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+
+/** QR content the app renders; the owner app scans it back into parseQrPayload(). */
+const buildQrPayload = (orderId, code) => `${QR_PREFIX}:${orderId}:${code}`;
+
+/** 'orderswift:pickup:v1:<orderId>:<code>' → { orderId, code } | null */
+const parseQrPayload = (payload) => {
+  if (typeof payload !== 'string' || !payload.startsWith(`${QR_PREFIX}:`)) return null;
+  const [orderId, code] = payload.slice(QR_PREFIX.length + 1).split(':');
+  return orderId && code ? { orderId, code } : null;
+};
+
+/**
+ * issueCode(orderId, client?)
+ * Idempotent — an order keeps the code it was first given. Pass the pg client
+ * to issue it inside the caller's transaction.
+ */
+const issueCode = async (orderId, client = null) => {
+  if (client) {
+    await client.query(
+      'INSERT INTO order_pickup_codes (order_id, code) VALUES ($1, $2) ON CONFLICT (order_id) DO NOTHING',
+      [orderId, _generateCode()]
+    );
+    return;
+  }
+  await db.insert(orderPickupCodes)
+    .values({ orderId, code: _generateCode() })
+    .onConflictDoNothing({ target: orderPickupCodes.orderId });
+};
+
+/** getForCustomer(order) → { code, qrPayload } | null */
+const getForCustomer = async (order) => {
+  if (!VISIBLE_STATUSES.includes(order.status)) return null;
+  const [row] = await db.select({ code: orderPickupCodes.code })
+    .from(orderPickupCodes)
+    .where(eq(orderPickupCodes.orderId, order.id))
+    .limit(1);
+  return row ? { code: row.code, qrPayload: buildQrPayload(order.id, row.code) } : null;
+};
+
+const _codesMatch = (expected, given) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given ?? ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * verifyCode(restaurantId, orderId, { code?, qrPayload? }, { actorId, ip }, now?)
+ * Throws AppError on mismatch / lockout; resolves when the code is correct.
+ */
+const verifyCode = async (restaurantId, orderId, { code, qrPayload }, { actorId, ip } = {}, now = new Date()) => {
+  if (qrPayload) {
+    const parsed = parseQrPayload(qrPayload);
+    if (!parsed || parsed.orderId !== orderId) throw new AppError('QR code does not belong to this order', 400);
+    code = parsed.code;
+  }
+  if (!code) throw new AppError('code or qrPayload is required', 400);
+
+  const [row] = await db.select({ status: orders.status, pickup: orderPickupCodes })
+    .from(orders)
+    .leftJoin(orderPickupCodes, eq(orderPickupCodes.orderId, orders.id))
+    .where(and(eq(orders.id, orderId), eq(orders.restaurantId, restaurantId)))
+    .limit(1);
+
+  if (!row) throw new AppError('Order not found or does not belong to your restaurant', 404);
+  if (row.status !== 'ready') {
+    throw new AppError(`Only ready orders can be collected — order is '${row.status}'`, 400);
+  }
+  if (!row.pickup) throw new AppError('This order has no pickup code', 409);
+
+  if (row.pickup.lockedUntil && new Date(row.pickup.lockedUntil) > now) {
+    throw new AppError('Too many wrong pickup codes for this order. Try again later.', 429);
+  }
+
+  if (!_codesMatch(row.pickup.code, code)) {
+    // An expired lockout starts a fresh round of attempts
+    const lockExpired = Boolean(row.pickup.lockedUntil);
+    const attempts = (lockExpired ? 0 : row.pickup.failedAttempts) + 1;
+    const locked   = attempts >= MAX_FAILED_ATTEMPTS;
+    await db.update(orderPickupCodes)
+      .set({
+        failedAttempts: lockExpired ? 1 : sql`${orderPickupCodes.failedAttempts} + 1`,
+        lockedUntil: locked ? new Date(now.getTime() + LOCKOUT_MS) : null,
+      })
+      .where(eq(orderPickupCodes.orderId, orderId));
+
+    logger.warn('Pickup code mismatch', { orderId, restaurantId, actorId, ip, attempts, locked });
+    if (locked) throw new AppError('Too many wrong pickup codes for this order. Try again later.', 429);
+    throw new AppError(`Invalid pickup code. ${MAX_FAILED_ATTEMPTS - attempts} attempt(s) left.`, 400);
+  }
+
+  await db.update(orderPickupCodes)
+    .set({ verifiedAt: now, failedAttempts: 0, lockedUntil: null })
+    .where(eq(orderPickupCodes.orderId, orderId));
+};
+
+module.exports = {
+  buildQrPayload,
+  parseQrPayload,
+  issueCode,
+  getForCustomer,
+  verifyCode,
+};
@@ -0,0 +1,217 @@
+/**
+ * src/services/pickupSlot.service.js
+ *
+ * Scheduled pickup ("order lunch at 9am for a 1pm pickup").
+ *
+ *   - Time is divided into 15-minute slots in the restaurant's local time;
+ *     a slot is bookable only while the weekly schedule says the restaurant is
+ *     open (see restaurantHours.service.js).
+ *   - Each restaurant accepts at most `pickupSlotCapacity` scheduled orders
+ *     per slot. Bookings are counted in `pickup_slots`, one row per slot that
+ *     has ever been booked (no pre-generated rows).
+ *   - reserveSlot / releaseSlot take the caller's pg client so they run inside
+ *     the createOrder / cancelOrder transactions.
+ *   - A scheduled order stays out of the kitchen queue until
+ *     scheduledPickupAt - preparationTime; releaseDueOrders() stamps
+ *     orders.released_at at that point (called periodically from src/index.js).
+ */
+const { db } = require('../db');
+const { restaurants, pickupSlots, orders } = require('../db/schema');
+const { eq, and, gte, lt, ne, isNull, isNotNull, sql } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const logger = require('../utils/logger');
+const { ORDER_EVENTS, publishOrderEvent } = require('../utils/orderEvents');
+const hoursService = require('./restaurantHours.service');
+const { formatHHMM, getZonedParts, zonedTimeToUtc, addDays } = require('../utils/time');
+
+const SLOT_MINUTES      = 15;
+const SLOT_MS           = SLOT_MINUTES * 60 * 1000;
+const MAX_DAYS_AHEAD    = 7;
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+/** Earliest instant a slot may start: now + preparation time. */
+const _earliestPickup = (restaurant, now) =>
+  new Date(now.getTime() + (restaurant.preparationTime ?? 20) * 60 * 1000);
+
+// ─── Validation (called by createOrder) ───────────────────────────────────────
+
+/**
+ * resolveScheduledPickup(restaurant, schedule, scheduledPickupAt, now?)
+ *
+ * Validates a requested pickup time against lead time and the restaurant's
+ * schedule (from restaurantHours.loadSchedule) and returns it as a Date.
+ * Throws AppError(400) with a user-facing reason otherwise.
+ */
+const resolveScheduledPickup = (restaurant, schedule, scheduledPickupAt, now = new Date()) => {
+  const requested = new Date(scheduledPickupAt);
+  if (isNaN(requested.getTime())) throw new AppError('scheduledPickupAt must be a valid ISO date-time', 400);
+
+  if (requested.getTime() % SLOT_MS !== 0) {
+    throw new AppError(`scheduledPickupAt must fall on a ${SLOT_MINUTES}-minute slot boundary`, 400);
+  }
+
+  const earliest = _earliestPickup(restaurant, now);
+  if (requested < earliest) {
+    throw new AppError(
+      `Pickup must be at least ${restaurant.preparationTime ?? 20} minutes from now`,
+      400
+    );
+  }
+
+  const latest = new Date(now.getTime() + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000);
+  if (requested > latest) {
+    throw new AppError(`Pickup can be scheduled at most ${MAX_DAYS_AHEAD} days ahead`, 400);
+  }
+
+  if (!hoursService.isOpenAt(schedule, requested)) {
+    const { date, minutes } = getZonedParts(requested, schedule.timezone);
+    throw new AppError(
+      hoursService.isClosedOn(schedule, date)
+        ? `The restaurant is closed on ${date}`
+        : `The restaurant is closed at ${formatHHMM(minutes)} on ${date}`,
+      400
+    );
+  }
+
+  return requested;
+};
+
+// ─── Transactional booking ────────────────────────────────────────────────────
+
+/**
+ * reserveSlot(client, restaurant, slotStart)
+ * Atomically books one order into the slot. The conditional upsert only
+ * increments while booked_count < capacity, so two concurrent checkouts can
+ * never overfill a slot. Throws 409 when the slot is full.
+ */
+const reserveSlot = async (client, restaurant, slotStart) => {
+  const capacity = restaurant.pickupSlotCapacity ?? 10;
+  const { rows: [slot] } = await client.query(
+    `INSERT INTO pickup_slots (restaurant_id, slot_start, booked_count)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (restaurant_id, slot_start)
+     DO UPDATE SET booked_count = pickup_slots.booked_count + 1, updated_at = NOW()
+       WHERE pickup_slots.booked_count < $3
+     RETURNING *`,
+    [restaurant.id, slotStart, capacity]
+  );
+  if (!slot || slot.booked_count > capacity) {
+    throw new AppError('This pickup slot is fully booked. Please choose another time.', 409);
+  }
+  return slot;
+};
+
+/** releaseSlot(client, restaurantId, slotStart) — frees one booking. */
+const releaseSlot = async (client, restaurantId, slotStart) => {
+  await client.query(
+    `UPDATE pickup_slots
+        SET booked_count = GREATEST(booked_count - 1, 0), updated_at = NOW()
+      WHERE restaurant_id = $1 AND slot_start = $2`,
+    [restaurantId, slotStart]
+  );
+};
+
+// ─── Public slot listing ──────────────────────────────────────────────────────
+
+/**
+ * getAvailableSlots(restaurantId, { date }, now?)
+ *
+ * Lists every bookable slot on `date` (local YYYY-MM-DD, defaults to today)
+ * with remaining capacity. Slots in the past / inside the preparation lead
+ * time / outside opening hours / on a holiday closure are omitted.
+ */
+const getAvailableSlots = async (restaurantId, { date } = {}, now = new Date()) => {
+  const [restaurant] = await db.select().from(restaurants)
+    .where(eq(restaurants.id, restaurantId)).limit(1);
+  if (!restaurant) throw new AppError('Restaurant not found', 404);
+  if (!restaurant.isActive) throw new AppError('This restaurant is currently not available', 400);
+
+  const schedule = await hoursService.loadSchedule(restaurant, now);
+  const timezone = schedule.timezone;
+
+  const today = getZonedParts(now, timezone).date;
+  const day   = date ?? today;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) throw new AppError('date must be YYYY-MM-DD', 400);
+  if (day < today || day > addDays(today, MAX_DAYS_AHEAD)) {
+    throw new AppError(`date must be between today and ${MAX_DAYS_AHEAD} days ahead`, 400);
+  }
+
+  const dayStart = zonedTimeToUtc(day, 0, timezone);
+  const dayEnd   = zonedTimeToUtc(addDays(day, 1), 0, timezone);
+
+  const booked = await db.select().from(pickupSlots)
+    .where(and(
+      eq(pickupSlots.restaurantId, restaurantId),
+      gte(pickupSlots.slotStart, dayStart),
+      lt(pickupSlots.slotStart, dayEnd),
+    ));
+  const bookedMap = Object.fromEntries(booked.map(s => [new Date(s.slotStart).getTime(), s.bookedCount]));
+
+  const capacity = restaurant.pickupSlotCapacity ?? 10;
+  const earliest = _earliestPickup(restaurant, now);
+  const slots = [];
+
+  for (let t = dayStart.getTime(); t < dayEnd.getTime(); t += SLOT_MS) {
+    const slotStart = new Date(t);
+    if (slotStart < earliest) continue;
+    if (!hoursService.isOpenAt(schedule, slotStart)) continue;
+    const { minutes } = getZonedParts(slotStart, timezone);
+
+    const bookedCount = bookedMap[t] ?? 0;
+    slots.push({
+      slotStart,
+      slotEnd:   new Date(t + SLOT_MS),
+      label:     formatHHMM(minutes),
+      booked:    bookedCount,
+      available: Math.max(0, capacity - bookedCount),
+    });
+  }
+
+  return {
+    restaurantId,
+    date:        day,
+    timezone,
+    slotMinutes: SLOT_MINUTES,
+    capacity,
+    slots,
+  };
+};
+
+// ─── Kitchen release ──────────────────────────────────────────────────────────
+
+/**
+ * releaseDueOrders(now?)
+ * Stamps released_at on scheduled orders whose kitchen start time
+ * (scheduledPickupAt - preparationTime) has arrived. Idempotent.
+ * @returns {Promise<Object[]>} the released order rows
+ */
+const releaseDueOrders = async (now = new Date()) => {
+  const released = await db.update(orders)
+    .set({ releasedAt: now, updatedAt: now })
+    .where(and(
+      isNotNull(orders.scheduledPickupAt),
+      isNull(orders.releasedAt),
+      ne(orders.status, 'cancelled'),
+      sql`${orders.scheduledPickupAt} - (COALESCE(${orders.preparationTime}, 20) * INTERVAL '1 minute') <= ${now}`,
+    ))
+    .returning();
+
+  if (released.length) {
+    logger.info('Scheduled orders released to kitchen', {
+      count: released.length,
+      orderIds: released.map(o => o.id),
+    });
+  }
+  released.forEach(order => publishOrderEvent(ORDER_EVENTS.RELEASED, order));
+  return released;
+};
+
+module.exports = {
+  SLOT_MINUTES,
+  resolveScheduledPickup,
+  reserveSlot,
+  releaseSlot,
+  getAvailableSlots,
+  releaseDueOrders,
+};
@@ -0,0 +1,280 @@
+/**
+ * src/services/push.service.js
+ * Expo push notification delivery.
+ *
+ * Pipeline:
+ *   1. sendToUsers()   — looks up every registered device for the users,
+ *                        sends in batches of 100 (Expo limit) and stores the
+ *                        returned ticket IDs in push_tickets.
+ *   2. checkReceipts() — runs periodically (src/index.js); fetches receipts
+ *                        for tickets older than RECEIPT_DELAY_MS and prunes
+ *                        devices Expo reports as DeviceNotRegistered.
+ *
+ * Transient failures (network errors, 429, 5xx) are retried with exponential
+ * backoff. The HTTP client is injectable — createPushService({ httpClient })
+ * — so tests can point at a local stub instead of exp.host. Setting
+ * EXPO_PUSH_API_URL does the same for a running server.
+ */
+const http  = require('http');
+const https = require('https');
+const { db } = require('../db');
+const { pushDevices, pushTickets } = require('../db/schema');
+const { eq, and, inArray, lt } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const logger = require('../utils/logger');
+
+const DEFAULT_BASE_URL   = 'https://exp.host/--/api/v2/push';
+const SEND_BATCH_SIZE    = 100;   // Expo: max 100 messages per request
+const RECEIPT_BATCH_SIZE = 1000;  // Expo: max 1000 receipt IDs per request
+const RECEIPT_DELAY_MS   = 15 * 60 * 1000; // Expo recommends waiting ~15 min
+const TICKET_TTL_MS      = 24 * 60 * 60 * 1000; // receipts expire after 24h
+
+const EXPO_TOKEN_REGEX = /^Expo(nent)?PushToken\[.+\]$/;
+
+const isExpoPushToken = (token) => typeof token === 'string' && EXPO_TOKEN_REGEX.test(token);
+
+// ─── Default HTTP client ──────────────────────────────────────────────────────
+
+/**
+ * httpClient({ url, body, headers }) → Promise<{ status, body }>
+ * Any function with this signature can be injected.
+ */
+const defaultHttpClient = ({ url, body, headers }) => new Promise((resolve, reject) => {
+  const target  = new URL(url);
+  const payload = JSON.stringify(body);
+  const transport = target.protocol === 'http:' ? http : https;
+
+  const req = transport.request({
+    hostname: target.hostname,
+    port:     target.port || undefined,
+    path:     target.pathname + target.search,
+    method:   'POST',
+    headers:  {
+      Accept:           'application/json',
+      'Accept-Encoding': 'identity',
+      'Content-Type':   'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers,
+    },
+    timeout: 10_000,
+  }, (res) => {
+    let data = '';
+    res.on('data', (chunk) => { data += chunk; });
+    res.on('end', () => {
+      let parsed = null;
+      try { parsed = data ? JSON.parse(data) : null; } catch { parsed = null; }
+      resolve({ status: res.statusCode, body: parsed });
+    });
+  });
+
+  req.on('timeout', () => req.destroy(new Error('Expo push request timed out')));
+  req.on('error', reject);
+  req.write(payload);
+  req.end();
+});
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const _chunk = (list, size) => {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+};
+
+const _isRetryable = (status) => status === 429 || status >= 500;
+
+// ─── Factory ──────────────────────────────────────────────────────────────────
+
+/**
+ * createPushService(options?)
+ * @param {Function} [options.httpClient] - see defaultHttpClient
+ * @param {string}   [options.baseUrl]    - Expo push API base URL
+ * @param {string}   [options.accessToken]- Expo access token (enhanced security)
+ * @param {number}   [options.maxRetries] - attempts after the first (default 3)
+ * @param {number}   [options.baseDelayMs]- first backoff delay (doubles each retry)
+ * @param {Function} [options.sleep]      - injectable delay (tests)
+ */
+const createPushService = ({
+  httpClient  = defaultHttpClient,
+  baseUrl     = process.env.EXPO_PUSH_API_URL || DEFAULT_BASE_URL,
+  accessToken = process.env.EXPO_ACCESS_TOKEN,
+  maxRetries  = 3,
+  baseDelayMs = 1000,
+  sleep       = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+} = {}) => {
+  const headers = accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+
+  /** POST with retry + exponential backoff (and jitter) on transient errors. */
+  const _post = async (path, body) => {
+    let lastError;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = baseDelayMs * 2 ** (attempt - 1);
+        await sleep(delay + Math.floor(Math.random() * delay * 0.2));
+      }
+      try {
+        const res = await httpClient({ url: `${baseUrl}${path}`, body, headers });
+        if (res.status >= 200 && res.status < 300) return res.body;
+        lastError = new Error(`Expo push API responded ${res.status}`);
+        if (!_isRetryable(res.status)) break;
+      } catch (err) {
+        lastError = err; // network error — retry
+      }
+      logger.warn('Expo push request failed', { path, attempt: attempt + 1, error: lastError.message });
+    }
+    throw lastError;
+  };
+
+  const _pruneTokens = async (tokens) => {
+    if (!tokens.length) return;
+    await db.delete(pushDevices).where(inArray(pushDevices.token, tokens));
+    logger.info('Pruned unregistered push tokens', { count: tokens.length });
+  };
+
+  /**
+   * sendToUsers(userIds, { title, body, data })
+   * @returns {Promise<{ sent: number, failed: number, pruned: number }>}
+   */
+  const sendToUsers = async (userIds, { title, body, data = {} }) => {
+    const ids = [...new Set([].concat(userIds).filter(Boolean))];
+    if (!ids.length) return { sent: 0, failed: 0, pruned: 0 };
+
+    const devices = await db.select({ token: pushDevices.token })
+      .from(pushDevices)
+      .where(inArray(pushDevices.userId, ids));
+    const tokens = devices.map(d => d.token).filter(isExpoPushToken);
+    if (!tokens.length) return { sent: 0, failed: 0, pruned: 0 };
+
+    let sent = 0;
+    let failed = 0;
+    const deadTokens = [];
+
+    for (const batch of _chunk(tokens, SEND_BATCH_SIZE)) {
+      const messages = batch.map(to => ({
+        to, title, body, data, sound: 'default', priority: 'high',
+      }));
+
+      let response;
+      try {
+        response = await _post('/send', messages);
+      } catch (err) {
+        failed += batch.length;
+        logger.error('Expo push batch failed after retries', { size: batch.length, error: err.message });
+        continue;
+      }
+
+      const tickets = response?.data ?? [];
+      const ticketRows = [];
+      tickets.forEach((ticket, i) => {
+        const token = batch[i];
+        if (ticket.status === 'ok') {
+          sent++;
+          ticketRows.push({ ticketId: ticket.id, token });
+        } else {
+          failed++;
+          if (ticket.details?.error === 'DeviceNotRegistered') deadTokens.push(token);
+          else logger.warn('Expo push ticket error', { error: ticket.details?.error, message: ticket.message });
+        }
+      });
+
+      if (ticketRows.length) await db.insert(pushTickets).values(ticketRows);
+    }
+
+    await _pruneTokens(deadTokens);
+    return { sent, failed, pruned: deadTokens.length };
+  };
+
+  /**
+   * checkReceipts(now?)
+   * Reads receipts for tickets older than RECEIPT_DELAY_MS, prunes devices
+   * that are no longer registered and deletes processed / expired tickets.
+   */
+  const checkReceipts = async (now = new Date()) => {
+    // Receipts are only kept by Expo for 24h — drop anything older
+    await db.delete(pushTickets)
+      .where(lt(pushTickets.createdAt, new Date(now.getTime() - TICKET_TTL_MS)));
+
+    const due = await db.select().from(pushTickets)
+      .where(lt(pushTickets.createdAt, new Date(now.getTime() - RECEIPT_DELAY_MS)))
+      .limit(RECEIPT_BATCH_SIZE * 5);
+    if (!due.length) return { checked: 0, pruned: 0 };
+
+    const deadTokens = [];
+    const processed  = [];
+
+    for (const batch of _chunk(due, RECEIPT_BATCH_SIZE)) {
+      let response;
+      try {
+        response = await _post('/getReceipts', { ids: batch.map(t => t.ticketId) });
+      } catch (err) {
+        logger.error('Expo receipt fetch failed after retries', { size: batch.length, error: err.message });
+        continue; // keep the tickets for the next run
+      }
+
+      const receipts = response?.data ?? {};
+      for (const ticket of batch) {
+        const receipt = receipts[ticket.ticketId];
+        if (!receipt) continue; // not ready yet
+        processed.push(ticket.id);
+        if (receipt.status === 'error') {
+          if (receipt.details?.error === 'DeviceNotRegistered') deadTokens.push(ticket.token);
+          else logger.warn('Expo push receipt error', { error: receipt.details?.error, message: receipt.message });
+        }
+      }
+    }
+
+    if (processed.length) await db.delete(pushTickets).where(inArray(pushTickets.id, processed));
+    await _pruneTokens([...new Set(deadTokens)]);
+    return { checked: processed.length, pruned: deadTokens.length };
+  };
+
+  return { sendToUsers, checkReceipts };
+};
+
+// ─── Device registration ──────────────────────────────────────────────────────
+
+/**
+ * registerDevice(userId, { token, platform, deviceName })
+ * Upserts by token — re-registering a token moves it to the current user.
+ */
+const registerDevice = async (userId, { token, platform, deviceName }) => {
+  if (!isExpoPushToken(token)) throw new AppError('Invalid Expo push token', 400);
+
+  const [device] = await db.insert(pushDevices)
+    .values({ userId, token, platform: platform ?? null, deviceName: deviceName ?? null })
+    .onConflictDoUpdate({
+      target: pushDevices.token,
+      set: { userId, platform: platform ?? null, deviceName: deviceName ?? null, lastSeenAt: new Date() },
+    })
+    .returning();
+  return device;
+};
+
+/** unregisterDevice(userId, token) — e.g. on logout. */
+const unregisterDevice = async (userId, token) => {
+  await db.delete(pushDevices)
+    .where(and(eq(pushDevices.userId, userId), eq(pushDevices.token, token)));
+};
+
+const listDevices = (userId) =>
+  db.select({
+    id:         pushDevices.id,
+    platform:   pushDevices.platform,
+    deviceName: pushDevices.deviceName,
+    lastSeenAt: pushDevices.lastSeenAt,
+    createdAt:  pushDevices.createdAt,
+  }).from(pushDevices).where(eq(pushDevices.userId, userId));
+
+// Default instance used by the app
+const { sendToUsers, checkReceipts } = createPushService();
+
+module.exports = {
+  createPushService,
+  defaultHttpClient,
+  isExpoPushToken,
+  sendToUsers,
+  checkReceipts,
+  registerDevice,
+  unregisterDevice,
+  listDevices,
+};
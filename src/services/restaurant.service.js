@@ -11,26 +11,61 @@
  *        AND inactive rows are returned, which is intentional for admin use.
  *        For the public listing the controller always passes isActive=true.
  *  #9  — Added debug logging where useful.
+ *
+ * Both getRestaurants and getMenu add computed isOpenNow / opensAt / closesAt /
+ * closedReason from the weekly schedule (restaurantHours.service.js).
  */
 const { db } = require('../db');
 const { restaurants, categories, menuItems, menuItemVariants, addOns } = require('../db/schema');
-const { eq, and, gte, ilike, sql, inArray } = require('drizzle-orm');
+const { eq, and, gte, lte, lt, ilike, sql, inArray, asc, desc, isNull } = require('drizzle-orm');
 const { AppError } = require('../utils/response');
 const logger = require('../utils/logger');
+const geo = require('../utils/geo');
+const { matchesDiet } = require('../utils/dietary');
+const hoursService = require('./restaurantHours.service');
+const menuService = require('./menu.service');
+const stockService = require('./stock.service');
+const menuAvailability = require('./menuAvailability.service');
+const imageService = require('./image.service');
 
 // ─── Public listing ───────────────────────────────────────────────────────────
 
+// Collected orders in the last 30 days — the popularity measure
+const recentOrders = sql`(
+  SELECT COUNT(*) FROM orders o
+  WHERE o.restaurant_id = ${restaurants.id}
+    AND o.status = 'collected'
+    AND o.created_at > NOW() - INTERVAL '30 days'
+)`;
+
+/** sort name → ORDER BY terms; restaurants.id is appended as the tie-break */
+const LISTING_SORTS = {
+  distance:        (centre) => [sql`${sql.raw(geo.distanceKmSql('restaurants', centre))} ASC NULLS LAST`],
+  rating:          () => [sql`${restaurants.rating} DESC NULLS LAST`, desc(restaurants.totalReviews)],
+  preparationTime: () => [sql`${restaurants.preparationTime} ASC NULLS LAST`, sql`${restaurants.rating} DESC NULLS LAST`],
+  popularity:      () => [sql`${recentOrders} DESC`, desc(restaurants.totalReviews)],
+};
+
+// Available items of the restaurant being filtered
+const _hasItems = (vegOnly) => sql`EXISTS (
+  SELECT 1 FROM menu_items mi
+  WHERE mi.restaurant_id = ${restaurants.id} AND mi.is_available = true
+  ${vegOnly === undefined ? sql`` : sql`AND mi.is_veg = ${vegOnly}`}
+)`;
+
+// Any of the selected cuisines (exact names, as listed by getFacets); GIN-indexed
+const _anyCuisine = (cuisines) =>
+  sql`${restaurants.cuisines} ?| ARRAY[${sql.join(cuisines.map(c => sql`${c}`), sql`, `)}]::text[]`;
+
 /**
- * getRestaurants
- *
- * isActive behaviour:
- *   - Public endpoint always passes isActive = true  → only active restaurants shown.
- *   - Admin endpoint may pass isActive = false/undefined → unfiltered.
- *   - If isActive is undefined no condition is added (returns all).
+ * _listingConditions(filters, { skipCuisines? }) → drizzle conditions
+ * Shared by the listing and the facet counts. openNow needs each candidate's
+ * schedule (restaurantHours.service), so it resolves to an id list here.
  */
-const getRestaurants = async ({ page, limit, search, minRating, isActive, latitude, longitude, radius }) => {
-  const offset = (page - 1) * limit;
-
+const _listingConditions = async ({
+  search, minRating, isActive, latitude, longitude, radius,
+  cuisines, pureVeg, hasVeg, maxPrepTime, minOrderUnder, openNow,
+}, { skipCuisines = false } = {}) => {
   const conditions = [];
 
   // Only add the isActive filter when a value was explicitly provided.
@@ -41,32 +76,66 @@ const getRestaurants = async ({ page, limit, search, minRating, isActive, latitu
   if (search)     conditions.push(ilike(restaurants.name, `%${search}%`));
   if (minRating)  conditions.push(gte(restaurants.rating, minRating.toString()));
 
-  // Location radius filter using Haversine formula (if lat/lng/radius provided)
-  let locationFilter = null;
-  if (latitude && longitude) {
-    const r = parseFloat(radius) || 5; // km
-    // 1 degree lat ≈ 111km, use simple bounding box first then haversine
-    const latDelta = r / 111.0;
-    const lngDelta = r / (111.0 * Math.cos(parseFloat(latitude) * Math.PI / 180));
-    const lat = parseFloat(latitude);
-    const lng = parseFloat(longitude);
-    conditions.push(
-      sql`${restaurants.latitude} IS NOT NULL AND ${restaurants.longitude} IS NOT NULL AND
-        ${restaurants.latitude}::float BETWEEN ${lat - latDelta} AND ${lat + latDelta} AND
-        ${restaurants.longitude}::float BETWEEN ${lng - lngDelta} AND ${lng + lngDelta} AND
-        (
-          6371 * 2 * ASIN(SQRT(
-            POWER(SIN((${restaurants.latitude}::float - ${lat}) * PI() / 360), 2) +
-            COS(${lat} * PI() / 180) * COS(${restaurants.latitude}::float * PI() / 180) *
-            POWER(SIN((${restaurants.longitude}::float - ${lng}) * PI() / 360), 2)
-          ))
-        ) <= ${r}`
-    );
+  // Location radius filter, answered by restaurants_location_idx (utils/geo.js)
+  if (latitude !== undefined && longitude !== undefined) {
+    conditions.push(sql.raw(geo.withinSql('restaurants', { latitude, longitude, radiusKm: radius || undefined })));
+  }
+
+  if (cuisines?.length && !skipCuisines) conditions.push(_anyCuisine(cuisines));
+
+  // Pure veg: has a menu and nothing on it is non-veg
+  if (pureVeg) conditions.push(and(_hasItems(), sql`NOT ${_hasItems(false)}`));
+  if (hasVeg)  conditions.push(_hasItems(true));
+
+  if (maxPrepTime !== undefined)   conditions.push(lte(restaurants.preparationTime, maxPrepTime));
+  if (minOrderUnder !== undefined) conditions.push(lt(restaurants.minOrder, minOrderUnder.toString()));
+
+  if (openNow) {
+    const candidates = await db.select({
+      id:          restaurants.id,
+      isActive:    restaurants.isActive,
+      isOpen:      restaurants.isOpen,
+      openingTime: restaurants.openingTime,
+      closingTime: restaurants.closingTime,
+      timezone:    restaurants.timezone,
+    }).from(restaurants).where(and(...conditions, eq(restaurants.isOpen, true)));
+
+    const openIds = (await hoursService.withOpenStatus(candidates)).filter(r => r.isOpenNow).map(r => r.id);
+    conditions.push(openIds.length ? inArray(restaurants.id, openIds) : sql`false`);
   }
 
+  return conditions;
+};
+
+/**
+ * getRestaurants
+ *
+ * isActive behaviour:
+ *   - Public endpoint always passes isActive = true  → only active restaurants shown.
+ *   - Admin endpoint may pass isActive = false/undefined → unfiltered.
+ *   - If isActive is undefined no condition is added (returns all).
+ *
+ * With latitude/longitude, only restaurants within `radius` km (default 5)
+ * are listed, each with distanceKm. sort (see LISTING_SORTS) defaults to
+ * distance when a position is given, otherwise to rating.
+ *
+ * Filters: cuisines (any of), pureVeg, hasVeg, maxPrepTime (minutes),
+ * minOrderUnder (₹) and openNow.
+ */
+const getRestaurants = async (filters) => {
+  const { page, limit, search, minRating, isActive, latitude, longitude, sort } = filters;
+  const offset = (page - 1) * limit;
+  const hasPosition = latitude !== undefined && longitude !== undefined;
+
+  const conditions = await _listingConditions(filters);
   const where = conditions.length > 0 ? and(...conditions) : undefined;
 
-  logger.debug('getRestaurants query', { isActive, search, minRating, page, limit });
+  const sortBy = sort || (hasPosition ? 'distance' : 'rating');
+  if (sortBy === 'distance' && !hasPosition) {
+    throw new AppError('sort=distance needs latitude and longitude', 400);
+  }
+
+  logger.debug('getRestaurants query', { isActive, search, minRating, sort: sortBy, hasPosition, page, limit });
 
   const [data, [{ count }]] = await Promise.all([
     db.select({
@@ -82,12 +151,17 @@ const getRestaurants = async ({ page, limit, search, minRating, isActive, latitu
       isOpen:          restaurants.isOpen,
       openingTime:     restaurants.openingTime,
       closingTime:     restaurants.closingTime,
+      timezone:        restaurants.timezone,
       cuisines:        restaurants.cuisines,
       latitude:        restaurants.latitude,
       longitude:       restaurants.longitude,
+      distanceKm:      hasPosition
+        ? sql.raw(geo.distanceKmSql('restaurants', { latitude, longitude })).mapWith(Number)
+        : sql`NULL`,
     })
       .from(restaurants)
       .where(where)
+      .orderBy(...LISTING_SORTS[sortBy]({ latitude, longitude }), asc(restaurants.id))
       .limit(limit)
       .offset(offset),
     db.select({ count: sql`COUNT(*)::int` }).from(restaurants).where(where),
@@ -96,11 +170,41 @@ const getRestaurants = async ({ page, limit, search, minRating, isActive, latitu
   logger.debug('getRestaurants result', { count, returned: data.length });
 
   return {
-    restaurants: data,
+    restaurants: await hoursService.withOpenStatus(data),
     pagination: { page, limit, total: count, pages: Math.ceil(count / limit) },
   };
 };
 
+/**
+ * getFacets(filters) → { total, cuisines: [{ cuisine, count }] }
+ * total counts restaurants matching every filter. Cuisine counts ignore the
+ * cuisines filter itself, so a multi-select still shows what each extra
+ * choice would add.
+ */
+const getFacets = async (filters) => {
+  const cuisineConditions = await _listingConditions(filters, { skipCuisines: true });
+  const conditions = filters.cuisines?.length
+    ? [...cuisineConditions, _anyCuisine(filters.cuisines)]
+    : cuisineConditions;
+  const where = conditions.length ? and(...conditions) : undefined;
+  const cuisineWhere = cuisineConditions.length ? and(...cuisineConditions) : sql`true`;
+
+  const [[{ total }], { rows }] = await Promise.all([
+    db.select({ total: sql`COUNT(*)::int` }).from(restaurants).where(where),
+    db.execute(sql`
+      SELECT c.cuisine, COUNT(*)::int AS count
+      FROM ${restaurants}
+      CROSS JOIN LATERAL jsonb_array_elements_text(
+        CASE WHEN jsonb_typeof(${restaurants.cuisines}) = 'array' THEN ${restaurants.cuisines} ELSE '[]'::jsonb END
+      ) AS c(cuisine)
+      WHERE ${cuisineWhere}
+      GROUP BY c.cuisine
+      ORDER BY count DESC, c.cuisine`),
+  ]);
+
+  return { total, cuisines: rows };
+};
+
 // ─── Single restaurant ────────────────────────────────────────────────────────
 
 const getRestaurantById = async (id) => {
@@ -111,8 +215,14 @@ const getRestaurantById = async (id) => {
 
 // ─── Public menu ──────────────────────────────────────────────────────────────
 
-const getMenu = async (restaurantId) => {
-  logger.debug('getMenu', { restaurantId }); // #9
+/**
+ * getMenu(restaurantId, { dietary?, excludeAllergens? })
+ * Optional diet filters keep items tagged with every `dietary` tag and with
+ * declared allergens outside `excludeAllergens` (utils/dietary.js); categories
+ * left empty by a filter are dropped.
+ */
+const getMenu = async (restaurantId, { dietary, excludeAllergens } = {}) => {
+  logger.debug('getMenu', { restaurantId, dietary, excludeAllergens }); // #9
 
   // FIX Issue 1: Select ALL fields so restaurant detail page can show
   // rating, reviewCount, open/close status, hours, etc.
@@ -130,6 +240,7 @@ const getMenu = async (restaurantId) => {
       isOpen:          restaurants.isOpen,
       openingTime:     restaurants.openingTime,
       closingTime:     restaurants.closingTime,
+      timezone:        restaurants.timezone,
       cuisines:        restaurants.cuisines,
       latitude:        restaurants.latitude,
       longitude:       restaurants.longitude,
@@ -141,20 +252,48 @@ const getMenu = async (restaurantId) => {
 
   if (!restaurant) throw new AppError('Restaurant not found', 404);
 
-  const cats = await db.select().from(categories)
-    .where(and(eq(categories.restaurantId, restaurantId), eq(categories.isActive, true)));
+  const schedule = await hoursService.loadSchedule(restaurant);
+  Object.assign(restaurant, hoursService.computeOpenStatus(restaurant, schedule), {
+    weeklyHours: hoursService.formatWeekly(schedule.weekly),
+  });
+
+  // Menu order is owner-controlled via sortOrder (PUT /owner/categories/reorder)
+  const [allCats, allItems, windows] = await Promise.all([
+    db.select().from(categories)
+      .where(and(eq(categories.restaurantId, restaurantId), eq(categories.isActive, true)))
+      .orderBy(asc(categories.sortOrder), asc(categories.createdAt)),
+    db.select().from(menuItems)
+      .where(and(eq(menuItems.restaurantId, restaurantId), eq(menuItems.isAvailable, true)))
+      .orderBy(asc(menuItems.sortOrder), asc(menuItems.createdAt)),
+    menuAvailability.loadWindows(restaurantId),
+  ]);
 
-  const items = await db.select().from(menuItems)
-    .where(and(eq(menuItems.restaurantId, restaurantId), eq(menuItems.isAvailable, true)));
+  // Breakfast/lunch/dinner windows — categories and items outside theirs are left out
+  const now = new Date();
+  const served = (item) => !menuAvailability.blockingWindows(item, windows, restaurant.timezone, now);
+  const cats  = allCats.filter(cat => served({ categoryId: cat.id }));
+  const dietFilter = { dietary, excludeAllergens };
+  const filtered = !!(dietary?.length || excludeAllergens?.length);
+  const items = allItems.filter(item => served(item) && matchesDiet(item, dietFilter));
 
   const itemIds = items.map(i => i.id);
   let variants = [];
   let itemAddOns = [];
+  let groupsByItem = {};
 
   if (itemIds.length > 0) {
-    [variants, itemAddOns] = await Promise.all([
-      db.select().from(menuItemVariants).where(inArray(menuItemVariants.menuItemId, itemIds)),
-      db.select().from(addOns).where(inArray(addOns.menuItemId, itemIds)),
+    [variants, itemAddOns, groupsByItem] = await Promise.all([
+      db.select().from(menuItemVariants)
+        .where(and(
+          inArray(menuItemVariants.menuItemId, itemIds),
+          isNull(menuItemVariants.archivedAt),
+          eq(menuItemVariants.isAvailable, true),
+        ))
+        .orderBy(asc(menuItemVariants.sortOrder), asc(menuItemVariants.createdAt)),
+      db.select().from(addOns)
+        .where(and(inArray(addOns.menuItemId, itemIds), eq(addOns.isAvailable, true)))
+        .orderBy(asc(addOns.createdAt)),
+      menuService.loadAddOnGroups(itemIds),
     ]);
   }
 
@@ -170,16 +309,26 @@ const getMenu = async (restaurantId) => {
     return acc;
   }, {});
 
+  // Uploaded images come in several sizes; external image URLs get null
+  const imageSizes = await imageService.sizesForUrls([restaurant.bannerImage, ...items.map(i => i.image)]);
+  restaurant.bannerImageSizes = imageSizes.get(restaurant.bannerImage) ?? null;
+
+  // addOns stays the flat list for older app versions; addOnGroups carries
+  // the selection rules (ungrouped add-ons are free optional extras).
+  // Stock-tracked items and variants carry stockLeft + lowStock ("only N left").
+  const today = stockService.todayFor(restaurant);
   const enrichedItems = items.map(item => ({
-    ...item,
-    variants:  variantMap[item.id]  || [],
+    ...stockService.publicStock(item, today, item.lowStockThreshold),
+    imageSizes: imageSizes.get(item.image) ?? null,
+    variants:  (variantMap[item.id] || []).map(v => stockService.publicStock(v, today, item.lowStockThreshold)),
     addOns:    addOnMap[item.id]    || [],
+    addOnGroups: menuService.nestAddOnGroups(groupsByItem[item.id] || [], addOnMap[item.id] || []),
   }));
 
   const menu = cats.map(cat => ({
     ...cat,
     items: enrichedItems.filter(i => i.categoryId === cat.id),
-  }));
+  })).filter(cat => !filtered || cat.items.length);
 
   const uncategorized = enrichedItems.filter(i => !i.categoryId);
   if (uncategorized.length) {
@@ -232,6 +381,7 @@ const deleteRestaurant = async (id) => {
 
 module.exports = {
   getRestaurants,
+  getFacets,
   getRestaurantById,
   getMenu,
   getOwnerMenu,
@@ -0,0 +1,316 @@
+/**
+ * src/services/restaurantHours.service.js
+ *
+ * Weekly opening hours + holiday closures, evaluated in the restaurant's own
+ * timezone.
+ *
+ * A "schedule" is the in-memory shape every check works on:
+ *   {
+ *     timezone:    'Asia/Kolkata',
+ *     weekly:      { 0: [{ openTime: '11:00', closeTime: '15:00' }, ...], ... 6: [...] },
+ *     closedDates: Set<'YYYY-MM-DD'>,
+ *   }
+ * weekday keys: 0 = Sunday … 6 = Saturday. An interval whose closeTime is
+ * earlier than its openTime runs past midnight into the next day.
+ *
+ * Restaurants with no restaurant_hours rows fall back to the legacy
+ * openingTime/closingTime pair on every day of the week.
+ */
+const { db, pool } = require('../db');
+const { restaurants, restaurantHours, restaurantClosures } = require('../db/schema');
+const { eq, and, gte, inArray, asc } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const logger = require('../utils/logger');
+const {
+  DEFAULT_TIMEZONE, WEEKDAYS, parseHHMM, getZonedParts, zonedTimeToUtc, addDays, weekdayOf,
+} = require('../utils/time');
+
+const LOOKAHEAD_DAYS = 8; // how far nextOpening() searches
+
+// ─── Schedule construction ────────────────────────────────────────────────────
+
+const _buildSchedule = (restaurant, hourRows, closureRows) => {
+  const weekly = {};
+  if (hourRows.length) {
+    for (const row of hourRows) {
+      if (!weekly[row.weekday]) weekly[row.weekday] = [];
+      weekly[row.weekday].push({ openTime: row.openTime, closeTime: row.closeTime });
+    }
+    Object.values(weekly).forEach(list => list.sort((a, b) => parseHHMM(a.openTime) - parseHHMM(b.openTime)));
+  } else {
+    // Legacy single pair, every day
+    const interval = {
+      openTime:  restaurant.openingTime ?? '09:00',
+      closeTime: restaurant.closingTime ?? '22:00',
+    };
+    for (let d = 0; d < 7; d++) weekly[d] = [interval];
+  }
+
+  return {
+    timezone:    restaurant.timezone || DEFAULT_TIMEZONE,
+    weekly,
+    closedDates: new Set(closureRows.map(c => c.closedOn)),
+  };
+};
+
+/**
+ * loadSchedules(restaurantRows, now?) → Map<restaurantId, schedule>
+ * Two queries regardless of how many restaurants are passed (no N+1).
+ */
+const loadSchedules = async (restaurantRows, now = new Date()) => {
+  const ids = restaurantRows.map(r => r.id);
+  if (!ids.length) return new Map();
+
+  // Start two days back so overnight spill-over in any timezone is covered
+  const fromDate = addDays(getZonedParts(now, DEFAULT_TIMEZONE).date, -2);
+
+  const [hourRows, closureRows] = await Promise.all([
+    db.select().from(restaurantHours).where(inArray(restaurantHours.restaurantId, ids)),
+    db.select().from(restaurantClosures).where(and(
+      inArray(restaurantClosures.restaurantId, ids),
+      gte(restaurantClosures.closedOn, fromDate),
+    )),
+  ]);
+
+  return new Map(restaurantRows.map(r => [
+    r.id,
+    _buildSchedule(
+      r,
+      hourRows.filter(h => h.restaurantId === r.id),
+      closureRows.filter(c => c.restaurantId === r.id),
+    ),
+  ]));
+};
+
+/** loadSchedule(restaurant, now?) → schedule (single restaurant) */
+const loadSchedule = async (restaurant, now = new Date()) =>
+  (await loadSchedules([restaurant], now)).get(restaurant.id);
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+/**
+ * _findOpenInterval(schedule, at) → { closesAt: Date } | null
+ * Checks today's intervals and yesterday's overnight intervals.
+ */
+const _findOpenInterval = (schedule, at) => {
+  const { timezone, weekly, closedDates } = schedule;
+  const { date, weekday, minutes } = getZonedParts(at, timezone);
+  const dayIdx = WEEKDAYS.indexOf(weekday);
+
+  if (!closedDates.has(date)) {
+    for (const { openTime, closeTime } of weekly[dayIdx] ?? []) {
+      const open  = parseHHMM(openTime);
+      const close = parseHHMM(closeTime);
+      if (close > open && minutes >= open && minutes < close) {
+        return { closesAt: zonedTimeToUtc(date, close, timezone) };
+      }
+      if (close < open && minutes >= open) {
+        return { closesAt: zonedTimeToUtc(addDays(date, 1), close, timezone) };
+      }
+    }
+  }
+
+  const prevDate = addDays(date, -1);
+  if (!closedDates.has(prevDate)) {
+    for (const { openTime, closeTime } of weekly[(dayIdx + 6) % 7] ?? []) {
+      const open  = parseHHMM(openTime);
+      const close = parseHHMM(closeTime);
+      if (close < open && minutes < close) {
+        return { closesAt: zonedTimeToUtc(date, close, timezone) };
+      }
+    }
+  }
+
+  return null;
+};
+
+/** isOpenAt(schedule, at) — schedule-only check (ignores the manual isOpen toggle) */
+const isOpenAt = (schedule, at) => _findOpenInterval(schedule, at) !== null;
+
+/** isClosedOn(schedule, localDate) — true if the date is a holiday closure */
+const isClosedOn = (schedule, localDate) => schedule.closedDates.has(localDate);
+
+/** nextOpening(schedule, from) → Date | null — next interval start after `from` */
+const nextOpening = (schedule, from) => {
+  const { timezone, weekly, closedDates } = schedule;
+  const today = getZonedParts(from, timezone).date;
+
+  for (let d = 0; d < LOOKAHEAD_DAYS; d++) {
+    const date = addDays(today, d);
+    if (closedDates.has(date)) continue;
+    for (const { openTime } of weekly[weekdayOf(date)] ?? []) {
+      const start = zonedTimeToUtc(date, parseHHMM(openTime), timezone);
+      if (start > from) return start;
+    }
+  }
+  return null;
+};
+
+/**
+ * computeOpenStatus(restaurant, schedule, now?)
+ * → { isOpenNow, opensAt, closesAt, closedReason }
+ *
+ * closedReason: 'inactive' | 'paused' (owner toggled isOpen off) |
+ *               'holiday' | 'outside_hours' | null
+ */
+const computeOpenStatus = (restaurant, schedule, now = new Date()) => {
+  if (restaurant.isActive === false) {
+    return { isOpenNow: false, opensAt: null, closesAt: null, closedReason: 'inactive' };
+  }
+
+  const interval = _findOpenInterval(schedule, now);
+  if (interval && restaurant.isOpen !== false) {
+    return { isOpenNow: true, opensAt: null, closesAt: interval.closesAt, closedReason: null };
+  }
+
+  if (restaurant.isOpen === false) {
+    // Manual pause has no known end — don't promise an opening time
+    return { isOpenNow: false, opensAt: null, closesAt: null, closedReason: 'paused' };
+  }
+
+  const today = getZonedParts(now, schedule.timezone).date;
+  return {
+    isOpenNow:    false,
+    opensAt:      nextOpening(schedule, now),
+    closesAt:     null,
+    closedReason: schedule.closedDates.has(today) ? 'holiday' : 'outside_hours',
+  };
+};
+
+/**
+ * withOpenStatus(restaurantRows, now?) → rows with isOpenNow/opensAt/closesAt/closedReason
+ */
+const withOpenStatus = async (restaurantRows, now = new Date()) => {
+  const schedules = await loadSchedules(restaurantRows, now);
+  return restaurantRows.map(r => ({ ...r, ...computeOpenStatus(r, schedules.get(r.id), now) }));
+};
+
+// ─── Owner management ─────────────────────────────────────────────────────────
+
+/** Serialises a schedule for API responses (weekday keys as 'mon'…'sun'). */
+const formatWeekly = (weekly) =>
+  Object.fromEntries(WEEKDAYS.map((name, idx) => [name, weekly[idx] ?? []]));
+
+/**
+ * getHours(restaurant) → { timezone, weekly, usesLegacyHours, closures }
+ */
+const getHours = async (restaurant) => {
+  const today = getZonedParts(new Date(), restaurant.timezone || DEFAULT_TIMEZONE).date;
+
+  const [hourRows, closureRows] = await Promise.all([
+    db.select().from(restaurantHours).where(eq(restaurantHours.restaurantId, restaurant.id)),
+    db.select().from(restaurantClosures)
+      .where(and(eq(restaurantClosures.restaurantId, restaurant.id), gte(restaurantClosures.closedOn, today)))
+      .orderBy(asc(restaurantClosures.closedOn)),
+  ]);
+
+  const schedule = _buildSchedule(restaurant, hourRows, []);
+  return {
+    timezone:        schedule.timezone,
+    usesLegacyHours: hourRows.length === 0,
+    weekly:          formatWeekly(schedule.weekly),
+    closures:        closureRows.map(c => ({ id: c.id, date: c.closedOn, reason: c.reason })),
+  };
+};
+
+/**
+ * Rejects overlapping intervals within a day (overnight tails are not checked).
+ * Also used for menu availability windows, mapped to { openTime, closeTime }.
+ */
+const assertNoOverlap = (dayName, intervals) => {
+  const sorted = [...intervals].sort((a, b) => parseHHMM(a.openTime) - parseHHMM(b.openTime));
+  for (let i = 1; i < sorted.length; i++) {
+    const prevClose = parseHHMM(sorted[i - 1].closeTime);
+    const prevOpen  = parseHHMM(sorted[i - 1].openTime);
+    if (prevClose < prevOpen || prevClose > parseHHMM(sorted[i].openTime)) {
+      throw new AppError(`Overlapping intervals on ${dayName}`, 400);
+    }
+  }
+};
+
+/**
+ * replaceHours(restaurant, { timezone, weekly })
+ * weekly: { mon: [{ openTime, closeTime }], ... } — days omitted are closed.
+ * Replaces the whole weekly schedule atomically.
+ */
+const replaceHours = async (restaurant, { timezone, weekly }) => {
+  const rows = [];
+  for (const [dayName, intervals] of Object.entries(weekly ?? {})) {
+    const weekday = WEEKDAYS.indexOf(dayName);
+    if (weekday === -1) throw new AppError(`Unknown weekday '${dayName}'`, 400);
+    assertNoOverlap(dayName, intervals);
+    for (const { openTime, closeTime } of intervals) {
+      if (openTime === closeTime) throw new AppError(`Empty interval ${openTime}–${closeTime} on ${dayName}`, 400);
+      rows.push({ weekday, openTime, closeTime });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (weekly !== undefined) {
+      await client.query('DELETE FROM restaurant_hours WHERE restaurant_id = $1', [restaurant.id]);
+      for (const row of rows) {
+        await client.query(
+          `INSERT INTO restaurant_hours (restaurant_id, weekday, open_time, close_time)
+           VALUES ($1, $2, $3, $4)`,
+          [restaurant.id, row.weekday, row.openTime, row.closeTime]
+        );
+      }
+    }
+    if (timezone) {
+      await client.query(
+        'UPDATE restaurants SET timezone = $1, updated_at = NOW() WHERE id = $2',
+        [timezone, restaurant.id]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  logger.info('Restaurant hours updated', { restaurantId: restaurant.id, intervals: rows.length, timezone });
+  const [updated] = await db.select().from(restaurants).where(eq(restaurants.id, restaurant.id)).limit(1);
+  return getHours(updated);
+};
+
+/** addClosure(restaurant, { date, reason }) — idempotent per date */
+const addClosure = async (restaurant, { date, reason }) => {
+  const today = getZonedParts(new Date(), restaurant.timezone || DEFAULT_TIMEZONE).date;
+  if (date < today) throw new AppError('Closure date cannot be in the past', 400);
+
+  const [closure] = await db.insert(restaurantClosures)
+    .values({ restaurantId: restaurant.id, closedOn: date, reason: reason ?? null })
+    .onConflictDoUpdate({
+      target: [restaurantClosures.restaurantId, restaurantClosures.closedOn],
+      set: { reason: reason ?? null },
+    })
+    .returning();
+  return { id: closure.id, date: closure.closedOn, reason: closure.reason };
+};
+
+const removeClosure = async (restaurant, closureId) => {
+  const [deleted] = await db.delete(restaurantClosures)
+    .where(and(eq(restaurantClosures.id, closureId), eq(restaurantClosures.restaurantId, restaurant.id)))
+    .returning({ id: restaurantClosures.id });
+  if (!deleted) throw new AppError('Closure not found', 404);
+};
+
+module.exports = {
+  loadSchedule,
+  loadSchedules,
+  isOpenAt,
+  isClosedOn,
+  nextOpening,
+  computeOpenStatus,
+  withOpenStatus,
+  formatWeekly,
+  getHours,
+  replaceHours,
+  addClosure,
+  removeClosure,
+  assertNoOverlap,
+};
@@ -0,0 +1,184 @@
+/**
+ * src/services/search.service.js
+ * Restaurant and dish search — GET /restaurants/search.
+ *
+ * The query is matched against restaurant names, cuisines and descriptions
+ * and against the names and descriptions of dishes on sale, two ways:
+ *   full-text — English stemming with every word as a prefix, so "biryan"
+ *               finds "Biryani" and "burgers" finds "Burger"
+ *               (search_vector columns, migration 025)
+ *   trigram   — word_similarity against names, for typos ("biryni", "paner")
+ *
+ * A hit scores 1 + ts_rank when full-text matches, plus its trigram
+ * similarity (0–1). A restaurant ranks by the better of its own score and its
+ * best dish, nudged up by how many of its dishes matched. Results page by
+ * restaurant, each with its top matching dishes.
+ */
+const { pool } = require('../db');
+const { AppError } = require('../utils/response');
+const hoursService = require('./restaurantHours.service');
+const geo = require('../utils/geo');
+const logger = require('../utils/logger');
+
+const MAX_TERMS = 8;
+const TRIGRAM_THRESHOLD = 0.5; // pg_trgm's default 0.6 misses "biryni" → "Biryani" (0.57)
+const DISH_COUNT_WEIGHT = 0.1;
+
+/** "Chicken  biryani!" → ['chicken', 'biryani']; letters and digits only, so safe in a tsquery */
+const _terms = (q) => (q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_TERMS);
+
+/**
+ * Conditions on restaurants (alias r) → SQL text. `param` appends a bind value
+ * and returns its placeholder.
+ */
+const _restaurantFilters = ({ minRating, latitude, longitude, radius }, param) => {
+  const filters = ['r.is_active = true'];
+  if (minRating) filters.push(`r.rating >= ${param(minRating)}`);
+  if (latitude !== undefined && longitude !== undefined) {
+    filters.push(geo.withinSql('r', { latitude, longitude, radiusKm: radius || undefined }));
+  }
+  return filters.join(' AND ');
+};
+
+/**
+ * Matching dishes on sale, as a CTE body. $1 is the tsquery text, $2 the
+ * plain text for trigram matching; `restaurantWhere` narrows restaurants (r).
+ */
+const _dishHitsSql = (restaurantWhere) => `
+  SELECT mi.id, mi.restaurant_id, mi.name, mi.description, mi.base_price, mi.image, mi.is_veg,
+         CASE WHEN mi.search_vector @@ to_tsquery('english', $1)
+              THEN 1 + ts_rank(mi.search_vector, to_tsquery('english', $1)) ELSE 0 END
+         + word_similarity($2, mi.name) AS score
+  FROM menu_items mi
+  JOIN restaurants r ON r.id = mi.restaurant_id
+  LEFT JOIN categories c ON c.id = mi.category_id
+  WHERE (mi.search_vector @@ to_tsquery('english', $1) OR $2 <% mi.name)
+    AND mi.is_available = true
+    AND (c.id IS NULL OR c.is_active = true)
+    AND ${restaurantWhere}`;
+
+const _round = (n) => Math.round(Number(n) * 10000) / 10000;
+
+/**
+ * search({ q, page, limit, dishes, minRating?, latitude?, longitude?, radius? })
+ * → { restaurants: [{ ...listing fields, isOpenNow…, distanceKm, relevance, matchedDishCount,
+ *     matchedDishes: [{ id, name, description, basePrice, image, isVeg, relevance }] }],
+ *     pagination }
+ * `dishes` caps matchedDishes per restaurant; matchedDishCount is the full count.
+ */
+const search = async ({ q, page, limit, dishes, minRating, latitude, longitude, radius }) => {
+  const terms = _terms(q);
+  if (!terms.length) throw new AppError('Search for a word or number', 400);
+
+  const params = [terms.map(t => `${t}:*`).join(' & '), terms.join(' ')];
+  const param = (value) => { params.push(value); return `$${params.length}`; };
+  const hasPosition = latitude !== undefined && longitude !== undefined;
+  const restaurantWhere = _restaurantFilters({ minRating, latitude, longitude, radius }, param);
+
+  let rows;
+  let dishRows = [];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    // <% and the trigram index use this threshold; LOCAL ends with the transaction
+    await client.query(`SET LOCAL pg_trgm.word_similarity_threshold = ${TRIGRAM_THRESHOLD}`);
+
+    ({ rows } = await client.query(`
+      WITH dish_hits AS (${_dishHitsSql(restaurantWhere)}),
+      dish_totals AS (
+        SELECT restaurant_id, MAX(score) AS best, COUNT(*)::int AS matched
+        FROM dish_hits GROUP BY restaurant_id
+      ),
+      scored AS (
+        SELECT r.id, r.name, r.description, r.banner_image, r.rating, r.total_reviews,
+               r.preparation_time, r.min_order, r.is_active, r.is_open, r.opening_time,
+               r.closing_time, r.timezone, r.cuisines, r.latitude, r.longitude,
+               ${hasPosition ? geo.distanceKmSql('r', { latitude, longitude }) : 'NULL::numeric'} AS distance_km,
+               GREATEST(
+                 CASE WHEN r.search_vector @@ to_tsquery('english', $1)
+                      THEN 1 + ts_rank(r.search_vector, to_tsquery('english', $1)) ELSE 0 END
+                 + word_similarity($2, r.name),
+                 COALESCE(d.best, 0)
+               ) + ${DISH_COUNT_WEIGHT} * LN(1 + COALESCE(d.matched, 0)) AS relevance,
+               COALESCE(d.matched, 0) AS matched
+        FROM restaurants r
+        LEFT JOIN dish_totals d ON d.restaurant_id = r.id
+        WHERE ${restaurantWhere}
+          AND (d.restaurant_id IS NOT NULL
+               OR r.search_vector @@ to_tsquery('english', $1)
+               OR $2 <% r.name)
+      )
+      SELECT *, COUNT(*) OVER ()::int AS total
+      FROM scored
+      ORDER BY relevance DESC, distance_km ASC NULLS LAST, rating DESC NULLS LAST, id
+      LIMIT ${param(limit)} OFFSET ${param((page - 1) * limit)}`,
+      params
+    ));
+
+    const ids = rows.map(r => r.id);
+    if (ids.length) {
+      ({ rows: dishRows } = await client.query(`
+        SELECT * FROM (
+          SELECT h.*, ROW_NUMBER() OVER (PARTITION BY h.restaurant_id ORDER BY h.score DESC, h.name) AS rn
+          FROM (${_dishHitsSql('r.id = ANY($3::uuid[])')}) h
+        ) ranked
+        WHERE rn <= $4
+        ORDER BY restaurant_id, rn`,
+        [params[0], params[1], ids, dishes]
+      ));
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const dishesBy = new Map();
+  for (const d of dishRows) {
+    if (!dishesBy.has(d.restaurant_id)) dishesBy.set(d.restaurant_id, []);
+    dishesBy.get(d.restaurant_id).push({
+      id:          d.id,
+      name:        d.name,
+      description: d.description,
+      basePrice:   d.base_price,
+      image:       d.image,
+      isVeg:       d.is_veg,
+      relevance:   _round(d.score),
+    });
+  }
+
+  const total = rows[0]?.total ?? 0;
+  logger.debug('Search', { q, terms, total, page });
+
+  const listed = await hoursService.withOpenStatus(rows.map(r => ({
+    id:              r.id,
+    name:            r.name,
+    description:     r.description,
+    bannerImage:     r.banner_image,
+    rating:          r.rating,
+    totalReviews:    r.total_reviews,
+    preparationTime: r.preparation_time,
+    minOrder:        r.min_order,
+    isActive:        r.is_active,
+    isOpen:          r.is_open,
+    openingTime:     r.opening_time,
+    closingTime:     r.closing_time,
+    timezone:        r.timezone,
+    cuisines:        r.cuisines,
+    latitude:        r.latitude,
+    longitude:       r.longitude,
+    distanceKm:      r.distance_km === null ? null : Number(r.distance_km),
+    relevance:       _round(r.relevance),
+    matchedDishCount: r.matched,
+    matchedDishes:   dishesBy.get(r.id) ?? [],
+  })));
+
+  return {
+    restaurants: listed,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+};
+
+module.exports = { search };
@@ -0,0 +1,200 @@
+/**
+ * src/services/staff.service.js
+ * Restaurant staff membership — invitations by phone, roles, revocation.
+ *
+ * Flow:
+ *   1. Owner invites a phone number with a role → row status 'invited'.
+ *   2. The user with that phone sees it under GET /user/staff-invitations
+ *      and accepts → status 'active', userId set, 'restaurant_staff' added to
+ *      their user_roles so they can switch to it via POST /auth/roles/switch.
+ *   3. Revoking drops the membership; the platform role goes too once the
+ *      user has no other active membership.
+ * Permissions per role live in middleware/restaurantAccess.js.
+ */
+const { db } = require('../db');
+const { restaurantStaff, restaurants, users, userRoles } = require('../db/schema');
+const { eq, and, ne, desc } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const { notifyUser } = require('../utils/notifications');
+const logger = require('../utils/logger');
+
+const STAFF_FIELDS = {
+  id:         restaurantStaff.id,
+  phone:      restaurantStaff.phone,
+  role:       restaurantStaff.role,
+  status:     restaurantStaff.status,
+  userId:     restaurantStaff.userId,
+  name:       users.name,
+  acceptedAt: restaurantStaff.acceptedAt,
+  createdAt:  restaurantStaff.createdAt,
+};
+
+const _getMembership = async (restaurantId, staffId) => {
+  const [row] = await db.select().from(restaurantStaff)
+    .where(and(eq(restaurantStaff.id, staffId), eq(restaurantStaff.restaurantId, restaurantId)))
+    .limit(1);
+  if (!row) throw new AppError('Staff member not found', 404);
+  return row;
+};
+
+// ─── Owner side ───────────────────────────────────────────────────────────────
+
+/** listStaff(restaurantId) — everyone except revoked rows, newest first */
+const listStaff = (restaurantId) =>
+  db.select(STAFF_FIELDS)
+    .from(restaurantStaff)
+    .leftJoin(users, eq(users.id, restaurantStaff.userId))
+    .where(and(eq(restaurantStaff.restaurantId, restaurantId), ne(restaurantStaff.status, 'revoked')))
+    .orderBy(desc(restaurantStaff.createdAt));
+
+/**
+ * inviteStaff(restaurant, invitedBy, { phone, role })
+ * Re-inviting a revoked member reuses their row.
+ */
+const inviteStaff = async (restaurant, invitedBy, { phone, role }) => {
+  const [owner] = await db.select({ phone: users.phone }).from(users)
+    .where(eq(users.id, restaurant.ownerId)).limit(1);
+  if (owner?.phone === phone) throw new AppError('The owner cannot be invited as staff', 400);
+
+  const [existing] = await db.select().from(restaurantStaff)
+    .where(and(eq(restaurantStaff.restaurantId, restaurant.id), eq(restaurantStaff.phone, phone)))
+    .limit(1);
+  if (existing && existing.status !== 'revoked') {
+    throw new AppError(`This phone number is already ${existing.status === 'active' ? 'a staff member' : 'invited'}`, 409);
+  }
+
+  const values = {
+    role, status: 'invited', invitedBy, userId: null, acceptedAt: null, updatedAt: new Date(),
+  };
+  const [invite] = existing
+    ? await db.update(restaurantStaff).set(values).where(eq(restaurantStaff.id, existing.id)).returning()
+    : await db.insert(restaurantStaff).values({ ...values, restaurantId: restaurant.id, phone }).returning();
+
+  // Let an existing account know straight away; new users see it after signing up
+  const [invitee] = await db.select({ id: users.id }).from(users).where(eq(users.phone, phone)).limit(1);
+  if (invitee) {
+    notifyUser(invitee.id, {
+      title:       'Staff invitation',
+      body:        `${restaurant.name} invited you to join as ${role}.`,
+      type:        'system',
+      referenceId: invite.id,
+      data:        { kind: 'staff_invitation', invitationId: invite.id },
+    }).catch(err => logger.error('Staff invitation notification failed', { error: err.message }));
+  }
+
+  logger.info('Staff invited', { restaurantId: restaurant.id, staffId: invite.id, role, invitedBy });
+  return invite;
+};
+
+/** updateStaffRole(restaurantId, staffId, role) */
+const updateStaffRole = async (restaurantId, staffId, role) => {
+  const membership = await _getMembership(restaurantId, staffId);
+  if (membership.status === 'revoked') throw new AppError('This staff member has been removed', 400);
+
+  const [updated] = await db.update(restaurantStaff)
+    .set({ role, updatedAt: new Date() })
+    .where(eq(restaurantStaff.id, staffId))
+    .returning();
+  logger.info('Staff role changed', { restaurantId, staffId, from: membership.role, to: role });
+  return updated;
+};
+
+/** Removes the platform role once a user has no active membership left. */
+const _dropStaffRoleIfUnused = async (userId) => {
+  const [stillActive] = await db.select({ id: restaurantStaff.id }).from(restaurantStaff)
+    .where(and(eq(restaurantStaff.userId, userId), eq(restaurantStaff.status, 'active')))
+    .limit(1);
+  if (stillActive) return;
+
+  await db.delete(userRoles)
+    .where(and(eq(userRoles.userId, userId), eq(userRoles.role, 'restaurant_staff')));
+  await db.update(users)
+    .set({ role: 'user', updatedAt: new Date() })
+    .where(and(eq(users.id, userId), eq(users.role, 'restaurant_staff')));
+};
+
+/** revokeStaff(restaurantId, staffId) — also cancels pending invitations */
+const revokeStaff = async (restaurantId, staffId) => {
+  const membership = await _getMembership(restaurantId, staffId);
+  if (membership.status === 'revoked') return membership;
+
+  const [revoked] = await db.update(restaurantStaff)
+    .set({ status: 'revoked', updatedAt: new Date() })
+    .where(eq(restaurantStaff.id, staffId))
+    .returning();
+
+  if (membership.userId) await _dropStaffRoleIfUnused(membership.userId);
+  logger.info('Staff revoked', { restaurantId, staffId, userId: membership.userId });
+  return revoked;
+};
+
+// ─── Invitee side ─────────────────────────────────────────────────────────────
+
+const _getUserPhone = async (userId) => {
+  const [user] = await db.select({ phone: users.phone }).from(users).where(eq(users.id, userId)).limit(1);
+  if (!user?.phone) throw new AppError('Add a phone number to your account to receive staff invitations', 400);
+  return user.phone;
+};
+
+/** listInvitations(userId) — pending invitations addressed to the user's phone */
+const listInvitations = async (userId) => {
+  const phone = await _getUserPhone(userId);
+  return db.select({
+    id:             restaurantStaff.id,
+    role:           restaurantStaff.role,
+    restaurantId:   restaurants.id,
+    restaurantName: restaurants.name,
+    createdAt:      restaurantStaff.createdAt,
+  })
+    .from(restaurantStaff)
+    .innerJoin(restaurants, eq(restaurants.id, restaurantStaff.restaurantId))
+    .where(and(eq(restaurantStaff.phone, phone), eq(restaurantStaff.status, 'invited')))
+    .orderBy(desc(restaurantStaff.createdAt));
+};
+
+const _getInvitation = async (userId, invitationId) => {
+  const phone = await _getUserPhone(userId);
+  const [invite] = await db.select().from(restaurantStaff)
+    .where(and(
+      eq(restaurantStaff.id, invitationId),
+      eq(restaurantStaff.phone, phone),
+      eq(restaurantStaff.status, 'invited'),
+    ))
+    .limit(1);
+  if (!invite) throw new AppError('Invitation not found', 404);
+  return invite;
+};
+
+/** acceptInvitation(userId, invitationId) */
+const acceptInvitation = async (userId, invitationId) => {
+  await _getInvitation(userId, invitationId);
+
+  const [membership] = await db.update(restaurantStaff)
+    .set({ userId, status: 'active', acceptedAt: new Date(), updatedAt: new Date() })
+    .where(eq(restaurantStaff.id, invitationId))
+    .returning();
+
+  await db.insert(userRoles)
+    .values({ userId, role: 'restaurant_staff' })
+    .onConflictDoNothing();
+
+  logger.info('Staff invitation accepted', { userId, staffId: invitationId, restaurantId: membership.restaurantId });
+  return membership;
+};
+
+/** declineInvitation(userId, invitationId) */
+const declineInvitation = async (userId, invitationId) => {
+  await _getInvitation(userId, invitationId);
+  await db.delete(restaurantStaff).where(eq(restaurantStaff.id, invitationId));
+  logger.info('Staff invitation declined', { userId, staffId: invitationId });
+};
+
+module.exports = {
+  listStaff,
+  inviteStaff,
+  updateStaffRole,
+  revokeStaff,
+  listInvitations,
+  acceptInvitation,
+  declineInvitation,
+};
@@ -0,0 +1,395 @@
+/**
+ * src/services/stock.service.js
+ * Optional daily stock limits for menu items and variants.
+ *
+ * dailyStock null = untracked, and isAvailable stays a purely manual switch.
+ * For tracked rows stockLeft is the count for stockDate, the restaurant-local
+ * day it belongs to; a row still on an older stockDate reads as a fresh
+ * dailyStock, so a new day never depends on the reset job having run.
+ *
+ *   - createOrder locks and decrements inside its transaction (reserveStock).
+ *     Reaching zero switches the row off and stamps soldOutAt.
+ *   - Every cancellation (customer, rejection, SLA, admin) goes through
+ *     orderService.cancelAndRefund, which gives the quantity back
+ *     (restoreStock) as long as that day's count is still current.
+ *   - The 'reset-daily-stock' job refills rows after local midnight and
+ *     switches back on only what it switched off (soldOutAt set).
+ * When both an item and its variant are tracked, an order takes from both.
+ */
+const { db, pool } = require('../db');
+const { menuItems, menuItemVariants, restaurants } = require('../db/schema');
+const { eq, and, asc, inArray, isNull, isNotNull, or } = require('drizzle-orm');
+const { AppError } = require('../utils/response');
+const { notifyUser } = require('../utils/notifications');
+const { DEFAULT_TIMEZONE, getZonedParts } = require('../utils/time');
+const logger = require('../utils/logger');
+
+/** todayFor(restaurant, now?) → 'YYYY-MM-DD' in the restaurant's timezone */
+const todayFor = (restaurant, now = new Date()) =>
+  getZonedParts(now, restaurant.timezone || DEFAULT_TIMEZONE).date;
+
+/** Today's remaining count for a menu item / variant row, or null when untracked. */
+const stockLeftOn = (row, today) => {
+  if (row.dailyStock === null || row.dailyStock === undefined) return null;
+  return row.stockDate === today ? row.stockLeft : row.dailyStock;
+};
+
+/**
+ * publicStock(row, today, lowStockThreshold)
+ * Strips the bookkeeping columns from a menu item / variant row and adds
+ * stockLeft (null = untracked) and lowStock — the "only N left" flag.
+ */
+const publicStock = (row, today, lowStockThreshold) => {
+  const { dailyStock, stockLeft, stockDate, soldOutAt, lowStockThreshold: _own, ...rest } = row;
+  const left = stockLeftOn(row, today);
+  return { ...rest, stockLeft: left, lowStock: left !== null && left <= lowStockThreshold };
+};
+
+const _soldOutMessage = (name, left) =>
+  left > 0 ? `Only ${left} left of '${name}' today` : `'${name}' is sold out for today`;
+
+/**
+ * assertAvailable(item, variant, { itemQty, variantQty })
+ * Cart-time check: the quantities this cart would hold still fit in today's
+ * stock. Nothing is reserved — reserveStock at checkout is authoritative.
+ */
+const assertAvailable = async (item, variant, { itemQty, variantQty }) => {
+  const variantTracked = variant && variant.dailyStock !== null;
+  if (item.dailyStock === null && !variantTracked) return;
+
+  const [restaurant] = await db.select({ timezone: restaurants.timezone }).from(restaurants)
+    .where(eq(restaurants.id, item.restaurantId)).limit(1);
+  const today = todayFor(restaurant ?? {});
+
+  const itemLeft = stockLeftOn(item, today);
+  if (itemLeft !== null && itemQty > itemLeft) {
+    throw new AppError(_soldOutMessage(item.name, itemLeft), 400);
+  }
+  const variantLeft = variantTracked ? stockLeftOn(variant, today) : null;
+  if (variantLeft !== null && variantQty > variantLeft) {
+    throw new AppError(_soldOutMessage(`${item.name} (${variant.name})`, variantLeft), 400);
+  }
+};
+
+// ─── Order transaction hooks ──────────────────────────────────────────────────
+
+/** Sums quantity per key, skipping lines without one. */
+const _sumBy = (lines, key) => {
+  const totals = new Map();
+  for (const line of lines) {
+    if (line[key]) totals.set(line[key], (totals.get(line[key]) ?? 0) + line.quantity);
+  }
+  return totals;
+};
+
+/**
+ * Locks the tracked rows, checks and decrements them. Rows are taken in id
+ * order (items before variants, in restoreStock too) so concurrent orders
+ * can't deadlock. Returns { id → stockDate } for the decremented rows.
+ */
+const _takeStock = async (client, { table, label }, totals, today, alerts) => {
+  if (!totals.size) return new Map();
+
+  const { rows } = await client.query(
+    table === 'menu_items'
+      ? `SELECT id, name, daily_stock, stock_left, stock_date::text AS stock_date, low_stock_threshold
+         FROM menu_items WHERE id = ANY($1::uuid[]) AND daily_stock IS NOT NULL
+         ORDER BY id FOR UPDATE`
+      : `SELECT v.id, mi.name || ' (' || v.name || ')' AS name, v.menu_item_id,
+                v.daily_stock, v.stock_left, v.stock_date::text AS stock_date, mi.low_stock_threshold
+         FROM menu_item_variants v JOIN menu_items mi ON mi.id = v.menu_item_id
+         WHERE v.id = ANY($1::uuid[]) AND v.daily_stock IS NOT NULL
+         ORDER BY v.id FOR UPDATE OF v`,
+    [[...totals.keys()]]
+  );
+
+  const taken = new Map();
+  for (const row of rows) {
+    const quantity = totals.get(row.id);
+    const available = row.stock_date === today ? row.stock_left : row.daily_stock;
+    if (quantity > available) {
+      throw new AppError(`${_soldOutMessage(row.name, available)}. Update your cart to continue.`, 400);
+    }
+
+    const left = available - quantity;
+    // SET expressions see the old row: only a live row gets soldOutAt, and a
+    // row still switched off from an earlier day's sell-out comes back on
+    await client.query(
+      `UPDATE ${table} SET
+         stock_left   = $2,
+         stock_date   = $3,
+         sold_out_at  = CASE WHEN $2 > 0 THEN NULL WHEN is_available THEN NOW() ELSE sold_out_at END,
+         is_available = CASE WHEN $2 = 0 THEN FALSE ELSE is_available OR sold_out_at IS NOT NULL END
+       WHERE id = $1`,
+      [row.id, left, today]
+    );
+    taken.set(row.id, today);
+
+    if (left === 0) {
+      alerts.push({ kind: 'sold_out', level: label, id: row.id, menuItemId: row.menu_item_id ?? row.id, name: row.name, left });
+    } else if (available > row.low_stock_threshold && left <= row.low_stock_threshold) {
+      alerts.push({ kind: 'low_stock', level: label, id: row.id, menuItemId: row.menu_item_id ?? row.id, name: row.name, left });
+    }
+  }
+  return taken;
+};
+
+/**
+ * reserveStock(client, restaurant, lines, now?)
+ * lines: [{ menuItemId, variantId, quantity }] — the cart rows being ordered.
+ * Must run inside the createOrder transaction. Throws AppError (400) naming
+ * the first line that no longer fits.
+ * @returns {{ itemDates: Map, variantDates: Map, alerts: Object[] }}
+ *   itemDates / variantDates: id → stock date, for order_items.*_stock_date
+ */
+const reserveStock = async (client, restaurant, lines, now = new Date()) => {
+  const today  = todayFor(restaurant, now);
+  const alerts = [];
+  const itemDates    = await _takeStock(client, { table: 'menu_items', label: 'item' }, _sumBy(lines, 'menuItemId'), today, alerts);
+  const variantDates = await _takeStock(client, { table: 'menu_item_variants', label: 'variant' }, _sumBy(lines, 'variantId'), today, alerts);
+  return { itemDates, variantDates, alerts };
+};
+
+/**
+ * restoreStock(client, orderId)
+ * Gives an order's quantities back to the day's count they were taken from.
+ * Counts from an earlier day have already been refilled, so those are left
+ * alone. A row the system switched off at zero is switched back on.
+ */
+const restoreStock = async (client, orderId) => {
+  const { rows } = await client.query(
+    `SELECT menu_item_id, variant_id, quantity,
+            item_stock_date::text AS item_stock_date, variant_stock_date::text AS variant_stock_date
+     FROM order_items WHERE order_id = $1`,
+    [orderId]
+  );
+
+  const restored = { items: 0, variants: 0 };
+  const levels = [
+    { table: 'menu_items',         idKey: 'menu_item_id', dateKey: 'item_stock_date',    counter: 'items' },
+    { table: 'menu_item_variants', idKey: 'variant_id',   dateKey: 'variant_stock_date', counter: 'variants' },
+  ];
+  for (const { table, idKey, dateKey, counter } of levels) {
+    const totals = new Map();
+    for (const row of rows) {
+      if (!row[idKey] || !row[dateKey]) continue;
+      const key = `${row[idKey]}|${row[dateKey]}`;
+      totals.set(key, (totals.get(key) ?? 0) + row.quantity);
+    }
+
+    for (const key of [...totals.keys()].sort()) {
+      const [id, stockDate] = key.split('|');
+      const { rowCount } = await client.query(
+        `UPDATE ${table} SET
+           stock_left   = LEAST(stock_left + $2, daily_stock),
+           is_available = is_available OR sold_out_at IS NOT NULL,
+           sold_out_at  = NULL
+         WHERE id = $1 AND daily_stock IS NOT NULL AND stock_date = $3`,
+        [id, totals.get(key), stockDate]
+      );
+      restored[counter] += rowCount;
+    }
+  }
+  return restored;
+};
+
+/**
+ * sendStockAlerts(restaurant, alerts)
+ * Tells the owner once a row drops to its low-stock threshold or sells out.
+ * Called after the order commits; failures are only logged.
+ */
+const sendStockAlerts = async (restaurant, alerts) => {
+  if (!restaurant.ownerId) return;
+  for (const alert of alerts) {
+    const soldOut = alert.kind === 'sold_out';
+    await notifyUser(restaurant.ownerId, {
+      title:       soldOut ? 'Sold out for today' : 'Running low',
+      body:        soldOut
+        ? `'${alert.name}' sold out at ${restaurant.name} and was switched off until tomorrow.`
+        : `Only ${alert.left} left of '${alert.name}' at ${restaurant.name} today.`,
+      type:        'system',
+      referenceId: alert.menuItemId,
+      data:        {
+        kind: alert.kind, restaurantId: restaurant.id, menuItemId: alert.menuItemId,
+        variantId: alert.level === 'variant' ? alert.id : null, stockLeft: alert.left,
+      },
+    }).catch(err => logger.error('Stock alert failed', { menuItemId: alert.menuItemId, error: err.message }));
+  }
+};
+
+// ─── Daily reset (job) ────────────────────────────────────────────────────────
+
+/**
+ * resetDailyStock(now?)
+ * Refills every tracked row whose stockDate is not the restaurant's current
+ * local day, and switches sold-out rows back on. Run by the job runner.
+ * @returns {Promise<{ itemsReset: number, variantsReset: number }>}
+ */
+const resetDailyStock = async (now = new Date()) => {
+  const localToday = `(($1::timestamptz AT TIME ZONE COALESCE(r.timezone, '${DEFAULT_TIMEZONE}'))::date)`;
+
+  const { rowCount: itemsReset } = await pool.query(
+    `UPDATE menu_items mi SET
+       stock_left   = mi.daily_stock,
+       stock_date   = ${localToday},
+       is_available = mi.is_available OR mi.sold_out_at IS NOT NULL,
+       sold_out_at  = NULL
+     FROM restaurants r
+     WHERE r.id = mi.restaurant_id
+       AND mi.daily_stock IS NOT NULL
+       AND mi.stock_date IS DISTINCT FROM ${localToday}`,
+    [now]
+  );
+  const { rowCount: variantsReset } = await pool.query(
+    `UPDATE menu_item_variants v SET
+       stock_left   = v.daily_stock,
+       stock_date   = ${localToday},
+       is_available = v.is_available OR v.sold_out_at IS NOT NULL,
+       sold_out_at  = NULL
+     FROM menu_items mi JOIN restaurants r ON r.id = mi.restaurant_id
+     WHERE mi.id = v.menu_item_id
+       AND v.daily_stock IS NOT NULL
+       AND v.stock_date IS DISTINCT FROM ${localToday}`,
+    [now]
+  );
+  return { itemsReset, variantsReset };
+};
+
+// ─── Owner side ───────────────────────────────────────────────────────────────
+
+/**
+ * Column updates for a new stock setting on a menu item / variant row.
+ *   dailyStock null  → stop tracking (and undo an automatic switch-off).
+ *   stockLeft given  → today's count is set directly.
+ *   dailyStock only  → today's sales so far stay counted against the new limit.
+ */
+const _stockUpdate = (row, { dailyStock, stockLeft }, today) => {
+  if (dailyStock === null) {
+    return {
+      dailyStock: null, stockLeft: null, stockDate: null, soldOutAt: null,
+      isAvailable: row.isAvailable || !!row.soldOutAt,
+    };
+  }
+
+  const daily = dailyStock ?? row.dailyStock;
+  if (daily === null) throw new AppError('Set dailyStock to start tracking stock for this item', 400);
+
+  let left = stockLeft;
+  if (left === undefined) {
+    const current = stockLeftOn(row, today);
+    const sold = current === null ? 0 : Math.max(0, row.dailyStock - current);
+    left = Math.max(0, daily - sold);
+  }
+  if (left > daily) throw new AppError(`stockLeft (${left}) cannot exceed dailyStock (${daily})`, 400);
+
+  const update = { dailyStock: daily, stockLeft: left, stockDate: today };
+  if (left === 0 && row.isAvailable) Object.assign(update, { isAvailable: false, soldOutAt: new Date() });
+  if (left > 0 && row.soldOutAt)     Object.assign(update, { isAvailable: true, soldOutAt: null });
+  return update;
+};
+
+const _stockView = (row, today) => ({
+  dailyStock: row.dailyStock,
+  stockLeft:  stockLeftOn(row, today),
+  soldOut:    !!row.soldOutAt,
+});
+
+/**
+ * setItemStock(restaurant, menuItemId, { dailyStock?, stockLeft?, lowStockThreshold? })
+ * Ownership is checked by the route.
+ */
+const setItemStock = async (restaurant, menuItemId, data) => {
+  const [item] = await db.select().from(menuItems).where(eq(menuItems.id, menuItemId)).limit(1);
+  if (!item) throw new AppError('Menu item not found', 404);
+
+  const today  = todayFor(restaurant);
+  const update = { updatedAt: new Date() };
+  if (data.dailyStock !== undefined || data.stockLeft !== undefined) Object.assign(update, _stockUpdate(item, data, today));
+  if (data.lowStockThreshold !== undefined) update.lowStockThreshold = data.lowStockThreshold;
+
+  const [updated] = await db.update(menuItems).set(update).where(eq(menuItems.id, menuItemId)).returning();
+  logger.info('Item stock updated', { restaurantId: restaurant.id, menuItemId, ...data });
+  return { id: updated.id, name: updated.name, isAvailable: updated.isAvailable, lowStockThreshold: updated.lowStockThreshold, ..._stockView(updated, today) };
+};
+
+/** setVariantStock(restaurant, menuItemId, variantId, { dailyStock?, stockLeft? }) */
+const setVariantStock = async (restaurant, menuItemId, variantId, data) => {
+  const [variant] = await db.select().from(menuItemVariants)
+    .where(and(
+      eq(menuItemVariants.id, variantId),
+      eq(menuItemVariants.menuItemId, menuItemId),
+      isNull(menuItemVariants.archivedAt),
+    ))
+    .limit(1);
+  if (!variant) throw new AppError('Variant not found for this item', 404);
+
+  const today = todayFor(restaurant);
+  const [updated] = await db.update(menuItemVariants)
+    .set(_stockUpdate(variant, data, today))
+    .where(eq(menuItemVariants.id, variantId))
+    .returning();
+  logger.info('Variant stock updated', { restaurantId: restaurant.id, menuItemId, variantId, ...data });
+  return { id: updated.id, name: updated.name, isAvailable: updated.isAvailable, ..._stockView(updated, today) };
+};
+
+/**
+ * listStock(restaurant)
+ * Items with stock tracking on the item or any of its variants, with
+ * today's counts — the owner's stock sheet.
+ */
+const listStock = async (restaurant) => {
+  const today = todayFor(restaurant);
+
+  const trackedVariants = await db.select().from(menuItemVariants)
+    .innerJoin(menuItems, eq(menuItems.id, menuItemVariants.menuItemId))
+    .where(and(
+      eq(menuItems.restaurantId, restaurant.id),
+      isNotNull(menuItemVariants.dailyStock),
+      isNull(menuItemVariants.archivedAt),
+    ))
+    .orderBy(asc(menuItemVariants.sortOrder), asc(menuItemVariants.createdAt));
+  const variantItemIds = [...new Set(trackedVariants.map(r => r.menu_item_variants.menuItemId))];
+
+  const items = await db.select().from(menuItems)
+    .where(and(
+      eq(menuItems.restaurantId, restaurant.id),
+      variantItemIds.length
+        ? or(isNotNull(menuItems.dailyStock), inArray(menuItems.id, variantItemIds))
+        : isNotNull(menuItems.dailyStock),
+    ))
+    .orderBy(asc(menuItems.sortOrder), asc(menuItems.createdAt));
+
+  return {
+    date: today,
+    items: items.map(item => {
+      const left = stockLeftOn(item, today);
+      return {
+        id:                item.id,
+        name:              item.name,
+        isAvailable:       item.isAvailable,
+        lowStockThreshold: item.lowStockThreshold,
+        ..._stockView(item, today),
+        lowStock:          left !== null && left <= item.lowStockThreshold,
+        variants: trackedVariants
+          .filter(r => r.menu_item_variants.menuItemId === item.id)
+          .map(({ menu_item_variants: v }) => ({
+            id: v.id, name: v.name, isAvailable: v.isAvailable, ..._stockView(v, today),
+          })),
+      };
+    }),
+  };
+};
+
+module.exports = {
+  todayFor,
+  stockLeftOn,
+  publicStock,
+  assertAvailable,
+  reserveStock,
+  restoreStock,
+  sendStockAlerts,
+  resetDailyStock,
+  setItemStock,
+  setVariantStock,
+  listStock,
+};
@@ -9,6 +9,7 @@ const { eq, and, desc } = require('drizzle-orm');
 const { AppError } = require('../utils/response');
 const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
+const pushService = require('./push.service');
 
 // ─── Profile ──────────────────────────────────────────────────────────────────
 
@@ -46,10 +47,25 @@ const changePassword = async (userId, currentPassword, newPassword) => {
   await db.update(users).set({ passwordHash: hash, updatedAt: new Date() }).where(eq(users.id, userId));
 };
 
-const savePushToken = async (userId, token) => {
+/**
+ * Registers a device for push. Devices live in push_devices (one row per
+ * token); the legacy users.expo_push_token column is still written so older
+ * app builds reading it keep working.
+ */
+const savePushToken = async (userId, token, { platform, deviceName } = {}) => {
+  const device = await pushService.registerDevice(userId, { token, platform, deviceName });
   await db.update(users).set({ expoPushToken: token, updatedAt: new Date() }).where(eq(users.id, userId));
+  return device;
 };
 
+const removePushToken = async (userId, token) => {
+  await pushService.unregisterDevice(userId, token);
+  await db.update(users).set({ expoPushToken: null, updatedAt: new Date() })
+    .where(and(eq(users.id, userId), eq(users.expoPushToken, token)));
+};
+
+const getPushDevices = (userId) => pushService.listDevices(userId);
+
 // ─── Addresses ────────────────────────────────────────────────────────────────
 
 const getAddresses = async (userId) =>
@@ -152,7 +168,7 @@ const markNotificationRead = async (userId, notifId) => {
 };
 
 module.exports = {
-  getProfile, updateProfile, changePassword, savePushToken,
+  getProfile, updateProfile, changePassword, savePushToken, removePushToken, getPushDevices,
   getAddresses, addAddress, updateAddress, deleteAddress,
   getFavorites, getFavoriteIds, toggleFavorite,
   getNotifications, markAllNotificationsRead, markNotificationRead,
@@ -0,0 +1,77 @@
+/**
+ * src/utils/csv.js
+ * Minimal RFC 4180 CSV reader/writer — quoted fields, "" escapes, CRLF or LF
+ * line endings and line breaks inside quotes. Enough for menu import/export
+ * without pulling in a parser dependency.
+ */
+const { AppError } = require('./response');
+
+// Spreadsheet apps run cells starting with these as formulas. A leading '-'
+// is only guarded on text: plain numbers such as -5 are left as they are.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^-?\d+(\.\d+)?$/;
+
+/**
+ * parseCsv(text) → [{ line, cells: string[] }]
+ * `line` is the 1-based line the record starts on, for error messages.
+ * Blank lines are skipped. Throws AppError(400) on an unterminated quote.
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') records.push({ line: startLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new AppError(`CSV line ${startLine}: unterminated quoted field`, 400);
+  if (cell !== '' || cells.length) endRecord();
+
+  return records;
+};
+
+const _escape = (value) => {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(str) && !PLAIN_NUMBER.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/** Reverses the formula guard added by toCsv, so exported files re-import unchanged. */
+const unguardCell = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+/** toCsv(rows: any[][]) → CSV text with CRLF line endings */
+const toCsv = (rows) => rows.map(row => row.map(_escape).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv, unguardCell };
@@ -0,0 +1,73 @@
+/**
+ * src/utils/dietary.js
+ * Dietary tags and allergen declarations on menu items.
+ *
+ *   dietaryTags — diets the item suits. Jain means no onion, garlic or root
+ *                 vegetables; the kitchen ticket carries the tag.
+ *   allergens   — what the item contains. null = the restaurant hasn't
+ *                 declared them, [] = declared free of all of ALLERGENS.
+ *                 Filtering out an allergen also drops undeclared items.
+ *
+ * Both are stored as sorted JSONB arrays of the keys below, so equal lists
+ * compare equal.
+ */
+const { AppError } = require('./response');
+
+const DIETARY_TAGS = ['vegan', 'jain', 'gluten_free', 'dairy_free', 'nut_free'];
+const ALLERGENS = ['gluten', 'dairy', 'egg', 'nuts', 'peanuts', 'soy', 'sesame', 'fish', 'shellfish', 'mustard'];
+
+const VEG_ONLY_TAGS = ['vegan', 'jain'];
+
+// Tag → declared allergens it can't coexist with
+const TAG_CONFLICTS = {
+  vegan:       ['dairy', 'egg', 'fish', 'shellfish'],
+  gluten_free: ['gluten'],
+  dairy_free:  ['dairy'],
+  nut_free:    ['nuts', 'peanuts'],
+};
+
+/** 'Gluten Free' / 'gluten-free' → 'gluten_free' */
+const toKey = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/** Sorted, de-duplicated keys; null and undefined pass through */
+const normalizeList = (list) => (list == null ? list : [...new Set(list.map(toKey))].sort());
+
+/**
+ * assertDietary({ name?, isVeg, dietaryTags, allergens })
+ * Throws AppError(400) when the tags contradict isVeg or the allergens,
+ * e.g. a vegan item declaring dairy.
+ */
+const assertDietary = ({ name, isVeg, dietaryTags = [], allergens }) => {
+  const subject = name ? `'${name}'` : 'This item';
+  const vegOnly = (dietaryTags ?? []).find(tag => VEG_ONLY_TAGS.includes(tag));
+  if (vegOnly && isVeg === false) {
+    throw new AppError(`${subject} is tagged ${vegOnly} but marked non-veg`, 400);
+  }
+  for (const tag of dietaryTags ?? []) {
+    const clash = (TAG_CONFLICTS[tag] ?? []).find(a => (allergens ?? []).includes(a));
+    if (clash) throw new AppError(`${subject} is tagged ${tag} but declares ${clash}`, 400);
+  }
+};
+
+/**
+ * matchesDiet(item, { dietary?, excludeAllergens? })
+ * dietary: every tag must be present. excludeAllergens: allergens must be
+ * declared and contain none of them.
+ */
+const matchesDiet = (item, { dietary, excludeAllergens } = {}) => {
+  if (dietary?.length && !dietary.every(tag => (item.dietaryTags ?? []).includes(tag))) return false;
+  if (excludeAllergens?.length) {
+    if (!Array.isArray(item.allergens)) return false;
+    if (excludeAllergens.some(a => item.allergens.includes(a))) return false;
+  }
+  return true;
+};
+
+module.exports = {
+  DIETARY_TAGS,
+  ALLERGENS,
+  toKey,
+  normalizeList,
+  assertDietary,
+  matchesDiet,
+};
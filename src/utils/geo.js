@@ -0,0 +1,44 @@
+/**
+ * src/utils/geo.js
+ * Distance SQL for restaurant discovery, on Postgres earthdistance (migration 026).
+ *
+ * restaurants_location_idx indexes ll_to_earth(latitude::float8, longitude::float8).
+ * Postgres only uses it when a query repeats that expression exactly, so
+ * every radius filter and distance here is built from _pointSql. Callers get
+ * SQL text for either drizzle's sql.raw or a pg query string; the
+ * coordinates are checked numbers, inlined as literals.
+ */
+const { AppError } = require('./response');
+
+const DEFAULT_RADIUS_KM = 5;
+
+const _pointSql = (alias) => `ll_to_earth(${alias}.latitude::float8, ${alias}.longitude::float8)`;
+
+const _number = (value, name) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new AppError(`${name} must be a number`, 400);
+  return n;
+};
+
+const _centreSql = ({ latitude, longitude }) =>
+  `ll_to_earth(${_number(latitude, 'latitude')}, ${_number(longitude, 'longitude')})`;
+
+/**
+ * withinSql(alias, { latitude, longitude, radiusKm? })
+ * Restaurants under `alias` within radiusKm (default 5) of the point: the
+ * index narrows to the bounding cube, earth_distance trims its corners.
+ */
+const withinSql = (alias, { latitude, longitude, radiusKm = DEFAULT_RADIUS_KM }) => {
+  const centre = _centreSql({ latitude, longitude });
+  const point = _pointSql(alias);
+  const metres = _number(radiusKm, 'radius') * 1000;
+  return `${alias}.latitude IS NOT NULL AND ${alias}.longitude IS NOT NULL
+    AND earth_box(${centre}, ${metres}) @> ${point}
+    AND earth_distance(${centre}, ${point}) <= ${metres}`;
+};
+
+/** distanceKmSql(alias, { latitude, longitude }) → numeric km to 2 places; NULL without a position */
+const distanceKmSql = (alias, { latitude, longitude }) =>
+  `ROUND((earth_distance(${_centreSql({ latitude, longitude })}, ${_pointSql(alias)}) / 1000)::numeric, 2)`;
+
+module.exports = { DEFAULT_RADIUS_KM, withinSql, distanceKmSql };
@@ -0,0 +1,103 @@
+/**
+ * src/utils/jobRunner.js
+ * Periodic background jobs with a cross-instance Postgres advisory lock.
+ *
+ * Render may run several instances of the API; each one starts the same
+ * timers. Every run first takes pg_try_advisory_xact_lock(hashtext(name)) on
+ * a dedicated client inside a transaction — the instance that gets the lock
+ * does the work, the others skip that tick. The transaction-scoped lock is
+ * released on COMMIT/ROLLBACK, so it is also safe behind Supabase's
+ * transaction-mode pooler (session locks are not).
+ *
+ * The clock is injectable — createJobRunner({ clock }) — and every job
+ * receives `now` from it, so jobs can be exercised at any point in time.
+ */
+const logger = require('./logger');
+
+/**
+ * createJobRunner({ pool, clock?, lockPrefix? })
+ * @param {import('pg').Pool} options.pool
+ * @param {Function} [options.clock]      - () => Date (default: real time)
+ * @param {string}   [options.lockPrefix] - namespaces advisory lock keys
+ */
+const createJobRunner = ({ pool, clock = () => new Date(), lockPrefix = 'orderswift:job:' }) => {
+  const jobs    = new Map();   // name → { name, intervalMs, run }
+  const timers  = [];
+  const running = new Map();   // name → Promise (one in-flight run per job per instance)
+
+  /**
+   * register({ name, intervalMs, run })
+   * `run(now)` may return a summary object of counts; it is logged when any is non-zero.
+   */
+  const register = ({ name, intervalMs, run }) => {
+    if (jobs.has(name)) throw new Error(`Job '${name}' is already registered`);
+    jobs.set(name, { name, intervalMs, run });
+  };
+
+  const _runLocked = async (job) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows: [{ locked }] } = await client.query(
+        'SELECT pg_try_advisory_xact_lock(hashtext($1)) AS locked',
+        [`${lockPrefix}${job.name}`]
+      );
+      if (!locked) {
+        await client.query('ROLLBACK');
+        logger.debug('Job skipped — lock held by another instance', { job: job.name });
+        return { ran: false };
+      }
+
+      const result = await job.run(clock());
+      await client.query('COMMIT');
+      return { ran: true, result };
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  /**
+   * runOnce(name) → { ran: boolean, result? }
+   * Runs a job immediately (still behind the lock). Overlapping calls on the
+   * same instance share the in-flight run.
+   */
+  const runOnce = (name) => {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Unknown job '${name}'`);
+    if (running.has(name)) return running.get(name);
+
+    const promise = _runLocked(job)
+      .then((outcome) => {
+        if (outcome.ran && Object.values(outcome.result ?? {}).some(Boolean)) {
+          logger.info('Job completed', { job: name, ...outcome.result });
+        }
+        return outcome;
+      })
+      .finally(() => running.delete(name));
+    running.set(name, promise);
+    return promise;
+  };
+
+  const start = () => {
+    for (const job of jobs.values()) {
+      const timer = setInterval(() => {
+        runOnce(job.name).catch(err => logger.error('Job failed', { job: job.name, error: err.message }));
+      }, job.intervalMs);
+      timers.push(timer);
+    }
+    logger.info('Job runner started', { jobs: [...jobs.keys()] });
+  };
+
+  /** Stops scheduling and waits for in-flight runs to settle. */
+  const stop = async () => {
+    timers.splice(0).forEach(clearInterval);
+    await Promise.allSettled([...running.values()]);
+  };
+
+  return { register, runOnce, start, stop };
+};
+
+module.exports = { createJobRunner };
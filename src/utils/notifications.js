@@ -1,10 +1,12 @@
 /**
  * src/utils/notifications.js
- * Creates in-app notifications when order status changes.
- * Extend this to also push via Expo Push Notifications.
+ * Creates in-app notifications when order status changes and delivers them
+ * to every registered device via Expo push (see push.service.js).
  */
 const { db } = require('../db');
 const { notifications } = require('../db/schema');
+const pushService = require('../services/push.service');
+const logger = require('./logger');
 
 const STATUS_MESSAGES = {
   confirmed:  { title: 'Order Confirmed! ✅',       body: 'Your order has been confirmed and will be prepared shortly.' },
@@ -14,17 +16,32 @@ const STATUS_MESSAGES = {
   cancelled:  { title: 'Order Cancelled ❌',         body: 'Your order has been cancelled. Contact the restaurant for details.' },
 };
 
-async function notifyOrderStatusChange(order) {
-  const msg = STATUS_MESSAGES[order.status];
-  if (!msg) return; // pending/paid — no notification needed
+/**
+ * notifyUser(userId, { title, body, type?, referenceId?, data? })
+ * Writes the in-app notification and pushes it to the user's devices.
+ */
+async function notifyUser(userId, { title, body, type = 'order_status', referenceId = null, data = {} }) {
+  await db.insert(notifications).values({ userId, title, body, type, referenceId });
+
+  // Push is best-effort — the in-app notification above is the record of truth
+  pushService.sendToUsers(userId, { title, body, data: { type, ...data } })
+    .catch(err => logger.error('Push delivery failed', { userId, referenceId, error: err.message }));
+}
+
+/**
+ * notifyOrderStatusChange(order, overrides?)
+ * `overrides` replaces the default title/body, e.g. to include a rejection reason.
+ */
+async function notifyOrderStatusChange(order, overrides = {}) {
+  if (!STATUS_MESSAGES[order.status]) return; // pending/paid — no notification needed
+  const msg = { ...STATUS_MESSAGES[order.status], ...overrides };
 
-  await db.insert(notifications).values({
-    userId:      order.userId,
+  await notifyUser(order.userId, {
     title:       msg.title,
     body:        msg.body,
-    type:        'order_status',
     referenceId: order.id,
+    data:        { orderId: order.id, status: order.status },
   });
 }
 
-module.exports = { notifyOrderStatusChange };
+module.exports = { notifyUser, notifyOrderStatusChange };
@@ -0,0 +1,68 @@
+/**
+ * src/utils/orderEvents.js
+ * In-process event bus for order lifecycle changes.
+ *
+ * Producers (order.service, payment.service, owner routes) call
+ * publishOrderEvent() after their DB write commits. Consumers (the SSE
+ * endpoints) subscribe to one of two channels:
+ *   order:<orderId>            → every event for a single order (customer app)
+ *   restaurant:<restaurantId>  → every event for a restaurant (kitchen tablet)
+ *
+ * NOTE: this is per-process. With several Render instances a client only sees
+ * events produced by the instance it is connected to; swap the emitter for
+ * Postgres LISTEN/NOTIFY or Redis pub/sub if that becomes a problem.
+ */
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open SSE connection
+
+const ORDER_EVENTS = {
+  CREATED:          'order.created',
+  STATUS_CHANGED:   'order.status_changed',
+  PREP_TIME_CHANGED: 'order.preparation_time_changed',
+  PAYMENT_UPDATED:  'order.payment_updated',
+  RELEASED:         'order.released',
+};
+
+/**
+ * publishOrderEvent(type, order, extra?)
+ * @param {string} type   - one of ORDER_EVENTS
+ * @param {Object} order  - camelCase order row (id, userId, restaurantId, status, ...)
+ * @param {Object} [extra] - event-specific fields (e.g. { from, to })
+ */
+const publishOrderEvent = (type, order, extra = {}) => {
+  if (!order?.id) return;
+
+  const payload = {
+    type,
+    orderId:         order.id,
+    restaurantId:    order.restaurantId,
+    userId:          order.userId,
+    status:          order.status,
+    paymentStatus:   order.paymentStatus,
+    preparationTime: order.preparationTime ?? null,
+    ...extra,
+    at: new Date().toISOString(),
+  };
+
+  // A throwing listener must never break the request that produced the event
+  try {
+    bus.emit(`order:${order.id}`, payload);
+    if (order.restaurantId) bus.emit(`restaurant:${order.restaurantId}`, payload);
+  } catch (err) {
+    logger.error('Order event listener failed', { type, orderId: order.id, error: err.message });
+  }
+};
+
+/**
+ * subscribe(channel, listener) → unsubscribe()
+ * channel: 'order:<id>' | 'restaurant:<id>'
+ */
+const subscribe = (channel, listener) => {
+  bus.on(channel, listener);
+  return () => bus.off(channel, listener);
+};
+
+module.exports = { ORDER_EVENTS, publishOrderEvent, subscribe };
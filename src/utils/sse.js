@@ -0,0 +1,41 @@
+/**
+ * src/utils/sse.js
+ * Minimal Server-Sent Events helper.
+ *
+ * `Cache-Control: no-transform` makes the compression middleware skip this
+ * response, and `X-Accel-Buffering: no` stops proxies from buffering it, so
+ * every event reaches the client immediately.
+ */
+const HEARTBEAT_MS = 25_000; // below Render's 30s idle timeout
+
+/**
+ * openEventStream(req, res) → { send(event, data), onClose(fn) }
+ */
+const openEventStream = (req, res) => {
+  res.status(200);
+  res.set({
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache, no-transform',
+    Connection:          'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const closeHandlers = [];
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    closeHandlers.forEach(fn => fn());
+  });
+
+  return {
+    send: (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    onClose: (fn) => closeHandlers.push(fn),
+  };
+};
+
+module.exports = { openEventStream };
@@ -0,0 +1,217 @@
+/**
+ * src/utils/storage.js
+ * Pluggable file storage for uploaded images.
+ *
+ * An adapter is any object with:
+ *   put(key, body, { contentType, cacheControl }) → Promise<void>
+ *   remove(key)                                    → Promise<void>  (missing key = no-op)
+ *   urlFor(key)                                    → public URL string
+ *
+ * STORAGE_DRIVER picks the built-in one:
+ *   local (default) — files under STORAGE_LOCAL_DIR, served by app.js at /uploads.
+ *                     For development and tests.
+ *   s3              — any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO),
+ *                     addressed path-style and signed with AWS Signature V4.
+ *                     The bucket must allow public reads for S3_PUBLIC_URL.
+ * setStorage() swaps in another adapter (tests, a different provider).
+ */
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const logger = require('./logger');
+
+const LOCAL_PUBLIC_PATH = '/uploads';
+
+// ─── Local filesystem ─────────────────────────────────────────────────────────
+
+const localStorageDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'));
+
+/**
+ * createLocalStorage({ dir?, publicUrl? })
+ * publicUrl defaults to this server's /uploads path on localhost.
+ */
+const createLocalStorage = ({
+  dir = localStorageDir(),
+  publicUrl = process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}${LOCAL_PUBLIC_PATH}`,
+} = {}) => {
+  const fileFor = (key) => {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(dir + path.sep)) throw new Error(`Storage key escapes the upload directory: ${key}`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, body) => {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+    remove: async (key) => {
+      const file = fileFor(key);
+      await fs.rm(file, { force: true });
+      // Drop the image's folder once its last size is gone
+      await fs.rmdir(path.dirname(file)).catch(() => {});
+    },
+    urlFor: (key) => `${publicUrl.replace(/\/+$/, '')}/${key}`,
+  };
+};
+
+// ─── S3-compatible ────────────────────────────────────────────────────────────
+
+const _sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const _hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, per path segment (S3 keys keep their slashes)
+const _encodePath = (pathname) =>
+  pathname.split('/').map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c =>
+    `%${c.charCodeAt(0).toString(16).toUpperCase()}`)).join('/');
+
+/**
+ * signS3Request({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, now })
+ * → headers plus x-amz-date, x-amz-content-sha256 and Authorization (AWS Signature V4).
+ * Every header passed in is signed. Query strings are not supported.
+ */
+const signS3Request = ({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) => {
+  const target = new URL(url);
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const day = amzDate.slice(0, 8);
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])),
+    host: target.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    _encodePath(target.pathname),
+    '',
+    ...names.map(name => `${name}:${signed[name]}`),
+    '',
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, _sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(_hmac, _hmac(_hmac(`AWS4${secretAccessKey}`, day), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+};
+
+/**
+ * httpClient({ method, url, headers, body }) → Promise<{ status, body }>
+ * Any function with this signature can be injected.
+ */
+const defaultHttpClient = ({ method, url, headers, body }) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+
+  const req = transport.request({
+    hostname: target.hostname,
+    port:     target.port || undefined,
+    path:     target.pathname + target.search,
+    method,
+    headers:  { ...headers, 'content-length': body ? body.length : 0 },
+    timeout:  30_000,
+  }, (res) => {
+    let data = '';
+    res.on('data', (chunk) => { data += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: data }));
+  });
+
+  req.on('timeout', () => req.destroy(new Error('Storage request timed out')));
+  req.on('error', reject);
+  if (body) req.write(body);
+  req.end();
+});
+
+/**
+ * createS3Storage({ endpoint, bucket, region?, accessKeyId, secretAccessKey, publicUrl?, httpClient? })
+ * publicUrl defaults to <endpoint>/<bucket> — set it to a CDN or the bucket's public domain.
+ */
+const createS3Storage = ({
+  endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, publicUrl, httpClient = defaultHttpClient,
+}) => {
+  const base = `${endpoint.replace(/\/+$/, '')}/${bucket}`;
+  const objectUrl = (key) => `${base}/${key}`;
+
+  const send = async (method, key, body, headers = {}) => {
+    const signedHeaders = signS3Request({
+      method,
+      url: objectUrl(key),
+      headers,
+      payloadHash: _sha256(body ?? ''),
+      region,
+      accessKeyId,
+      secretAccessKey,
+    });
+    return httpClient({ method, url: objectUrl(key), headers: signedHeaders, body });
+  };
+
+  return {
+    name: 's3',
+    put: async (key, body, { contentType, cacheControl } = {}) => {
+      const headers = {};
+      if (contentType) headers['content-type'] = contentType;
+      if (cacheControl) headers['cache-control'] = cacheControl;
+      const res = await send('PUT', key, body, headers);
+      if (res.status !== 200) throw new Error(`S3 PUT ${key} responded ${res.status}: ${res.body.slice(0, 200)}`);
+    },
+    remove: async (key) => {
+      const res = await send('DELETE', key);
+      // S3 answers 204 whether or not the key existed; some compatibles send 404
+      if (res.status !== 204 && res.status !== 200 && res.status !== 404) {
+        throw new Error(`S3 DELETE ${key} responded ${res.status}: ${res.body.slice(0, 200)}`);
+      }
+    },
+    urlFor: (key) => `${(publicUrl || base).replace(/\/+$/, '')}/${key}`,
+  };
+};
+
+// ─── Selected adapter ─────────────────────────────────────────────────────────
+
+let storage = null;
+
+/** getStorage() — the adapter chosen by STORAGE_DRIVER, created on first use */
+const getStorage = () => {
+  if (storage) return storage;
+
+  if (process.env.STORAGE_DRIVER === 's3') {
+    storage = createS3Storage({
+      endpoint:        process.env.S3_ENDPOINT,
+      bucket:          process.env.S3_BUCKET,
+      region:          process.env.S3_REGION,
+      accessKeyId:     process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl:       process.env.S3_PUBLIC_URL,
+    });
+  } else {
+    storage = createLocalStorage();
+  }
+  logger.info('Image storage ready', { driver: storage.name });
+  return storage;
+};
+
+/** setStorage(adapter) — replaces the adapter (null = back to STORAGE_DRIVER) */
+const setStorage = (adapter) => { storage = adapter; };
+
+module.exports = {
+  LOCAL_PUBLIC_PATH,
+  localStorageDir,
+  createLocalStorage,
+  createS3Storage,
+  signS3Request,
+  getStorage,
+  setStorage,
+};
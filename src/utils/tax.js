@@ -0,0 +1,139 @@
+/**
+ * src/utils/tax.js
+ * GST on takeaway orders.
+ *
+ * Menu prices are tax-exclusive. Tax is charged only by restaurants with a
+ * GSTIN (unregistered suppliers may not collect GST) at the restaurant's
+ * rate, or an item's own rate where one is set. Coupon discounts reduce the
+ * taxable value: they are spread over the lines in proportion to their
+ * amounts, then each rate's taxable total is taxed. Pickup is always an
+ * intra-state supply, so every rate splits into equal CGST and SGST halves.
+ *
+ * All arithmetic is in paise so the lines add up to the totals exactly.
+ */
+
+const GST_RATES = [0, 5, 12, 18, 28];
+const DEFAULT_GST_RATE = 5;
+
+// SAC for restaurant services; printed on every invoice line
+const RESTAURANT_SAC = '996331';
+
+// 2-digit state code · PAN · entity number · 'Z' · check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// GST state codes, for the invoice's place of supply
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka',
+  '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+};
+
+const toPaise = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const toRupees = (paise) => parseFloat((paise / 100).toFixed(2));
+
+/** Format plus the GSTIN check character (a weighted base-36 sum) */
+const isValidGstin = (gstin) => {
+  if (!GSTIN_PATTERN.test(gstin ?? '') || !STATE_CODES[gstin.slice(0, 2)]) return false;
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARS.indexOf(gstin[i]) * (i % 2 ? 2 : 1);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARS[(36 - (sum % 36)) % 36] === gstin[14];
+};
+
+/** GSTIN → { code, name } of the state it is registered in */
+const stateOf = (gstin) => {
+  const code = gstin?.slice(0, 2);
+  return STATE_CODES[code] ? { code, name: STATE_CODES[code] } : null;
+};
+
+/**
+ * Splits `total` paise over `weights` in proportion, largest remainder first,
+ * so the shares always sum to `total`.
+ */
+const _allocate = (total, weights) => {
+  const sum = weights.reduce((s, w) => s + w, 0);
+  if (!sum || !total) return weights.map(() => 0);
+  const exact = weights.map(w => (total * w) / sum);
+  const shares = exact.map(Math.floor);
+  let left = total - shares.reduce((s, v) => s + v, 0);
+  const order = exact.map((v, i) => [v - shares[i], i]).sort((a, b) => b[0] - a[0]);
+  for (const [, i] of order) {
+    if (left-- <= 0) break;
+    shares[i] += 1;
+  }
+  return shares;
+};
+
+/**
+ * calculateTax(lines, { gstin, gstRate, discountAmount })
+ *   lines: [{ amount, gstRate?, discountable? }] — gstRate null/undefined
+ *          falls back to the restaurant's rate; discountable: false (fees)
+ *          takes no share of the discount.
+ *
+ * Returns
+ *   { taxableAmount, cgstAmount, sgstAmount, taxAmount,
+ *     taxLines: [{ gstRate, taxableAmount, cgstRate, cgstAmount, sgstRate, sgstAmount, taxAmount }],
+ *     lines:    [{ gstRate, discountAmount, taxableAmount }] }  (same order as input)
+ *
+ * Without a GSTIN every rate is 0 and taxLines is empty.
+ */
+const calculateTax = (lines, { gstin, gstRate = DEFAULT_GST_RATE, discountAmount = 0 } = {}) => {
+  const amounts = lines.map(l => toPaise(l.amount));
+  const weights = lines.map((l, i) => (l.discountable === false ? 0 : amounts[i]));
+  const subtotal = amounts.reduce((s, a) => s + a, 0);
+  const discountable = weights.reduce((s, w) => s + w, 0);
+  const discounts = _allocate(Math.min(toPaise(discountAmount), discountable), weights);
+
+  const itemLines = lines.map((line, i) => ({
+    gstRate:        gstin ? parseFloat(line.gstRate ?? gstRate) : 0,
+    discountAmount: toRupees(discounts[i]),
+    taxableAmount:  toRupees(amounts[i] - discounts[i]),
+  }));
+
+  const taxableByRate = new Map();
+  itemLines.forEach((line, i) => {
+    taxableByRate.set(line.gstRate, (taxableByRate.get(line.gstRate) ?? 0) + amounts[i] - discounts[i]);
+  });
+
+  const taxLines = gstin
+    ? [...taxableByRate.entries()].sort((a, b) => a[0] - b[0]).map(([rate, taxable]) => {
+        const half = Math.round((taxable * rate) / 200);
+        return {
+          gstRate:       rate,
+          taxableAmount: toRupees(taxable),
+          cgstRate:      rate / 2,
+          cgstAmount:    toRupees(half),
+          sgstRate:      rate / 2,
+          sgstAmount:    toRupees(half),
+          taxAmount:     toRupees(half * 2),
+        };
+      })
+    : [];
+
+  const halves = taxLines.reduce((s, t) => s + toPaise(t.cgstAmount), 0);
+  return {
+    taxableAmount: toRupees(subtotal - discounts.reduce((s, d) => s + d, 0)),
+    cgstAmount:    toRupees(halves),
+    sgstAmount:    toRupees(halves),
+    taxAmount:     toRupees(halves * 2),
+    taxLines,
+    lines: itemLines,
+  };
+};
+
+module.exports = {
+  GST_RATES,
+  DEFAULT_GST_RATE,
+  RESTAURANT_SAC,
+  isValidGstin,
+  stateOf,
+  calculateTax,
+};
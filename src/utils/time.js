@@ -0,0 +1,104 @@
+/**
+ * src/utils/time.js
+ * Timezone-aware wall-clock helpers built on Intl (no extra dependency).
+ *
+ * Restaurant hours are stored as local "HH:MM" strings, while the server runs
+ * in UTC on Render. These helpers convert between a UTC instant and the
+ * restaurant's local date / minute-of-day.
+ */
+
+// All current restaurants are in India.
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** "HH:MM" → minutes since midnight (null if malformed). */
+const parseHHMM = (value) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(value ?? '');
+  if (!match) return null;
+  const hours = parseInt(match[1]);
+  const mins  = parseInt(match[2]);
+  if (hours > 24 || mins > 59 || (hours === 24 && mins > 0)) return null;
+  return hours * 60 + mins;
+};
+
+/** minutes since midnight → "HH:MM" */
+const formatHHMM = (minutes) => {
+  const h = Math.floor(minutes / 60) % 24;
+  const m = minutes % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+};
+
+/**
+ * getZonedParts(date, timeZone)
+ * Returns the wall-clock parts of `date` in `timeZone`:
+ *   { date: 'YYYY-MM-DD', weekday: 'mon', minutes: 0–1439 }
+ */
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    weekday: 'short',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return {
+    date:    `${get('year')}-${get('month')}-${get('day')}`,
+    weekday: get('weekday').toLowerCase().slice(0, 3),
+    minutes: parseInt(get('hour')) * 60 + parseInt(get('minute')),
+  };
+};
+
+/** Offset of `timeZone` from UTC at instant `date`, in milliseconds. */
+const _getOffsetMs = (date, timeZone) => {
+  const { date: d, minutes } = getZonedParts(date, timeZone);
+  const [y, m, day] = d.split('-').map(Number);
+  const asUtc = Date.UTC(y, m - 1, day, Math.floor(minutes / 60), minutes % 60);
+  const truncated = Math.floor(date.getTime() / 60_000) * 60_000;
+  return asUtc - truncated;
+};
+
+/**
+ * zonedTimeToUtc('2026-10-18', 780, 'Asia/Kolkata') → Date (07:30Z)
+ * Converts a local date + minute-of-day in `timeZone` into a UTC instant.
+ */
+const zonedTimeToUtc = (dateStr, minutes, timeZone = DEFAULT_TIMEZONE) => {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d, 0, minutes);
+  const offset = _getOffsetMs(new Date(guess), timeZone);
+  // Re-check once in case the guess crossed a DST boundary
+  const corrected = _getOffsetMs(new Date(guess - offset), timeZone);
+  return new Date(guess - corrected);
+};
+
+/** 'YYYY-MM-DD' + n days → 'YYYY-MM-DD' (calendar arithmetic, tz-agnostic) */
+const addDays = (dateStr, days) => {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+};
+
+/** 'YYYY-MM-DD' → weekday index (0 = Sunday) of that calendar date */
+const weekdayOf = (dateStr) => new Date(`${dateStr}T12:00:00Z`).getUTCDay();
+
+/** true if `timeZone` is an IANA zone Intl understands */
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  WEEKDAYS,
+  parseHHMM,
+  formatHHMM,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  weekdayOf,
+  isValidTimezone,
+};
@@ -1,4 +1,7 @@
 const { z } = require('zod');
+const { isValidTimezone } = require('../utils/time');
+const { DIETARY_TAGS, ALLERGENS, toKey, normalizeList } = require('../utils/dietary');
+const { GST_RATES, isValidGstin } = require('../utils/tax');
 
 // ─── Self-assignable roles ────────────────────────────────────────────────────
 const SELF_ASSIGNABLE_ROLES = ['user', 'restaurant_owner'];
@@ -73,6 +76,23 @@ const addressSchema = z.object({
 
 // ─── Restaurants ──────────────────────────────────────────────────────────────
 
+// Query-string number: absent → undefined, otherwise must parse
+const queryNumber = (min, max) => z.string().optional()
+  .transform(v => (v === undefined || v === '' ? undefined : Number(v)))
+  .refine(v => v === undefined || (Number.isFinite(v) && v >= min && v <= max), `must be a number from ${min} to ${max}`);
+
+const queryFlag = z.string().optional().transform(v => v === 'true');
+
+// ?cuisines=A,B or ?cuisines=A&cuisines=B → ['A', 'B']
+const queryList = (max) => z.union([z.string(), z.array(z.string())]).optional()
+  .transform(v => (v === undefined ? undefined : [...new Set([v].flat().flatMap(s => s.split(',')).map(s => s.trim()).filter(Boolean))]))
+  .refine(v => v === undefined || v.length <= max, `at most ${max} values`);
+
+const positionPaired = [
+  d => (d.latitude === undefined) === (d.longitude === undefined),
+  { message: 'latitude and longitude must be sent together', path: ['longitude'] },
+];
+
 const restaurantQuerySchema = z.object({
   page:      z.string().optional().transform(v => parseInt(v) || 1),
   limit:     z.string().optional().transform(v => Math.min(parseInt(v) || 10, 50)),
@@ -81,6 +101,41 @@ const restaurantQuerySchema = z.object({
   // isActive FIX: undefined stays undefined (not false).
   // Public listing controller always overrides this with isActive=true.
   isActive:  z.string().optional().transform(v => v === undefined ? undefined : v === 'true'),
+  latitude:  queryNumber(-90, 90),
+  longitude: queryNumber(-180, 180),
+  radius:    queryNumber(0.1, 50), // km; defaults to 5 when latitude/longitude are given
+  sort:      z.enum(['distance', 'rating', 'preparationTime', 'popularity']).optional(),
+  cuisines:      queryList(20),
+  pureVeg:       queryFlag,
+  hasVeg:        queryFlag,
+  maxPrepTime:   queryNumber(1, 240),    // minutes
+  minOrderUnder: queryNumber(0, 100000), // ₹, strictly below
+  openNow:       queryFlag,
+}).refine(...positionPaired)
+  .refine(d => d.sort !== 'distance' || d.latitude !== undefined, {
+    message: 'sort=distance needs latitude and longitude', path: ['sort'],
+  });
+
+const searchQuerySchema = z.object({
+  q:         z.string().trim().min(2, 'Search for at least 2 characters').max(100),
+  page:      z.string().optional().transform(v => parseInt(v) || 1),
+  limit:     z.string().optional().transform(v => Math.min(parseInt(v) || 10, 50)),
+  minRating: queryNumber(0, 5),
+  latitude:  queryNumber(-90, 90),
+  longitude: queryNumber(-180, 180),
+  radius:    queryNumber(0.1, 50), // km; defaults to 5 when latitude/longitude are given
+  dishes:    z.string().optional().transform(v => Math.min(Math.max(parseInt(v) || 3, 1), 10)),
+}).refine(...positionPaired);
+
+// GSTIN upper-cased and checksum-verified; null = unregistered (no GST charged)
+const gstinField = z.string().trim().toUpperCase()
+  .refine(isValidGstin, 'Invalid GSTIN').nullable();
+const gstRateField = z.coerce.number()
+  .refine(r => GST_RATES.includes(r), `GST rate must be one of ${GST_RATES.join(', ')}`);
+
+const restaurantTaxSchema = z.object({
+  gstin:   gstinField.optional(),
+  gstRate: gstRateField.optional(),
 });
 
 const restaurantSchema = z.object({
@@ -91,15 +146,139 @@ const restaurantSchema = z.object({
   minOrder:        z.number().min(0).optional(),
   openingTime:     z.string().regex(/^\d{2}:\d{2}$/).optional(),
   closingTime:     z.string().regex(/^\d{2}:\d{2}$/).optional(),
+  pickupSlotCapacity: z.number().int().min(0).max(200).optional(),
+  acceptanceSlaMinutes: z.number().int().min(2).max(120).optional(),
   address:         z.string().optional(),
   latitude:        z.number().min(-90).max(90).optional(),
   longitude:       z.number().min(-180).max(180).optional(),
   cuisines:        z.array(z.string()).optional(),
   isActive:        z.boolean().optional(),
+  gstin:           gstinField.optional(),
+  gstRate:         gstRateField.optional(),
+});
+
+// Fields the owner routes write straight from the body, checked with parseFields
+const restaurantSlotsSchema = restaurantSchema.pick({ pickupSlotCapacity: true });
+const restaurantSlaSchema = restaurantSchema.pick({ acceptanceSlaMinutes: true });
+
+// ─── Restaurant hours ─────────────────────────────────────────────────────────
+
+const hhmm = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/, 'Time must be HH:MM (00:00–24:00)');
+
+const hoursIntervalSchema = z.object({
+  openTime:  hhmm,
+  closeTime: hhmm,
+});
+
+const restaurantHoursSchema = z.object({
+  timezone: z.string()
+    .refine(isValidTimezone, 'timezone must be an IANA name, e.g. "Asia/Kolkata"')
+    .optional(),
+  // Omitted weekdays are closed all day. closeTime < openTime = past midnight.
+  weekly: z.object({
+    mon: z.array(hoursIntervalSchema).max(6).optional(),
+    tue: z.array(hoursIntervalSchema).max(6).optional(),
+    wed: z.array(hoursIntervalSchema).max(6).optional(),
+    thu: z.array(hoursIntervalSchema).max(6).optional(),
+    fri: z.array(hoursIntervalSchema).max(6).optional(),
+    sat: z.array(hoursIntervalSchema).max(6).optional(),
+    sun: z.array(hoursIntervalSchema).max(6).optional(),
+  }).strict().optional(),
+}).refine(d => d.timezone || d.weekly, 'Provide timezone and/or weekly');
+
+// Menu availability windows — same weekday keys and HH:MM rules as opening hours
+const availabilityWindowSchema = z.object({
+  startTime: hhmm,
+  endTime:   hhmm,
+});
+
+const availabilityWindowsSchema = z.object({
+  // Omitted weekdays = not served that day; weekly: {} removes the restriction
+  weekly: z.object({
+    mon: z.array(availabilityWindowSchema).max(6).optional(),
+    tue: z.array(availabilityWindowSchema).max(6).optional(),
+    wed: z.array(availabilityWindowSchema).max(6).optional(),
+    thu: z.array(availabilityWindowSchema).max(6).optional(),
+    fri: z.array(availabilityWindowSchema).max(6).optional(),
+    sat: z.array(availabilityWindowSchema).max(6).optional(),
+    sun: z.array(availabilityWindowSchema).max(6).optional(),
+  }).strict(),
+});
+
+const closureSchema = z.object({
+  date:   z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'date must be YYYY-MM-DD'),
+  reason: z.string().max(255).optional(),
 });
 
 // ─── Menu ─────────────────────────────────────────────────────────────────────
 
+const variantSchema = z.object({
+  name:        z.string().trim().min(1).max(100),
+  price:       z.number().positive(),
+  isDefault:   z.boolean().optional(),
+  isAvailable: z.boolean().optional(),
+  sortOrder:   z.number().int().min(0).optional(),
+});
+
+const updateVariantSchema = variantSchema.partial()
+  .refine(d => Object.keys(d).length > 0, { message: 'No valid fields provided', path: ['name'] });
+
+const addOnSchema = z.object({
+  name:        z.string().trim().min(1).max(100),
+  price:       z.number().min(0),
+  isAvailable: z.boolean().optional(),
+  groupId:     z.string().uuid().nullable().optional(),
+});
+
+const updateAddOnSchema = addOnSchema.partial()
+  .refine(d => Object.keys(d).length > 0, { message: 'No valid fields provided', path: ['name'] });
+
+// dailyStock null = stop tracking; stockLeft overrides today's remaining count
+const variantStockSchema = z.object({
+  dailyStock: z.number().int().min(1).max(100000).nullable().optional(),
+  stockLeft:  z.number().int().min(0).max(100000).optional(),
+}).refine(d => Object.keys(d).length > 0, { message: 'No valid fields provided', path: ['dailyStock'] });
+
+const itemStockSchema = z.object({
+  dailyStock:        z.number().int().min(1).max(100000).nullable().optional(),
+  stockLeft:         z.number().int().min(0).max(100000).optional(),
+  lowStockThreshold: z.number().int().min(0).max(1000).optional(),
+}).refine(d => Object.keys(d).length > 0, { message: 'No valid fields provided', path: ['dailyStock'] });
+
+// maxSelect null = no upper limit; isRequired forces at least one pick
+const addOnGroupSchema = z.object({
+  name:       z.string().trim().min(1).max(100),
+  minSelect:  z.number().int().min(0).max(50).optional(),
+  maxSelect:  z.number().int().min(1).max(50).nullable().optional(),
+  isRequired: z.boolean().optional(),
+  sortOrder:  z.number().int().min(0).optional(),
+});
+
+const updateAddOnGroupSchema = addOnGroupSchema.partial()
+  .refine(d => Object.keys(d).length > 0, { message: 'No valid fields provided', path: ['name'] });
+
+// Free-form spellings ('Gluten Free') are keyed, checked and sorted (utils/dietary.js)
+const dietaryKey = (keys) => z.string().transform(toKey).pipe(z.enum(keys));
+const dietaryTagsField = z.array(dietaryKey(DIETARY_TAGS)).max(20).transform(normalizeList);
+// null = not declared, [] = declared allergen-free
+const allergensField = z.array(dietaryKey(ALLERGENS)).max(30).transform(normalizeList).nullable();
+
+const menuItemDietarySchema = z.object({
+  dietaryTags: dietaryTagsField.optional(),
+  allergens:   allergensField.optional(),
+});
+
+// null = charge the restaurant's rate
+const menuItemTaxSchema = z.object({
+  gstRate: gstRateField.nullable().optional(),
+});
+
+// GET /restaurants/:id/menu?dietary=vegan,jain&excludeAllergens=nuts
+const menuQuerySchema = z.object({
+  dietary:          queryList(20).pipe(z.array(dietaryKey(DIETARY_TAGS)).optional()),
+  excludeAllergens: queryList(30).pipe(z.array(dietaryKey(ALLERGENS)).optional()),
+});
+
 const menuItemSchema = z.object({
   restaurantId: z.string().uuid(),
   categoryId:   z.string().uuid().optional(),
@@ -110,17 +289,86 @@ const menuItemSchema = z.object({
   isVeg:        z.boolean().optional(),
   isAvailable:  z.boolean().optional(),
   sortOrder:    z.number().int().optional(),
-  variants: z.array(z.object({
-    name:      z.string().min(1).max(100),
-    price:     z.number().positive(),
-    isDefault: z.boolean().optional(),
-  })).optional(),
-  addOns: z.array(z.object({
-    name:  z.string().min(1).max(100),
-    price: z.number().min(0),
-  })).optional(),
+  dietaryTags:  dietaryTagsField.optional(),
+  allergens:    allergensField.optional(),
+  gstRate:      gstRateField.nullable().optional(),
+  // Entries with an id update that row (admin PUT); others are created
+  variants: z.array(variantSchema.extend({ id: z.string().uuid().optional() })).optional(),
+  addOns:   z.array(addOnSchema.extend({ id: z.string().uuid().optional() })).optional(),
+});
+
+const menuItemOptionsSchema = z.object({
+  variants: z.array(variantSchema).max(20).optional(),
+  addOns:   z.array(addOnSchema).max(50).optional(),
+});
+
+const categorySchema = z.object({
+  name:        z.string().trim().min(1).max(100),
+  description: z.string().max(500).nullable().optional(),
+  sortOrder:   z.number().int().min(0).optional(),
+  isActive:    z.boolean().optional(),
 });
 
+const updateCategorySchema = categorySchema.partial()
+  .refine(d => Object.keys(d).length > 0, { message: 'No valid fields provided', path: ['name'] });
+
+const reorderCategoriesSchema = z.object({
+  categories: z.array(z.object({
+    id:        z.string().uuid(),
+    sortOrder: z.number().int().min(0),
+  })).min(1).max(200),
+});
+
+const moveCategoryItemsSchema = z.object({
+  menuItemIds: z.array(z.string().uuid()).min(1).max(200),
+});
+
+const copyMenuSchema = z.object({
+  sourceRestaurantId: z.string().uuid(),
+});
+
+// Bulk import rows are validated one by one so every bad row can be reported.
+// null clears an optional field on update; an omitted key keeps it.
+// variants / addOns given (even []) replace the item's list; omitted = untouched.
+const importMenuItemSchema = z.object({
+  category:    z.string().trim().min(1).max(100).nullable().optional(),
+  name:        z.string().trim().min(2).max(255),
+  description: z.string().max(1000).nullable().optional(),
+  basePrice:   z.number().positive(),
+  image:       z.string().url().nullable().optional(),
+  isVeg:       z.boolean().optional(),
+  isAvailable: z.boolean().optional(),
+  sortOrder:   z.number().int().min(0).optional(),
+  dietaryTags: dietaryTagsField.optional(),
+  allergens:   allergensField.optional(),
+  gstRate:     gstRateField.nullable().optional(),
+  variants:    z.array(variantSchema).max(20).optional(),
+  addOns:      z.array(addOnSchema.omit({ groupId: true })).max(50).optional(),
+});
+
+const menuImportQuerySchema = z.object({
+  format: z.enum(['csv', 'json']).optional(),
+  mode:   z.enum(['merge', 'replace']).optional().default('merge'),
+  dryRun: z.string().optional().transform(v => v === 'true'),
+});
+
+// ─── Fee rules ────────────────────────────────────────────────────────────────
+
+// value is ₹ for flat fees, % for percentage ones (≤ 100, checked in fee.service)
+const feeRuleSchema = z.object({
+  label:        z.string().trim().min(1).max(100),
+  scope:        z.enum(['per_item', 'per_order']),
+  type:         z.enum(['flat', 'percentage']),
+  value:        z.number().positive().max(100000),
+  maxAmount:    z.number().positive().max(100000).nullable().optional(),
+  waiveAbove:   z.number().positive().max(1000000).nullable().optional(),
+  isRefundable: z.boolean().optional(),
+  isActive:     z.boolean().optional(),
+});
+
+const updateFeeRuleSchema = feeRuleSchema.partial()
+  .refine(d => Object.keys(d).length > 0, { message: 'No valid fields provided', path: ['label'] });
+
 // ─── Cart ─────────────────────────────────────────────────────────────────────
 
 const addToCartSchema = z.object({
@@ -150,6 +398,14 @@ const createOrderSchema = z.object({
   // was never debited and coupons were never applied even when sent by client.
   useWallet:  z.boolean().optional().default(false),
   couponCode: z.string().max(50).trim().toUpperCase().optional(),
+  // Optional future pickup time (ISO 8601 with offset), aligned to a 15-min slot.
+  // Omit for an "as soon as possible" order.
+  scheduledPickupAt: z.string().datetime({ offset: true }).optional(),
+});
+
+// GET /orders/:id/invoice?format=pdf
+const invoiceQuerySchema = z.object({
+  format: z.enum(['json', 'pdf']).optional().default('json'),
 });
 
 const orderStatusSchema = z.object({
@@ -157,6 +413,38 @@ const orderStatusSchema = z.object({
   preparationTime: z.number().int().min(1).optional(),
 });
 
+const rejectOrderSchema = z.object({
+  reasonCode: z.enum(['item_unavailable', 'too_busy', 'closing_soon', 'other']),
+  note:       z.string().trim().max(500).optional(),
+}).refine(d => d.reasonCode !== 'other' || !!d.note, {
+  message: "A note is required when reasonCode is 'other'",
+  path: ['note'],
+});
+
+const kdsBulkStatusSchema = z.object({
+  orderIds: z.array(z.string().uuid()).min(1).max(50),
+  status:   z.enum(['confirmed', 'preparing', 'ready']),
+});
+
+// Either the digits the customer reads out or the scanned QR payload
+const collectOrderSchema = z.object({
+  code:      z.string().regex(/^\d{4}$/, 'code must be 4 digits').optional(),
+  qrPayload: z.string().max(200).optional(),
+}).refine(d => d.code || d.qrPayload, { message: 'code or qrPayload is required', path: ['code'] });
+
+// ─── Staff ────────────────────────────────────────────────────────────────────
+
+const staffRoleEnum = z.enum(['manager', 'cashier', 'kitchen']);
+
+const inviteStaffSchema = z.object({
+  phone: z.string().regex(/^[6-9]\d{9}$/, 'Invalid Indian phone number (must be 10 digits starting with 6-9)'),
+  role:  staffRoleEnum,
+});
+
+const staffRoleSchema = z.object({
+  role: staffRoleEnum,
+});
+
 // ─── Payments ─────────────────────────────────────────────────────────────────
 
 const verifyPaymentSchema = z.object({
@@ -166,6 +454,11 @@ const verifyPaymentSchema = z.object({
   orderId:           z.string().uuid(),
 });
 
+const refundSchema = z.object({
+  amount: z.number().positive().optional(),
+  reason: z.string().min(3).max(255),
+});
+
 // ─── Reviews ─────────────────────────────────────────────────────────────────
 
 const reviewSchema = z.object({
@@ -214,14 +507,49 @@ module.exports = {
     changePassword:  changePasswordSchema,
     address:         addressSchema,
     restaurantQuery: restaurantQuerySchema,
+    searchQuery:     searchQuerySchema,
     restaurant:      restaurantSchema,
+    restaurantTax:   restaurantTaxSchema,
+    restaurantSlots: restaurantSlotsSchema,
+    restaurantSla:   restaurantSlaSchema,
+    restaurantHours: restaurantHoursSchema,
+    availabilityWindows: availabilityWindowsSchema,
+    closure:         closureSchema,
     menuItem:        menuItemSchema,
+    menuItemDietary: menuItemDietarySchema,
+    menuItemTax:     menuItemTaxSchema,
+    menuQuery:       menuQuerySchema,
     addToCart:       addToCartSchema,
     updateCart:      updateCartSchema,
     removeCart:      removeCartSchema,
     createOrder:     createOrderSchema,
+    invoiceQuery:    invoiceQuerySchema,
     orderStatus:     orderStatusSchema,
+    rejectOrder:     rejectOrderSchema,
+    kdsBulkStatus:   kdsBulkStatusSchema,
+    collectOrder:    collectOrderSchema,
+    menuItemOptions: menuItemOptionsSchema,
+    variant:         variantSchema,
+    updateVariant:   updateVariantSchema,
+    addOn:           addOnSchema,
+    updateAddOn:     updateAddOnSchema,
+    addOnGroup:      addOnGroupSchema,
+    itemStock:       itemStockSchema,
+    variantStock:    variantStockSchema,
+    updateAddOnGroup: updateAddOnGroupSchema,
+    category:        categorySchema,
+    updateCategory:  updateCategorySchema,
+    reorderCategories: reorderCategoriesSchema,
+    moveCategoryItems: moveCategoryItemsSchema,
+    copyMenu:        copyMenuSchema,
+    importMenuItem:  importMenuItemSchema,
+    menuImportQuery: menuImportQuerySchema,
+    inviteStaff:     inviteStaffSchema,
+    staffRole:       staffRoleSchema,
     verifyPayment:   verifyPaymentSchema,
+    refund:          refundSchema,
+    feeRule:         feeRuleSchema,
+    updateFeeRule:   updateFeeRuleSchema,
     review:          reviewSchema,
   },
   validate,